@@ -25,7 +25,9 @@ module.exports = function ( grunt ) {
 	var modules = grunt.file.readJSON( 'build/modules.json' ),
 		styleTargets = {
 			'oojs-ui-apex': modules[ 'oojs-ui-apex' ].styles,
-			'oojs-ui-mediawiki': modules[ 'oojs-ui-mediawiki' ].styles
+			'oojs-ui-mediawiki': modules[ 'oojs-ui-mediawiki' ].styles,
+			'oojs-ui-blank': modules[ 'oojs-ui-blank' ].styles,
+			'oojs-ui-dark': modules[ 'oojs-ui-dark' ].styles
 		},
 		lessFiles = {
 			raster: {},
@@ -78,6 +80,24 @@ module.exports = function ( grunt ) {
 		return target;
 	}
 
+	// Get the colours of the image variants of a theme, keyed by variant name
+	function getImageVariants( theme ) {
+		var type, variant,
+			variants = merge(
+				{},
+				grunt.file.readJSON( 'build/images.json' ),
+				grunt.file.readJSON( 'src/themes/' + theme + '/images.json' )
+			).variants || {},
+			colors = {};
+
+		for ( type in variants ) {
+			for ( variant in variants[ type ] ) {
+				colors[ variant ] = variants[ type ][ variant ].color;
+			}
+		}
+		return colors;
+	}
+
 	function strip( str ) {
 		var path = require( 'path' );
 		// http://gruntjs.com/configuring-tasks#building-the-files-object-dynamically
@@ -118,10 +138,27 @@ module.exports = function ( grunt ) {
 				banner: grunt.file.read( 'build/banner.txt' )
 			},
 			js: {
+				options: {
+					// Fill in the image variants of the themes
+					process: function ( src, filepath ) {
+						var theme = ( filepath.match( /^src\/themes\/(\w+)\// ) || [] )[ 1 ];
+
+						if ( !theme ) {
+							return src;
+						}
+						return src.replace(
+							/(\.static\.imageVariants = )\{\};/,
+							// The dark theme uses the images of the MediaWiki theme
+							'$1' + JSON.stringify( getImageVariants( theme === 'dark' ? 'mediawiki' : theme ) ) + ';'
+						);
+					}
+				},
 				files: {
 					'dist/oojs-ui.js': modules[ 'oojs-ui' ].scripts,
 					'dist/oojs-ui-apex.js': modules[ 'oojs-ui-apex' ].scripts,
-					'dist/oojs-ui-mediawiki.js': modules[ 'oojs-ui-mediawiki' ].scripts
+					'dist/oojs-ui-mediawiki.js': modules[ 'oojs-ui-mediawiki' ].scripts,
+					'dist/oojs-ui-blank.js': modules[ 'oojs-ui-blank' ].scripts,
+					'dist/oojs-ui-dark.js': modules[ 'oojs-ui-dark' ].scripts
 				}
 			},
 			css: {
@@ -250,6 +287,14 @@ module.exports = function ( grunt ) {
 				),
 				srcDir: 'src/themes/mediawiki/images',
 				destDir: 'dist/tmp/themes/mediawiki/images'
+			},
+			blank: {
+				options: merge(
+					grunt.file.readJSON( 'build/images.json' ),
+					grunt.file.readJSON( 'src/themes/blank/images.json' )
+				),
+				srcDir: 'src/themes/blank/images',
+				destDir: 'dist/tmp/themes/blank/images'
 			}
 		},
 		svg2png: {
@@ -29,7 +29,9 @@ OO.ui.Demo = function OoUiDemo() {
 	this.pageMenu = this.pageDropdown.getMenu();
 	this.themeSelect = new OO.ui.ButtonSelectWidget().addItems( [
 		new OO.ui.ButtonOptionWidget( { data: 'mediawiki', label: 'MediaWiki' } ),
-		new OO.ui.ButtonOptionWidget( { data: 'apex', label: 'Apex' } )
+		new OO.ui.ButtonOptionWidget( { data: 'apex', label: 'Apex' } ),
+		new OO.ui.ButtonOptionWidget( { data: 'dark', label: 'Dark' } ),
+		new OO.ui.ButtonOptionWidget( { data: 'blank', label: 'Blank' } )
 	] );
 	this.graphicsSelect = new OO.ui.ButtonSelectWidget().addItems( [
 		new OO.ui.ButtonOptionWidget( { data: 'mixed', label: 'Mixed' } ),
@@ -65,7 +67,7 @@ OO.ui.Demo = function OoUiDemo() {
 		.append( this.$menu );
 	$( 'body' ).addClass( 'oo-ui-' + this.mode.direction );
 	$( 'head' ).append( this.stylesheetLinks );
-	OO.ui.theme = new ( this.constructor.static.themes[ this.mode.theme ].theme )();
+	OO.ui.themeRegistry.setTheme( this.mode.theme );
 	this.constructor.static.pages[ this.mode.page ]( this );
 };
 
@@ -89,21 +91,18 @@ OO.ui.Demo.static.pages = {};
 /**
  * Available themes.
  *
- * List of theme descriptions, each containing a `fileSuffix` property used for linking to the
- * correct stylesheet file and a `theme` property containing a theme class
+ * List of theme descriptions, keyed by the symbolic name the theme is registered with in
+ * OO.ui.themeRegistry, each containing a `fileSuffix` property used for linking to the correct
+ * stylesheet file
  *
  * @static
  * @property {Object.<string,Object>}
  */
 OO.ui.Demo.static.themes = {
-	mediawiki: {
-		fileSuffix: '-mediawiki',
-		theme: OO.ui.MediaWikiTheme
-	},
-	apex: {
-		fileSuffix: '-apex',
-		theme: OO.ui.ApexTheme
-	}
+	mediawiki: { fileSuffix: '-mediawiki' },
+	apex: { fileSuffix: '-apex' },
+	dark: { fileSuffix: '-dark' },
+	blank: { fileSuffix: '-blank' }
 };
 
 /**
@@ -60,6 +60,31 @@ OO.ui.Demo.static.pages.dialogs = function ( demo ) {
 		return this.content.$element.outerHeight( true );
 	};
 
+	function ConfirmingProcessDialog( config ) {
+		ConfirmingProcessDialog.super.call( this, config );
+	}
+	OO.inheritClass( ConfirmingProcessDialog, ProcessDialog );
+	ConfirmingProcessDialog.static.title = 'Process dialog (confirm on cancel)';
+	ConfirmingProcessDialog.prototype.getActionProcess = function ( action ) {
+		var dialog = this;
+		if ( action === 'cancel' ) {
+			return new OO.ui.Process( function () {
+				// Open a message dialog on top of this one, and wait for it to begin closing
+				return dialog.getManager().openWindow( 'confirm', {
+					title: 'Discard changes?',
+					message: 'Your changes will be lost.'
+				} ).then( function ( opened ) {
+					return opened.then( function ( closing, data ) {
+						if ( data && data.action === 'accept' ) {
+							dialog.close( { action: action } );
+						}
+					} );
+				} );
+			} );
+		}
+		return ConfirmingProcessDialog.super.prototype.getActionProcess.call( this, action );
+	};
+
 	function SearchWidgetDialog( config ) {
 		SearchWidgetDialog.super.call( this, config );
 		this.broken = false;
@@ -283,6 +308,59 @@ OO.ui.Demo.static.pages.dialogs = function ( demo ) {
 			}, this );
 	};
 
+	function SampleCard( name, config ) {
+		config = $.extend( { label: 'Sample card' }, config );
+		OO.ui.CardLayout.call( this, name, config );
+		this.$element.text( this.label );
+	}
+	OO.inheritClass( SampleCard, OO.ui.CardLayout );
+
+	function IndexDialog( config ) {
+		IndexDialog.super.call( this, config );
+	}
+	OO.inheritClass( IndexDialog, OO.ui.ProcessDialog );
+	IndexDialog.static.title = 'Index dialog';
+	IndexDialog.static.actions = [
+		{ action: 'save', label: 'Done', flags: [ 'primary', 'progressive' ] },
+		{ action: 'cancel', label: 'Cancel', flags: 'safe' }
+	];
+	IndexDialog.prototype.getBodyHeight = function () {
+		return 250;
+	};
+	IndexDialog.prototype.initialize = function () {
+		IndexDialog.super.prototype.initialize.apply( this, arguments );
+
+		var i,
+			cards = [
+				new SampleCard( 'first', { label: 'One' } ),
+				new SampleCard( 'second', { label: 'Two' } ),
+				new SampleCard( 'third', { label: 'Three' } )
+			];
+
+		// Enough closable cards to overflow the tabs
+		for ( i = 4; i <= 12; i++ ) {
+			cards.push( new SampleCard( 'card-' + i, { label: 'Closable card ' + i, closable: true } ) );
+		}
+
+		this.indexLayout = new OO.ui.IndexLayout();
+		this.indexLayout.addCards( cards );
+		this.$body.append( this.indexLayout.$element );
+	};
+	IndexDialog.prototype.getReadyProcess = function ( data ) {
+		return IndexDialog.super.prototype.getReadyProcess.call( this, data )
+			.next( function () {
+				this.indexLayout.getTabs().updateScrollButtons();
+			}, this );
+	};
+	IndexDialog.prototype.getActionProcess = function ( action ) {
+		if ( action ) {
+			return new OO.ui.Process( function () {
+				this.close( { action: action } );
+			}, this );
+		}
+		return IndexDialog.super.prototype.getActionProcess.call( this, action );
+	};
+
 	function MenuDialog( config ) {
 		MenuDialog.super.call( this, config );
 	}
@@ -407,6 +485,20 @@ OO.ui.Demo.static.pages.dialogs = function ( demo ) {
 				size: 'full'
 			}
 		},
+		{
+			name: 'Process dialog (confirm on cancel)',
+			dialogClass: ConfirmingProcessDialog,
+			config: {
+				size: 'medium'
+			}
+		},
+		{
+			name: 'Simple dialog (non-modal)',
+			config: {
+				size: 'small',
+				modal: false
+			}
+		},
 		{
 			name: 'Search widget dialog (medium)',
 			dialogClass: SearchWidgetDialog,
@@ -435,6 +527,13 @@ OO.ui.Demo.static.pages.dialogs = function ( demo ) {
 				size: 'medium'
 			}
 		},
+		{
+			name: 'Index dialog',
+			dialogClass: IndexDialog,
+			config: {
+				size: 'medium'
+			}
+		},
 		{
 			name: 'Menu dialog',
 			dialogClass: MenuDialog,
@@ -531,6 +630,7 @@ OO.ui.Demo.static.pages.dialogs = function ( demo ) {
 		);
 		fieldset.addItems( [ new OO.ui.FieldLayout( openButton, { align: 'inline' } ) ] );
 	}
+	windows.confirm = new OO.ui.MessageDialog();
 	windowManager.addWindows( windows );
 
 	$demo.append( $( '<div class="oo-ui-demo-container"></div>' ).append( fieldset.$element ),
@@ -2,29 +2,34 @@ OO.ui.Demo.static.pages.toolbars = function ( demo ) {
 	var i, toolGroups, actionButton, actionButtonDisabled,
 		$demo = demo.$element,
 		$containers = $(
+			'<div class="oo-ui-demo-container oo-ui-demo-toolbars"></div>' +
 			'<div class="oo-ui-demo-container oo-ui-demo-toolbars"></div>' +
 			'<div class="oo-ui-demo-container oo-ui-demo-toolbars"></div>'
 		),
 		toolFactories = [],
 		toolGroupFactories = [],
-		toolbars = [];
-
-	// Show some random accelerator keys that don't actually work
-	function getToolAccelerator( name ) {
-		return {
-			listTool1: 'Ctrl+Shift+1',
-			listTool2: 'Ctrl+Alt+2',
-			listTool3: 'Cmd+Enter',
-			listTool5: 'Shift+Down',
-			menuTool: 'Ctrl+M'
-		}[ name ];
-	}
+		toolbars = [],
+		// Keyboard shortcuts, which work while the focus is within the toolbar
+		accelerators = {
+			listTool1: 'accel+shift+1',
+			listTool2: 'accel+alt+2',
+			listTool3: 'accel+enter',
+			listTool5: 'shift+down',
+			menuTool: 'accel+m'
+		},
+		// Tools that stay in the toolbar the longest when it runs out of room
+		overflowPriorities = {
+			overflowTool1: 2,
+			overflowTool2: 1
+		};
 
-	for ( i = 0; i < 3; i++ ) {
+	for ( i = 0; i < 4; i++ ) {
 		toolFactories.push( new OO.ui.ToolFactory() );
 		toolGroupFactories.push( new OO.ui.ToolGroupFactory() );
-		toolbars.push( new OO.ui.Toolbar( toolFactories[ i ], toolGroupFactories[ i ], { actions: true } ) );
-		toolbars[ i ].getToolAccelerator = getToolAccelerator;
+		toolbars.push( new OO.ui.Toolbar( toolFactories[ i ], toolGroupFactories[ i ], {
+			actions: true,
+			overflow: i === 3
+		} ) );
 	}
 
 	function createTool( toolbar, group, name, icon, title, init, onSelect ) {
@@ -53,6 +58,8 @@ OO.ui.Demo.static.pages.toolbars = function ( demo ) {
 		Tool.static.group = group;
 		Tool.static.icon = icon;
 		Tool.static.title = title;
+		Tool.static.accelerator = accelerators[ name ] || null;
+		Tool.static.overflowPriority = overflowPriorities[ name ] || 0;
 		return Tool;
 	}
 
@@ -146,6 +153,17 @@ OO.ui.Demo.static.pages.toolbars = function ( demo ) {
 			include: [ { group: 'listTools' } ]
 		}
 	] );
+	// Toolbar moving tools that do not fit into a "More" menu
+	toolbars[ 3 ].setup( [
+		{
+			type: 'bar',
+			include: [ { group: 'overflowTools' } ]
+		},
+		{
+			type: 'bar',
+			include: [ { group: 'moreOverflowTools' } ]
+		}
+	] );
 	toolbars[ 0 ].$actions.append(
 		$( '<div>' )
 			.addClass( 'oo-ui-demo-toolbar-utilities' )
@@ -199,6 +217,24 @@ OO.ui.Demo.static.pages.toolbars = function ( demo ) {
 			[ 'menuToolInDisabled', 'picture', 'Basic tool' ]
 		],
 
+		overflowTools: [
+			[ 'overflowTool1', 'picture', 'Tool staying in the toolbar the longest' ],
+			[ 'overflowTool2', 'picture', 'Tool staying in the toolbar longer' ],
+			[ 'overflowTool3', 'picture', 'Basic tool in bar' ],
+			[ 'overflowTool4', 'picture', 'Basic tool in bar' ],
+			[ 'overflowTool5', 'picture', 'Basic tool in bar' ],
+			[ 'overflowTool6', 'picture', 'Basic tool in bar' ]
+		],
+
+		moreOverflowTools: [
+			[ 'overflowTool7', 'help', 'Basic tool in another bar' ],
+			[ 'overflowTool8', 'help', 'Basic tool in another bar' ],
+			[ 'overflowTool9', 'help', 'Basic tool in another bar' ],
+			[ 'overflowTool10', 'help', 'Basic tool in another bar' ],
+			[ 'overflowTool11', 'help', 'Basic tool in another bar' ],
+			[ 'overflowTool12', 'help', 'Basic tool in another bar' ]
+		],
+
 		unusedStuff: [
 			[ 'unusedTool', 'help', 'This tool is not explicitly used anywhere' ],
 			[ 'unusedTool1', 'help', 'And neither is this one' ]
@@ -214,13 +250,17 @@ OO.ui.Demo.static.pages.toolbars = function ( demo ) {
 	createToolGroup( 1, 'menuTools' );
 	createToolGroup( 1, 'disabledMenuTools' );
 	createToolGroup( 2, 'listTools' );
+	createToolGroup( 3, 'overflowTools' );
+	createToolGroup( 3, 'moreOverflowTools' );
 
-	for ( i = 0; i < toolbars.length; i++ ) {
-		$containers.eq( i ).append( toolbars[ i ].$element );
-	}
+	$containers.eq( 0 ).append( toolbars[ 0 ].$element );
+	$containers.eq( 1 ).append( toolbars[ 1 ].$element );
+	$containers.eq( 2 ).append( toolbars[ 3 ].$element );
 	$containers.append( '' );
 	$demo.append(
 		$containers.eq( 0 ).append( '<div class="oo-ui-demo-toolbars-contents">Toolbar</div>' ),
-		$containers.eq( 1 ).append( '<div class="oo-ui-demo-toolbars-contents">Toolbar with action buttons</div>' )
+		$containers.eq( 1 ).append( '<div class="oo-ui-demo-toolbars-contents">Toolbar with action buttons</div>' ),
+		$containers.eq( 2 ).append( '<div class="oo-ui-demo-toolbars-contents">Toolbar moving tools that do not fit into a "More" menu (resize the window)</div>' )
 	);
+	toolbars[ 3 ].initialize();
 };
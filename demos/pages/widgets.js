@@ -547,6 +547,33 @@ OO.ui.Demo.static.pages.widgets = function ( demo ) {
 						align: 'top'
 					}
 				),
+				new OO.ui.FieldLayout(
+					new OO.ui.ButtonSelectWidget( {
+						multiselect: true,
+						items: [
+							new OO.ui.ButtonOptionWidget( {
+								data: 'b',
+								label: 'One'
+							} ),
+							new OO.ui.ButtonOptionWidget( {
+								data: 'c',
+								label: 'Two'
+							} ),
+							new OO.ui.ButtonOptionWidget( {
+								data: 'd',
+								label: 'Three'
+							} ),
+							new OO.ui.ButtonOptionWidget( {
+								data: 'e',
+								label: 'Four'
+							} )
+						]
+					} ),
+					{
+						label: 'ButtonSelectWidget (multiselect, Ctrl/Shift-click)\u200E',
+						align: 'top'
+					}
+				),
 				new OO.ui.FieldLayout(
 					new OO.ui.ButtonSelectWidget( {
 						disabled: true,
@@ -674,6 +701,99 @@ OO.ui.Demo.static.pages.widgets = function ( demo ) {
 						label: 'RadioSelectWidget'
 					}
 				),
+				new OO.ui.FieldLayout(
+					new OO.ui.TreeWidget( {
+						loadChildNodes: function ( node ) {
+							// Simulate a request to a server
+							var deferred = $.Deferred();
+							setTimeout( function () {
+								deferred.resolve( [ 1, 2, 3 ].map( function ( i ) {
+									return new OO.ui.TreeNodeWidget( {
+										data: node.getData() + '/' + i,
+										label: 'Subfolder ' + i,
+										lazy: true
+									} );
+								} ) );
+							}, 500 );
+							return deferred.promise();
+						},
+						items: [
+							new OO.ui.TreeNodeWidget( {
+								data: 'documents',
+								label: 'Documents',
+								expanded: true,
+								children: [
+									new OO.ui.TreeNodeWidget( { data: 'documents/letters', label: 'Letters', lazy: true } ),
+									new OO.ui.TreeNodeWidget( { data: 'documents/notes', label: 'Notes' } )
+								]
+							} ),
+							new OO.ui.TreeNodeWidget( { data: 'pictures', label: 'Pictures', lazy: true } )
+						]
+					} ),
+					{
+						align: 'top',
+						label: 'TreeWidget (lazy loading)\u200E'
+					}
+				),
+				new OO.ui.FieldLayout(
+					new OO.ui.TreeWidget( {
+						items: [
+							new OO.ui.TreeNodeWidget( {
+								data: 'fruit',
+								label: 'Fruit',
+								checkable: true,
+								expanded: true,
+								children: [
+									new OO.ui.TreeNodeWidget( { data: 'apple', label: 'Apple', checkable: true, checked: true } ),
+									new OO.ui.TreeNodeWidget( { data: 'banana', label: 'Banana', checkable: true } ),
+									new OO.ui.TreeNodeWidget( {
+										data: 'citrus',
+										label: 'Citrus',
+										checkable: true,
+										children: [
+											new OO.ui.TreeNodeWidget( { data: 'lemon', label: 'Lemon', checkable: true } ),
+											new OO.ui.TreeNodeWidget( { data: 'orange', label: 'Orange', checkable: true } )
+										]
+									} )
+								]
+							} ),
+							new OO.ui.TreeNodeWidget( { data: 'bread', label: 'Bread', checkable: true } )
+						]
+					} ),
+					{
+						align: 'top',
+						label: 'TreeWidget (checkable)\u200E'
+					}
+				),
+				new OO.ui.FieldLayout(
+					new OO.ui.TableWidget( {
+						multiselect: true,
+						columns: [
+							{ key: 'name', label: 'Name', sortable: true },
+							{ key: 'size', label: 'Size (KB)\u200E', sortable: true, width: 100 },
+							{ key: 'modified', label: 'Modified', sortable: true, width: 120 },
+							{
+								key: 'shared',
+								label: 'Shared',
+								width: 100,
+								render: function ( value ) {
+									return new OO.ui.ToggleSwitchWidget( { value: value } );
+								}
+							}
+						],
+						rows: [
+							{ name: 'Report.pdf', size: 1200, modified: '2015-03-02', shared: true },
+							{ name: 'notes.txt', size: 4, modified: '2015-06-21', shared: false },
+							{ name: 'Photo 10.jpg', size: 3400, modified: '2014-11-30', shared: false },
+							{ name: 'Photo 9.jpg', size: 2900, modified: '2014-11-30', shared: true },
+							{ name: 'Budget.ods', size: 56, modified: '2015-01-15', shared: false }
+						]
+					} ),
+					{
+						align: 'top',
+						label: 'TableWidget (multiselect)\u200E'
+					}
+				),
 				new OO.ui.FieldLayout(
 					new OO.ui.ToggleSwitchWidget(),
 					{
@@ -803,6 +923,87 @@ OO.ui.Demo.static.pages.widgets = function ( demo ) {
 						align: 'top'
 					}
 				),
+				new OO.ui.FieldLayout(
+					new OO.ui.NumberInputWidget( { value: 5 } ),
+					{
+						label: 'NumberInputWidget\u200E',
+						align: 'top'
+					}
+				),
+				new OO.ui.FieldLayout(
+					new OO.ui.NumberInputWidget( {
+						value: 3,
+						min: 1,
+						max: 10,
+						isInteger: true
+					} ),
+					{
+						label: 'NumberInputWidget (min, max, isInteger)\u200E',
+						align: 'top'
+					}
+				),
+				new OO.ui.FieldLayout(
+					new OO.ui.NumberInputWidget( {
+						value: 0.5,
+						step: 0.1,
+						showButtons: false
+					} ),
+					{
+						label: 'NumberInputWidget (step, no buttons)\u200E',
+						align: 'top'
+					}
+				),
+				new OO.ui.FieldLayout(
+					new OO.ui.DateInputWidget( { value: '2015-06-15' } ),
+					{
+						label: 'DateInputWidget\u200E',
+						align: 'top'
+					}
+				),
+				new OO.ui.FieldLayout(
+					new OO.ui.DateInputWidget( {
+						min: '2015-01-01',
+						max: '2015-12-31',
+						weekStart: 1,
+						displayFormat: 'D.M.YYYY',
+						placeholder: 'D.M.YYYY'
+					} ),
+					{
+						label: 'DateInputWidget (min, max, weekStart, displayFormat)\u200E',
+						align: 'top'
+					}
+				),
+				new OO.ui.FieldLayout(
+					new OO.ui.SelectFileWidget(),
+					{
+						label: 'SelectFileWidget\u200E',
+						align: 'top'
+					}
+				),
+				new OO.ui.FieldLayout(
+					new OO.ui.SelectFileWidget( {
+						multiple: true,
+						accept: [ 'image/*' ],
+						maxSize: 2 * 1024 * 1024,
+						showThumbnails: true,
+						dropTarget: true
+					} ).on( 'reject', function ( rejected ) {
+						rejected.forEach( function ( item ) {
+							OO.ui.notify( item.message, { type: 'warning' } );
+						} );
+					} ),
+					{
+						label: 'SelectFileWidget (drop target, multiple images up to 2 MB, thumbnails)\u200E',
+						align: 'top'
+					}
+				),
+				new OO.ui.FieldLayout(
+					new OO.ui.CalendarWidget( { date: '2015-06-15' } ),
+					{
+						label: 'CalendarWidget\u200E',
+						align: 'top'
+					}
+				),
 				new OO.ui.FieldLayout(
 					new OO.ui.DropdownWidget( {
 						label: 'Select one',
@@ -901,6 +1102,56 @@ OO.ui.Demo.static.pages.widgets = function ( demo ) {
 						align: 'top'
 					}
 				),
+				new OO.ui.FieldLayout(
+					new OO.ui.DropdownWidget( {
+						label: 'Select one',
+						menu: {
+							virtual: true,
+							items: ( function () {
+								var i,
+									items = [];
+
+								for ( i = 1; i <= 5000; i++ ) {
+									items.push( new OO.ui.MenuOptionWidget( {
+										data: i,
+										label: 'Option ' + i
+									} ) );
+								}
+								return items;
+							}() )
+						}
+					} ),
+					{
+						label: 'DropdownWidget (5,000 options, virtual)\u200E',
+						align: 'top'
+					}
+				),
+				new OO.ui.FieldLayout(
+					new OO.ui.DropdownWidget( {
+						label: 'Select one',
+						$overlay: true,
+						menu: {
+							items: [
+								new OO.ui.MenuOptionWidget( {
+									data: 'a',
+									label: 'First'
+								} ),
+								new OO.ui.MenuOptionWidget( {
+									data: 'b',
+									label: 'Second'
+								} ),
+								new OO.ui.MenuOptionWidget( {
+									data: 'c',
+									label: 'Third'
+								} )
+							]
+						}
+					} ),
+					{
+						label: 'DropdownWidget (menu in the default overlay)\u200E',
+						align: 'top'
+					}
+				),
 				new OO.ui.FieldLayout(
 					new OO.ui.DropdownInputWidget( {
 						options: [
@@ -966,6 +1217,64 @@ OO.ui.Demo.static.pages.widgets = function ( demo ) {
 						align: 'top'
 					}
 				),
+				new OO.ui.FieldLayout(
+					new OO.ui.CapsuleMultiSelectWidget( {
+						menu: {
+							items: [
+								new OO.ui.MenuOptionWidget( { data: 'asd', label: 'Label for asd' } ),
+								new OO.ui.MenuOptionWidget( { data: 'fgh', label: 'Label for fgh' } ),
+								new OO.ui.MenuOptionWidget( { data: 'jkl', label: 'Label for jkl' } ),
+								new OO.ui.MenuOptionWidget( { data: 'zxc', label: 'Label for zxc' } ),
+								new OO.ui.MenuOptionWidget( { data: 'vbn', label: 'Label for vbn' } )
+							]
+						}
+					} ).setItemsFromData( [ 'asd', 'jkl' ] ),
+					{
+						label: 'CapsuleMultiSelectWidget',
+						align: 'top'
+					}
+				),
+				new OO.ui.FieldLayout(
+					new OO.ui.CapsuleMultiSelectWidget( {
+						allowArbitrary: true,
+						input: { placeholder: 'Type anything and press Enter' },
+						menu: {
+							items: [
+								new OO.ui.MenuOptionWidget( { data: 'asd', label: 'Label for asd' } ),
+								new OO.ui.MenuOptionWidget( { data: 'fgh', label: 'Label for fgh' } ),
+								new OO.ui.MenuOptionWidget( { data: 'jkl', label: 'Label for jkl' } )
+							]
+						}
+					} ),
+					{
+						label: 'CapsuleMultiSelectWidget (allowArbitrary)\u200E',
+						align: 'top'
+					}
+				),
+				new OO.ui.FieldLayout(
+					new OO.ui.CapsuleMultiSelectWidget( {
+						input: new NumberLookupTextInputWidget()
+					} ),
+					{
+						label: 'CapsuleMultiSelectWidget (LookupElement)\u200E',
+						align: 'top'
+					}
+				),
+				new OO.ui.FieldLayout(
+					new OO.ui.CapsuleMultiSelectWidget( {
+						disabled: true,
+						menu: {
+							items: [
+								new OO.ui.MenuOptionWidget( { data: 'asd', label: 'Label for asd' } ),
+								new OO.ui.MenuOptionWidget( { data: 'fgh', label: 'Label for fgh' } )
+							]
+						}
+					} ).setItemsFromData( [ 'asd', 'fgh' ] ),
+					{
+						label: 'CapsuleMultiSelectWidget (disabled)\u200E',
+						align: 'top'
+					}
+				),
 				new OO.ui.FieldLayout(
 					new OO.ui.ButtonInputWidget( {
 						label: 'Submit the form',
@@ -989,6 +1298,77 @@ OO.ui.Demo.static.pages.widgets = function ( demo ) {
 				)
 			]
 		} ),
+		new OO.ui.FieldsetLayout( {
+			label: 'Validation',
+			items: [
+				new OO.ui.FieldLayout(
+					new OO.ui.TextInputWidget( {
+						validators: [ 'required', { type: 'length', min: 3, max: 10 } ]
+					} ),
+					{
+						label: 'TextInputWidget (required, length)\u200E',
+						align: 'top'
+					}
+				),
+				new OO.ui.FieldLayout(
+					new OO.ui.TextInputWidget( {
+						value: 'Example',
+						validators: [
+							{
+								validate: function ( value ) {
+									// Simulate a request to a server
+									var deferred = $.Deferred();
+									setTimeout( function () {
+										deferred.resolve( value !== 'Example' || 'This name is already taken.' );
+									}, 500 );
+									return deferred.promise();
+								}
+							},
+							{
+								type: 'pattern',
+								pattern: /^[A-Z]/,
+								message: 'Names usually start with a capital letter.',
+								warning: true
+							}
+						]
+					} ),
+					{
+						label: 'TextInputWidget (asynchronous, warning)\u200E',
+						align: 'top'
+					}
+				),
+				new OO.ui.FieldLayout(
+					new OO.ui.TextInputWidget( { value: 'Server' } ),
+					{
+						label: 'FieldLayout (errors)\u200E',
+						align: 'top',
+						errors: [ 'This error was reported by the server.' ]
+					}
+				),
+				new OO.ui.FieldLayout(
+					new OO.ui.RepeatableGroupWidget( {
+						minItems: 1,
+						maxItems: 3,
+						createItem: function () {
+							return [
+								new OO.ui.FieldLayout(
+									new OO.ui.TextInputWidget( { validators: [ 'required' ] } ),
+									{ name: 'name', label: 'Name' }
+								),
+								new OO.ui.FieldLayout(
+									new OO.ui.TextInputWidget( { validators: [ /^\S+@\S+$/ ] } ),
+									{ name: 'email', label: 'Email' }
+								)
+							];
+						}
+					} ),
+					{
+						label: 'RepeatableGroupWidget (1 to 3 items, required)\u200E',
+						align: 'top'
+					}
+				)
+			]
+		} ),
 		new OO.ui.FieldsetLayout( {
 			label: 'Horizontal alignment',
 			items: [
@@ -1156,6 +1536,25 @@ OO.ui.Demo.static.pages.widgets = function ( demo ) {
 						align: 'top'
 					}
 				),
+				new OO.ui.FieldLayout(
+					new OO.ui.Widget( {
+						content: [ 'above', 'before', 'after' ].map( function ( position ) {
+							return new OO.ui.PopupButtonWidget( {
+								label: position,
+								popup: {
+									$content: $( '<p>Flips to the other side if it does not fit.</p>' ),
+									padded: true,
+									width: 200,
+									position: position
+								}
+							} );
+						} )
+					} ),
+					{
+						label: 'PopupButtonWidget (popups above, before and after the button)\u200E',
+						align: 'top'
+					}
+				),
 				new OO.ui.FieldLayout(
 					new NumberLookupTextInputWidget(),
 					{
@@ -1180,6 +1579,33 @@ OO.ui.Demo.static.pages.widgets = function ( demo ) {
 						label: 'Progress bar (indeterminate)\u200E',
 						align: 'top'
 					}
+				),
+				new OO.ui.FieldLayout(
+					new OO.ui.Widget( {
+						content: [
+							new OO.ui.ButtonWidget( { label: 'Info' } ).on( 'click', function () {
+								OO.ui.notify( 'Something happened.' );
+							} ),
+							new OO.ui.ButtonWidget( { label: 'Success' } ).on( 'click', function () {
+								OO.ui.notify( 'Item deleted.', {
+									type: 'success',
+									actions: [ { action: 'undo', label: 'Undo' } ]
+								} ).on( 'action', function () {
+									OO.ui.notify( 'Item restored.' );
+								} );
+							} ),
+							new OO.ui.ButtonWidget( { label: 'Warning' } ).on( 'click', function () {
+								OO.ui.notify( 'Connection is slow.', { type: 'warning', autoHide: 10000 } );
+							} ),
+							new OO.ui.ButtonWidget( { label: 'Error' } ).on( 'click', function () {
+								OO.ui.notify( 'Request failed.', { type: 'error', autoHide: false } );
+							} )
+						]
+					} ),
+					{
+						label: 'OO.ui.notify (notifications of each type)\u200E',
+						align: 'top'
+					}
 				)
 			]
 		} ),
@@ -570,6 +570,18 @@
 								'align' => 'top'
 							)
 						),
+						new OOUI\FieldLayout(
+							new OOUI\NumberInputWidget( array(
+								'value' => 3,
+								'min' => 1,
+								'max' => 10,
+								'isInteger' => true
+							) ),
+							array(
+								'label' => "NumberInputWidget (min, max, isInteger)\xE2\x80\x8E",
+								'align' => 'top'
+							)
+						),
 						new OOUI\FieldLayout(
 							new OOUI\DropdownInputWidget( array(
 								'options' => array(
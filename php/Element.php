@@ -45,6 +45,13 @@ class Element extends Tag {
 	 */
 	protected $mixins = array();
 
+	/**
+	 * Content given in the configuration options, kept for infusion.
+	 *
+	 * @var array Content text and elements
+	 */
+	protected $ownContent = array();
+
 	/* Methods */
 
 	/**
@@ -56,6 +63,8 @@ class Element extends Tag {
 	 *   or Element objects. Strings will be HTML-escaped for output, use an
 	 *   HtmlSnippet instance to prevent that.
 	 * @param mixed $config['data'] Element data
+	 * @param boolean $config['infusable'] Render the element with infusion data, so that it can be
+	 *   rebuilt client-side with OO.ui.infuse() (default: false)
 	 */
 	public function __construct( array $config = array() ) {
 		// Parent constructor
@@ -73,10 +82,19 @@ class Element extends Tag {
 		}
 		if ( isset( $config['text'] ) ) {
 			// JS compatibility
-			$this->appendContent( $config['text'] );
+			$this->ownContent[] = $config['text'];
 		}
 		if ( isset( $config['content'] ) ) {
-			$this->appendContent( $config['content'] );
+			$this->ownContent = array_merge(
+				$this->ownContent,
+				is_array( $config['content'] ) ? $config['content'] : array( $config['content'] )
+			);
+		}
+		if ( $this->ownContent ) {
+			call_user_func_array( array( $this, 'appendContent' ), $this->ownContent );
+		}
+		if ( isset( $config['infusable'] ) ) {
+			$this->setInfusable( $config['infusable'] );
 		}
 	}
 
@@ -188,6 +206,25 @@ class Element extends Tag {
 		return count( $methods ) === $support;
 	}
 
+	/**
+	 * Get the configuration needed to rebuild this element on the client.
+	 *
+	 * @param array $config Configuration options collected so far
+	 * @return array Configuration options
+	 */
+	public function getConfig( $config ) {
+		foreach ( $this->mixins as $mixin ) {
+			$config = $mixin->getConfig( $config );
+		}
+		if ( $this->data !== null ) {
+			$config['data'] = $this->data;
+		}
+		if ( $this->ownContent ) {
+			$config['content'] = $this->ownContent;
+		}
+		return parent::getConfig( $config );
+	}
+
 	/**
 	 * Mixin a class.
 	 *
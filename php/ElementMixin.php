@@ -40,4 +40,14 @@ class ElementMixin {
 		$this->element = $element;
 		$this->target = $target;
 	}
+
+	/**
+	 * Add the configuration options of this mixin needed to rebuild the element on the client.
+	 *
+	 * @param array $config Configuration options collected so far
+	 * @return array Configuration options
+	 */
+	public function getConfig( $config ) {
+		return $config;
+	}
 }
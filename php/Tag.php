@@ -41,6 +41,20 @@ class Tag {
 	 */
 	protected $elementGroup = null;
 
+	/**
+	 * Infusion support.
+	 *
+	 * @var boolean Whether to serialize tag/element/widget state for client-side use
+	 */
+	protected $infusable = false;
+
+	/**
+	 * Counter for generating ids of infusable tags.
+	 *
+	 * @var integer Number of ids generated so far
+	 */
+	protected static $elementId = 0;
+
 	/* Methods */
 
 	/**
@@ -217,6 +231,102 @@ class Tag {
 		return $this;
 	}
 
+	/**
+	 * Check if this tag will be rendered with infusion data.
+	 *
+	 * @return boolean
+	 */
+	public function isInfusable() {
+		return $this->infusable;
+	}
+
+	/**
+	 * Enable or disable infusion.
+	 *
+	 * Infusable tags are rendered with a `data-ooui` attribute holding their serialized
+	 * configuration, which OO.ui.infuse() uses to rebuild the matching JavaScript widget.
+	 *
+	 * @param boolean $infusable Render infusion data
+	 * @chainable
+	 */
+	public function setInfusable( $infusable ) {
+		$this->infusable = (bool)$infusable;
+		return $this;
+	}
+
+	/**
+	 * Make this tag infusable and ensure it has an id for the client to find it by.
+	 *
+	 * An id is generated if none was set.
+	 *
+	 * @chainable
+	 */
+	public function ensureInfusableId() {
+		$this->setInfusable( true );
+		if ( $this->getAttribute( 'id' ) === null ) {
+			$this->setAttributes( array( 'id' => self::generateElementId() ) );
+		}
+		return $this;
+	}
+
+	/**
+	 * Generate a unique id for an element.
+	 *
+	 * @return string Id
+	 */
+	public static function generateElementId() {
+		return 'ooui-' . ( self::$elementId++ );
+	}
+
+	/**
+	 * Get the configuration needed to rebuild this tag on the client.
+	 *
+	 * Subclasses should add their own options and call the parent method. Values may be Tags or
+	 * HtmlSnippets, these are serialized as references to the infused node or as raw HTML.
+	 *
+	 * @param array $config Configuration options collected so far
+	 * @return array Configuration options
+	 */
+	public function getConfig( $config ) {
+		return $config;
+	}
+
+	/**
+	 * Get the serialized infusion data.
+	 *
+	 * @return string JSON
+	 */
+	protected function getInfusionData() {
+		$class = get_class( $this );
+		$config = $this->getConfig( array() );
+		// Raw tags are wrapped as they are, elements are rebuilt from their class name
+		$config['_'] = $this instanceof Element ?
+			substr( $class, strrpos( $class, '\\' ) + 1 ) :
+			'Tag';
+		return json_encode( self::serializeConfigValue( $config ) );
+	}
+
+	/**
+	 * Convert a configuration value to a form which can be encoded as JSON.
+	 *
+	 * @param mixed $value Configuration value
+	 * @return mixed Serializable value
+	 */
+	protected static function serializeConfigValue( $value ) {
+		if ( $value instanceof Tag ) {
+			return array( 'tag' => $value->ensureInfusableId()->getAttribute( 'id' ) );
+		}
+		if ( $value instanceof HtmlSnippet ) {
+			return array( 'html' => (string)$value );
+		}
+		if ( is_array( $value ) ) {
+			foreach ( $value as $key => $item ) {
+				$value[$key] = self::serializeConfigValue( $item );
+			}
+		}
+		return $value;
+	}
+
 	/**
 	 * Render element into HTML.
 	 *
@@ -224,7 +334,13 @@ class Tag {
 	 */
 	public function toString() {
 		// Attributes
+		if ( $this->infusable ) {
+			$this->ensureInfusableId();
+		}
 		$attributesArray = $this->attributes;
+		if ( $this->infusable ) {
+			$attributesArray['data-ooui'] = $this->getInfusionData();
+		}
 		if ( $this->classes ) {
 			$attributesArray['class'] = implode( ' ', array_unique( $this->classes ) );
 		}
@@ -50,6 +50,7 @@ class TitledElement extends ElementMixin {
 			} else {
 				$this->target->removeAttributes( array( 'title' ) );
 			}
+			$this->title = $title;
 		}
 
 		return $this;
@@ -63,4 +64,11 @@ class TitledElement extends ElementMixin {
 	public function getTitle() {
 		return $this->title;
 	}
+
+	public function getConfig( $config ) {
+		if ( $this->title !== null ) {
+			$config['title'] = $this->title;
+		}
+		return parent::getConfig( $config );
+	}
 }
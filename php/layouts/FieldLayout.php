@@ -31,7 +31,21 @@ class FieldLayout extends Layout {
 	 */
 	protected $fieldWidget;
 
-	private $field, $body, $help;
+	/**
+	 * Error messages.
+	 *
+	 * @var array
+	 */
+	protected $errors;
+
+	/**
+	 * Warning messages.
+	 *
+	 * @var array
+	 */
+	protected $warnings;
+
+	private $field, $body, $help, $messages;
 
 	/**
 	 * @param Widget $fieldWidget Field widget
@@ -39,12 +53,17 @@ class FieldLayout extends Layout {
 	 * @param string $config['align'] Alignment mode, either 'left', 'right', 'top' or 'inline'
 	 *   (default: 'left')
 	 * @param string $config['help'] Explanatory text shown as a '?' icon.
+	 * @param array $config['errors'] Error messages shown beneath the field
+	 * @param array $config['warnings'] Warning messages shown beneath the field
 	 */
 	public function __construct( Widget $fieldWidget, array $config = array() ) {
 		$hasInputWidget = $fieldWidget instanceof InputWidget;
 
 		// Config initialization
-		$config = array_merge( array( 'align' => 'left' ), $config );
+		$config = array_merge(
+			array( 'align' => 'left', 'errors' => array(), 'warnings' => array() ),
+			$config
+		);
 
 		// Parent constructor
 		parent::__construct( $config );
@@ -53,6 +72,9 @@ class FieldLayout extends Layout {
 		$this->fieldWidget = $fieldWidget;
 		$this->field = new Tag( 'div' );
 		$this->body = new Tag( $hasInputWidget ? 'label' : 'div' );
+		$this->errors = $config['errors'];
+		$this->warnings = $config['warnings'];
+		$this->messages = new Tag( 'ul' );
 		if ( isset( $config['help'] ) ) {
 			$this->help = new ButtonWidget( array(
 				'classes' => array( 'oo-ui-fieldLayout-help' ),
@@ -70,8 +92,12 @@ class FieldLayout extends Layout {
 		// Initialization
 		$this
 			->addClasses( array( 'oo-ui-fieldLayout' ) )
-			->appendContent( $this->help, $this->body );
+			->appendContent( $this->help, $this->body, $this->messages );
 		$this->body->addClasses( array( 'oo-ui-fieldLayout-body' ) );
+		$this->messages
+			->addClasses( array( 'oo-ui-fieldLayout-messages' ) )
+			->setAttributes( array( 'aria-live' => 'polite' ) );
+		$this->updateMessages();
 		$this->field
 			->addClasses( array( 'oo-ui-fieldLayout-field' ) )
 			->toggleClasses( array( 'oo-ui-fieldLayout-disable' ), $this->fieldWidget->isDisabled() )
@@ -89,6 +115,67 @@ class FieldLayout extends Layout {
 		return $this->fieldWidget;
 	}
 
+	/**
+	 * Get the error messages shown beneath the field.
+	 *
+	 * @return array Error messages
+	 */
+	public function getErrors() {
+		return $this->errors;
+	}
+
+	/**
+	 * Get the warning messages shown beneath the field.
+	 *
+	 * @return array Warning messages
+	 */
+	public function getWarnings() {
+		return $this->warnings;
+	}
+
+	/**
+	 * Render the error and warning messages.
+	 */
+	private function updateMessages() {
+		$this->messages->clearContent();
+		$messages = array(
+			'error' => $this->errors,
+			'warning' => $this->warnings,
+		);
+		foreach ( $messages as $type => $texts ) {
+			foreach ( $texts as $text ) {
+				$item = new Tag( 'li' );
+				$item
+					->addClasses( array( 'oo-ui-fieldLayout-messages-' . $type ) )
+					->appendContent(
+						new IconWidget( array( 'icon' => 'alert' ) ),
+						new LabelWidget( array( 'label' => $text ) )
+					);
+				$this->messages->appendContent( $item );
+			}
+		}
+		$hasMessages = count( $this->errors ) || count( $this->warnings );
+		$this->messages->toggleClasses( array( 'oo-ui-element-hidden' ), !$hasMessages );
+		$this
+			->toggleClasses( array( 'oo-ui-fieldLayout-invalid' ), (bool)count( $this->errors ) )
+			->toggleClasses( array( 'oo-ui-fieldLayout-warning' ), (bool)count( $this->warnings ) );
+		if ( $hasMessages ) {
+			$id = $this->messages->getAttribute( 'id' );
+			if ( $id === null ) {
+				$id = Tag::generateElementId();
+				$this->messages->setAttributes( array( 'id' => $id ) );
+			}
+			$target = $this->fieldWidget instanceof InputWidget ?
+				$this->fieldWidget->getInput() : $this->fieldWidget;
+			// Keep the descriptions added by others
+			$describedBy = trim( $target->getAttribute( 'aria-describedby' ) . ' ' . $id );
+			$target->setAttributes( array( 'aria-describedby' => $describedBy ) );
+			if ( count( $this->errors ) ) {
+				$target->setAttributes( array( 'aria-invalid' => 'true' ) );
+			}
+		}
+	}
+
 	/**
 	 * Set the field alignment mode.
 	 *
@@ -122,4 +209,19 @@ class FieldLayout extends Layout {
 
 		return $this;
 	}
+
+	public function getConfig( $config ) {
+		$config['fieldWidget'] = $this->fieldWidget;
+		$config['align'] = $this->align;
+		if ( $this->help !== '' ) {
+			$config['help'] = $this->help->getTitle();
+		}
+		if ( $this->errors ) {
+			$config['errors'] = $this->errors;
+		}
+		if ( $this->warnings ) {
+			$config['warnings'] = $this->warnings;
+		}
+		return parent::getConfig( $config );
+	}
 }
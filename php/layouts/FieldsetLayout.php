@@ -29,4 +29,9 @@ class FieldsetLayout extends Layout {
 			$this->addItems( $config['items'] );
 		}
 	}
+
+	public function getConfig( $config ) {
+		$config['items'] = $this->getItems();
+		return parent::getConfig( $config );
+	}
 }
@@ -36,4 +36,11 @@ class PanelLayout extends Layout {
 			$this->addClasses( array( 'oo-ui-panelLayout-expanded' ) );
 		}
 	}
+
+	public function getConfig( $config ) {
+		$config['scrollable'] = $this->hasClass( 'oo-ui-panelLayout-scrollable' );
+		$config['padded'] = $this->hasClass( 'oo-ui-panelLayout-padded' );
+		$config['expanded'] = $this->hasClass( 'oo-ui-panelLayout-expanded' );
+		return parent::getConfig( $config );
+	}
 }
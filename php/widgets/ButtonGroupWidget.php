@@ -25,4 +25,9 @@ class ButtonGroupWidget extends Widget {
 			$this->addItems( $config['items'] );
 		}
 	}
+
+	public function getConfig( $config ) {
+		$config['items'] = $this->getItems();
+		return parent::getConfig( $config );
+	}
 }
@@ -100,4 +100,12 @@ class ButtonInputWidget extends InputWidget {
 		}
 		return $this;
 	}
+
+	public function getConfig( $config ) {
+		$config['type'] = $this->input->getAttribute( 'type' );
+		if ( $this->useInputTag ) {
+			$config['useInputTag'] = true;
+		}
+		return parent::getConfig( $config );
+	}
 }
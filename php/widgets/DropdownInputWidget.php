@@ -14,6 +14,12 @@ class DropdownInputWidget extends InputWidget {
 	 */
 	protected $options = array();
 
+	/**
+	 * Menu options in the format `array( 'data' => …, 'label' => … )`, kept for infusion.
+	 * @var array[]
+	 */
+	protected $optionsConfig = array();
+
 	/**
 	 * @param array $config Configuration options
 	 * @param array[] $config['options'] Array of menu options in the format
@@ -56,6 +62,7 @@ class DropdownInputWidget extends InputWidget {
 		$value = $this->getValue();
 		$isValueAvailable = false;
 		$this->options = array();
+		$this->optionsConfig = $options;
 
 		// Rebuild the dropdown menu
 		$this->input->clearContent();
@@ -85,4 +92,9 @@ class DropdownInputWidget extends InputWidget {
 
 		return $this;
 	}
+
+	public function getConfig( $config ) {
+		$config['options'] = $this->optionsConfig;
+		return parent::getConfig( $config );
+	}
 }
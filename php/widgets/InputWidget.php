@@ -67,6 +67,15 @@ class InputWidget extends Widget {
 		return new Tag( 'input' );
 	}
 
+	/**
+	 * Get the input element.
+	 *
+	 * @return Tag Input element
+	 */
+	public function getInput() {
+		return $this->input;
+	}
+
 	/**
 	 * Get the value of the input.
 	 *
@@ -130,4 +139,15 @@ class InputWidget extends Widget {
 		}
 		return $this;
 	}
+
+	public function getConfig( $config ) {
+		$name = $this->input->getAttribute( 'name' );
+		if ( $name !== null ) {
+			$config['name'] = $name;
+		}
+		if ( $this->value !== '' ) {
+			$config['value'] = $this->value;
+		}
+		return parent::getConfig( $config );
+	}
 }
@@ -0,0 +1,159 @@
+<?php
+
+namespace OOUI;
+
+/**
+ * Input widget with a text field for numeric values.
+ */
+class NumberInputWidget extends TextInputWidget {
+
+	/* Properties */
+
+	/**
+	 * Only allow whole numbers.
+	 *
+	 * @var boolean
+	 */
+	protected $isInteger = false;
+
+	/**
+	 * Minimum allowed value.
+	 *
+	 * @var number
+	 */
+	protected $min = -INF;
+
+	/**
+	 * Maximum allowed value.
+	 *
+	 * @var number
+	 */
+	protected $max = INF;
+
+	/**
+	 * Delta when using the buttons, the arrow keys or the mouse wheel.
+	 *
+	 * @var number
+	 */
+	protected $step = 1;
+
+	/**
+	 * Delta when using PageUp and PageDown.
+	 *
+	 * @var number
+	 */
+	protected $pageStep = 10;
+
+	/**
+	 * Show the increment and decrement buttons.
+	 *
+	 * @var boolean
+	 */
+	protected $showButtons = true;
+
+	/**
+	 * @param array $config Configuration options
+	 * @param boolean $config['isInteger'] Only allow whole numbers (default: false)
+	 * @param number $config['min'] Minimum allowed value (default: -INF)
+	 * @param number $config['max'] Maximum allowed value (default: INF)
+	 * @param number $config['step'] Delta when using the buttons, the arrow keys or the mouse wheel
+	 *   (default: 1)
+	 * @param number $config['pageStep'] Delta when using PageUp and PageDown (default: ten times
+	 *   `step`)
+	 * @param boolean $config['showButtons'] Show the increment and decrement buttons (default: true)
+	 * @param array $config['minusButton'] Configuration options to pass to the decrement button
+	 *   widget
+	 * @param array $config['plusButton'] Configuration options to pass to the increment button widget
+	 * @throws Exception If the range or the steps are invalid
+	 */
+	public function __construct( array $config = array() ) {
+		// Config initialization
+		$config = array_merge( array(
+			'isInteger' => false,
+			'min' => -INF,
+			'max' => INF,
+			'step' => 1,
+			'pageStep' => null,
+			'showButtons' => true,
+			'minusButton' => array(),
+			'plusButton' => array(),
+		), $config );
+		if ( $config['pageStep'] === null ) {
+			$config['pageStep'] = $config['step'] * 10;
+		}
+		if ( $config['min'] > $config['max'] ) {
+			throw new Exception( 'Minimum must not be greater than maximum' );
+		}
+		if ( !( $config['step'] > 0 ) || !( $config['pageStep'] > 0 ) ) {
+			throw new Exception( 'Step values must be positive numbers' );
+		}
+
+		// Parent constructor
+		parent::__construct(
+			array_merge( $config, array( 'type' => 'text', 'multiline' => false ) )
+		);
+
+		// Properties
+		$this->isInteger = (bool)$config['isInteger'];
+		$this->min = $config['min'];
+		$this->max = $config['max'];
+		$this->step = $config['step'];
+		$this->pageStep = $config['pageStep'];
+		$this->showButtons = (bool)$config['showButtons'];
+
+		// Initialization
+		$value = $this->getValue();
+		$number = is_numeric( $value ) ? (float)$value : null;
+		$locked = $this->isDisabled() || $this->isReadOnly();
+		$minusButton = new ButtonWidget( array_merge( array(
+			'classes' => array( 'oo-ui-numberInputWidget-minusButton' ),
+			'label' => "\xE2\x88\x92",
+			'tabIndex' => -1,
+			'disabled' => $locked || ( $number !== null && $number <= $this->min ),
+		), $config['minusButton'] ) );
+		$plusButton = new ButtonWidget( array_merge( array(
+			'classes' => array( 'oo-ui-numberInputWidget-plusButton' ),
+			'label' => '+',
+			'tabIndex' => -1,
+			'disabled' => $locked || ( $number !== null && $number >= $this->max ),
+		), $config['plusButton'] ) );
+		$buttons = new Tag( 'span' );
+		$buttons
+			->addClasses( array( 'oo-ui-numberInputWidget-buttons' ) )
+			->toggleClasses( array( 'oo-ui-element-hidden' ), !$this->showButtons )
+			->appendContent( $minusButton, $plusButton );
+		$this->input->setAttributes( array( 'role' => 'spinbutton' ) );
+		if ( is_finite( $this->min ) ) {
+			$this->input->setAttributes( array( 'aria-valuemin' => $this->min ) );
+		}
+		if ( is_finite( $this->max ) ) {
+			$this->input->setAttributes( array( 'aria-valuemax' => $this->max ) );
+		}
+		if ( $number !== null ) {
+			$this->input->setAttributes( array( 'aria-valuenow' => $number ) );
+		}
+		$this
+			->addClasses( array( 'oo-ui-numberInputWidget' ) )
+			->toggleClasses( array( 'oo-ui-numberInputWidget-buttoned' ), $this->showButtons )
+			->appendContent( $buttons );
+	}
+
+	public function getConfig( $config ) {
+		if ( $this->isInteger ) {
+			$config['isInteger'] = true;
+		}
+		// Infinity can't be represented in JSON, and is the default anyway
+		if ( is_finite( $this->min ) ) {
+			$config['min'] = $this->min;
+		}
+		if ( is_finite( $this->max ) ) {
+			$config['max'] = $this->max;
+		}
+		$config['step'] = $this->step;
+		$config['pageStep'] = $this->pageStep;
+		if ( !$this->showButtons ) {
+			$config['showButtons'] = false;
+		}
+		return parent::getConfig( $config );
+	}
+}
@@ -108,4 +108,27 @@ class TextInputWidget extends InputWidget {
 	public function isMultiline() {
 		return (bool)$this->multiline;
 	}
+
+	public function getConfig( $config ) {
+		if ( $this->isMultiline() ) {
+			$config['multiline'] = true;
+		} else {
+			$type = $this->input->getAttribute( 'type' );
+			if ( $type !== 'text' ) {
+				$config['type'] = $type;
+			}
+		}
+		$placeholder = $this->input->getAttribute( 'placeholder' );
+		if ( $placeholder !== null ) {
+			$config['placeholder'] = $placeholder;
+		}
+		$maxLength = $this->input->getAttribute( 'maxlength' );
+		if ( $maxLength !== null ) {
+			$config['maxLength'] = $maxLength;
+		}
+		if ( $this->readOnly ) {
+			$config['readOnly'] = true;
+		}
+		return parent::getConfig( $config );
+	}
 }
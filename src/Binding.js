@@ -0,0 +1,346 @@
+/**
+ * Two-way binding between the value of a widget and a property of an observable model.
+ *
+ * The model is an OO.EventEmitter that emits a `change` event when its data changes. Values are
+ * read with `model.get( path )` and written with `model.set( path, value )` if the model has those
+ * methods; otherwise the path is followed through the properties of the model, like
+ * `'address.city'`, and the binding emits the `change` event on the model after writing, with the
+ * path and the new value, so that other bindings to the model are updated as well.
+ *
+ * The widget is read and written with OO.ui.Widget#getFormValue and OO.ui.Widget#setFormValue,
+ * and is listened to for its OO.ui.Widget#static-formValueEvent, like `change` or `select`.
+ *
+ * The widget is first updated from the model, and after that each side is updated when the other
+ * changes. Updates caused by the binding itself are ignored, so that changes don't bounce back
+ * and forth. Values of the widget that are not valid (see OO.ui.InputWidget#getValidity) are not
+ * written to the model.
+ *
+ *     var model = new OO.EventEmitter(),
+ *         input = new OO.ui.NumberInputWidget();
+ *     model.settings = { size: 3 };
+ *     OO.ui.bindWidget( input, model, 'settings.size' );
+ *
+ * With the `items` option, the binding instead keeps the items of a OO.ui.GroupElement, such as the
+ * options of a OO.ui.SelectWidget, in sync with an array in the model: an item is added for each
+ * value in the array, with the value as its data, and removed when the value is removed from the
+ * array. This direction only goes from the model to the widget.
+ *
+ *     model.sizes = [ 1, 2, 3 ];
+ *     OO.ui.bindWidget( new OO.ui.RadioSelectWidget(), model, 'sizes', { items: true } );
+ *
+ * Bindings are created with OO.ui.bindWidget, and end when #unbind is called or the widget is
+ * destroyed.
+ *
+ * @class
+ *
+ * @constructor
+ * @param {OO.ui.Widget} widget Widget
+ * @param {OO.EventEmitter} model Model
+ * @param {string} path Path to the property of the model, property names joined with dots
+ * @param {Object} [config] Configuration options
+ * @cfg {Function} [toWidget] Function converting a value of the model to a value of the widget
+ * @cfg {Function} [toModel] Function converting a value of the widget to a value of the model
+ * @cfg {Function|boolean} [validate=true] Function checking a value of the model before it is
+ *  written, returning a boolean or a promise resolved with one; or false to write values of the
+ *  widget even if they are not valid
+ * @cfg {string} [widgetEvent] Event of the widget to listen to, defaults to its
+ *  OO.ui.Widget#static-formValueEvent
+ * @cfg {string} [modelEvent='change'] Event of the model to listen to
+ * @cfg {boolean} [items=false] Bind the items of a OO.ui.GroupElement to an array instead of the
+ *  value of the widget
+ * @cfg {Function} [createItem] Function creating the item for a value of the array, defaults to
+ *  #static-createItem
+ * @throws {Error} If the widget has no value to bind to
+ */
+OO.ui.Binding = function OoUiBinding( widget, model, path, config ) {
+	var widgetEvents = {},
+		modelEvents = {};
+
+	// Configuration initialization
+	config = $.extend( { validate: true, modelEvent: 'change', items: false }, config );
+
+	// Properties
+	this.widget = widget;
+	this.model = model;
+	this.path = path;
+	this.toWidget = config.toWidget || null;
+	this.toModel = config.toModel || null;
+	this.validate = config.validate;
+	this.widgetEvent = config.items ?
+		null :
+		config.widgetEvent || widget.constructor.static.formValueEvent;
+	this.modelEvent = config.modelEvent;
+	this.bindItems = !!config.items;
+	this.createItem = config.createItem || this.constructor.static.createItem.bind( null, widget );
+	this.createdItems = [];
+	this.updating = false;
+	this.bound = true;
+
+	if ( this.bindItems ? !widget.addItems : !this.widgetEvent ) {
+		throw new Error( 'Widget has no ' + ( this.bindItems ? 'items' : 'value' ) + ' to bind to' );
+	}
+
+	// Events
+	if ( this.widgetEvent ) {
+		widgetEvents[ this.widgetEvent ] = 'onWidgetChange';
+	}
+	widgetEvents.destroy = 'unbind';
+	widget.connect( this, widgetEvents );
+	modelEvents[ this.modelEvent ] = 'onModelChange';
+	model.connect( this, modelEvents );
+
+	// Initialization
+	this.updateWidget();
+};
+
+/* Setup */
+
+OO.initClass( OO.ui.Binding );
+
+/* Static Methods */
+
+/**
+ * Create an item for a value of an array bound to the items of a group.
+ *
+ * Options are created for select widgets, matching the kind of select widget, with the value as
+ * their data and label.
+ *
+ * @static
+ * @param {OO.ui.GroupElement} group Group the item is created for
+ * @param {Mixed} data Value of the array
+ * @return {OO.ui.Element} Item
+ */
+OO.ui.Binding.static.createItem = function ( group, data ) {
+	var config = { data: data, label: String( data ) };
+
+	if ( group instanceof OO.ui.RadioSelectWidget ) {
+		return new OO.ui.RadioOptionWidget( config );
+	}
+	if ( group instanceof OO.ui.ButtonSelectWidget ) {
+		return new OO.ui.ButtonOptionWidget( config );
+	}
+	if ( group instanceof OO.ui.TabSelectWidget ) {
+		return new OO.ui.TabOptionWidget( config );
+	}
+	if ( group instanceof OO.ui.OutlineSelectWidget ) {
+		return new OO.ui.OutlineOptionWidget( config );
+	}
+	if ( group instanceof OO.ui.MenuSelectWidget ) {
+		return new OO.ui.MenuOptionWidget( config );
+	}
+	return new OO.ui.OptionWidget( config );
+};
+
+/* Methods */
+
+/**
+ * Handle value change events from the widget.
+ *
+ * @private
+ */
+OO.ui.Binding.prototype.onWidgetChange = function () {
+	if ( !this.updating ) {
+		this.updateModel();
+	}
+};
+
+/**
+ * Handle change events from the model.
+ *
+ * @private
+ */
+OO.ui.Binding.prototype.onModelChange = function () {
+	if ( !this.updating ) {
+		this.updateWidget();
+	}
+};
+
+/**
+ * Get the value of the property of the model.
+ *
+ * @private
+ * @return {Mixed} Value, or undefined if the path doesn't exist
+ */
+OO.ui.Binding.prototype.getModelValue = function () {
+	var i, len,
+		keys = this.path.split( '.' ),
+		value = this.model;
+
+	if ( typeof this.model.get === 'function' ) {
+		return this.model.get( this.path );
+	}
+	for ( i = 0, len = keys.length; i < len; i++ ) {
+		if ( value === null || value === undefined ) {
+			return undefined;
+		}
+		value = value[ keys[ i ] ];
+	}
+	return value;
+};
+
+/**
+ * Set the value of the property of the model.
+ *
+ * @private
+ * @param {Mixed} value Value
+ */
+OO.ui.Binding.prototype.setModelValue = function ( value ) {
+	var i, len,
+		keys = this.path.split( '.' ),
+		object = this.model;
+
+	if ( typeof this.model.set === 'function' ) {
+		this.model.set( this.path, value );
+		return;
+	}
+	for ( i = 0, len = keys.length - 1; i < len; i++ ) {
+		if ( object[ keys[ i ] ] === null || typeof object[ keys[ i ] ] !== 'object' ) {
+			object[ keys[ i ] ] = {};
+		}
+		object = object[ keys[ i ] ];
+	}
+	object[ keys[ keys.length - 1 ] ] = value;
+	this.model.emit( this.modelEvent, this.path, value );
+};
+
+/**
+ * Update the widget from the model.
+ *
+ * @chainable
+ */
+OO.ui.Binding.prototype.updateWidget = function () {
+	var value = this.getModelValue();
+
+	if ( this.toWidget ) {
+		value = this.toWidget( value );
+	}
+	this.updating = true;
+	try {
+		if ( this.bindItems ) {
+			this.updateItems( value || [] );
+		} else if ( !OO.compare( [ this.widget.getFormValue() ], [ value ] ) ) {
+			this.widget.setFormValue( value );
+		}
+	} finally {
+		this.updating = false;
+	}
+	return this;
+};
+
+/**
+ * Update the items of the group from an array, reusing the items whose data is in the array.
+ *
+ * Items created by the binding are destroyed when they are removed.
+ *
+ * @private
+ * @param {Array} values Data of the items, in order
+ */
+OO.ui.Binding.prototype.updateItems = function ( values ) {
+	var i, len, hash, item,
+		group = this.widget,
+		current = {},
+		items = [],
+		removed = [];
+
+	group.getItems().forEach( function ( item ) {
+		current[ OO.getHash( item.getData() ) ] = item;
+	} );
+	for ( i = 0, len = values.length; i < len; i++ ) {
+		hash = OO.getHash( values[ i ] );
+		item = current[ hash ];
+		if ( item ) {
+			delete current[ hash ];
+		} else {
+			item = this.createItem( values[ i ] );
+			this.createdItems.push( item );
+		}
+		items.push( item );
+	}
+	group.getItems().forEach( function ( item ) {
+		if ( $.inArray( item, items ) === -1 ) {
+			removed.push( item );
+		}
+	} );
+
+	if ( removed.length ) {
+		group.removeItems( removed );
+	}
+	for ( i = 0, len = items.length; i < len; i++ ) {
+		if ( group.getItems()[ i ] !== items[ i ] ) {
+			group.addItems( [ items[ i ] ], i );
+		}
+	}
+	for ( i = 0, len = removed.length; i < len; i++ ) {
+		if ( $.inArray( removed[ i ], this.createdItems ) !== -1 ) {
+			this.createdItems.splice( $.inArray( removed[ i ], this.createdItems ), 1 );
+			removed[ i ].destroy();
+		}
+	}
+};
+
+/**
+ * Update the model from the widget, if the value of the widget is valid.
+ *
+ * @return {jQuery.Promise} Promise resolved when the model has been updated, or rejected if the
+ *  value is not valid
+ */
+OO.ui.Binding.prototype.updateModel = function () {
+	var binding = this,
+		widgetValue = this.widget.getFormValue(),
+		value = this.toModel ? this.toModel( widgetValue ) : widgetValue,
+		checks = [];
+
+	if ( this.validate && this.widget.getValidity ) {
+		checks.push( this.widget.getValidity().then( function ( validity ) {
+			return !validity.errors.length;
+		} ) );
+	}
+	if ( typeof this.validate === 'function' ) {
+		checks.push( this.validate( value ) );
+	}
+
+	return $.when.apply( $, checks ).then( function () {
+		var valid = Array.prototype.every.call( arguments, Boolean );
+
+		// The binding may have ended, or the widget changed again, while checking the value
+		if (
+			!valid || !binding.bound ||
+			!OO.compare( [ binding.widget.getFormValue() ], [ widgetValue ] )
+		) {
+			return $.Deferred().reject().promise();
+		}
+		if ( !OO.compare( [ binding.getModelValue() ], [ value ] ) ) {
+			binding.updating = true;
+			try {
+				binding.setModelValue( value );
+			} finally {
+				binding.updating = false;
+			}
+		}
+	} );
+};
+
+/**
+ * Check if the binding is still active.
+ *
+ * @return {boolean} Binding is active
+ */
+OO.ui.Binding.prototype.isBound = function () {
+	return this.bound;
+};
+
+/**
+ * End the binding, no longer updating the widget or the model.
+ *
+ * The widget and the model are left as they are, including items created by the binding.
+ *
+ * @chainable
+ */
+OO.ui.Binding.prototype.unbind = function () {
+	if ( this.bound ) {
+		this.bound = false;
+		this.widget.disconnect( this );
+		this.model.disconnect( this );
+	}
+	return this;
+};
@@ -120,7 +120,12 @@ OO.ui.Dialog.static.escapable = true;
  * @param {jQuery.Event} e Key down event
  */
 OO.ui.Dialog.prototype.onDocumentKeyDown = function ( e ) {
-	if ( e.which === OO.ui.Keys.ESCAPE ) {
+	if (
+		e.which === OO.ui.Keys.ESCAPE &&
+		// Only close the topmost window, and non-modal windows only if they have focus
+		this.manager.getCurrentWindow() === this &&
+		( this.isModal() || $.contains( this.$element[ 0 ], e.target ) )
+	) {
 		this.close();
 		e.preventDefault();
 		e.stopPropagation();
@@ -288,3 +293,14 @@ OO.ui.Dialog.prototype.executeAction = function ( action ) {
 	return this.getActionProcess( action ).execute()
 		.always( this.popPending.bind( this ) );
 };
+
+/**
+ * @inheritdoc
+ */
+OO.ui.Dialog.prototype.destroy = function () {
+	// Mixin method
+	OO.ui.PendingElement.prototype.teardownPendingElement.call( this );
+
+	// Parent method
+	OO.ui.Dialog.super.prototype.destroy.call( this );
+};
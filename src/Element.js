@@ -12,6 +12,10 @@
  * @cfg {string} [id] HTML id attribute
  * @cfg {string} [text] Text to insert
  * @cfg {jQuery} [$content] Content elements to append (after text)
+ * @cfg {Array} [content] Content to append (after text and $content), a list of strings,
+ *  jQuery selections or OO.ui.Element objects
+ * @cfg {jQuery} [$element] Existing element to adopt instead of creating a new one, used by
+ *  #static-infuse; its children will be discarded
  * @cfg {Mixed} [data] Element data
  */
 OO.ui.Element = function OoUiElement( config ) {
@@ -22,12 +26,17 @@ OO.ui.Element = function OoUiElement( config ) {
 	this.$ = $;
 	this.visible = true;
 	this.data = config.data;
-	this.$element = $( document.createElement( this.getTagName() ) );
+	this.$element = config.$element || $( document.createElement( this.getTagName() ) );
 	this.elementGroup = null;
 	this.debouncedUpdateThemeClassesHandler = this.debouncedUpdateThemeClasses.bind( this );
 	this.updateThemeClassesPending = false;
+	this.lifecycleWatchers = 0;
+	this.lifecycleState = null;
+	this.destroyed = false;
 
 	// Initialization
+	// Allow the theme registry to find the element when switching themes
+	this.$element.data( 'oo-ui-element', this );
 	if ( Array.isArray( config.classes ) ) {
 		this.$element.addClass( config.classes.join( ' ' ) );
 	}
@@ -40,6 +49,17 @@ OO.ui.Element = function OoUiElement( config ) {
 	if ( config.$content ) {
 		this.$element.append( config.$content );
 	}
+	if ( Array.isArray( config.content ) ) {
+		this.$element.append( config.content.map( function ( content ) {
+			if ( content instanceof OO.ui.Element ) {
+				return content.$element;
+			}
+			if ( typeof content === 'string' ) {
+				return document.createTextNode( content );
+			}
+			return content;
+		} ) );
+	}
 };
 
 /* Setup */
@@ -61,6 +81,104 @@ OO.ui.Element.static.tagName = 'div';
 
 /* Static Methods */
 
+/**
+ * Reconstitute a JavaScript object corresponding to a widget created by the PHP implementation.
+ *
+ * The PHP implementation renders infusable elements with a `data-ooui` attribute containing the
+ * serialized configuration of the element. Infusing rebuilds the matching OO.ui class from that
+ * configuration, reusing the existing DOM node (and its attributes) as the new #$element while
+ * replacing its contents. Widgets referenced from the configuration, such as the field widget of
+ * an OO.ui.FieldLayout, are infused as well.
+ *
+ * Infusing the same node more than once returns the same object.
+ *
+ * @static
+ * @param {string|HTMLElement|jQuery} idOrNode A DOM id (if a string) or node for the widget to infuse
+ * @return {OO.ui.Element} The `OO.ui.Element` corresponding to this (infusable) document node
+ * @throws {Error} If the node is not found, or has no valid infusion data
+ */
+OO.ui.Element.static.infuse = function ( idOrNode ) {
+	var id, $elem, data, cls, obj, node;
+
+	if ( typeof idOrNode === 'string' ) {
+		id = idOrNode;
+		$elem = $( document.getElementById( id ) );
+	} else {
+		$elem = $( idOrNode );
+		id = $elem.attr( 'id' );
+	}
+	if ( !$elem.length ) {
+		throw new Error( 'Widget not found: ' + id );
+	}
+	obj = $elem.data( 'ooui-infused' );
+	if ( obj ) {
+		// Cached
+		if ( obj === true ) {
+			throw new Error( 'Circular dependency! ' + id );
+		}
+		return obj;
+	}
+	data = $elem.attr( 'data-ooui' );
+	if ( !data ) {
+		throw new Error( 'No infusion data found: ' + id );
+	}
+	try {
+		data = $.parseJSON( data );
+	} catch ( e ) {
+		data = null;
+	}
+	if ( !( data && data._ ) ) {
+		throw new Error( 'No valid infusion data found: ' + id );
+	}
+
+	if ( data._ === 'Tag' ) {
+		// Special case: this is a raw Tag; wrap the existing node, don't rebuild it
+		obj = new OO.ui.Element( { $element: $elem } );
+	} else {
+		cls = OO.ui[ data._ ];
+		if ( !cls ) {
+			throw new Error( 'Unknown widget type: ' + id );
+		}
+		// Prevent loops
+		$elem.data( 'ooui-infused', true );
+		try {
+			data = OO.copy( data, null, function deserialize( value ) {
+				if ( OO.isPlainObject( value ) ) {
+					if ( value.tag ) {
+						return OO.ui.Element.static.infuse( value.tag );
+					}
+					if ( value.html ) {
+						return $( $.parseHTML( value.html ) );
+					}
+				}
+			} );
+			// Discard the server-rendered contents, which the constructor will rebuild. Nested widgets
+			// have already been infused above and keep their nodes. Don't use jQuery#empty, it would
+			// also clean up the data and events of those nodes.
+			node = $elem[ 0 ];
+			while ( node.firstChild ) {
+				node.removeChild( node.firstChild );
+			}
+			data.$element = $elem;
+			// jscs:disable requireCapitalizedConstructors
+			obj = new cls( data );
+			// jscs:enable requireCapitalizedConstructors
+		} finally {
+			// Don't leave the loop marker behind if infusing failed, so the error is reported again
+			// instead of a circular dependency
+			if ( !obj ) {
+				$elem.removeData( 'ooui-infused' );
+			}
+		}
+	}
+
+	obj.$element
+		.data( 'ooui-infused', obj )
+		// Mark the node as infused, the serialized configuration is no longer needed
+		.attr( 'data-ooui', '' );
+	return obj;
+};
+
 /**
  * Get a jQuery function within a specific document.
  *
@@ -458,6 +576,165 @@ OO.ui.Element.static.reconsiderScrollbars = function ( el ) {
 	}
 };
 
+/**
+ * Number of elements watched for lifecycle events, see #watchLifecycle.
+ *
+ * @static
+ * @private
+ * @property {number}
+ */
+OO.ui.Element.static.lifecycleCount = 0;
+
+/**
+ * Observer of nodes being added to and removed from the document, shared by all watched elements.
+ *
+ * @static
+ * @private
+ * @property {MutationObserver|null}
+ */
+OO.ui.Element.static.lifecycleMutationObserver = null;
+
+/**
+ * Observer of the sizes of watched elements that are attached, shared by all of them.
+ *
+ * @static
+ * @private
+ * @property {ResizeObserver|null}
+ */
+OO.ui.Element.static.lifecycleResizeObserver = null;
+
+/**
+ * Handle mutations of the document, by updating the lifecycle state of watched elements among the
+ * added and removed nodes.
+ *
+ * Watched elements are found by their class rather than kept in a list, so that elements which are
+ * no longer used can be garbage collected without being unwatched.
+ *
+ * @static
+ * @private
+ * @param {MutationRecord[]} records Mutation records
+ */
+OO.ui.Element.static.onLifecycleMutations = function ( records ) {
+	var i, j, len, nodes,
+		elements = [];
+
+	function collect() {
+		var element = $( this ).data( 'oo-ui-element' );
+		if ( element && elements.indexOf( element ) === -1 ) {
+			elements.push( element );
+		}
+	}
+
+	for ( i = 0, len = records.length; i < len; i++ ) {
+		nodes = Array.prototype.slice.call( records[ i ].addedNodes )
+			.concat( Array.prototype.slice.call( records[ i ].removedNodes ) );
+		for ( j = 0; j < nodes.length; j++ ) {
+			if ( nodes[ j ].nodeType === 1 ) {
+				$( nodes[ j ] ).find( '.oo-ui-element-lifecycle' ).addBack( '.oo-ui-element-lifecycle' )
+					.each( collect );
+			}
+		}
+	}
+	for ( i = 0, len = elements.length; i < len; i++ ) {
+		elements[ i ].updateLifecycleState();
+	}
+};
+
+/**
+ * Handle size changes of watched elements.
+ *
+ * @static
+ * @private
+ * @param {ResizeObserverEntry[]} entries Resize observer entries
+ */
+OO.ui.Element.static.onLifecycleResize = function ( entries ) {
+	var i, len, element;
+
+	for ( i = 0, len = entries.length; i < len; i++ ) {
+		element = $( entries[ i ].target ).data( 'oo-ui-element' );
+		if ( element && element.lifecycleState ) {
+			element.updateLifecycleState( {
+				width: entries[ i ].contentRect.width,
+				height: entries[ i ].contentRect.height
+			} );
+		}
+	}
+};
+
+/**
+ * Replace a method of a destroyed element by one that warns about the element being used, see
+ * OO.ui#debug.
+ *
+ * The original method is still called, so that timers and other callbacks that were pending when
+ * the element was destroyed don't fail.
+ *
+ * @static
+ * @private
+ * @param {OO.ui.Element} element Destroyed element
+ * @param {string} name Name of the method
+ * @return {Function} Replacement method
+ */
+OO.ui.Element.static.wrapDestroyedMethod = function ( element, name ) {
+	var method = element[ name ];
+
+	return function () {
+		if ( !element.destroyedWarningShown && window.console && window.console.warn ) {
+			// Only warn once, the first use is usually the one to fix
+			element.destroyedWarningShown = true;
+			window.console.warn( 'OO.ui.Element#' + name + ' called after the element was destroyed' );
+		}
+		return method.apply( this, arguments );
+	};
+};
+
+/* Events */
+
+/**
+ * The element is being destroyed.
+ *
+ * Emitted by #destroy after the element has been removed and released its resources, right before
+ * all event handlers are disconnected.
+ *
+ * @event destroy
+ */
+
+/**
+ * The element was attached to the document.
+ *
+ * Only emitted while the element is watched, see #watchLifecycle.
+ *
+ * @event attach
+ */
+
+/**
+ * The element was detached from the document.
+ *
+ * Only emitted while the element is watched, see #watchLifecycle.
+ *
+ * @event detach
+ */
+
+/**
+ * The size of the element changed while it was visible.
+ *
+ * Only emitted while the element is watched, in browsers that support ResizeObserver.
+ *
+ * @event resize
+ * @param {Object} size New size of the content box
+ * @param {number} size.width Width in pixels
+ * @param {number} size.height Height in pixels
+ */
+
+/**
+ * The element was shown or hidden, by being attached or detached, or, in browsers that support
+ * ResizeObserver, by the styles of the element or its ancestors.
+ *
+ * Only emitted while the element is watched, see #watchLifecycle.
+ *
+ * @event visibilitychange
+ * @param {boolean} visible The element is visible
+ */
+
 /* Methods */
 
 /**
@@ -508,6 +785,27 @@ OO.ui.Element.prototype.setData = function ( data ) {
 	return this;
 };
 
+/**
+ * Get configuration options reflecting the current state of the element, such that passing them
+ * to the constructor creates an equivalent element.
+ *
+ * Like in the PHP implementation, options that have their default values are left out, and
+ * subclasses add their own options, and those of the element mixins they use, before calling the
+ * parent method. Nested elements, such as the items of a group, are included as OO.ui.Element
+ * objects; see OO.ui.WidgetFactory#serialize for a representation that can be stored as JSON.
+ *
+ * @param {Object} [config] Configuration options to add to
+ * @return {Object} Configuration options
+ */
+OO.ui.Element.prototype.getConfig = function ( config ) {
+	config = config || {};
+	if ( this.data !== undefined ) {
+		config.data = this.data;
+	}
+
+	return config;
+};
+
 /**
  * Check if element supports one or more methods.
  *
@@ -546,10 +844,71 @@ OO.ui.Element.prototype.updateThemeClasses = function () {
  * @private
  */
 OO.ui.Element.prototype.debouncedUpdateThemeClasses = function () {
+	if ( this.destroyed ) {
+		return;
+	}
 	OO.ui.theme.updateElementClasses( this );
 	this.updateThemeClassesPending = false;
 };
 
+/**
+ * Destroy the element, when it is no longer needed.
+ *
+ * The element stops watching its lifecycle and is removed from the DOM. Then a #destroy event is
+ * emitted, and all event handlers are disconnected.
+ *
+ * Subclasses that hold other resources, such as handlers bound to the window or widgets that are
+ * not inside #$element, release them in an override of this method before calling the parent
+ * method. That is also where they tear down the element mixins they use, like
+ * OO.ui.GroupElement#teardownGroupElement, which destroys the items of the group. Destroyed
+ * elements must not be used again, which is warned about in debug mode (see OO.ui#debug);
+ * callbacks that may run after the element was destroyed, like timers, check #isDestroyed.
+ *
+ * @fires destroy
+ */
+OO.ui.Element.prototype.destroy = function () {
+	var event, key;
+
+	if ( this.destroyed ) {
+		return;
+	}
+
+	if ( this.lifecycleWatchers ) {
+		this.lifecycleWatchers = 1;
+		this.unwatchLifecycle();
+	}
+	this.$element.remove();
+
+	// Elements are only event emitters if they mix in OO.EventEmitter, like widgets do
+	if ( this.emit ) {
+		this.emit( 'destroy' );
+		for ( event in this.bindings ) {
+			this.off( event );
+		}
+	}
+
+	this.destroyed = true;
+	if ( OO.ui.debug ) {
+		for ( key in this ) {
+			if (
+				typeof this[ key ] === 'function' &&
+				key !== 'constructor' && key !== 'destroy' && key !== 'isDestroyed'
+			) {
+				this[ key ] = OO.ui.Element.static.wrapDestroyedMethod( this, key );
+			}
+		}
+	}
+};
+
+/**
+ * Check if the element has been destroyed.
+ *
+ * @return {boolean} Element is destroyed
+ */
+OO.ui.Element.prototype.isDestroyed = function () {
+	return this.destroyed;
+};
+
 /**
  * Get the HTML tag name.
  *
@@ -569,6 +928,133 @@ OO.ui.Element.prototype.isElementAttached = function () {
 	return $.contains( this.getElementDocument(), this.$element[ 0 ] );
 };
 
+/**
+ * Start emitting lifecycle events: #attach, #detach, #resize and #visibilitychange.
+ *
+ * The events are driven by a MutationObserver and a ResizeObserver shared by all watched elements
+ * of the document, so watching is cheap, but not free. Element mixins and subclasses that need the
+ * events should watch the element while they do, and call #unwatchLifecycle when they stop; the
+ * element is watched until each call to this method has been matched by one to #unwatchLifecycle.
+ *
+ * @chainable
+ */
+OO.ui.Element.prototype.watchLifecycle = function () {
+	var statics = OO.ui.Element.static;
+
+	this.lifecycleWatchers++;
+	if ( this.lifecycleWatchers === 1 ) {
+		this.$element.addClass( 'oo-ui-element-lifecycle' );
+		this.lifecycleState = { attached: false, visible: false, size: null };
+		statics.lifecycleCount++;
+		if ( !statics.lifecycleMutationObserver && window.MutationObserver ) {
+			statics.lifecycleMutationObserver = new MutationObserver( statics.onLifecycleMutations );
+			statics.lifecycleMutationObserver.observe( document, { childList: true, subtree: true } );
+		}
+		if ( !statics.lifecycleResizeObserver && window.ResizeObserver ) {
+			statics.lifecycleResizeObserver = new window.ResizeObserver( statics.onLifecycleResize );
+		}
+		// Find out the current state, without emitting events for it
+		this.updateLifecycleState( undefined, true );
+	}
+	return this;
+};
+
+/**
+ * Stop emitting lifecycle events, see #watchLifecycle.
+ *
+ * @chainable
+ */
+OO.ui.Element.prototype.unwatchLifecycle = function () {
+	var statics = OO.ui.Element.static;
+
+	if ( this.lifecycleWatchers > 0 ) {
+		this.lifecycleWatchers--;
+		if ( this.lifecycleWatchers === 0 ) {
+			this.$element.removeClass( 'oo-ui-element-lifecycle' );
+			if ( statics.lifecycleResizeObserver ) {
+				statics.lifecycleResizeObserver.unobserve( this.$element[ 0 ] );
+			}
+			this.lifecycleState = null;
+			statics.lifecycleCount--;
+			if ( statics.lifecycleCount === 0 ) {
+				if ( statics.lifecycleMutationObserver ) {
+					statics.lifecycleMutationObserver.disconnect();
+					statics.lifecycleMutationObserver = null;
+				}
+				if ( statics.lifecycleResizeObserver ) {
+					statics.lifecycleResizeObserver.disconnect();
+					statics.lifecycleResizeObserver = null;
+				}
+			}
+		}
+	}
+	return this;
+};
+
+/**
+ * Check if lifecycle events are emitted, see #watchLifecycle.
+ *
+ * @return {boolean} Element is watched
+ */
+OO.ui.Element.prototype.isWatchingLifecycle = function () {
+	return this.lifecycleWatchers > 0;
+};
+
+/**
+ * Update the lifecycle state of a watched element, and emit events for the changes.
+ *
+ * @private
+ * @param {Object} [size] New size of the content box, if it was observed to change
+ * @param {boolean} [silent] Update the state without emitting events
+ * @fires attach
+ * @fires detach
+ * @fires visibilitychange
+ * @fires resize
+ */
+OO.ui.Element.prototype.updateLifecycleState = function ( size, silent ) {
+	var el = this.$element[ 0 ],
+		state = this.lifecycleState,
+		resizeObserver = OO.ui.Element.static.lifecycleResizeObserver,
+		attached = this.isElementAttached(),
+		visible = attached && !!( el.offsetWidth || el.offsetHeight || el.getClientRects().length ),
+		resized;
+
+	if ( !state ) {
+		// Observers may still report changes from before the element was unwatched
+		return;
+	}
+	resized = !!size && !!state.size &&
+		( size.width !== state.size.width || size.height !== state.size.height );
+	if ( attached !== state.attached && resizeObserver ) {
+		// Only observe attached elements, so that the observer doesn't keep detached ones alive
+		if ( attached ) {
+			resizeObserver.observe( el );
+		} else {
+			resizeObserver.unobserve( el );
+			state.size = null;
+		}
+	}
+	if ( size ) {
+		state.size = size;
+	}
+	if ( silent ) {
+		state.attached = attached;
+		state.visible = visible;
+		return;
+	}
+	if ( attached !== state.attached ) {
+		state.attached = attached;
+		this.emit( attached ? 'attach' : 'detach' );
+	}
+	if ( visible !== state.visible ) {
+		state.visible = visible;
+		this.emit( 'visibilitychange', visible );
+	}
+	if ( resized && visible ) {
+		this.emit( 'resize', size );
+	}
+};
+
 /**
  * Get the DOM document.
  *
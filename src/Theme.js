@@ -1,6 +1,11 @@
 /**
  * Theme logic.
  *
+ * Themes are registered with the {@link OO.ui.ThemeRegistry theme registry}, which can switch
+ * between them at runtime. Besides the classes it applies to elements, a theme can describe the
+ * stylesheet it is styled by, the colours of its icon variants and other CSS custom properties
+ * which are set on the document while it is active.
+ *
  * @abstract
  * @class
  *
@@ -16,8 +21,63 @@ OO.ui.Theme = function OoUiTheme( config ) {
 
 OO.initClass( OO.ui.Theme );
 
+/* Static Properties */
+
+/**
+ * Name of the stylesheet the theme is styled by, without the directory, graphics and direction
+ * suffixes and file extension, such as 'oojs-ui-mediawiki'.
+ *
+ * @static
+ * @inheritable
+ * @property {string|null}
+ */
+OO.ui.Theme.static.stylesheet = null;
+
+/**
+ * Colours of the image variants the theme uses, keyed by variant name.
+ *
+ * These are set during the build from the variants described in the theme's `images.json` file,
+ * which are used to colour the icons and indicators, so that scripts can use the same colours.
+ *
+ * @static
+ * @inheritable
+ * @property {Object.<string,string>}
+ */
+OO.ui.Theme.static.imageVariants = {};
+
+/**
+ * CSS custom properties to set on the document while the theme is active, keyed by name without
+ * the `--oo-ui-` prefix.
+ *
+ * The theme's styles read them with the `.oo-ui-theme-color()` mixin, falling back to the colours
+ * they were built with, so that the colours of a theme can be changed at runtime.
+ *
+ * @static
+ * @inheritable
+ * @property {Object.<string,string>}
+ */
+OO.ui.Theme.static.customProperties = {};
+
 /* Methods */
 
+/**
+ * Get CSS custom properties to set on the document while the theme is active.
+ *
+ * @return {Object.<string,string>} Property values keyed by property name, such as
+ *  `--oo-ui-progressive`
+ */
+OO.ui.Theme.prototype.getCustomProperties = function () {
+	var name,
+		properties = {},
+		customProperties = this.constructor.static.customProperties;
+
+	for ( name in customProperties ) {
+		properties[ '--oo-ui-' + name ] = customProperties[ name ];
+	}
+
+	return properties;
+};
+
 /**
  * Get a list of classes to be applied to a widget.
  *
@@ -46,3 +106,16 @@ OO.ui.Theme.prototype.updateElementClasses = function ( element ) {
 		.removeClass( classes.off.join( ' ' ) )
 		.addClass( classes.on.join( ' ' ) );
 };
+
+/**
+ * Remove CSS classes provided by the theme.
+ *
+ * Used when switching to another theme, which may not know about the classes this theme adds.
+ *
+ * @param {OO.ui.Element} element Element for which to remove classes
+ */
+OO.ui.Theme.prototype.clearElementClasses = function ( element ) {
+	var classes = this.getElementClasses( element );
+
+	element.$element.removeClass( classes.on.concat( classes.off ).join( ' ' ) );
+};
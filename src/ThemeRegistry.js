@@ -0,0 +1,206 @@
+/**
+ * Registry of themes, allowing to switch between them at runtime.
+ *
+ * Each theme script registers its theme when loaded, so all themes whose scripts are loaded can be
+ * switched to. Switching themes sets OO.ui.theme, replaces the theme's stylesheet if a
+ * #setStylesheetUrl URL is set, sets the theme's CSS custom properties on the document and updates
+ * the theme classes of all elements attached to the document.
+ *
+ *     OO.ui.themeRegistry.setStylesheetUrl( 'dist/$1.css' );
+ *     OO.ui.themeRegistry.setTheme( 'dark' );
+ *
+ * @class
+ * @extends OO.Registry
+ *
+ * @constructor
+ */
+OO.ui.ThemeRegistry = function OoUiThemeRegistry() {
+	// Parent constructor
+	OO.ui.ThemeRegistry.super.call( this );
+
+	// Properties
+	this.stylesheetUrl = null;
+	this.$stylesheet = null;
+	this.themeName = null;
+	this.customProperties = {};
+};
+
+/* Setup */
+
+OO.inheritClass( OO.ui.ThemeRegistry, OO.Registry );
+
+/* Events */
+
+/**
+ * The theme was switched.
+ *
+ * @event theme
+ * @param {string} name Symbolic name of the new theme
+ * @param {OO.ui.Theme} theme New theme
+ */
+
+/* Methods */
+
+/**
+ * Register a theme.
+ *
+ * @param {string} name Symbolic name of theme, also used in the `oo-ui-theme-<name>` class set on
+ *  the document element while the theme is active
+ * @param {OO.ui.Theme} theme Theme
+ * @fires register
+ * @throws {Error} Theme must be an OO.ui.Theme
+ */
+OO.ui.ThemeRegistry.prototype.register = function ( name, theme ) {
+	if ( !( theme instanceof OO.ui.Theme ) ) {
+		throw new Error( 'Theme ' + name + ' must be an instance of OO.ui.Theme' );
+	}
+
+	// Parent method
+	OO.ui.ThemeRegistry.super.prototype.register.call( this, name, theme );
+};
+
+/**
+ * Get the symbolic names of all registered themes.
+ *
+ * @return {string[]} Symbolic names of themes, in the order they were registered
+ */
+OO.ui.ThemeRegistry.prototype.getThemeNames = function () {
+	return Object.keys( this.registry );
+};
+
+/**
+ * Get the symbolic name of the active theme.
+ *
+ * Until a theme is switched to with #setTheme, the active theme is OO.ui.theme, as set by the
+ * last loaded theme script.
+ *
+ * @return {string|null} Symbolic name of theme, or null if the active theme is not registered
+ */
+OO.ui.ThemeRegistry.prototype.getThemeName = function () {
+	var name;
+
+	if ( this.themeName !== null && this.registry[ this.themeName ] === OO.ui.theme ) {
+		return this.themeName;
+	}
+	for ( name in this.registry ) {
+		if ( this.registry[ name ] === OO.ui.theme ) {
+			return name;
+		}
+	}
+	return null;
+};
+
+/**
+ * Set the URL of theme stylesheets.
+ *
+ * Switching themes will replace the stylesheet linked by the registry with the new theme's. Until
+ * a URL is set, stylesheets are left as they are, and must be loaded by the page.
+ *
+ * @param {string|null} url Stylesheet URL, with `$1` standing for the theme's
+ *  {@link OO.ui.Theme#static-stylesheet stylesheet name}, such as 'dist/$1.vector.css'; or null
+ *  to stop managing stylesheets
+ * @chainable
+ */
+OO.ui.ThemeRegistry.prototype.setStylesheetUrl = function ( url ) {
+	this.stylesheetUrl = url;
+	return this;
+};
+
+/**
+ * Switch to a theme.
+ *
+ * @param {string} name Symbolic name of theme
+ * @fires theme
+ * @chainable
+ * @throws {Error} Theme must be registered
+ */
+OO.ui.ThemeRegistry.prototype.setTheme = function ( name ) {
+	var previousName = this.getThemeName(),
+		previous = OO.ui.theme,
+		theme = this.lookup( name );
+
+	if ( !theme ) {
+		throw new Error( 'Unknown theme: ' + name );
+	}
+
+	OO.ui.theme = theme;
+	this.themeName = name;
+	this.updateStylesheet();
+	this.updateDocument( previousName );
+	this.updateElements( previous );
+	this.emit( 'theme', name, theme );
+
+	return this;
+};
+
+/**
+ * Link the active theme's stylesheet, replacing the previous theme's.
+ *
+ * @private
+ */
+OO.ui.ThemeRegistry.prototype.updateStylesheet = function () {
+	var stylesheet = OO.ui.theme.constructor.static.stylesheet,
+		$stylesheet = null;
+
+	if ( this.stylesheetUrl !== null && stylesheet !== null ) {
+		$stylesheet = $( '<link>' )
+			.attr( {
+				rel: 'stylesheet',
+				href: this.stylesheetUrl.replace( /\$1/g, stylesheet )
+			} )
+			.appendTo( 'head' );
+	}
+	if ( this.$stylesheet ) {
+		this.$stylesheet.remove();
+	}
+	this.$stylesheet = $stylesheet;
+};
+
+/**
+ * Set the active theme's class and CSS custom properties on the document element, replacing the
+ * previous theme's.
+ *
+ * @private
+ * @param {string|null} previousName Symbolic name of previous theme
+ */
+OO.ui.ThemeRegistry.prototype.updateDocument = function ( previousName ) {
+	var property,
+		style = document.documentElement.style;
+
+	for ( property in this.customProperties ) {
+		style.removeProperty( property );
+	}
+	this.customProperties = OO.ui.theme.getCustomProperties();
+	for ( property in this.customProperties ) {
+		style.setProperty( property, this.customProperties[ property ] );
+	}
+
+	if ( previousName !== null ) {
+		$( document.documentElement ).removeClass( 'oo-ui-theme-' + previousName );
+	}
+	$( document.documentElement ).addClass( 'oo-ui-theme-' + this.themeName );
+};
+
+/**
+ * Remove the classes of the previous theme from all elements attached to the document, and have
+ * them apply the classes of the active theme.
+ *
+ * @private
+ * @param {OO.ui.Theme} previous Previous theme
+ */
+OO.ui.ThemeRegistry.prototype.updateElements = function ( previous ) {
+	$( document.body ).find( '*' ).addBack().each( function () {
+		var element = $.data( this, 'oo-ui-element' );
+
+		if ( element ) {
+			if ( previous && previous !== OO.ui.theme ) {
+				previous.clearElementClasses( element );
+			}
+			element.updateThemeClasses();
+		}
+	} );
+};
+
+/* Instantiation */
+
+OO.ui.themeRegistry = new OO.ui.ThemeRegistry();
@@ -115,6 +115,36 @@ OO.ui.Tool.static.group = '';
  */
 OO.ui.Tool.static.title = '';
 
+/**
+ * Keyboard shortcut of tool.
+ *
+ * When the tool is added to a toolbar, the shortcut is bound in the toolbar's
+ * {@link OO.ui.TriggerRegistry trigger registry}, pressing it selects the tool, and its label is
+ * shown next to the title. Use `accel` for a modifier that is Cmd on Mac and Ctrl elsewhere.
+ *
+ *     MyTool.static.accelerator = 'accel+b';
+ *     MyTool.static.accelerator = [ 'accel+y', 'accel+shift+z' ];
+ *     MyTool.static.accelerator = { mac: 'accel+shift+z', pc: 'accel+y' };
+ *
+ * @static
+ * @inheritable
+ * @property {string|string[]|Object|null} Trigger string, array of trigger strings, or an object
+ *  with either keyed by platform ('mac' and 'pc'); null for no shortcut
+ */
+OO.ui.Tool.static.accelerator = null;
+
+/**
+ * Priority of tool when the toolbar runs out of room.
+ *
+ * In toolbars configured with the `overflow` option, tools of bar tool groups that do not fit are
+ * moved into a "More" menu, starting with the tool of the lowest priority.
+ *
+ * @static
+ * @inheritable
+ * @property {number}
+ */
+OO.ui.Tool.static.overflowPriority = 0;
+
 /**
  * Tool can be automatically added to catch-all groups.
  *
@@ -256,5 +286,7 @@ OO.ui.Tool.prototype.updateTitle = function () {
  */
 OO.ui.Tool.prototype.destroy = function () {
 	this.toolbar.disconnect( this );
-	this.$element.remove();
+
+	// Parent method
+	OO.ui.Tool.super.prototype.destroy.call( this );
 };
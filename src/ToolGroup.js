@@ -282,7 +282,6 @@ OO.ui.ToolGroup.prototype.populate = function () {
 	// Remove tools that are no longer needed
 	for ( name in this.tools ) {
 		if ( !names[ name ] ) {
-			this.tools[ name ].destroy();
 			this.toolbar.releaseTool( this.tools[ name ] );
 			remove.push( this.tools[ name ] );
 			delete this.tools[ name ];
@@ -290,6 +289,9 @@ OO.ui.ToolGroup.prototype.populate = function () {
 	}
 	if ( remove.length ) {
 		this.removeItems( remove );
+		for ( i = 0, len = remove.length; i < len; i++ ) {
+			remove[ i ].destroy();
+		}
 	}
 	// Update emptiness state
 	if ( add.length ) {
@@ -316,5 +318,8 @@ OO.ui.ToolGroup.prototype.destroy = function () {
 		this.tools[ name ].disconnect( this ).destroy();
 		delete this.tools[ name ];
 	}
-	this.$element.remove();
+	this.getElementDocument().removeEventListener( 'mouseup', this.onCapturedMouseUpHandler, true );
+
+	// Parent method
+	OO.ui.ToolGroup.super.prototype.destroy.call( this );
 };
@@ -12,6 +12,17 @@
  * @param {Object} [config] Configuration options
  * @cfg {boolean} [actions] Add an actions section opposite to the tools
  * @cfg {boolean} [shadow] Add a shadow below the toolbar
+ * @cfg {OO.ui.TriggerRegistry} [triggerRegistry] Registry of keyboard shortcuts, which can be shared
+ *  between toolbars and other interface parts; a new registry is created if omitted
+ * @cfg {jQuery} [$triggerTarget] Element to listen to keyboard shortcuts on, such as the document
+ *  or the content being edited; defaults to the toolbar itself
+ * @cfg {boolean} [overflow=false] Move tools of bar tool groups that do not fit in the toolbar into
+ *  a "More" menu at its end, and back when there is room again; tools with the lowest
+ *  {@link OO.ui.Tool#static-overflowPriority overflow priority} are moved first. Widths are measured
+ *  once the toolbar is {@link #initialize initialized}, and whenever the window is resized.
+ * @cfg {jQuery|boolean} [$overlay] Overlay for the lists of popup tool groups and the popups of
+ *  popup tools, `true` for the default overlay (see OO.ui#getDefaultOverlay); defaults to
+ *  relative positioning
  */
 OO.ui.Toolbar = function OoUiToolbar( toolFactory, toolGroupFactory, config ) {
 	// Configuration initialization
@@ -29,14 +40,26 @@ OO.ui.Toolbar = function OoUiToolbar( toolFactory, toolGroupFactory, config ) {
 	this.toolGroupFactory = toolGroupFactory;
 	this.groups = [];
 	this.tools = {};
+	this.boundTools = {};
 	this.$bar = $( '<div>' );
 	this.$actions = $( '<div>' );
 	this.initialized = false;
+	this.triggerRegistry = config.triggerRegistry || new OO.ui.TriggerRegistry();
+	this.$triggerTarget = config.$triggerTarget || this.$element;
+	this.$overlay = OO.ui.resolveOverlay( config.$overlay, this );
+	this.onTriggerTargetKeyDownHandler = this.onTriggerTargetKeyDown.bind( this );
+	this.overflow = !!config.overflow;
+	this.overflowGroup = null;
+	this.overflowedTools = [];
+	this.state = null;
+	this.onWindowResizeHandler = OO.ui.debounce( this.onWindowResize.bind( this ), 100 );
 
 	// Events
 	this.$element
 		.add( this.$bar ).add( this.$group ).add( this.$actions )
 		.on( 'mousedown touchstart', this.onPointerDown.bind( this ) );
+	this.$triggerTarget.on( 'keydown', this.onTriggerTargetKeyDownHandler );
+	this.connect( this, { updateState: 'onUpdateState' } );
 
 	// Initialization
 	this.$group.addClass( 'oo-ui-toolbar-tools' );
@@ -78,6 +101,27 @@ OO.ui.Toolbar.prototype.getToolGroupFactory = function () {
 	return this.toolGroupFactory;
 };
 
+/**
+ * Get the registry of keyboard shortcuts.
+ *
+ * @return {OO.ui.TriggerRegistry} Trigger registry
+ */
+OO.ui.Toolbar.prototype.getTriggerRegistry = function () {
+	return this.triggerRegistry;
+};
+
+/**
+ * Handle the toolbar state being updated.
+ *
+ * The state is remembered, so that it can be given to tools created afterwards.
+ *
+ * @private
+ * @param {Mixed...} [state] Arguments the `updateState` event was emitted with
+ */
+OO.ui.Toolbar.prototype.onUpdateState = function () {
+	this.state = Array.prototype.slice.call( arguments );
+};
+
 /**
  * Handles mouse down events.
  *
@@ -91,12 +135,45 @@ OO.ui.Toolbar.prototype.onPointerDown = function ( e ) {
 	}
 };
 
+/**
+ * Handle key down events on the trigger target.
+ *
+ * Selects the tool bound to the pressed key combination, unless it is disabled.
+ *
+ * @param {jQuery.Event} e Key down event
+ */
+OO.ui.Toolbar.prototype.onTriggerTargetKeyDown = function ( e ) {
+	var tool,
+		name = this.triggerRegistry.getNameByTrigger( new OO.ui.Trigger( e ) );
+
+	if ( name !== undefined && Object.prototype.hasOwnProperty.call( this.tools, name ) ) {
+		tool = this.tools[ name ];
+		if ( !tool.isDisabled() && !tool.toolGroup.isDisabled() ) {
+			tool.onSelect();
+			return false;
+		}
+	}
+};
+
+/**
+ * Handle window resize events.
+ *
+ * @param {jQuery.Event} e Window resize event
+ */
+OO.ui.Toolbar.prototype.onWindowResize = function () {
+	this.updateOverflow();
+};
+
 /**
  * Sets up handles and preloads required information for the toolbar to work.
  * This must be called after it is attached to a visible document and before doing anything else.
  */
 OO.ui.Toolbar.prototype.initialize = function () {
 	this.initialized = true;
+	if ( this.overflow ) {
+		$( this.getElementWindow() ).on( 'resize', this.onWindowResizeHandler );
+		this.updateOverflow();
+	}
 };
 
 /**
@@ -137,24 +214,39 @@ OO.ui.Toolbar.prototype.setup = function ( groups ) {
 		// Check type has been registered
 		type = this.getToolGroupFactory().lookup( group.type ) ? group.type : defaultType;
 		items.push(
-			this.getToolGroupFactory().create( type, this, group )
+			this.getToolGroupFactory().create( type, this, $.extend( { $overlay: this.$overlay }, group ) )
 		);
 	}
+	if ( this.overflow ) {
+		this.overflowGroup = this.getToolGroupFactory().create( 'list', this, {
+			label: OO.ui.msg( 'ooui-toolbar-more' ),
+			$overlay: this.$overlay
+		} );
+		this.overflowGroup.$element.addClass( 'oo-ui-toolbar-overflowGroup' );
+		items.push( this.overflowGroup );
+	}
 	this.addItems( items );
+	if ( this.initialized ) {
+		this.updateOverflow();
+	}
 };
 
 /**
  * Remove all tools and groups from the toolbar.
  */
 OO.ui.Toolbar.prototype.reset = function () {
-	var i, len;
+	var i, len,
+		groups = this.getItems();
 
+	// Tool groups release their tools when they are destroyed
+	this.clearItems();
+	for ( i = 0, len = groups.length; i < len; i++ ) {
+		groups[ i ].destroy();
+	}
 	this.groups = [];
 	this.tools = {};
-	for ( i = 0, len = this.items.length; i < len; i++ ) {
-		this.items[ i ].destroy();
-	}
-	this.clearItems();
+	this.overflowGroup = null;
+	this.overflowedTools = [];
 };
 
 /**
@@ -163,8 +255,12 @@ OO.ui.Toolbar.prototype.reset = function () {
  * Call this whenever you are done using a toolbar.
  */
 OO.ui.Toolbar.prototype.destroy = function () {
+	this.$triggerTarget.off( 'keydown', this.onTriggerTargetKeyDownHandler );
+	$( this.getElementWindow() ).off( 'resize', this.onWindowResizeHandler );
 	this.reset();
-	this.$element.remove();
+
+	// Parent method
+	OO.ui.Toolbar.super.prototype.destroy.call( this );
 };
 
 /**
@@ -180,29 +276,205 @@ OO.ui.Toolbar.prototype.isToolAvailable = function ( name ) {
 /**
  * Prevent tool from being used again.
  *
+ * Binds the tool's {@link OO.ui.Tool#static-accelerator accelerator} in the trigger registry,
+ * unless triggers are already bound to the tool's name there. The accelerator is unbound again
+ * when the tool is released.
+ *
  * @param {OO.ui.Tool} tool Tool to reserve
  */
 OO.ui.Toolbar.prototype.reserveTool = function ( tool ) {
-	this.tools[ tool.getName() ] = tool;
+	var name = tool.getName(),
+		accelerator = tool.constructor.static.accelerator;
+
+	this.tools[ name ] = tool;
+	if ( accelerator && !this.triggerRegistry.lookup( name ) ) {
+		this.triggerRegistry.register( name, accelerator );
+		this.boundTools[ name ] = true;
+		tool.updateTitle();
+	}
 };
 
 /**
  * Allow tool to be used again.
  *
+ * Unbinds the tool's accelerator if it was bound by #reserveTool, leaving triggers bound by others.
+ *
  * @param {OO.ui.Tool} tool Tool to release
  */
 OO.ui.Toolbar.prototype.releaseTool = function ( tool ) {
-	delete this.tools[ tool.getName() ];
+	var name = tool.getName();
+
+	if ( this.tools[ name ] !== tool ) {
+		return;
+	}
+	delete this.tools[ name ];
+	if ( this.boundTools[ name ] ) {
+		this.triggerRegistry.unregister( name );
+		delete this.boundTools[ name ];
+	}
 };
 
 /**
  * Get accelerator label for tool.
  *
- * This is a stub that should be overridden to provide access to accelerator information.
+ * If several triggers are bound to the tool, the label of the first one is used.
  *
  * @param {string} name Symbolic name of tool
  * @return {string|undefined} Tool accelerator label if available
  */
-OO.ui.Toolbar.prototype.getToolAccelerator = function () {
-	return undefined;
+OO.ui.Toolbar.prototype.getToolAccelerator = function ( name ) {
+	return this.triggerRegistry.getMessages( name )[ 0 ];
+};
+
+/**
+ * Get the width available for tool groups, next to the actions.
+ *
+ * @return {number} Available width in pixels
+ */
+OO.ui.Toolbar.prototype.getAvailableWidth = function () {
+	return this.$bar.width() -
+		( this.$actions.parent().length ? this.$actions.outerWidth( true ) : 0 );
+};
+
+/**
+ * Get the width taken up by the visible tool groups.
+ *
+ * @return {number} Content width in pixels
+ */
+OO.ui.Toolbar.prototype.getContentWidth = function () {
+	var i, len, item,
+		width = 0;
+
+	for ( i = 0, len = this.items.length; i < len; i++ ) {
+		item = this.items[ i ];
+		if ( item.isVisible() && !item.$element.hasClass( 'oo-ui-toolGroup-empty' ) ) {
+			width += item.$element.outerWidth( true );
+		}
+	}
+	return width;
+};
+
+/**
+ * Move tools into or out of the "More" menu, depending on the available width.
+ *
+ * Does nothing unless the toolbar was configured with the `overflow` option. Tools are moved back
+ * in the reverse order they were moved in, as soon as the width they needed is available again.
+ *
+ * Moved tools are recreated in their new group, and given the state the toolbar was last updated
+ * with.
+ *
+ * @chainable
+ */
+OO.ui.Toolbar.prototype.updateOverflow = function () {
+	var tool, group, entry, name,
+		moved = {},
+		availableWidth = this.getAvailableWidth();
+
+	if ( !this.overflowGroup ) {
+		return this;
+	}
+
+	// Move tools back while there is enough room for them
+	while ( this.overflowedTools.length ) {
+		entry = this.overflowedTools[ this.overflowedTools.length - 1 ];
+		if ( entry.width > availableWidth ) {
+			break;
+		}
+		this.overflowedTools.pop();
+		this.updateOverflowGroup();
+		entry.toolGroup.exclude = OO.simpleArrayDifference( entry.toolGroup.exclude, [ entry.name ] );
+		entry.toolGroup.populate();
+		moved[ entry.name ] = true;
+	}
+
+	// Move tools out while there is not enough room
+	while ( this.getContentWidth() > availableWidth ) {
+		tool = this.getOverflowCandidate();
+		if ( !tool ) {
+			break;
+		}
+		group = tool.toolGroup;
+		entry = {
+			name: tool.getName(),
+			toolGroup: group,
+			width: this.getContentWidth(),
+			// Position of the tool in the toolbar as if no tools had been moved yet
+			position: [
+				this.items.indexOf( group ),
+				this.getToolFactory().getTools(
+					group.include,
+					OO.simpleArrayDifference( group.exclude, this.overflowedTools.map( function ( overflowed ) {
+						return overflowed.name;
+					} ) ),
+					group.promote,
+					group.demote
+				).indexOf( tool.getName() )
+			]
+		};
+		entry.toolGroup.exclude = entry.toolGroup.exclude.concat( entry.name );
+		entry.toolGroup.populate();
+		this.overflowedTools.push( entry );
+		this.updateOverflowGroup();
+		moved[ entry.name ] = true;
+	}
+
+	// Restore the state of the recreated tools
+	if ( this.state ) {
+		for ( name in moved ) {
+			tool = this.tools[ name ];
+			if ( tool ) {
+				tool.onUpdateState.apply( tool, this.state );
+			}
+		}
+	}
+
+	return this;
+};
+
+/**
+ * Get the tool to move into the "More" menu next.
+ *
+ * This is the tool in a bar tool group with the lowest overflow priority, and the last one in the
+ * toolbar among tools of equal priority.
+ *
+ * @private
+ * @return {OO.ui.Tool|null} Tool, or null if there are no more tools that can be moved
+ */
+OO.ui.Toolbar.prototype.getOverflowCandidate = function () {
+	var i, ilen, j, jlen, group, tool, priority,
+		candidate = null,
+		candidatePriority = Infinity;
+
+	for ( i = 0, ilen = this.items.length; i < ilen; i++ ) {
+		group = this.items[ i ];
+		if ( !( group instanceof OO.ui.BarToolGroup ) ) {
+			continue;
+		}
+		for ( j = 0, jlen = group.items.length; j < jlen; j++ ) {
+			tool = group.items[ j ];
+			priority = tool.constructor.static.overflowPriority;
+			if ( priority <= candidatePriority ) {
+				candidate = tool;
+				candidatePriority = priority;
+			}
+		}
+	}
+	return candidate;
+};
+
+/**
+ * Update the tools in the "More" menu, keeping them in the order they had in the toolbar.
+ *
+ * @private
+ */
+OO.ui.Toolbar.prototype.updateOverflowGroup = function () {
+	this.overflowGroup.include = this.overflowedTools
+		.slice()
+		.sort( function ( a, b ) {
+			return ( a.position[ 0 ] - b.position[ 0 ] ) || ( a.position[ 1 ] - b.position[ 1 ] );
+		} )
+		.map( function ( entry ) {
+			return entry.name;
+		} );
+	this.overflowGroup.populate();
 };
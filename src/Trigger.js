@@ -0,0 +1,297 @@
+/**
+ * Key combination used as a keyboard shortcut, such as Ctrl+Shift+Z.
+ *
+ * A trigger can be created from a key down event, or from a string of key names joined with `+`,
+ * such as `'ctrl+shift+z'`. The modifier keys are `meta` (Cmd on Mac), `ctrl`, `alt` and `shift`.
+ * The additional `accel` modifier stands for `meta` on Mac and `ctrl` on other platforms, so that
+ * `'accel+b'` works as expected everywhere.
+ *
+ *     // Ctrl+B on Windows and Linux, Cmd+B on Mac
+ *     var trigger = new OO.ui.Trigger( 'accel+b' );
+ *
+ * @class
+ *
+ * @constructor
+ * @param {jQuery.Event|string} [e] Key down event or trigger string
+ * @param {string} [platform] Platform to map the `accel` modifier for, 'mac' or 'pc'; defaults
+ *  to the platform of the current user agent
+ */
+OO.ui.Trigger = function OoUiTrigger( e, platform ) {
+	var i, len, key, keys;
+
+	// Properties
+	this.modifiers = { meta: false, ctrl: false, alt: false, shift: false };
+	this.primary = false;
+	this.valid = true;
+
+	if ( typeof e === 'string' ) {
+		platform = platform || this.constructor.static.getPlatform();
+		keys = e.toLowerCase().split( '+' );
+		for ( i = 0, len = keys.length; i < len; i++ ) {
+			key = this.constructor.static.aliases[ keys[ i ] ] || keys[ i ];
+			if ( key === 'accel' ) {
+				key = platform === 'mac' ? 'meta' : 'ctrl';
+			}
+			if ( Object.prototype.hasOwnProperty.call( this.modifiers, key ) ) {
+				this.modifiers[ key ] = true;
+			} else if (
+				this.primary === false &&
+				this.constructor.static.primaryKeys.indexOf( key ) !== -1
+			) {
+				this.primary = key;
+			} else {
+				// Unknown key, or more than one primary key
+				this.valid = false;
+			}
+		}
+	} else if ( e ) {
+		this.modifiers.meta = !!e.metaKey;
+		this.modifiers.ctrl = !!e.ctrlKey;
+		this.modifiers.alt = !!e.altKey;
+		this.modifiers.shift = !!e.shiftKey;
+		this.primary = this.constructor.static.keyCodes[ e.which ] || false;
+	}
+};
+
+/* Setup */
+
+OO.initClass( OO.ui.Trigger );
+
+/* Static Properties */
+
+/**
+ * Names of modifier keys, in the order they are written in.
+ *
+ * @static
+ * @inheritable
+ * @property {string[]}
+ */
+OO.ui.Trigger.static.modifierNames = [ 'meta', 'ctrl', 'alt', 'shift' ];
+
+/**
+ * Alternative names of keys, mapped to their canonical names.
+ *
+ * @static
+ * @inheritable
+ * @property {Object.<string,string>}
+ */
+OO.ui.Trigger.static.aliases = {
+	cmd: 'meta',
+	command: 'meta',
+	control: 'ctrl',
+	option: 'alt',
+	esc: 'escape',
+	del: 'delete',
+	'return': 'enter',
+	ins: 'insert'
+};
+
+/**
+ * Names of primary keys, indexed by key code.
+ *
+ * @static
+ * @inheritable
+ * @property {Object.<number,string>}
+ */
+OO.ui.Trigger.static.keyCodes = ( function () {
+	var i,
+		keyCodes = {
+			8: 'backspace',
+			9: 'tab',
+			13: 'enter',
+			27: 'escape',
+			32: 'space',
+			33: 'pageup',
+			34: 'pagedown',
+			35: 'end',
+			36: 'home',
+			37: 'left',
+			38: 'up',
+			39: 'right',
+			40: 'down',
+			45: 'insert',
+			46: 'delete',
+			// Firefox uses different key codes for some punctuation keys
+			59: ';',
+			61: '=',
+			173: '-',
+			186: ';',
+			187: '=',
+			188: ',',
+			189: '-',
+			190: '.',
+			191: '/',
+			192: '`',
+			219: '[',
+			220: '\\',
+			221: ']',
+			222: '\''
+		};
+
+	// Digits
+	for ( i = 0; i <= 9; i++ ) {
+		keyCodes[ 48 + i ] = String( i );
+	}
+	// Letters
+	for ( i = 0; i < 26; i++ ) {
+		keyCodes[ 65 + i ] = String.fromCharCode( 97 + i );
+	}
+	// Function keys
+	for ( i = 1; i <= 12; i++ ) {
+		keyCodes[ 111 + i ] = 'f' + i;
+	}
+	return keyCodes;
+}() );
+
+/**
+ * Names of all primary keys.
+ *
+ * @static
+ * @inheritable
+ * @property {string[]}
+ */
+OO.ui.Trigger.static.primaryKeys = $.map( OO.ui.Trigger.static.keyCodes, function ( name ) {
+	return name;
+} );
+
+/**
+ * Labels of keys used in messages, indexed by platform, for keys whose label is not just the key
+ * name with the first letter in upper case.
+ *
+ * @static
+ * @inheritable
+ * @property {Object.<string,Object.<string,string>>}
+ */
+OO.ui.Trigger.static.keyLabels = {
+	mac: {
+		meta: '⌘',
+		ctrl: '^',
+		alt: '⌥',
+		shift: '⇧',
+		backspace: '⌫',
+		tab: '⇥',
+		enter: '⏎',
+		escape: '⎋',
+		pageup: '⇞',
+		pagedown: '⇟',
+		end: '↘',
+		home: '↖',
+		left: '←',
+		up: '↑',
+		right: '→',
+		down: '↓',
+		'delete': '⌦'
+	},
+	pc: {
+		meta: 'Meta',
+		ctrl: 'Ctrl',
+		escape: 'Esc',
+		pageup: 'PgUp',
+		pagedown: 'PgDn',
+		'delete': 'Del',
+		insert: 'Ins'
+	}
+};
+
+/* Static Methods */
+
+/**
+ * Get the platform of the current user agent.
+ *
+ * @static
+ * @inheritable
+ * @return {string} 'mac' or 'pc'
+ */
+OO.ui.Trigger.static.getPlatform = function () {
+	return /^Mac|^iP(hone|od|ad)/.test( window.navigator.platform ) ? 'mac' : 'pc';
+};
+
+/* Methods */
+
+/**
+ * Check if the trigger is complete, i.e. has a primary key and consists of known keys only.
+ *
+ * @return {boolean} Trigger is complete
+ */
+OO.ui.Trigger.prototype.isComplete = function () {
+	return this.valid && this.primary !== false;
+};
+
+/**
+ * Get the primary key.
+ *
+ * @return {string|boolean} Name of primary key, or false if there is none
+ */
+OO.ui.Trigger.prototype.getPrimary = function () {
+	return this.primary;
+};
+
+/**
+ * Get the modifier keys.
+ *
+ * @return {Object.<string,boolean>} Whether each modifier key is pressed, keyed by name
+ */
+OO.ui.Trigger.prototype.getModifiers = function () {
+	return $.extend( {}, this.modifiers );
+};
+
+/**
+ * Get the canonical string form of the trigger.
+ *
+ * Triggers describing the same key combination have the same string form, no matter what they
+ * were created from. The `accel` modifier is resolved to `meta` or `ctrl`.
+ *
+ * @return {string} Canonical trigger string, such as 'ctrl+shift+z', or an empty string if the
+ *  trigger is not complete
+ */
+OO.ui.Trigger.prototype.toString = function () {
+	var i, len, name,
+		keys = [],
+		modifierNames = this.constructor.static.modifierNames;
+
+	if ( !this.isComplete() ) {
+		return '';
+	}
+	for ( i = 0, len = modifierNames.length; i < len; i++ ) {
+		name = modifierNames[ i ];
+		if ( this.modifiers[ name ] ) {
+			keys.push( name );
+		}
+	}
+	keys.push( this.primary );
+	return keys.join( '+' );
+};
+
+/**
+ * Get a human-readable label of the trigger, such as 'Ctrl+Shift+Z', or '^⇧Z' on Mac.
+ *
+ * @param {string} [platform] Platform to format the label for, 'mac' or 'pc'; defaults to the
+ *  platform of the current user agent
+ * @return {string} Trigger label, or an empty string if the trigger is not complete
+ */
+OO.ui.Trigger.prototype.getMessage = function ( platform ) {
+	var i, len, name, labels,
+		keys = [],
+		// Mac menus list modifiers in the order Control, Option, Shift, Command
+		modifierNames = [ 'ctrl', 'alt', 'shift', 'meta' ];
+
+	if ( !this.isComplete() ) {
+		return '';
+	}
+	platform = platform || this.constructor.static.getPlatform();
+	labels = this.constructor.static.keyLabels[ platform ] || {};
+	if ( platform !== 'mac' ) {
+		modifierNames = this.constructor.static.modifierNames;
+	}
+
+	for ( i = 0, len = modifierNames.length; i < len; i++ ) {
+		name = modifierNames[ i ];
+		if ( this.modifiers[ name ] ) {
+			keys.push( labels[ name ] || name.charAt( 0 ).toUpperCase() + name.slice( 1 ) );
+		}
+	}
+	name = this.primary;
+	keys.push( labels[ name ] || name.charAt( 0 ).toUpperCase() + name.slice( 1 ) );
+
+	return keys.join( platform === 'mac' ? '' : '+' );
+};
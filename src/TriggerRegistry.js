@@ -0,0 +1,191 @@
+/**
+ * Registry of keyboard shortcuts, binding {@link OO.ui.Trigger triggers} to the symbolic names of
+ * commands, such as tools.
+ *
+ * A trigger can only be bound to one command. Binding a trigger that is already in use is a
+ * conflict: the existing binding is kept and a #conflict event is emitted.
+ *
+ *     var registry = new OO.ui.TriggerRegistry();
+ *     registry.register( 'undo', 'accel+z' );
+ *     registry.register( 'redo', { mac: 'accel+shift+z', pc: [ 'accel+y', 'accel+shift+z' ] } );
+ *     registry.getNameByTrigger( new OO.ui.Trigger( 'ctrl+y', 'pc' ) ); // 'redo' on Windows
+ *
+ * @class
+ * @extends OO.Registry
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ * @cfg {string} [platform] Platform to bind triggers for, 'mac' or 'pc'; defaults to the platform
+ *  of the current user agent
+ */
+OO.ui.TriggerRegistry = function OoUiTriggerRegistry( config ) {
+	// Configuration initialization
+	config = config || {};
+
+	// Parent constructor
+	OO.ui.TriggerRegistry.super.call( this );
+
+	// Properties
+	this.platform = config.platform || OO.ui.Trigger.static.getPlatform();
+	this.names = {};
+};
+
+/* Setup */
+
+OO.inheritClass( OO.ui.TriggerRegistry, OO.Registry );
+
+/* Events */
+
+/**
+ * A trigger could not be bound because it is already bound to another command.
+ *
+ * @event conflict
+ * @param {OO.ui.Trigger} trigger Conflicting trigger
+ * @param {string} name Symbolic name of the command the trigger could not be bound to
+ * @param {string} existingName Symbolic name of the command the trigger is bound to
+ */
+
+/**
+ * Triggers were unbound from a command.
+ *
+ * @event unregister
+ * @param {string} name Symbolic name of command
+ * @param {OO.ui.Trigger[]} triggers Triggers that were bound to the command
+ */
+
+/* Methods */
+
+/**
+ * Bind triggers to a command.
+ *
+ * Triggers previously bound to the command are replaced.
+ *
+ * @param {string} name Symbolic name of command
+ * @param {string|OO.ui.Trigger|Array|Object} triggers Trigger, trigger string, or an array of
+ *  either; or an object with such values keyed by platform ('mac' and 'pc')
+ * @fires register
+ * @fires conflict
+ * @throws {Error} Name must be a string
+ * @throws {Error} Triggers must be complete
+ */
+OO.ui.TriggerRegistry.prototype.register = function ( name, triggers ) {
+	var i, len, trigger, key,
+		bound = [];
+
+	if ( typeof name !== 'string' ) {
+		throw new Error( 'name must be a string' );
+	}
+	if ( $.isPlainObject( triggers ) ) {
+		triggers = triggers[ this.platform ] || [];
+	}
+	if ( !Array.isArray( triggers ) ) {
+		triggers = [ triggers ];
+	}
+
+	// Unbind previous triggers
+	if ( this.registry[ name ] ) {
+		this.unregister( name );
+	}
+
+	for ( i = 0, len = triggers.length; i < len; i++ ) {
+		trigger = triggers[ i ] instanceof OO.ui.Trigger ?
+			triggers[ i ] :
+			new OO.ui.Trigger( triggers[ i ], this.platform );
+		if ( !trigger.isComplete() ) {
+			throw new Error( 'Incomplete trigger for ' + name + ': ' + triggers[ i ] );
+		}
+		key = trigger.toString();
+		if ( this.names[ key ] !== undefined && this.names[ key ] !== name ) {
+			this.emit( 'conflict', trigger, name, this.names[ key ] );
+		} else {
+			this.names[ key ] = name;
+			bound.push( trigger );
+		}
+	}
+
+	// Parent method
+	OO.ui.TriggerRegistry.super.prototype.register.call( this, name, bound );
+};
+
+/**
+ * Unbind all triggers from a command.
+ *
+ * @param {string} name Symbolic name of command
+ * @fires unregister
+ */
+OO.ui.TriggerRegistry.prototype.unregister = function ( name ) {
+	var i, len, key,
+		triggers = this.lookup( name );
+
+	if ( !triggers ) {
+		return;
+	}
+	for ( i = 0, len = triggers.length; i < len; i++ ) {
+		key = triggers[ i ].toString();
+		if ( this.names[ key ] === name ) {
+			delete this.names[ key ];
+		}
+	}
+	delete this.registry[ name ];
+	this.emit( 'unregister', name, triggers );
+};
+
+/**
+ * Get the symbolic name of the command a trigger is bound to.
+ *
+ * @param {OO.ui.Trigger|string} trigger Trigger or trigger string
+ * @return {string|undefined} Symbolic name of command, or undefined if the trigger is not bound
+ */
+OO.ui.TriggerRegistry.prototype.getNameByTrigger = function ( trigger ) {
+	if ( !( trigger instanceof OO.ui.Trigger ) ) {
+		trigger = new OO.ui.Trigger( trigger, this.platform );
+	}
+	return trigger.isComplete() ? this.names[ trigger.toString() ] : undefined;
+};
+
+/**
+ * Get human-readable labels of the triggers bound to a command.
+ *
+ * @param {string} name Symbolic name of command
+ * @return {string[]} Trigger labels, such as 'Ctrl+Shift+Z'
+ */
+OO.ui.TriggerRegistry.prototype.getMessages = function ( name ) {
+	var platform = this.platform;
+
+	return ( this.lookup( name ) || [] ).map( function ( trigger ) {
+		return trigger.getMessage( platform );
+	} );
+};
+
+/**
+ * Get all bindings, for example to list the available keyboard shortcuts in a help dialog.
+ *
+ * Commands without any bound triggers are omitted.
+ *
+ * @return {Object[]} Bindings in the order their commands were registered, each an object with
+ *  the `name` of the command, its `triggers` and their `messages`
+ */
+OO.ui.TriggerRegistry.prototype.getBindings = function () {
+	var name,
+		bindings = [];
+
+	for ( name in this.registry ) {
+		if ( this.registry[ name ].length ) {
+			bindings.push( {
+				name: name,
+				triggers: this.registry[ name ].slice(),
+				messages: this.getMessages( name )
+			} );
+		}
+	}
+	return bindings;
+};
+
+/**
+ * Get the platform triggers are bound for.
+ *
+ * @return {string} 'mac' or 'pc'
+ */
+OO.ui.TriggerRegistry.prototype.getPlatform = function () {
+	return this.platform;
+};
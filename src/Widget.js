@@ -36,6 +36,19 @@ OO.ui.Widget = function OoUiWidget( config ) {
 OO.inheritClass( OO.ui.Widget, OO.ui.Element );
 OO.mixinClass( OO.ui.Widget, OO.EventEmitter );
 
+/* Static Properties */
+
+/**
+ * Name of the event the widget emits when its form value changes, see #getFormValue.
+ *
+ * Widgets that don't have a form value leave this `null`.
+ *
+ * @static
+ * @inheritable
+ * @property {string|null}
+ */
+OO.ui.Widget.static.formValueEvent = null;
+
 /* Events */
 
 /**
@@ -59,6 +72,19 @@ OO.ui.Widget.prototype.isDisabled = function () {
 	return this.disabled;
 };
 
+/**
+ * @inheritdoc
+ */
+OO.ui.Widget.prototype.getConfig = function ( config ) {
+	config = config || {};
+	if ( this.disabled ) {
+		config.disabled = true;
+	}
+
+	// Parent method
+	return OO.ui.Widget.super.prototype.getConfig.call( this, config );
+};
+
 /**
  * Set the disabled state of the widget.
  *
@@ -84,6 +110,29 @@ OO.ui.Widget.prototype.setDisabled = function ( disabled ) {
 	return this;
 };
 
+/**
+ * Get the value of the widget, to use in a form.
+ *
+ * This is the common interface used by OO.ui.FormLayout for all kinds of widgets, whatever their
+ * own value methods are. Widgets that implement it override this and #setFormValue, and set
+ * #static-formValueEvent.
+ *
+ * @return {Mixed} Value, `undefined` if the widget has no form value
+ */
+OO.ui.Widget.prototype.getFormValue = function () {
+	return undefined;
+};
+
+/**
+ * Set the value of the widget, as returned by #getFormValue.
+ *
+ * @param {Mixed} value Value
+ * @chainable
+ */
+OO.ui.Widget.prototype.setFormValue = function () {
+	return this;
+};
+
 /**
  * Update the disabled state, in case of changes in parent widget.
  *
@@ -0,0 +1,173 @@
+/**
+ * Factory for widgets and other elements, creating them from specifications that can be stored as
+ * JSON, and serializing them back to such specifications.
+ *
+ * A specification is a configuration object with an additional `_` property naming the class.
+ * Nested specifications, anywhere in the configuration, are created as well, such as the items of
+ * a group or the field widget of a field layout. Objects with an `html` property stand for the
+ * nodes described by the HTML, like in data used to infuse widgets created by the PHP
+ * implementation.
+ *
+ *     var fieldset = OO.ui.create( {
+ *         _: 'FieldsetLayout',
+ *         label: 'Settings',
+ *         items: [
+ *             {
+ *                 _: 'FieldLayout',
+ *                 label: 'Size',
+ *                 fieldWidget: {
+ *                     _: 'ButtonSelectWidget',
+ *                     items: [
+ *                         { _: 'ButtonOptionWidget', data: 's', label: 'Small' },
+ *                         { _: 'ButtonOptionWidget', data: 'l', label: 'Large' }
+ *                     ]
+ *                 }
+ *             }
+ *         ]
+ *     } );
+ *
+ * Classes are looked up among those registered with the factory first, by their static `name`
+ * property, and then among the OO.ui classes by their name without the `OO.ui.` prefix.
+ *
+ * @class
+ * @extends OO.Factory
+ * @constructor
+ */
+OO.ui.WidgetFactory = function OoUiWidgetFactory() {
+	// Parent constructor
+	OO.ui.WidgetFactory.super.call( this );
+};
+
+/* Setup */
+
+OO.inheritClass( OO.ui.WidgetFactory, OO.Factory );
+
+/* Methods */
+
+/**
+ * Get the class registered with a name, or else the OO.ui class with that name.
+ *
+ * @param {string} name Symbolic name of class, or name of OO.ui class
+ * @return {Function|undefined} Class, or undefined if there is none with that name
+ */
+OO.ui.WidgetFactory.prototype.lookup = function ( name ) {
+	var cls = OO.ui.WidgetFactory.super.prototype.lookup.call( this, name );
+
+	if (
+		!cls &&
+		Object.prototype.hasOwnProperty.call( OO.ui, name ) &&
+		typeof OO.ui[ name ] === 'function' &&
+		( OO.ui[ name ] === OO.ui.Element || OO.ui[ name ].prototype instanceof OO.ui.Element )
+	) {
+		cls = OO.ui[ name ];
+	}
+	return cls;
+};
+
+/**
+ * Create an element from a specification.
+ *
+ * For compatibility with OO.Factory, a class name and constructor arguments can be passed
+ * instead of a specification.
+ *
+ * @param {Object|string} spec Specification, or name of class
+ * @param {Mixed...} [args] Arguments to pass to the constructor, if a name is given
+ * @return {OO.ui.Element} New element
+ * @throws {Error} Specification must name a known class
+ */
+OO.ui.WidgetFactory.prototype.create = function ( spec ) {
+	var key,
+		factory = this,
+		config = {};
+
+	function deserialize( value ) {
+		if ( OO.isPlainObject( value ) ) {
+			if ( typeof value._ === 'string' ) {
+				return factory.create( value );
+			}
+			if ( typeof value.html === 'string' ) {
+				return $( $.parseHTML( value.html ) );
+			}
+		}
+	}
+
+	if ( typeof spec === 'string' ) {
+		// Parent method
+		return OO.ui.WidgetFactory.super.prototype.create.apply( this, arguments );
+	}
+	if ( !OO.isPlainObject( spec ) || typeof spec._ !== 'string' ) {
+		throw new Error( 'Specification must be an object with the class name in its "_" property' );
+	}
+
+	for ( key in spec ) {
+		if ( key !== '_' ) {
+			config[ key ] = OO.copy( spec[ key ], null, deserialize );
+		}
+	}
+
+	// Parent method
+	return OO.ui.WidgetFactory.super.prototype.create.call( this, spec._, config );
+};
+
+/**
+ * Get the name to use for the class of an element in specifications.
+ *
+ * @param {OO.ui.Element} element Element
+ * @return {string|undefined} Symbolic name of registered class or name of OO.ui class, or
+ *  undefined if the class is not known to the factory
+ */
+OO.ui.WidgetFactory.prototype.getName = function ( element ) {
+	var name;
+
+	for ( name in this.registry ) {
+		if ( this.registry[ name ] === element.constructor ) {
+			return name;
+		}
+	}
+	for ( name in OO.ui ) {
+		if ( OO.ui[ name ] === element.constructor ) {
+			return name;
+		}
+	}
+};
+
+/**
+ * Serialize an element to a specification, which can be stored as JSON and passed to #create to
+ * create an equivalent element.
+ *
+ * The configuration is taken from OO.ui.Element#getConfig, so it only covers the options the
+ * element's class and mixins know how to report.
+ *
+ * @param {OO.ui.Element} element Element
+ * @return {Object} Specification
+ * @throws {Error} Class of element, and of any nested element, must be known to the factory
+ */
+OO.ui.WidgetFactory.prototype.serialize = function ( element ) {
+	var key,
+		factory = this,
+		name = this.getName( element ),
+		config = element.getConfig(),
+		spec = { _: name };
+
+	function serialize( value ) {
+		if ( value instanceof OO.ui.Element ) {
+			return factory.serialize( value );
+		}
+		if ( value instanceof $ ) {
+			return { html: $( '<div>' ).append( value.clone() ).html() };
+		}
+	}
+
+	if ( name === undefined ) {
+		throw new Error( 'Cannot serialize element of unknown class' );
+	}
+
+	for ( key in config ) {
+		spec[ key ] = OO.copy( config[ key ], null, serialize );
+	}
+	return spec;
+};
+
+/* Instantiation */
+
+OO.ui.widgetFactory = new OO.ui.WidgetFactory();
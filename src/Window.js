@@ -42,6 +42,9 @@
  * @param {Object} [config] Configuration options
  * @cfg {string} [size] Symbolic name of dialog size, `small`, `medium`, `large`, `larger` or
  *  `full`; omit to use #static-size
+ * @cfg {boolean} [modal=true] Prevent interaction with the rest of the page while the window is
+ *  open; non-modal windows float above the page without blocking it. Only has an effect if the
+ *  window manager is modal.
  */
 OO.ui.Window = function OoUiWindow( config ) {
 	// Configuration initialization
@@ -56,6 +59,7 @@ OO.ui.Window = function OoUiWindow( config ) {
 	// Properties
 	this.manager = null;
 	this.size = config.size || this.constructor.static.size;
+	this.modal = config.modal === undefined || !!config.modal;
 	this.$frame = $( '<div>' );
 	this.$overlay = $( '<div>' );
 	this.$content = $( '<div>' );
@@ -71,6 +75,7 @@ OO.ui.Window = function OoUiWindow( config ) {
 
 	this.$element
 		.addClass( 'oo-ui-window' )
+		.toggleClass( 'oo-ui-window-nonModal', !this.modal )
 		.append( this.$frame, this.$overlay );
 
 	// Initially hidden - using #toggle may cause errors if subclasses override toggle with methods
@@ -165,6 +170,15 @@ OO.ui.Window.prototype.isOpened = function () {
 	return this.manager.isOpened( this );
 };
 
+/**
+ * Check if the window is modal.
+ *
+ * @return {boolean} Window prevents interaction with the rest of the page while open
+ */
+OO.ui.Window.prototype.isModal = function () {
+	return !!this.manager && this.manager.isModal( this );
+};
+
 /**
  * Get the window manager.
  *
@@ -1,9 +1,14 @@
 /**
  * Window managers are used to open and close {@link OO.ui.Window windows} and control their presentation.
- * Managed windows are mutually exclusive. If a new window is opened while a current window is opening
- * or is opened, the current window will be closed and any ongoing {@link OO.ui.Process process} will be cancelled. Windows
- * themselves are persistent and—rather than being torn down when closed—can be repopulated with the
- * pertinent data and reused.
+ * Open windows form a stack: if a new window is opened while another window is open, such as a
+ * confirmation dialog on top of a process dialog, it is shown on top of it, and when it is closed,
+ * the window below is uncovered and the element that had focus before it was opened is focused again.
+ * Windows themselves are persistent and—rather than being torn down when closed—can be repopulated
+ * with the pertinent data and reused.
+ *
+ * Windows configured with `modal: false` float above the page without blocking it, see
+ * OO.ui.Window. They don't hide the rest of the page from screen readers or prevent it from
+ * scrolling, and are not closed by pressing Escape unless they have focus.
  *
  * Over the lifecycle of a window, the window manager makes available three promises: `opening`,
  * `opened`, and `closing`, which represent the primary stages of the cycle:
@@ -66,11 +71,7 @@ OO.ui.WindowManager = function OoUiWindowManager( config ) {
 	this.factory = config.factory;
 	this.modal = config.modal === undefined || !!config.modal;
 	this.windows = {};
-	this.opening = null;
-	this.opened = null;
-	this.closing = null;
-	this.preparingToOpen = null;
-	this.preparingToClose = null;
+	this.stack = [];
 	this.currentWindow = null;
 	this.$ariaHidden = null;
 	this.onWindowResizeTimeout = null;
@@ -182,36 +183,72 @@ OO.ui.WindowManager.prototype.onWindowResize = function () {
  * @param {jQuery.Event} e Window resize event
  */
 OO.ui.WindowManager.prototype.afterWindowResize = function () {
-	if ( this.currentWindow ) {
-		this.updateWindowSize( this.currentWindow );
+	var i, len;
+
+	for ( i = 0, len = this.stack.length; i < len; i++ ) {
+		this.updateWindowSize( this.stack[ i ].window );
 	}
 };
 
 /**
  * Check if window is opening.
  *
+ * @param {OO.ui.Window} win Window to check
  * @return {boolean} Window is opening
  */
 OO.ui.WindowManager.prototype.isOpening = function ( win ) {
-	return win === this.currentWindow && !!this.opening && this.opening.state() === 'pending';
+	var entry = this.getStackEntry( win );
+	return !!entry && !!entry.opening && entry.opening.state() === 'pending';
 };
 
 /**
  * Check if window is closing.
  *
+ * @param {OO.ui.Window} win Window to check
  * @return {boolean} Window is closing
  */
 OO.ui.WindowManager.prototype.isClosing = function ( win ) {
-	return win === this.currentWindow && !!this.closing && this.closing.state() === 'pending';
+	var entry = this.getStackEntry( win );
+	return !!entry && !!entry.closing && entry.closing.state() === 'pending';
 };
 
 /**
  * Check if window is opened.
  *
+ * @param {OO.ui.Window} win Window to check
  * @return {boolean} Window is opened
  */
 OO.ui.WindowManager.prototype.isOpened = function ( win ) {
-	return win === this.currentWindow && !!this.opened && this.opened.state() === 'pending';
+	var entry = this.getStackEntry( win );
+	return !!entry && !!entry.opened && entry.opened.state() === 'pending';
+};
+
+/**
+ * Check if a window is modal, preventing interaction with the rest of the page while it is open.
+ *
+ * @param {OO.ui.Window} win Window to check
+ * @return {boolean} Window is modal
+ */
+OO.ui.WindowManager.prototype.isModal = function ( win ) {
+	return this.modal && win.modal !== false;
+};
+
+/**
+ * Get the stack entry of a window that is opening, opened or closing.
+ *
+ * @private
+ * @param {OO.ui.Window} win Window
+ * @return {Object|null} Stack entry, or null if the window is closed
+ */
+OO.ui.WindowManager.prototype.getStackEntry = function ( win ) {
+	var i;
+
+	for ( i = this.stack.length - 1; i >= 0; i-- ) {
+		if ( this.stack[ i ].window === win ) {
+			return this.stack[ i ];
+		}
+	}
+	return null;
 };
 
 /**
@@ -316,15 +353,29 @@ OO.ui.WindowManager.prototype.getWindow = function ( name ) {
 /**
  * Get current window.
  *
- * @return {OO.ui.Window|null} Currently opening/opened/closing window
+ * @return {OO.ui.Window|null} Topmost opening/opened/closing window
  */
 OO.ui.WindowManager.prototype.getCurrentWindow = function () {
 	return this.currentWindow;
 };
 
+/**
+ * Get all windows that are opening, opened or closing.
+ *
+ * @return {OO.ui.Window[]} Windows, from the bottom of the stack to the top
+ */
+OO.ui.WindowManager.prototype.getOpenWindows = function () {
+	return this.stack.map( function ( entry ) {
+		return entry.window;
+	} );
+};
+
 /**
  * Open a window.
  *
+ * If other windows are open, the window is shown on top of them. If the window is closing, it is
+ * opened again once it is closed.
+ *
  * @param {OO.ui.Window|string} win Window object or symbolic name of window to open
  * @param {Object} [data] Window opening data
  * @return {jQuery.Promise} Promise resolved when window is done opening; see {@link #event-opening}
@@ -332,7 +383,8 @@ OO.ui.WindowManager.prototype.getCurrentWindow = function () {
  * @fires opening
  */
 OO.ui.WindowManager.prototype.openWindow = function ( win, data ) {
-	var manager = this,
+	var entry,
+		manager = this,
 		opening = $.Deferred();
 
 	// Argument handling
@@ -343,40 +395,55 @@ OO.ui.WindowManager.prototype.openWindow = function ( win, data ) {
 	}
 
 	// Error handling
+	entry = this.getStackEntry( win );
 	if ( !this.hasWindow( win ) ) {
 		opening.reject( new OO.ui.Error(
 			'Cannot open window: window is not attached to manager'
 		) );
-	} else if ( this.preparingToOpen || this.opening || this.opened ) {
+	} else if ( entry && ( !entry.closing || entry.reopening ) ) {
 		opening.reject( new OO.ui.Error(
-			'Cannot open window: another window is opening or open'
+			'Cannot open window: window is already opening or open'
 		) );
 	}
 
 	// Window opening
 	if ( opening.state() !== 'rejected' ) {
-		// If a window is currently closing, wait for it to complete
-		this.preparingToOpen = $.when( this.closing );
-		// Ensure handlers get called after preparingToOpen is set
-		this.preparingToOpen.done( function () {
-			if ( manager.modal ) {
-				manager.toggleGlobalEvents( true );
-				manager.toggleAriaIsolation( true );
-			}
-			manager.currentWindow = win;
-			manager.opening = opening;
-			manager.preparingToOpen = null;
+		if ( entry ) {
+			entry.reopening = true;
+		}
+		// If the window is currently closing, wait for it to complete
+		$.when( entry && entry.closing ).done( function () {
+			entry = {
+				window: win,
+				opening: opening,
+				opened: null,
+				closing: null,
+				preparingToClose: null,
+				reopening: false,
+				timeout: null,
+				$focus: $( OO.ui.Element.static.getDocument( manager.$element ).activeElement )
+			};
+			manager.stack.push( entry );
+			// Show the window on top of any other open windows
+			manager.$element.append( win.$element );
+			manager.updateStack();
 			manager.emit( 'opening', win, opening, data );
-			setTimeout( function () {
+			entry.timeout = setTimeout( function () {
 				win.setup( data ).then( function () {
+					if ( manager.isDestroyed() ) {
+						return;
+					}
 					manager.updateWindowSize( win );
-					manager.opening.notify( { state: 'setup' } );
-					setTimeout( function () {
+					opening.notify( { state: 'setup' } );
+					entry.timeout = setTimeout( function () {
 						win.ready( data ).then( function () {
-							manager.opening.notify( { state: 'ready' } );
-							manager.opening = null;
-							manager.opened = $.Deferred();
-							opening.resolve( manager.opened.promise(), data );
+							if ( manager.isDestroyed() ) {
+								return;
+							}
+							opening.notify( { state: 'ready' } );
+							entry.opening = null;
+							entry.opened = $.Deferred();
+							opening.resolve( entry.opened.promise(), data );
 						} );
 					}, manager.getReadyDelay() );
 				} );
@@ -390,6 +457,9 @@ OO.ui.WindowManager.prototype.openWindow = function ( win, data ) {
 /**
  * Close a window.
  *
+ * Windows don't have to be on top of the stack to be closed. When the topmost window has closed,
+ * the element that had focus before it was opened is focused again.
+ *
  * @param {OO.ui.Window|string} win Window object or symbolic name of window to close
  * @param {Object} [data] Window closing data
  * @return {jQuery.Promise} Promise resolved when window is done closing; see {@link #event-closing}
@@ -398,9 +468,9 @@ OO.ui.WindowManager.prototype.openWindow = function ( win, data ) {
  * @fires closing
  */
 OO.ui.WindowManager.prototype.closeWindow = function ( win, data ) {
-	var manager = this,
-		closing = $.Deferred(),
-		opened;
+	var entry,
+		manager = this,
+		closing = $.Deferred();
 
 	// Argument handling
 	if ( typeof win === 'string' ) {
@@ -408,17 +478,18 @@ OO.ui.WindowManager.prototype.closeWindow = function ( win, data ) {
 	} else if ( !this.hasWindow( win ) ) {
 		win = null;
 	}
+	entry = win && this.getStackEntry( win );
 
 	// Error handling
 	if ( !win ) {
 		closing.reject( new OO.ui.Error(
 			'Cannot close window: window is not attached to manager'
 		) );
-	} else if ( win !== this.currentWindow ) {
+	} else if ( !entry ) {
 		closing.reject( new OO.ui.Error(
 			'Cannot close window: window already closed with different data'
 		) );
-	} else if ( this.preparingToClose || this.closing ) {
+	} else if ( entry.preparingToClose || entry.closing ) {
 		closing.reject( new OO.ui.Error(
 			'Cannot close window: window already closing with different data'
 		) );
@@ -427,27 +498,44 @@ OO.ui.WindowManager.prototype.closeWindow = function ( win, data ) {
 	// Window closing
 	if ( closing.state() !== 'rejected' ) {
 		// If the window is currently opening, close it when it's done
-		this.preparingToClose = $.when( this.opening );
+		entry.preparingToClose = $.when( entry.opening );
 		// Ensure handlers get called after preparingToClose is set
-		this.preparingToClose.done( function () {
-			manager.closing = closing;
-			manager.preparingToClose = null;
+		entry.preparingToClose.done( function () {
+			var opened = entry.opened;
+
+			entry.closing = closing;
+			entry.preparingToClose = null;
 			manager.emit( 'closing', win, closing, data );
-			opened = manager.opened;
-			manager.opened = null;
+			entry.opened = null;
 			opened.resolve( closing.promise(), data );
-			setTimeout( function () {
+			entry.timeout = setTimeout( function () {
 				win.hold( data ).then( function () {
+					if ( manager.isDestroyed() ) {
+						return;
+					}
 					closing.notify( { state: 'hold' } );
-					setTimeout( function () {
+					entry.timeout = setTimeout( function () {
 						win.teardown( data ).then( function () {
+							var wasTopmost = entry === manager.stack[ manager.stack.length - 1 ];
+
+							if ( manager.isDestroyed() ) {
+								return;
+							}
 							closing.notify( { state: 'teardown' } );
-							if ( manager.modal ) {
-								manager.toggleGlobalEvents( false );
-								manager.toggleAriaIsolation( false );
+							manager.stack.splice( manager.stack.indexOf( entry ), 1 );
+							win.$element.removeAttr( 'aria-hidden' );
+							manager.updateStack();
+							if ( manager.currentWindow ) {
+								manager.updateWindowSize( manager.currentWindow );
+							}
+							// Give focus back to where it was before the window was opened
+							if (
+								wasTopmost &&
+								entry.$focus.closest( 'body' ).length &&
+								!entry.$focus.is( 'body' )
+							) {
+								entry.$focus[ 0 ].focus();
 							}
-							manager.closing = null;
-							manager.currentWindow = null;
 							closing.resolve( data );
 						} );
 					}, manager.getTeardownDelay() );
@@ -542,8 +630,8 @@ OO.ui.WindowManager.prototype.clearWindows = function () {
  * @chainable
  */
 OO.ui.WindowManager.prototype.updateWindowSize = function ( win ) {
-	// Bypass for non-current, and thus invisible, windows
-	if ( win !== this.currentWindow ) {
+	// Bypass for closed, and thus invisible, windows
+	if ( !this.getStackEntry( win ) ) {
 		return;
 	}
 
@@ -558,8 +646,11 @@ OO.ui.WindowManager.prototype.updateWindowSize = function ( win ) {
 		size = 'full';
 	}
 
-	this.$element.toggleClass( 'oo-ui-windowManager-fullscreen', size === 'full' );
-	this.$element.toggleClass( 'oo-ui-windowManager-floating', size !== 'full' );
+	// The topmost window decides how all windows are presented
+	if ( win === this.currentWindow ) {
+		this.$element.toggleClass( 'oo-ui-windowManager-fullscreen', size === 'full' );
+		this.$element.toggleClass( 'oo-ui-windowManager-floating', size !== 'full' );
+	}
 	win.setDimensions( sizes[ size ] );
 
 	this.emit( 'resize', win );
@@ -568,7 +659,31 @@ OO.ui.WindowManager.prototype.updateWindowSize = function ( win ) {
 };
 
 /**
- * Bind or unbind global events for scrolling.
+ * Update the current window, global events and screen reader visibility after the stack changed.
+ *
+ * Global events are bound while any window is open, so windows keep their size when the top-level
+ * window is resized. The page is kept from scrolling and is hidden from screen readers only while
+ * a modal window is open. Windows below a modal window are hidden from screen readers too.
+ *
+ * @private
+ */
+OO.ui.WindowManager.prototype.updateStack = function () {
+	var i,
+		modal = false;
+
+	// Walk down from the top, hiding everything below the topmost modal window
+	for ( i = this.stack.length - 1; i >= 0; i-- ) {
+		this.stack[ i ].window.$element.attr( 'aria-hidden', modal ? 'true' : null );
+		modal = modal || this.isModal( this.stack[ i ].window );
+	}
+	this.currentWindow = this.stack.length ? this.stack[ this.stack.length - 1 ].window : null;
+	this.toggleGlobalEvents( this.stack.length > 0 );
+	this.toggleScrollLock( modal );
+	this.toggleAriaIsolation( modal );
+};
+
+/**
+ * Bind or unbind global events for resizing.
  *
  * @param {boolean} [on] Bind global events
  * @chainable
@@ -582,7 +697,6 @@ OO.ui.WindowManager.prototype.toggleGlobalEvents = function ( on ) {
 				// Start listening for top-level window dimension changes
 				'orientationchange resize': this.onWindowResizeHandler
 			} );
-			$( this.getElementDocument().body ).css( 'overflow', 'hidden' );
 			this.globalEvents = true;
 		}
 	} else if ( this.globalEvents ) {
@@ -590,13 +704,35 @@ OO.ui.WindowManager.prototype.toggleGlobalEvents = function ( on ) {
 			// Stop listening for top-level window dimension changes
 			'orientationchange resize': this.onWindowResizeHandler
 		} );
-		$( this.getElementDocument().body ).css( 'overflow', '' );
 		this.globalEvents = false;
 	}
 
 	return this;
 };
 
+/**
+ * Prevent or allow scrolling of the page behind the windows.
+ *
+ * @private
+ * @param {boolean} [lock] Prevent scrolling of the page
+ * @chainable
+ */
+OO.ui.WindowManager.prototype.toggleScrollLock = function ( lock ) {
+	lock = lock === undefined ? !this.scrollLocked : !!lock;
+
+	if ( lock ) {
+		if ( !this.scrollLocked ) {
+			$( this.getElementDocument().body ).css( 'overflow', 'hidden' );
+			this.scrollLocked = true;
+		}
+	} else if ( this.scrollLocked ) {
+		$( this.getElementDocument().body ).css( 'overflow', '' );
+		this.scrollLocked = false;
+	}
+
+	return this;
+};
+
 /**
  * Toggle screen reader visibility of content other than the window manager.
  *
@@ -625,10 +761,39 @@ OO.ui.WindowManager.prototype.toggleAriaIsolation = function ( isolate ) {
 
 /**
  * Destroy window manager.
+ *
+ * Windows that are still opening, opened or closing are not closed: their promises are rejected
+ * right away, without running the hold and teardown processes of the windows.
  */
 OO.ui.WindowManager.prototype.destroy = function () {
+	var i, len, entry, name,
+		error = new OO.ui.Error( 'Window manager was destroyed' );
+
+	// Cancel opening and closing windows instead of waiting for them, the manager is gone
+	for ( i = 0, len = this.stack.length; i < len; i++ ) {
+		entry = this.stack[ i ];
+		clearTimeout( entry.timeout );
+		if ( entry.opening ) {
+			entry.opening.reject( error );
+		}
+		if ( entry.opened ) {
+			entry.opened.resolve( $.Deferred().reject( error ).promise() );
+		}
+		if ( entry.closing ) {
+			entry.closing.reject( error );
+		}
+		entry.window.$element.removeAttr( 'aria-hidden' );
+	}
+	this.stack = [];
+	this.currentWindow = null;
+	for ( name in this.windows ) {
+		this.windows[ name ].$element.detach();
+	}
+	this.windows = {};
 	this.toggleGlobalEvents( false );
+	this.toggleScrollLock( false );
 	this.toggleAriaIsolation( false );
-	this.clearWindows();
-	this.$element.remove();
+
+	// Parent method
+	OO.ui.WindowManager.super.prototype.destroy.call( this );
 };
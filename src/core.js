@@ -8,6 +8,27 @@ OO.ui = {};
 
 OO.ui.bind = $.proxy;
 
+/**
+ * Bind the value of a widget to a property of an observable model, so that each is updated when
+ * the other changes.
+ *
+ *     var binding = OO.ui.bindWidget( new OO.ui.TextInputWidget(), model, 'user.name', {
+ *         toModel: function ( value ) {
+ *             return $.trim( value );
+ *         }
+ *     } );
+ *
+ * @see OO.ui.Binding
+ * @param {OO.ui.Widget} widget Widget
+ * @param {OO.EventEmitter} model Model
+ * @param {string} path Path to the property of the model, property names joined with dots
+ * @param {Object} [config] Configuration options, see OO.ui.Binding
+ * @return {OO.ui.Binding} Binding
+ */
+OO.ui.bindWidget = function ( widget, model, path, config ) {
+	return new OO.ui.Binding( widget, model, path, config );
+};
+
 /**
  * @property {Object}
  */
@@ -30,6 +51,74 @@ OO.ui.Keys = {
 	SPACE: 32
 };
 
+/**
+ * @property {number}
+ */
+OO.ui.elementId = 0;
+
+/**
+ * Warn about misuse of the library in the console, such as using elements after they were
+ * destroyed.
+ *
+ * Off by default, because the checks slow the library down; turn it on while developing.
+ *
+ * @property {boolean}
+ */
+OO.ui.debug = false;
+
+/**
+ * Reconstitute a JavaScript object corresponding to a widget created by the PHP implementation.
+ *
+ * @see OO.ui.Element#static-infuse
+ * @param {string|HTMLElement|jQuery} idOrNode A DOM id (if a string) or node for the widget to infuse
+ * @return {OO.ui.Element} The `OO.ui.Element` corresponding to this (infusable) document node
+ */
+OO.ui.infuse = function ( idOrNode ) {
+	return OO.ui.Element.static.infuse( idOrNode );
+};
+
+/**
+ * Registry of themes which can be switched between at runtime.
+ *
+ * Each theme script registers its theme with it.
+ *
+ * @property {OO.ui.ThemeRegistry}
+ */
+OO.ui.themeRegistry = null;
+
+/**
+ * Default widget factory, used by OO.ui.create and OO.ui.serialize.
+ *
+ * Register classes with it to make them available to specifications by their static `name`.
+ *
+ * @property {OO.ui.WidgetFactory}
+ */
+OO.ui.widgetFactory = null;
+
+/**
+ * Create a widget or other element from a specification, such as one stored as JSON.
+ *
+ *     var button = OO.ui.create( { _: 'ButtonWidget', label: 'Click me', flags: [ 'primary' ] } );
+ *
+ * @see OO.ui.WidgetFactory#create
+ * @param {Object} spec Configuration options with the class name in the `_` property
+ * @return {OO.ui.Element} New element
+ */
+OO.ui.create = function ( spec ) {
+	return OO.ui.widgetFactory.create( spec );
+};
+
+/**
+ * Serialize a widget or other element to a specification that can be passed to OO.ui.create.
+ *
+ * @see OO.ui.WidgetFactory#serialize
+ * @param {OO.ui.Element} element Element
+ * @return {Object} Specification
+ */
+OO.ui.serialize = function ( element ) {
+	return OO.ui.widgetFactory.serialize( element );
+};
+
 /**
  * Get the user's language and any fallback languages.
  *
@@ -103,6 +192,136 @@ OO.ui.contains = function ( containers, contained, matchContainers ) {
 	return false;
 };
 
+/**
+ * Return a function, that, as long as it continues to be invoked, will not be triggered. The
+ * function will be called after it stops being called for `wait` milliseconds. If `immediate` is
+ * passed, trigger the function on the leading edge, instead of the trailing.
+ *
+ * Ported from: http://underscorejs.org/underscore.js
+ *
+ * @param {Function} func Function to debounce
+ * @param {number} wait Wait period in milliseconds
+ * @param {boolean} [immediate] Trigger on leading edge
+ * @return {Function} Debounced function
+ */
+OO.ui.debounce = function ( func, wait, immediate ) {
+	var timeout;
+	return function () {
+		var context = this,
+			args = arguments,
+			later = function () {
+				timeout = null;
+				if ( !immediate ) {
+					func.apply( context, args );
+				}
+			};
+		if ( immediate && !timeout ) {
+			func.apply( context, args );
+		}
+		clearTimeout( timeout );
+		timeout = setTimeout( later, wait );
+	};
+};
+
+/**
+ * Generate a unique ID for an element.
+ *
+ * IDs have the same `ooui-` prefix as those generated by the PHP implementation. IDs already used
+ * in the document, such as those of infusable elements rendered by PHP, are skipped.
+ *
+ * @return {string} ID
+ */
+OO.ui.generateElementId = function () {
+	var id;
+
+	do {
+		OO.ui.elementId += 1;
+		id = 'ooui-' + OO.ui.elementId;
+	} while ( document.getElementById( id ) );
+	return id;
+};
+
+/**
+ * Get the default overlay of a document, which is used by widgets given `$overlay: true`.
+ *
+ * Menus and popups appended to an overlay are not clipped by the `overflow` of the containers of
+ * their widgets, such as scrollable panels and dialogs. The default overlay is appended to the body
+ * of the document the first time it is used.
+ *
+ * @param {HTMLDocument} [doc=document] Document of the widgets using the overlay
+ * @return {jQuery} Default overlay node
+ */
+OO.ui.getDefaultOverlay = function ( doc ) {
+	var $overlay;
+
+	doc = doc || document;
+	$overlay = $( doc.body ).children( '.oo-ui-defaultOverlay' );
+	if ( !$overlay.length ) {
+		$overlay = $( doc.createElement( 'div' ) )
+			.addClass( 'oo-ui-defaultOverlay' )
+			.appendTo( doc.body );
+	}
+	return $overlay;
+};
+
+/**
+ * Get the overlay an element was configured to use, from its `$overlay` configuration option.
+ *
+ * @param {jQuery|boolean} [$overlay] Overlay node, or `true` for the default overlay of the
+ *  element's document (see OO.ui#getDefaultOverlay)
+ * @param {OO.ui.Element} element Element using the overlay
+ * @return {jQuery|null} Overlay node, or null if the element doesn't use an overlay
+ */
+OO.ui.resolveOverlay = function ( $overlay, element ) {
+	if ( $overlay === true ) {
+		return OO.ui.getDefaultOverlay( element.getElementDocument() );
+	}
+	return $overlay || null;
+};
+
+/**
+ * Notification stack used by OO.ui#notify, created by OO.ui#getNotificationStack when it is first
+ * used.
+ *
+ * @private
+ * @property {OO.ui.NotificationStackWidget|null}
+ */
+OO.ui.notificationStack = null;
+
+/**
+ * Get the notification stack used by OO.ui#notify.
+ *
+ * The stack is appended to the body of the document the first time it is used.
+ *
+ * @return {OO.ui.NotificationStackWidget} Notification stack
+ */
+OO.ui.getNotificationStack = function () {
+	if ( !OO.ui.notificationStack ) {
+		OO.ui.notificationStack = new OO.ui.NotificationStackWidget();
+		$( 'body' ).append( OO.ui.notificationStack.$element );
+	}
+	return OO.ui.notificationStack;
+};
+
+/**
+ * Show a non-modal notification in a corner of the page.
+ *
+ *     OO.ui.notify( 'Saved.', { type: 'success' } );
+ *     OO.ui.notify( 'Request failed.', { type: 'error', autoHide: false } );
+ *
+ * @see OO.ui.NotificationWidget
+ * @param {string|jQuery|Function} message Message to show
+ * @param {Object} [options] Configuration options for OO.ui.NotificationWidget, such as `type`,
+ *  `autoHide` and `actions`
+ * @return {OO.ui.NotificationWidget} Notification, which emits `action` and `close` events
+ */
+OO.ui.notify = function ( message, options ) {
+	var notification = new OO.ui.NotificationWidget( $.extend( {}, options, { label: message } ) );
+
+	OO.ui.getNotificationStack().push( notification );
+	return notification;
+};
+
 ( function () {
 	/**
 	 * Message store for the default implementation of OO.ui.msg
@@ -119,12 +338,108 @@ OO.ui.contains = function ( containers, contained, matchContainers ) {
 		'ooui-outline-control-move-up': 'Move item up',
 		// Tool tip for a button that removes items from a list
 		'ooui-outline-control-remove': 'Remove item',
+		// Tool tip for an icon that removes an item from a multiple selection
+		'ooui-item-remove': 'Remove',
+		// Error shown beneath a form field that must not be left empty
+		'ooui-validation-required': 'This field is required.',
+		// Error shown beneath a form field whose value is too short, $1 is the minimum length
+		'ooui-validation-length-min': 'Please enter at least $1 characters.',
+		// Error shown beneath a form field whose value is too long, $1 is the maximum length
+		'ooui-validation-length-max': 'Please enter no more than $1 characters.',
+		// Error shown beneath a form field whose value is not valid
+		'ooui-validation-invalid': 'Please enter a valid value.',
+		// Error shown beneath a date field whose date is too early, $1 is the earliest allowed date
+		'ooui-validation-date-min': 'Please enter a date on or after $1.',
+		// Error shown beneath a date field whose date is too late, $1 is the latest allowed date
+		'ooui-validation-date-max': 'Please enter a date on or before $1.',
+		// Error shown beneath a list of items that has too few items, $1 is the minimum number of items
+		'ooui-validation-items-min': 'Please add at least $1 items.',
+		// Error shown beneath a list of items that has too many items, $1 is the maximum number of items
+		'ooui-validation-items-max': 'Please add no more than $1 items.',
+		// Error shown beneath a list of items when some of its items are not valid
+		'ooui-validation-items-invalid': 'Some items are not valid.',
+		// Format dates are shown and typed in, using YYYY for the year, MM or M for the month and DD or D for the day, with or without leading zeros
+		'ooui-dateinput-format': 'YYYY-MM-DD',
+		// Placeholder shown in empty date fields, describing the format dates are typed in
+		'ooui-dateinput-placeholder': 'YYYY-MM-DD',
+		// Tool tip for a button that shows the previous month in a calendar
+		'ooui-calendar-previous-month': 'Previous month',
+		// Tool tip for a button that shows the next month in a calendar
+		'ooui-calendar-next-month': 'Next month',
+		// Title of a calendar, $1 is the name of the month and $2 is the year
+		'ooui-calendar-month-year': '$1 $2',
+		// Name of the month of January in the title of a calendar
+		'ooui-calendar-january': 'January',
+		// Name of the month of February in the title of a calendar
+		'ooui-calendar-february': 'February',
+		// Name of the month of March in the title of a calendar
+		'ooui-calendar-march': 'March',
+		// Name of the month of April in the title of a calendar
+		'ooui-calendar-april': 'April',
+		// Name of the month of May in the title of a calendar
+		'ooui-calendar-may': 'May',
+		// Name of the month of June in the title of a calendar
+		'ooui-calendar-june': 'June',
+		// Name of the month of July in the title of a calendar
+		'ooui-calendar-july': 'July',
+		// Name of the month of August in the title of a calendar
+		'ooui-calendar-august': 'August',
+		// Name of the month of September in the title of a calendar
+		'ooui-calendar-september': 'September',
+		// Name of the month of October in the title of a calendar
+		'ooui-calendar-october': 'October',
+		// Name of the month of November in the title of a calendar
+		'ooui-calendar-november': 'November',
+		// Name of the month of December in the title of a calendar
+		'ooui-calendar-december': 'December',
+		// Abbreviation of Sunday in the column headers of a calendar
+		'ooui-calendar-sunday-short': 'Su',
+		// Abbreviation of Monday in the column headers of a calendar
+		'ooui-calendar-monday-short': 'Mo',
+		// Abbreviation of Tuesday in the column headers of a calendar
+		'ooui-calendar-tuesday-short': 'Tu',
+		// Abbreviation of Wednesday in the column headers of a calendar
+		'ooui-calendar-wednesday-short': 'We',
+		// Abbreviation of Thursday in the column headers of a calendar
+		'ooui-calendar-thursday-short': 'Th',
+		// Abbreviation of Friday in the column headers of a calendar
+		'ooui-calendar-friday-short': 'Fr',
+		// Abbreviation of Saturday in the column headers of a calendar
+		'ooui-calendar-saturday-short': 'Sa',
+		// Tool tip for a button that closes a tab
+		'ooui-tab-close': 'Close tab',
+		// Tool tip for a button that scrolls a strip of tabs back to show the tabs before those in view
+		'ooui-tabselect-scroll-previous': 'Scroll to previous tabs',
+		// Tool tip for a button that scrolls a strip of tabs forward to show the tabs after those in view
+		'ooui-tabselect-scroll-next': 'Scroll to next tabs',
 		// Label for the toolbar group that contains a list of all other available tools
 		'ooui-toolbar-more': 'More',
 		// Label for the fake tool that expands the full list of tools in a toolbar group
 		'ooui-toolgroup-expand': 'More',
 		// Label for the fake tool that collapses the full list of tools in a toolbar group
 		'ooui-toolgroup-collapse': 'Fewer',
+		// Tool tip for a button that closes a notification
+		'ooui-notification-close': 'Dismiss',
+		// Label for the button that opens the file picker of a file selection widget
+		'ooui-selectfile-button-select': 'Select a file',
+		// Label for the button that opens the file picker of a file selection widget allowing several files
+		'ooui-selectfile-button-select-multiple': 'Select files',
+		// Text shown in a file selection widget when no file is selected
+		'ooui-selectfile-placeholder': 'No file is selected',
+		// Text shown in a file selection drop target
+		'ooui-selectfile-dragdrop-placeholder': 'Drop file here',
+		// Text shown in a file selection drop target allowing several files
+		'ooui-selectfile-dragdrop-placeholder-multiple': 'Drop files here',
+		// Message for a file that can't be selected because of its type, $1 is the name of the file
+		'ooui-selectfile-reject-type': 'The file "$1" is not of an allowed type.',
+		// Message for a file that can't be selected because of its size, $1 is the name of the file
+		'ooui-selectfile-reject-size': 'The file "$1" is too large.',
+		// Label for a button that adds an item to a list of items
+		'ooui-repeatablegroup-add': 'Add item',
+		// Tool tip for a button that removes an item from a list of items
+		'ooui-repeatablegroup-remove': 'Remove item',
+		// Message asking for confirmation before leaving a page with a form whose changes were not sent
+		'ooui-formlayout-unload-warning': 'Changes you made may not be saved.',
 		// Default label for the accept button of a confirmation dialog
 		'ooui-dialog-message-accept': 'OK',
 		// Default label for the reject button of a confirmation dialog
@@ -245,3 +245,36 @@ OO.ui.ButtonElement.prototype.setActive = function ( value ) {
 	this.$element.toggleClass( 'oo-ui-buttonElement-active', !!value );
 	return this;
 };
+
+/**
+ * Add configuration options reflecting the frame and access key to those of the element.
+ *
+ * Classes mixing this in call it from their OO.ui.Element#getConfig override.
+ *
+ * @protected
+ * @param {Object} config Configuration options to add to
+ * @return {Object} Configuration options
+ */
+OO.ui.ButtonElement.prototype.getButtonElementConfig = function ( config ) {
+	if ( !this.isFramed() ) {
+		config.framed = false;
+	}
+	if ( this.accessKey !== null ) {
+		config.accessKey = this.accessKey;
+	}
+	return config;
+};
+
+/**
+ * Stop listening to the document for the end of a press of the button.
+ *
+ * Classes mixing this in call it from their OO.ui.Element#destroy override.
+ *
+ * @protected
+ */
+OO.ui.ButtonElement.prototype.teardownButtonElement = function () {
+	var doc = this.getElementDocument();
+
+	doc.removeEventListener( 'mouseup', this.onMouseUpHandler, true );
+	doc.removeEventListener( 'keyup', this.onKeyUpHandler, true );
+};
@@ -55,7 +55,8 @@ OO.ui.ClippableElement.prototype.setClippableElement = function ( $clippable ) {
 /**
  * Toggle clipping.
  *
- * Do not turn clipping on until after the element is attached to the DOM and visible.
+ * Clipping is updated when the element is attached to the DOM or becomes visible, so it is best,
+ * but no longer necessary, to turn clipping on after the element is attached and visible.
  *
  * @param {boolean} [clipping] Enable clipping, omit to toggle
  * @chainable
@@ -66,15 +67,14 @@ OO.ui.ClippableElement.prototype.toggleClipping = function ( clipping ) {
 	if ( this.clipping !== clipping ) {
 		this.clipping = clipping;
 		if ( clipping ) {
-			this.$clippableContainer = $( this.getClosestScrollableElementContainer() );
-			// If the clippable container is the root, we have to listen to scroll events and check
-			// jQuery.scrollTop on the window because of browser inconsistencies
-			this.$clippableScroller = this.$clippableContainer.is( 'html, body' ) ?
-				$( OO.ui.Element.static.getWindow( this.$clippableContainer ) ) :
-				this.$clippableContainer;
-			this.$clippableScroller.on( 'scroll', this.onClippableContainerScrollHandler );
+			this.updateClippableContainer();
 			this.$clippableWindow = $( this.getElementWindow() )
 				.on( 'resize', this.onClippableWindowResizeHandler );
+			this.watchLifecycle();
+			this.connect( this, {
+				attach: 'onClippableElementAttach',
+				visibilitychange: 'onClippableElementVisibilityChange'
+			} );
 			// Initial clip after visible
 			this.clip();
 		} else {
@@ -86,12 +86,58 @@ OO.ui.ClippableElement.prototype.toggleClipping = function ( clipping ) {
 			this.$clippableScroller = null;
 			this.$clippableWindow.off( 'resize', this.onClippableWindowResizeHandler );
 			this.$clippableWindow = null;
+			this.disconnect( this, {
+				attach: 'onClippableElementAttach',
+				visibilitychange: 'onClippableElementVisibilityChange'
+			} );
+			this.unwatchLifecycle();
 		}
 	}
 
 	return this;
 };
 
+/**
+ * Find the nearest scrollable container, and listen to it scrolling.
+ *
+ * @private
+ */
+OO.ui.ClippableElement.prototype.updateClippableContainer = function () {
+	if ( this.$clippableScroller ) {
+		this.$clippableScroller.off( 'scroll', this.onClippableContainerScrollHandler );
+	}
+	this.$clippableContainer = $( this.getClosestScrollableElementContainer() );
+	// If the clippable container is the root, we have to listen to scroll events and check
+	// jQuery.scrollTop on the window because of browser inconsistencies
+	this.$clippableScroller = this.$clippableContainer.is( 'html, body' ) ?
+		$( OO.ui.Element.static.getWindow( this.$clippableContainer ) ) :
+		this.$clippableContainer;
+	this.$clippableScroller.on( 'scroll', this.onClippableContainerScrollHandler );
+};
+
+/**
+ * Handle attach events while clipping.
+ *
+ * @private
+ */
+OO.ui.ClippableElement.prototype.onClippableElementAttach = function () {
+	// The nearest scrollable container is probably another one than when clipping was turned on
+	this.updateClippableContainer();
+	this.clip();
+};
+
+/**
+ * Handle visibility change events while clipping.
+ *
+ * @private
+ * @param {boolean} visible The element is visible
+ */
+OO.ui.ClippableElement.prototype.onClippableElementVisibilityChange = function ( visible ) {
+	if ( visible ) {
+		this.clip();
+	}
+};
+
 /**
  * Check if the element will be clipped to fit the visible area of the nearest scrollable container.
  *
@@ -203,3 +249,16 @@ OO.ui.ClippableElement.prototype.clip = function () {
 
 	return this;
 };
+
+/**
+ * Stop clipping the element.
+ *
+ * Classes mixing this in call it from their OO.ui.Element#destroy override.
+ *
+ * @protected
+ */
+OO.ui.ClippableElement.prototype.teardownClippableElement = function () {
+	if ( this.isClipping() ) {
+		this.toggleClipping( false );
+	}
+};
@@ -86,6 +86,22 @@ OO.ui.FlaggedElement.prototype.getFlags = function () {
 	return Object.keys( this.flags );
 };
 
+/**
+ * Add configuration options reflecting the flags to those of the element.
+ *
+ * Classes mixing this in call it from their OO.ui.Element#getConfig override.
+ *
+ * @protected
+ * @param {Object} config Configuration options to add to
+ * @return {Object} Configuration options
+ */
+OO.ui.FlaggedElement.prototype.getFlaggedElementConfig = function ( config ) {
+	if ( this.getFlags().length ) {
+		config.flags = this.getFlags();
+	}
+	return config;
+};
+
 /**
  * Clear all flags.
  *
@@ -0,0 +1,490 @@
+/**
+ * Element that is positioned next to another element, such as a popup next to the button that
+ * opened it, staying in view of the nearest scrollable container.
+ *
+ * The element is placed above, below, before or after its container, and aligned with it on the
+ * other axis. If it doesn't fit on the side asked for, it is flipped to the opposite side if there
+ * is more room there, and it is shifted along the other axis to stay inside the boundary. Its
+ * position is updated when the boundary is scrolled or the window is resized; if the size of the
+ * element or the position of its container changes for any other reason, call #position.
+ *
+ * @abstract
+ * @class
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ * @cfg {jQuery} [$floatable] Node to position, assigned to #$floatable, omit to use #$element
+ * @cfg {jQuery} [$floatableContainer] Node to position the element next to
+ * @cfg {jQuery} [$floatableBoundary] Node to keep the element inside of, omit to use the closest
+ *  scrollable container of the container
+ * @cfg {string} [position='below'] Side of the container to place the element on, either 'above',
+ *  'below', 'before' or 'after'
+ * @cfg {string} [align='center'] Alignment with the container when placed above or below it,
+ *  either 'start', 'center' or 'end', or 'left' or 'right' regardless of the text direction
+ * @cfg {boolean} [autoFlip=true] Flip the element to the opposite side if it doesn't fit
+ * @cfg {number} [boundaryPadding=10] Space to keep between the element and the boundary, in pixels
+ */
+OO.ui.FloatableElement = function OoUiFloatableElement( config ) {
+	// Configuration initialization
+	config = config || {};
+
+	// Properties
+	this.$floatable = null;
+	this.$floatableContainer = null;
+	this.$floatableBoundary = config.$floatableBoundary || null;
+	this.$floatableScroller = null;
+	this.$floatableWindow = null;
+	this.floatablePosition = config.position || 'below';
+	this.floatableAlign = config.align || 'center';
+	this.autoFlip = config.autoFlip === undefined || !!config.autoFlip;
+	this.boundaryPadding = config.boundaryPadding !== undefined ? config.boundaryPadding : 10;
+	this.floatablePlacement = null;
+	this.positioning = false;
+	this.onFloatableScrollHandler = this.position.bind( this );
+	this.onFloatableWindowResizeHandler = this.position.bind( this );
+
+	// Initialization
+	this.setFloatableElement( config.$floatable || this.$element );
+	this.setFloatableContainer( config.$floatableContainer || null );
+};
+
+/* Setup */
+
+OO.initClass( OO.ui.FloatableElement );
+
+/* Static Methods */
+
+/**
+ * Compute where to place an element next to another one.
+ *
+ * All rectangles are objects with `top`, `left`, `width` and `height` properties, in the same
+ * coordinates, such as those of the document.
+ *
+ * @static
+ * @param {Object} container Rectangle of the element to place the element next to
+ * @param {Object} size Size of the element to place, as `width` and `height`
+ * @param {Object} boundary Rectangle to keep the element inside of
+ * @param {Object} [options] Options
+ * @param {string} [options.position='below'] Side to place the element on, either 'above',
+ *  'below', 'before' or 'after'
+ * @param {string} [options.align='center'] Alignment when placed above or below, either 'start',
+ *  'center', 'end', 'left' or 'right'
+ * @param {boolean} [options.rtl=false] Text direction is right-to-left, so 'before' is right
+ * @param {boolean} [options.autoFlip=true] Flip to the opposite side if the element doesn't fit
+ * @param {number} [options.padding=0] Space to keep between the element and the boundary
+ * @param {number} [options.gap=0] Space to keep between the element and the container, such as
+ *  for an anchor pointing at the container
+ * @param {number} [options.tipInset=0] Smallest distance of the tip from the corners of the element
+ * @return {Object} Placement
+ * @return {string} return.position Side the element is placed on, after flipping
+ * @return {string} return.side Physical side, either 'top', 'bottom', 'left' or 'right'
+ * @return {number} return.top Top of the element
+ * @return {number} return.left Left of the element
+ * @return {Object} return.tip Point on the container's edge an anchor should point from, as `top`
+ *  and `left`; as close to the middle of the edge as the element allows
+ * @return {number} return.room Space for the element on its side, before reaching the boundary
+ */
+OO.ui.FloatableElement.static.computePosition = function ( container, size, boundary, options ) {
+	var vertical, side, extent, start, min, max, tip, room,
+		sides = { above: 'top', below: 'bottom' },
+		flipped = { above: 'below', below: 'above', before: 'after', after: 'before' },
+		placement = {};
+
+	options = $.extend( {
+		position: 'below',
+		align: 'center',
+		rtl: false,
+		autoFlip: true,
+		padding: 0,
+		gap: 0,
+		tipInset: 0
+	}, options );
+
+	sides.before = options.rtl ? 'right' : 'left';
+	sides.after = options.rtl ? 'left' : 'right';
+
+	function getRoom( side ) {
+		return options[ side ] - options.padding - options.gap;
+	}
+	// Room on each side of the container
+	options.top = container.top - boundary.top;
+	options.bottom = boundary.top + boundary.height - container.top - container.height;
+	options.left = container.left - boundary.left;
+	options.right = boundary.left + boundary.width - container.left - container.width;
+
+	placement.position = sides[ options.position ] ? options.position : 'below';
+	vertical = placement.position === 'above' || placement.position === 'below';
+	extent = vertical ? size.height : size.width;
+	if (
+		options.autoFlip &&
+		getRoom( sides[ placement.position ] ) < extent &&
+		getRoom( sides[ flipped[ placement.position ] ] ) > getRoom( sides[ placement.position ] )
+	) {
+		placement.position = flipped[ placement.position ];
+	}
+	side = placement.side = sides[ placement.position ];
+	room = placement.room = getRoom( side );
+
+	// Place against the container on the main axis
+	if ( side === 'top' ) {
+		placement.top = container.top - options.gap - size.height;
+	} else if ( side === 'bottom' ) {
+		placement.top = container.top + container.height + options.gap;
+	} else if ( side === 'left' ) {
+		placement.left = container.left - options.gap - size.width;
+	} else {
+		placement.left = container.left + container.width + options.gap;
+	}
+
+	// Align with the container on the other axis, and shift to stay inside the boundary
+	if ( vertical ) {
+		switch ( options.align ) {
+			case 'left':
+				start = container.left;
+				break;
+			case 'right':
+				start = container.left + container.width - size.width;
+				break;
+			case 'start':
+			case 'end':
+				start = ( options.align === 'start' ) !== options.rtl ?
+					container.left : container.left + container.width - size.width;
+				break;
+			default:
+				start = container.left + ( container.width - size.width ) / 2;
+		}
+		min = boundary.left + options.padding;
+		max = boundary.left + boundary.width - options.padding - size.width;
+		placement.left = Math.max( min, Math.min( max, start ) );
+		tip = container.left + container.width / 2;
+		placement.tip = {
+			top: side === 'top' ? container.top : container.top + container.height,
+			left: Math.max(
+				placement.left + options.tipInset,
+				Math.min( placement.left + size.width - options.tipInset, tip )
+			)
+		};
+	} else {
+		start = container.top + ( container.height - size.height ) / 2;
+		min = boundary.top + options.padding;
+		max = boundary.top + boundary.height - options.padding - size.height;
+		placement.top = Math.max( min, Math.min( max, start ) );
+		tip = container.top + container.height / 2;
+		placement.tip = {
+			top: Math.max(
+				placement.top + options.tipInset,
+				Math.min( placement.top + size.height - options.tipInset, tip )
+			),
+			left: side === 'left' ? container.left : container.left + container.width
+		};
+	}
+
+	return placement;
+};
+
+/* Methods */
+
+/**
+ * Set floatable element.
+ *
+ * If an element is already set, it will be cleaned up before setting up the new element.
+ *
+ * @param {jQuery} $floatable Element to position
+ */
+OO.ui.FloatableElement.prototype.setFloatableElement = function ( $floatable ) {
+	if ( this.$floatable ) {
+		this.$floatable
+			.removeClass( 'oo-ui-floatableElement-floatable' )
+			.css( { top: '', left: '' } );
+	}
+
+	this.$floatable = $floatable.addClass( 'oo-ui-floatableElement-floatable' );
+	if ( this.positioning ) {
+		this.position();
+	}
+};
+
+/**
+ * Set the element to position the floatable element next to.
+ *
+ * @param {jQuery|null} $floatableContainer Element to position next to, null to stop positioning
+ *  the floatable element
+ */
+OO.ui.FloatableElement.prototype.setFloatableContainer = function ( $floatableContainer ) {
+	this.$floatableContainer = $floatableContainer;
+	if ( this.positioning ) {
+		this.position();
+	}
+};
+
+/**
+ * Get the side the element was last placed on.
+ *
+ * @return {string} Either 'above', 'below', 'before' or 'after', which differs from the `position`
+ *  option if the element was flipped
+ */
+OO.ui.FloatableElement.prototype.getFloatablePosition = function () {
+	return this.floatablePlacement ? this.floatablePlacement.position : this.floatablePosition;
+};
+
+/**
+ * Toggle positioning.
+ *
+ * Do not turn positioning on until after the element is attached to the DOM and visible. Elements
+ * which are also clippable should turn positioning on before clipping, so they are clipped after
+ * being moved.
+ *
+ * @param {boolean} [positioning] Enable positioning, omit to toggle
+ * @chainable
+ */
+OO.ui.FloatableElement.prototype.togglePositioning = function ( positioning ) {
+	var $boundary;
+
+	positioning = positioning === undefined ? !this.positioning : !!positioning;
+
+	if ( this.positioning !== positioning ) {
+		this.positioning = positioning;
+		if ( positioning ) {
+			$boundary = this.getFloatableBoundary();
+			// If the boundary is the root, we have to listen to scroll events on the window
+			this.$floatableScroller = $boundary.is( 'html, body' ) ?
+				$( OO.ui.Element.static.getWindow( $boundary ) ) :
+				$boundary;
+			this.$floatableScroller.on( 'scroll', this.onFloatableScrollHandler );
+			this.$floatableWindow = $( this.getElementWindow() )
+				.on( 'resize', this.onFloatableWindowResizeHandler );
+			if ( this.$floatableWindow[ 0 ] !== this.$floatableScroller[ 0 ] ) {
+				this.$floatableWindow.on( 'scroll', this.onFloatableScrollHandler );
+			}
+			// Initial positioning after visible
+			this.updateFloatableZIndex();
+			this.position();
+		} else {
+			this.$floatable.removeClass( 'oo-ui-floatableElement-outOfView' );
+			this.$floatableScroller.off( 'scroll', this.onFloatableScrollHandler );
+			this.$floatableScroller = null;
+			this.$floatableWindow
+				.off( 'resize', this.onFloatableWindowResizeHandler )
+				.off( 'scroll', this.onFloatableScrollHandler );
+			this.$floatableWindow = null;
+		}
+	}
+
+	return this;
+};
+
+/**
+ * Check if the element is positioned next to its container.
+ *
+ * @return {boolean} Element is being positioned
+ */
+OO.ui.FloatableElement.prototype.isPositioning = function () {
+	return this.positioning;
+};
+
+/**
+ * Get the element to keep the floatable element inside of.
+ *
+ * @return {jQuery} Boundary
+ */
+OO.ui.FloatableElement.prototype.getFloatableBoundary = function () {
+	return this.$floatableBoundary || $( OO.ui.Element.static.getClosestScrollableContainer(
+		( this.$floatableContainer || this.$floatable )[ 0 ]
+	) );
+};
+
+/**
+ * Get the rectangle of the boundary which is in view, in the coordinates of the container's
+ * document.
+ *
+ * @private
+ * @return {Object} Rectangle, with `top`, `left`, `width` and `height` properties
+ */
+OO.ui.FloatableElement.prototype.getFloatableBoundaryRect = function () {
+	var offset,
+		$boundary = this.getFloatableBoundary(),
+		$window = $( OO.ui.Element.static.getWindow( $boundary ) ),
+		view = {
+			top: $window.scrollTop(),
+			left: $window.scrollLeft(),
+			width: $window.width(),
+			height: $window.height()
+		},
+		rect = view;
+
+	if ( !$boundary.is( 'html, body' ) ) {
+		offset = $boundary.offset();
+		rect = {
+			top: Math.max( view.top, offset.top + $boundary[ 0 ].clientTop ),
+			left: Math.max( view.left, offset.left + $boundary[ 0 ].clientLeft )
+		};
+		rect.width = Math.min(
+			view.left + view.width,
+			offset.left + $boundary[ 0 ].clientLeft + $boundary[ 0 ].clientWidth
+		) - rect.left;
+		rect.height = Math.min(
+			view.top + view.height,
+			offset.top + $boundary[ 0 ].clientTop + $boundary[ 0 ].clientHeight
+		) - rect.top;
+	}
+	return rect;
+};
+
+/**
+ * Get the size of the floatable element to place.
+ *
+ * @protected
+ * @return {Object} Size, as `width` and `height`, including any part of the element which is
+ *  clipped
+ */
+OO.ui.FloatableElement.prototype.getFloatableSize = function () {
+	var size = {
+		width: this.$floatable.outerWidth(),
+		height: this.$floatable.outerHeight()
+	};
+
+	// Measure clippable elements as if they were not clipped
+	if ( this.$clippable && this.$clippable[ 0 ] ) {
+		size.width += this.$clippable[ 0 ].scrollWidth - this.$clippable[ 0 ].clientWidth;
+		size.height += this.$clippable[ 0 ].scrollHeight - this.$clippable[ 0 ].clientHeight;
+	}
+	return size;
+};
+
+/**
+ * Get options for OO.ui.FloatableElement#static-method-computePosition.
+ *
+ * @protected
+ * @return {Object} Options
+ */
+OO.ui.FloatableElement.prototype.getFloatableOptions = function () {
+	return {
+		position: this.floatablePosition,
+		align: this.floatableAlign,
+		rtl: OO.ui.Element.static.getDir( this.$floatableContainer ) === 'rtl',
+		autoFlip: this.autoFlip,
+		padding: this.boundaryPadding
+	};
+};
+
+/**
+ * Position the element next to its container.
+ *
+ * @chainable
+ */
+OO.ui.FloatableElement.prototype.position = function () {
+	var container, offset, boundary;
+
+	if ( !this.positioning || !this.$floatableContainer || !this.isVisible() ) {
+		return this;
+	}
+
+	offset = this.$floatableContainer.offset();
+	container = {
+		top: offset.top,
+		left: offset.left,
+		width: this.$floatableContainer.outerWidth(),
+		height: this.$floatableContainer.outerHeight()
+	};
+	boundary = this.getFloatableBoundaryRect();
+	// Hide the element while its container is scrolled out of view, rather than leave it floating
+	// over whatever is in view instead
+	this.$floatable.toggleClass(
+		'oo-ui-floatableElement-outOfView',
+		container.top + container.height < boundary.top ||
+			container.top > boundary.top + boundary.height ||
+			container.left + container.width < boundary.left ||
+			container.left > boundary.left + boundary.width
+	);
+	this.floatablePlacement = OO.ui.FloatableElement.static.computePosition(
+		container,
+		this.getFloatableSize(),
+		boundary,
+		this.getFloatableOptions()
+	);
+	this.placeFloatable( this.floatablePlacement );
+
+	return this;
+};
+
+/**
+ * Stack the element above the containers of the element it is positioned next to.
+ *
+ * Elements in an overlay, such as the one of OO.ui#getDefaultOverlay, are outside of the stacking
+ * contexts of their containers, so they would be covered by them if they were stacked above the
+ * overlay, such as a dialog.
+ *
+ * @private
+ */
+OO.ui.FloatableElement.prototype.updateFloatableZIndex = function () {
+	var $node, zIndex,
+		node = this.$floatableContainer && this.$floatableContainer[ 0 ],
+		floatable = this.$floatable[ 0 ],
+		maxZIndex = null;
+
+	// Only consider the containers which don't also contain the floatable element
+	while ( node && node.nodeType === 1 && node !== floatable && !$.contains( node, floatable ) ) {
+		$node = $( node );
+		zIndex = parseInt( $node.css( 'z-index' ), 10 );
+		if ( !isNaN( zIndex ) && $node.css( 'position' ) !== 'static' ) {
+			maxZIndex = maxZIndex === null ? zIndex : Math.max( maxZIndex, zIndex );
+		}
+		node = node.parentNode;
+	}
+	this.$floatable.css( 'z-index', maxZIndex === null ? '' : maxZIndex + 1 );
+};
+
+/**
+ * Move the element to where it was computed to be placed.
+ *
+ * @protected
+ * @param {Object} placement Placement, as returned by
+ *  OO.ui.FloatableElement#static-method-computePosition, in the coordinates of the container's
+ *  document
+ */
+OO.ui.FloatableElement.prototype.placeFloatable = function ( placement ) {
+	var position = this.toFloatableCoordinates( placement );
+
+	this.$floatable
+		.removeClass(
+			'oo-ui-floatableElement-above oo-ui-floatableElement-below ' +
+			'oo-ui-floatableElement-before oo-ui-floatableElement-after'
+		)
+		.addClass( 'oo-ui-floatableElement-' + placement.position )
+		.css( position );
+};
+
+/**
+ * Convert a point in the coordinates of the container's document to those the floatable element
+ * is absolutely positioned in, which may be in another document.
+ *
+ * @protected
+ * @param {Object} point Point, as `top` and `left`
+ * @return {Object} Point, as `top` and `left`
+ */
+OO.ui.FloatableElement.prototype.toFloatableCoordinates = function ( point ) {
+	var $offsetParent = this.$floatable.offsetParent(),
+		offset = this.$floatableContainer.offset(),
+		relative = OO.ui.Element.static.getRelativePosition( this.$floatableContainer, $offsetParent ),
+		root = $offsetParent.is( 'html, body' );
+
+	return {
+		top: point.top - offset.top + relative.top +
+			( root ? 0 : $offsetParent.scrollTop() - $offsetParent[ 0 ].clientTop ),
+		left: point.left - offset.left + relative.left +
+			( root ? 0 : $offsetParent.scrollLeft() - $offsetParent[ 0 ].clientLeft )
+	};
+};
+
+/**
+ * Stop positioning the element.
+ *
+ * Classes mixing this in call it from their OO.ui.Element#destroy override.
+ *
+ * @protected
+ */
+OO.ui.FloatableElement.prototype.teardownFloatableElement = function () {
+	if ( this.isPositioning() ) {
+		this.togglePositioning( false );
+	}
+};
@@ -135,7 +135,7 @@ OO.ui.GroupElement.prototype.aggregate = function ( events ) {
 				item = this.items[ i ];
 				if ( item.connect && item.disconnect ) {
 					remove = {};
-					remove[ itemEvent ] = [ 'emit', groupEvent, item ];
+					remove[ itemEvent ] = 'emit';
 					item.disconnect( this, remove );
 				}
 			}
@@ -198,17 +198,29 @@ OO.ui.GroupElement.prototype.addItems = function ( items, index ) {
 	}
 
 	if ( index === undefined || index < 0 || index >= this.items.length ) {
+		index = this.items.length;
+	}
+	this.insertItemElements( itemElements, index );
+	this.items.splice.apply( this.items, [ index, 0 ].concat( items ) );
+
+	return this;
+};
+
+/**
+ * Insert the elements of items being added into #$group.
+ *
+ * @protected
+ * @param {HTMLElement[]} itemElements Elements of the items
+ * @param {number} index Index the items are added at, before they are added to the list of items
+ */
+OO.ui.GroupElement.prototype.insertItemElements = function ( itemElements, index ) {
+	if ( index === this.items.length ) {
 		this.$group.append( itemElements );
-		this.items.push.apply( this.items, items );
 	} else if ( index === 0 ) {
 		this.$group.prepend( itemElements );
-		this.items.unshift.apply( this.items, items );
 	} else {
 		this.items[ index ].$element.before( itemElements );
-		this.items.splice.apply( this.items, [ index, 0 ].concat( items ) );
 	}
-
-	return this;
 };
 
 /**
@@ -232,8 +244,8 @@ OO.ui.GroupElement.prototype.removeItems = function ( items ) {
 				!$.isEmptyObject( this.aggregateItemEvents )
 			) {
 				remove = {};
-				if ( Object.prototype.hasOwnProperty.call( this.aggregateItemEvents, itemEvent ) ) {
-					remove[ itemEvent ] = [ 'emit', this.aggregateItemEvents[ itemEvent ], item ];
+				for ( itemEvent in this.aggregateItemEvents ) {
+					remove[ itemEvent ] = 'emit';
 				}
 				item.disconnect( this, remove );
 			}
@@ -264,8 +276,8 @@ OO.ui.GroupElement.prototype.clearItems = function () {
 			!$.isEmptyObject( this.aggregateItemEvents )
 		) {
 			remove = {};
-			if ( Object.prototype.hasOwnProperty.call( this.aggregateItemEvents, itemEvent ) ) {
-				remove[ itemEvent ] = [ 'emit', this.aggregateItemEvents[ itemEvent ], item ];
+			for ( itemEvent in this.aggregateItemEvents ) {
+				remove[ itemEvent ] = 'emit';
 			}
 			item.disconnect( this, remove );
 		}
@@ -276,3 +288,38 @@ OO.ui.GroupElement.prototype.clearItems = function () {
 	this.items = [];
 	return this;
 };
+
+/**
+ * Add configuration options reflecting the items to those of the element.
+ *
+ * Classes mixing this in call it from their OO.ui.Element#getConfig override.
+ *
+ * @protected
+ * @param {Object} config Configuration options to add to
+ * @return {Object} Configuration options
+ */
+OO.ui.GroupElement.prototype.getGroupElementConfig = function ( config ) {
+	if ( this.getItems().length ) {
+		config.items = this.getItems();
+	}
+	return config;
+};
+
+/**
+ * Clear the group and destroy its items.
+ *
+ * Classes mixing this in call it from their OO.ui.Element#destroy override.
+ *
+ * @protected
+ */
+OO.ui.GroupElement.prototype.teardownGroupElement = function () {
+	var i, len,
+		items = this.getItems();
+
+	this.clearItems();
+	for ( i = 0, len = items.length; i < len; i++ ) {
+		if ( items[ i ] instanceof OO.ui.Element ) {
+			items[ i ].destroy();
+		}
+	}
+};
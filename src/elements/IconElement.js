@@ -165,3 +165,19 @@ OO.ui.IconElement.prototype.getIcon = function () {
 OO.ui.IconElement.prototype.getIconTitle = function () {
 	return this.iconTitle;
 };
+
+/**
+ * Add configuration options reflecting the icon to those of the element.
+ *
+ * Classes mixing this in call it from their OO.ui.Element#getConfig override.
+ *
+ * @protected
+ * @param {Object} config Configuration options to add to
+ * @return {Object} Configuration options
+ */
+OO.ui.IconElement.prototype.getIconElementConfig = function ( config ) {
+	if ( this.getIcon() ) {
+		config.icon = this.getIcon();
+	}
+	return config;
+};
@@ -156,3 +156,19 @@ OO.ui.IndicatorElement.prototype.getIndicator = function () {
 OO.ui.IndicatorElement.prototype.getIndicatorTitle = function () {
 	return this.indicatorTitle;
 };
+
+/**
+ * Add configuration options reflecting the indicator to those of the element.
+ *
+ * Classes mixing this in call it from their OO.ui.Element#getConfig override.
+ *
+ * @protected
+ * @param {Object} config Configuration options to add to
+ * @return {Object} Configuration options
+ */
+OO.ui.IndicatorElement.prototype.getIndicatorElementConfig = function ( config ) {
+	if ( this.getIndicator() ) {
+		config.indicator = this.getIndicator();
+	}
+	return config;
+};
@@ -19,9 +19,18 @@ OO.ui.LabelElement = function OoUiLabelElement( config ) {
 	this.label = null;
 	this.autoFitLabel = config.autoFitLabel === undefined || !!config.autoFitLabel;
 
+	// Events
+	if ( this.autoFitLabel && $.fn.autoEllipsis ) {
+		// The space for the label may have changed
+		this.connect( this, { attach: 'fitLabel', resize: 'fitLabel' } );
+	}
+
 	// Initialization
 	this.setLabel( config.label || this.constructor.static.label );
 	this.setLabelElement( config.$label || $( '<span>' ) );
+	if ( this.autoFitLabel && $.fn.autoEllipsis ) {
+		this.watchLifecycle();
+	}
 };
 
 /* Setup */
@@ -102,6 +111,22 @@ OO.ui.LabelElement.prototype.getLabel = function () {
 	return this.label;
 };
 
+/**
+ * Add configuration options reflecting the label to those of the element.
+ *
+ * Classes mixing this in call it from their OO.ui.Element#getConfig override.
+ *
+ * @protected
+ * @param {Object} config Configuration options to add to
+ * @return {Object} Configuration options
+ */
+OO.ui.LabelElement.prototype.getLabelElementConfig = function ( config ) {
+	if ( this.getLabel() !== null && this.getLabel() !== undefined ) {
+		config.label = this.getLabel();
+	}
+	return config;
+};
+
 /**
  * Fit the label.
  *
@@ -10,7 +10,8 @@
  *
  * @constructor
  * @param {Object} [config] Configuration options
- * @cfg {jQuery} [$overlay] Overlay for dropdown; defaults to relative positioning
+ * @cfg {jQuery|boolean} [$overlay] Overlay for dropdown, `true` for the default overlay (see
+ *  OO.ui#getDefaultOverlay); defaults to relative positioning
  * @cfg {jQuery} [$container=this.$element] Element to render menu under
  */
 OO.ui.LookupElement = function OoUiLookupElement( config ) {
@@ -18,7 +19,7 @@ OO.ui.LookupElement = function OoUiLookupElement( config ) {
 	config = config || {};
 
 	// Properties
-	this.$overlay = config.$overlay || this.$element;
+	this.$overlay = OO.ui.resolveOverlay( config.$overlay, this ) || this.$element;
 	this.lookupMenu = new OO.ui.TextInputMenuSelectWidget( this, {
 		widget: this,
 		input: this,
@@ -324,3 +325,15 @@ OO.ui.LookupElement.prototype.getLookupMenuOptionsFromData = function () {
 	// Stub, implemented in subclass
 	return [];
 };
+
+/**
+ * Abort the pending lookup request and destroy the lookup menu.
+ *
+ * Classes mixing this in call it from their OO.ui.Element#destroy override.
+ *
+ * @protected
+ */
+OO.ui.LookupElement.prototype.teardownLookupElement = function () {
+	this.abortLookupRequest();
+	this.lookupMenu.destroy();
+};
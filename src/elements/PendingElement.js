@@ -82,3 +82,17 @@ OO.ui.PendingElement.prototype.popPending = function () {
 
 	return this;
 };
+
+/**
+ * Clear the pending stack.
+ *
+ * Classes mixing this in call it from their OO.ui.Element#destroy override.
+ *
+ * @protected
+ */
+OO.ui.PendingElement.prototype.teardownPendingElement = function () {
+	if ( this.pending > 0 ) {
+		this.pending = 0;
+		this.$pending.removeClass( 'oo-ui-pendingElement-pending' );
+	}
+};
@@ -8,14 +8,18 @@
  * @param {Object} [config] Configuration options
  * @cfg {Object} [popup] Configuration to pass to popup
  * @cfg {boolean} [popup.autoClose=true] Popup auto-closes when it loses focus
+ * @cfg {jQuery} [popup.$floatableContainer] Element to show the popup next to, omit to use #$element
+ * @cfg {jQuery|boolean} [$overlay] Overlay for the popup, `true` for the default overlay (see
+ *  OO.ui#getDefaultOverlay); defaults to relative positioning
  */
 OO.ui.PopupElement = function OoUiPopupElement( config ) {
 	// Configuration initialization
 	config = config || {};
 
 	// Properties
+	this.$overlay = OO.ui.resolveOverlay( config.$overlay, this ) || this.$element;
 	this.popup = new OO.ui.PopupWidget( $.extend(
-		{ autoClose: true },
+		{ autoClose: true, $floatableContainer: this.$element },
 		config.popup,
 		{ $autoCloseIgnore: this.$element }
 	) );
@@ -31,3 +35,14 @@ OO.ui.PopupElement = function OoUiPopupElement( config ) {
 OO.ui.PopupElement.prototype.getPopup = function () {
 	return this.popup;
 };
+
+/**
+ * Destroy the popup.
+ *
+ * Classes mixing this in call it from their OO.ui.Element#destroy override.
+ *
+ * @protected
+ */
+OO.ui.PopupElement.prototype.teardownPopupElement = function () {
+	this.popup.destroy();
+};
@@ -106,3 +106,19 @@ OO.ui.TabIndexedElement.prototype.onDisable = function () {
 OO.ui.TabIndexedElement.prototype.getTabIndex = function () {
 	return this.tabIndex;
 };
+
+/**
+ * Add configuration options reflecting the tab index to those of the element.
+ *
+ * Classes mixing this in call it from their OO.ui.Element#getConfig override.
+ *
+ * @protected
+ * @param {Object} config Configuration options to add to
+ * @return {Object} Configuration options
+ */
+OO.ui.TabIndexedElement.prototype.getTabIndexedElementConfig = function ( config ) {
+	if ( this.getTabIndex() !== 0 ) {
+		config.tabIndex = this.getTabIndex();
+	}
+	return config;
+};
@@ -92,3 +92,19 @@ OO.ui.TitledElement.prototype.setTitle = function ( title ) {
 OO.ui.TitledElement.prototype.getTitle = function () {
 	return this.title;
 };
+
+/**
+ * Add configuration options reflecting the title to those of the element.
+ *
+ * Classes mixing this in call it from their OO.ui.Element#getConfig override.
+ *
+ * @protected
+ * @param {Object} config Configuration options to add to
+ * @return {Object} Configuration options
+ */
+OO.ui.TitledElement.prototype.getTitledElementConfig = function ( config ) {
+	if ( typeof this.getTitle() === 'string' ) {
+		config.title = this.getTitle();
+	}
+	return config;
+};
@@ -8,10 +8,20 @@
  * @param {OO.ui.Widget} fieldWidget Field widget
  * @param {OO.ui.ButtonWidget} buttonWidget Button widget
  * @param {Object} [config] Configuration options
+ * @cfg {OO.ui.Widget} [fieldWidget] Field widget, used instead of the positional parameter when
+ *  the configuration object is passed as the only argument
+ * @cfg {OO.ui.ButtonWidget} [buttonWidget] Button widget, likewise
  * @cfg {string} [align='left'] Alignment mode, either 'left', 'right', 'top' or 'inline'
  * @cfg {string} [help] Explanatory text shown as a '?' icon.
  */
 OO.ui.ActionFieldLayout = function OoUiActionFieldLayout( fieldWidget, buttonWidget, config ) {
+	// Allow passing positional parameters inside the config object
+	if ( OO.isPlainObject( fieldWidget ) && buttonWidget === undefined ) {
+		config = fieldWidget;
+		fieldWidget = config.fieldWidget;
+		buttonWidget = config.buttonWidget;
+	}
+
 	// Configuration initialization
 	config = $.extend( { align: 'left' }, config );
 
@@ -38,3 +48,16 @@ OO.ui.ActionFieldLayout = function OoUiActionFieldLayout( fieldWidget, buttonWid
 /* Setup */
 
 OO.inheritClass( OO.ui.ActionFieldLayout, OO.ui.FieldLayout );
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+OO.ui.ActionFieldLayout.prototype.getConfig = function ( config ) {
+	config = config || {};
+	config.buttonWidget = this.buttonWidget;
+
+	// Parent method
+	return OO.ui.ActionFieldLayout.super.prototype.getConfig.call( this, config );
+};
@@ -0,0 +1,134 @@
+/**
+ * Card within an index layout, shown when its tab is selected.
+ *
+ * @class
+ * @extends OO.ui.PanelLayout
+ *
+ * @constructor
+ * @param {string} name Unique symbolic name of card
+ * @param {Object} [config] Configuration options
+ * @cfg {jQuery|string|Function|OO.ui.HtmlSnippet} [label] Label of the card's tab, the name of
+ *  the card is used if omitted
+ * @cfg {boolean} [closable=false] Show a button to close the card on its tab
+ */
+OO.ui.CardLayout = function OoUiCardLayout( name, config ) {
+	// Configuration initialization
+	config = $.extend( { scrollable: true }, config );
+
+	// Parent constructor
+	OO.ui.CardLayout.super.call( this, config );
+
+	// Properties
+	this.name = name;
+	this.label = config.label;
+	this.closable = !!config.closable;
+	this.tabItem = null;
+	this.active = false;
+
+	// Initialization
+	this.$element
+		.addClass( 'oo-ui-cardLayout' )
+		.attr( { id: OO.ui.generateElementId(), role: 'tabpanel' } );
+};
+
+/* Setup */
+
+OO.inheritClass( OO.ui.CardLayout, OO.ui.PanelLayout );
+
+/* Events */
+
+/**
+ * @event active
+ * @param {boolean} active Card is active
+ */
+
+/* Methods */
+
+/**
+ * Get card name.
+ *
+ * @return {string} Symbolic name of card
+ */
+OO.ui.CardLayout.prototype.getName = function () {
+	return this.name;
+};
+
+/**
+ * Check if card is active.
+ *
+ * @return {boolean} Card is active
+ */
+OO.ui.CardLayout.prototype.isActive = function () {
+	return this.active;
+};
+
+/**
+ * Check if card can be closed from its tab.
+ *
+ * @return {boolean} Card is closable
+ */
+OO.ui.CardLayout.prototype.isClosable = function () {
+	return this.closable;
+};
+
+/**
+ * Get tab item.
+ *
+ * @return {OO.ui.TabOptionWidget|null} Tab option widget
+ */
+OO.ui.CardLayout.prototype.getTabItem = function () {
+	return this.tabItem;
+};
+
+/**
+ * Set tab item.
+ *
+ * @localdoc Subclasses should override #setupTabItem instead of this method to adjust the tab
+ *   item as desired; this method is called for setting (with an object) and unsetting (with null)
+ *   and overriding methods would have to check the value of `tabItem` to avoid operating on null
+ *   instead of an OO.ui.TabOptionWidget object.
+ *
+ * @param {OO.ui.TabOptionWidget|null} tabItem Tab option widget, null to clear
+ * @chainable
+ */
+OO.ui.CardLayout.prototype.setTabItem = function ( tabItem ) {
+	this.tabItem = tabItem || null;
+	if ( tabItem ) {
+		this.$element.attr( 'aria-labelledby', tabItem.$element.attr( 'id' ) );
+		tabItem.$element.attr( 'aria-controls', this.$element.attr( 'id' ) );
+		this.setupTabItem();
+	} else {
+		this.$element.removeAttr( 'aria-labelledby' );
+	}
+	return this;
+};
+
+/**
+ * Setup tab item.
+ *
+ * @localdoc Subclasses should override this method to adjust the tab item as desired.
+ *
+ * @chainable
+ */
+OO.ui.CardLayout.prototype.setupTabItem = function () {
+	this.tabItem
+		.setLabel( this.label !== undefined ? this.label : this.name )
+		.setClosable( this.closable );
+	return this;
+};
+
+/**
+ * Set card active state.
+ *
+ * @param {boolean} active Card is active
+ * @fires active
+ */
+OO.ui.CardLayout.prototype.setActive = function ( active ) {
+	active = !!active;
+
+	if ( active !== this.active ) {
+		this.active = active;
+		this.$element.toggleClass( 'oo-ui-cardLayout-active', active );
+		this.emit( 'active', this.active );
+	}
+};
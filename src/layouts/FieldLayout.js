@@ -25,11 +25,31 @@
  * @constructor
  * @param {OO.ui.Widget} fieldWidget Field widget
  * @param {Object} [config] Configuration options
+ * @cfg {OO.ui.Widget} [fieldWidget] Field widget, used instead of the positional parameter when
+ *  the configuration object is passed as the only argument
  * @cfg {string} [align='left'] Alignment mode, either 'left', 'right', 'top' or 'inline'
  * @cfg {string} [help] Explanatory text shown as a '?' icon.
+ * @cfg {string[]} [errors] Error messages shown beneath the field, such as errors reported by the
+ *  server. Input widgets with validators replace these with their own messages when validated.
+ * @cfg {string[]} [warnings] Warning messages shown beneath the field
+ * @cfg {string} [name] Name of the field in the values of OO.ui.FormLayout, defaults to the `name`
+ *  of the input of input widgets
+ * @cfg {Function} [validator] Function validating the field widget if it has no validators of its
+ *  own, like a OO.ui.RadioSelectWidget; called with the value of the widget (see
+ *  OO.ui.Widget#getFormValue), it returns true if the value is valid, or else an error message
  */
 OO.ui.FieldLayout = function OoUiFieldLayout( fieldWidget, config ) {
-	var hasInputWidget = fieldWidget instanceof OO.ui.InputWidget;
+	var hasInputWidget, canValidate;
+
+	// Allow passing positional parameters inside the config object
+	if ( OO.isPlainObject( fieldWidget ) && config === undefined ) {
+		config = fieldWidget;
+		fieldWidget = config.fieldWidget;
+	}
+
+	hasInputWidget = fieldWidget instanceof OO.ui.InputWidget;
+	// Widgets other than inputs can be validated too, like OO.ui.RepeatableGroupWidget
+	canValidate = !!fieldWidget.updateValidity;
 
 	// Configuration initialization
 	config = $.extend( { align: 'left' }, config );
@@ -42,9 +62,14 @@ OO.ui.FieldLayout = function OoUiFieldLayout( fieldWidget, config ) {
 
 	// Properties
 	this.fieldWidget = fieldWidget;
+	this.name = config.name || null;
+	this.validator = config.validator || null;
 	this.$field = $( '<div>' );
 	this.$body = $( '<' + ( hasInputWidget ? 'label' : 'div' ) + '>' );
 	this.align = null;
+	this.errors = [];
+	this.warnings = [];
+	this.$messages = $( '<ul>' );
 	if ( config.help ) {
 		this.popupButtonWidget = new OO.ui.PopupButtonWidget( {
 			classes: [ 'oo-ui-fieldLayout-help' ],
@@ -67,18 +92,26 @@ OO.ui.FieldLayout = function OoUiFieldLayout( fieldWidget, config ) {
 		this.$label.on( 'click', this.onLabelClick.bind( this ) );
 	}
 	this.fieldWidget.connect( this, { disable: 'onFieldDisable' } );
+	if ( canValidate ) {
+		this.fieldWidget.connect( this, { validate: 'onFieldValidate' } );
+	}
 
 	// Initialization
 	this.$element
 		.addClass( 'oo-ui-fieldLayout' )
-		.append( this.$help, this.$body );
+		.append( this.$help, this.$body, this.$messages );
 	this.$body.addClass( 'oo-ui-fieldLayout-body' );
+	this.$messages
+		.addClass( 'oo-ui-fieldLayout-messages' )
+		.attr( 'aria-live', 'polite' );
 	this.$field
 		.addClass( 'oo-ui-fieldLayout-field' )
 		.toggleClass( 'oo-ui-fieldLayout-disable', this.fieldWidget.isDisabled() )
 		.append( this.fieldWidget.$element );
 
 	this.setAlignment( config.align );
+	this.setErrors( config.errors || [] );
+	this.setWarnings( config.warnings || [] );
 };
 
 /* Setup */
@@ -97,6 +130,19 @@ OO.ui.FieldLayout.prototype.onFieldDisable = function ( value ) {
 	this.$element.toggleClass( 'oo-ui-fieldLayout-disabled', value );
 };
 
+/**
+ * Handle field validate events.
+ *
+ * @param {Object} validity Validity of the field value
+ * @param {string[]} validity.errors Error messages
+ * @param {string[]} validity.warnings Warning messages
+ */
+OO.ui.FieldLayout.prototype.onFieldValidate = function ( validity ) {
+	this.errors = validity.errors.slice();
+	this.warnings = validity.warnings.slice();
+	this.updateMessages();
+};
+
 /**
  * Handle label mouse click events.
  *
@@ -116,6 +162,18 @@ OO.ui.FieldLayout.prototype.getField = function () {
 	return this.fieldWidget;
 };
 
+/**
+ * Get the name of the field, used as key in the values of OO.ui.FormLayout.
+ *
+ * @return {string|null} Name of the field, `null` if it has none
+ */
+OO.ui.FieldLayout.prototype.getName = function () {
+	if ( this.name === null && this.fieldWidget.$input ) {
+		return this.fieldWidget.$input.attr( 'name' ) || null;
+	}
+	return this.name;
+};
+
 /**
  * Set the field alignment mode.
  *
@@ -149,3 +207,161 @@ OO.ui.FieldLayout.prototype.setAlignment = function ( value ) {
 
 	return this;
 };
+
+/**
+ * Set the error messages shown beneath the field.
+ *
+ * @param {string[]} errors Error messages
+ * @chainable
+ */
+OO.ui.FieldLayout.prototype.setErrors = function ( errors ) {
+	this.errors = errors.slice();
+	this.updateMessages();
+	return this;
+};
+
+/**
+ * Get the error messages shown beneath the field.
+ *
+ * @return {string[]} Error messages
+ */
+OO.ui.FieldLayout.prototype.getErrors = function () {
+	return this.errors.slice();
+};
+
+/**
+ * Set the warning messages shown beneath the field.
+ *
+ * @param {string[]} warnings Warning messages
+ * @chainable
+ */
+OO.ui.FieldLayout.prototype.setWarnings = function ( warnings ) {
+	this.warnings = warnings.slice();
+	this.updateMessages();
+	return this;
+};
+
+/**
+ * Get the warning messages shown beneath the field.
+ *
+ * @return {string[]} Warning messages
+ */
+OO.ui.FieldLayout.prototype.getWarnings = function () {
+	return this.warnings.slice();
+};
+
+/**
+ * Validate the field widget, showing the resulting messages beneath the field.
+ *
+ * Fields that can't be validated, by the field widget or by the `validator` option, keep their
+ * current messages.
+ *
+ * @return {jQuery.Promise} Promise resolved with the validity of the field, an object with
+ *  `errors` and `warnings` arrays of messages
+ */
+OO.ui.FieldLayout.prototype.validate = function () {
+	var result;
+
+	if ( this.fieldWidget.updateValidity ) {
+		// Updates the messages through the validate event
+		return this.fieldWidget.updateValidity();
+	}
+	if ( this.validator ) {
+		result = this.validator( this.fieldWidget.getFormValue() );
+		this.setErrors( result === true ? [] : [ result ] );
+	}
+	return $.Deferred().resolve( {
+		errors: this.getErrors(),
+		warnings: this.getWarnings()
+	} ).promise();
+};
+
+/**
+ * Render the error and warning messages, and update the ARIA state of the field widget.
+ *
+ * @private
+ */
+OO.ui.FieldLayout.prototype.updateMessages = function () {
+	var i, len,
+		$target = this.fieldWidget.$input || this.fieldWidget.$element,
+		hasMessages = !!( this.errors.length || this.warnings.length ),
+		messagesId = this.$messages.attr( 'id' ),
+		describedBy = ( $target.attr( 'aria-describedby' ) || '' ).split( /\s+/ ).filter( function ( id ) {
+			// Keep the descriptions added by others
+			return id && id !== messagesId;
+		} );
+
+	function makeMessage( type, text ) {
+		return $( '<li>' )
+			.addClass( 'oo-ui-fieldLayout-messages-' + type )
+			.append(
+				new OO.ui.IconWidget( { icon: 'alert' } ).$element,
+				new OO.ui.LabelWidget( { label: text } ).$element
+			);
+	}
+
+	this.$messages.empty();
+	for ( i = 0, len = this.errors.length; i < len; i++ ) {
+		this.$messages.append( makeMessage( 'error', this.errors[ i ] ) );
+	}
+	for ( i = 0, len = this.warnings.length; i < len; i++ ) {
+		this.$messages.append( makeMessage( 'warning', this.warnings[ i ] ) );
+	}
+	this.$messages.toggleClass( 'oo-ui-element-hidden', !hasMessages );
+	this.$element
+		.toggleClass( 'oo-ui-fieldLayout-invalid', !!this.errors.length )
+		.toggleClass( 'oo-ui-fieldLayout-warning', !!this.warnings.length );
+	if ( hasMessages ) {
+		if ( !messagesId ) {
+			// Only fields with messages need an id to be described by them
+			messagesId = OO.ui.generateElementId();
+			this.$messages.attr( 'id', messagesId );
+		}
+		describedBy.push( messagesId );
+	}
+	$target.attr( {
+		'aria-invalid': this.errors.length ? 'true' : null,
+		'aria-describedby': describedBy.length ? describedBy.join( ' ' ) : null
+	} );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.FieldLayout.prototype.getConfig = function ( config ) {
+	config = config || {};
+	config.fieldWidget = this.fieldWidget;
+	config.align = this.align;
+	if ( this.popupButtonWidget ) {
+		config.help = this.popupButtonWidget.getPopup().$body.text();
+	}
+	if ( this.errors.length ) {
+		config.errors = this.errors.slice();
+	}
+	if ( this.warnings.length ) {
+		config.warnings = this.warnings.slice();
+	}
+	if ( this.name !== null ) {
+		config.name = this.name;
+	}
+	if ( this.validator ) {
+		config.validator = this.validator;
+	}
+
+	// Mixin method
+	OO.ui.LabelElement.prototype.getLabelElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.FieldLayout.super.prototype.getConfig.call( this, config );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.FieldLayout.prototype.destroy = function () {
+	// The field widget may still be used on its own
+	this.fieldWidget.disconnect( this );
+
+	// Parent method
+	OO.ui.FieldLayout.super.prototype.destroy.call( this );
+};
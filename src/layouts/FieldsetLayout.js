@@ -57,3 +57,31 @@ OO.inheritClass( OO.ui.FieldsetLayout, OO.ui.Layout );
 OO.mixinClass( OO.ui.FieldsetLayout, OO.ui.IconElement );
 OO.mixinClass( OO.ui.FieldsetLayout, OO.ui.LabelElement );
 OO.mixinClass( OO.ui.FieldsetLayout, OO.ui.GroupElement );
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+OO.ui.FieldsetLayout.prototype.getConfig = function ( config ) {
+	config = config || {};
+
+	// Mixin methods
+	OO.ui.IconElement.prototype.getIconElementConfig.call( this, config );
+	OO.ui.LabelElement.prototype.getLabelElementConfig.call( this, config );
+	OO.ui.GroupElement.prototype.getGroupElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.FieldsetLayout.super.prototype.getConfig.call( this, config );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.FieldsetLayout.prototype.destroy = function () {
+	// Mixin method
+	OO.ui.GroupElement.prototype.teardownGroupElement.call( this );
+
+	// Parent method
+	OO.ui.FieldsetLayout.super.prototype.destroy.call( this );
+};
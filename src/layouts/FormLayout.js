@@ -1,14 +1,45 @@
 /**
  * Layout with an HTML form.
  *
+ * Add OO.ui.FieldsetLayout or OO.ui.FieldLayout items to be able to #validate all fields at once,
+ * and to work with their values as a whole: #getValues and #setValues use the values of the field
+ * widgets (see OO.ui.Widget#getFormValue) keyed by the names of the fields (see
+ * OO.ui.FieldLayout#getName). Fields without a name are left out. Only radio buttons and checkboxes
+ * can share a name; like in HTML forms, they make up one value, see OO.ui.RadioInputWidget#getFormValue
+ * and OO.ui.CheckboxInputWidget#getFormValue.
+ *
+ * The values of the fields when they are added to the form are their initial values. The form is
+ * dirty while the values differ from them, and can #reset them. Fields are only found when they are
+ * added to the form, so add them to fieldsets before adding the fieldsets to the form.
+ *
+ *     var form = new OO.ui.FormLayout( {
+ *         action: '/api/profile',
+ *         items: [
+ *             new OO.ui.FieldLayout( new OO.ui.TextInputWidget( { name: 'nickname' } ) ),
+ *             new OO.ui.FieldLayout( new OO.ui.ToggleSwitchWidget(), { name: 'public' } )
+ *         ],
+ *         warnOnUnload: true
+ *     } );
+ *     form.on( 'submit', function () {
+ *         form.submit();
+ *     } );
+ *
  * @class
  * @extends OO.ui.Layout
+ * @mixins OO.ui.GroupElement
  *
  * @constructor
  * @param {Object} [config] Configuration options
  * @cfg {string} [method] HTML form `method` attribute
  * @cfg {string} [action] HTML form `action` attribute
  * @cfg {string} [enctype] HTML form `enctype` attribute
+ * @cfg {OO.ui.Layout[]} [items] Fieldset or field layouts to add
+ * @cfg {string} [format='json'] Format of the values sent by #submit, 'json' or 'form' for
+ *  `application/x-www-form-urlencoded`
+ * @cfg {Function} [transport] Function that sends the values for #submit, instead of
+ *  #static-transport; see there for its parameter and return value
+ * @cfg {boolean} [warnOnUnload=false] Ask for confirmation before leaving the page while the form
+ *  is dirty
  */
 OO.ui.FormLayout = function OoUiFormLayout( config ) {
 	// Configuration initialization
@@ -17,6 +48,18 @@ OO.ui.FormLayout = function OoUiFormLayout( config ) {
 	// Parent constructor
 	OO.ui.FormLayout.super.call( this, config );
 
+	// Mixin constructors
+	OO.ui.GroupElement.call( this, $.extend( {}, config, { $group: this.$element } ) );
+
+	// Properties
+	this.fields = [];
+	this.initialValues = {};
+	this.dirty = false;
+	this.format = config.format || 'json';
+	this.transport = config.transport || this.constructor.static.transport;
+	this.warnOnUnload = !!config.warnOnUnload;
+	this.onBeforeUnloadHandler = this.onBeforeUnload.bind( this );
+
 	// Events
 	this.$element.on( 'submit', this.onFormSubmit.bind( this ) );
 
@@ -28,11 +71,15 @@ OO.ui.FormLayout = function OoUiFormLayout( config ) {
 			action: config.action,
 			enctype: config.enctype
 		} );
+	if ( Array.isArray( config.items ) ) {
+		this.addItems( config.items );
+	}
 };
 
 /* Setup */
 
 OO.inheritClass( OO.ui.FormLayout, OO.ui.Layout );
+OO.mixinClass( OO.ui.FormLayout, OO.ui.GroupElement );
 
 /* Events */
 
@@ -40,10 +87,59 @@ OO.inheritClass( OO.ui.FormLayout, OO.ui.Layout );
  * @event submit
  */
 
+/**
+ * The values of the fields now differ from their initial values, or no longer do.
+ *
+ * @event dirty
+ * @param {boolean} dirty Form is dirty
+ */
+
 /* Static Properties */
 
 OO.ui.FormLayout.static.tagName = 'form';
 
+/* Static Methods */
+
+/**
+ * Serialize form values.
+ *
+ * In the 'form' format, arrays are serialized as repeated names, like HTML forms do with several
+ * fields of the same name.
+ *
+ * @static
+ * @param {Object} values Form values, keyed by field name
+ * @param {string} format Format, 'json' or 'form' for `application/x-www-form-urlencoded`
+ * @return {string} Serialized values
+ */
+OO.ui.FormLayout.static.serialize = function ( values, format ) {
+	return format === 'form' ? $.param( values, true ) : JSON.stringify( values );
+};
+
+/**
+ * Send form values to the server, using jQuery.ajax.
+ *
+ * Custom transports passed in the `transport` option take the same parameter and must return a
+ * promise in the same way.
+ *
+ * @static
+ * @param {Object} request Request to send
+ * @param {string} request.url URL to send the values to
+ * @param {string} request.method HTTP method
+ * @param {string} request.contentType Content type of the serialized values
+ * @param {string} request.data Serialized values
+ * @param {Object} request.values Values, keyed by field name
+ * @return {jQuery.Promise} Promise resolved with the response, or rejected if sending failed
+ */
+OO.ui.FormLayout.static.transport = function ( request ) {
+	return $.ajax( {
+		url: request.url,
+		type: request.method,
+		contentType: request.contentType,
+		data: request.data,
+		processData: false
+	} ).promise();
+};
+
 /* Methods */
 
 /**
@@ -56,3 +152,406 @@ OO.ui.FormLayout.prototype.onFormSubmit = function () {
 	this.emit( 'submit' );
 	return false;
 };
+
+/**
+ * Handle value change events from field widgets.
+ *
+ * @private
+ */
+OO.ui.FormLayout.prototype.onFieldValueChange = function () {
+	this.updateDirty();
+};
+
+/**
+ * Handle window before unload events.
+ *
+ * @private
+ * @param {jQuery.Event} e Before unload event
+ * @return {string|undefined} Message to show, if the form is dirty
+ */
+OO.ui.FormLayout.prototype.onBeforeUnload = function () {
+	if ( this.dirty ) {
+		return OO.ui.msg( 'ooui-formlayout-unload-warning' );
+	}
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.FormLayout.prototype.addItems = function ( items, index ) {
+	// Mixin method
+	OO.ui.GroupElement.prototype.addItems.call( this, items, index );
+
+	this.updateFields();
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.FormLayout.prototype.removeItems = function ( items ) {
+	// Mixin method
+	OO.ui.GroupElement.prototype.removeItems.call( this, items );
+
+	this.updateFields();
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.FormLayout.prototype.clearItems = function () {
+	// Mixin method
+	OO.ui.GroupElement.prototype.clearItems.call( this );
+
+	this.updateFields();
+	return this;
+};
+
+/**
+ * Start tracking the values of fields added to the form, and stop tracking removed ones.
+ *
+ * @private
+ * @throws {Error} If fields share a name without being radio buttons or checkboxes
+ */
+OO.ui.FormLayout.prototype.updateFields = function () {
+	var i, len, field, widget, name, events, values,
+		added = [],
+		fields = this.getFieldLayouts().filter( function ( layout ) {
+			return layout.getName() !== null && !!layout.getField().constructor.static.formValueEvent;
+		} ),
+		groups = this.getFieldGroups( fields );
+
+	for ( name in groups ) {
+		if ( groups[ name ].length > 1 && !this.isCheckableGroup( groups[ name ] ) ) {
+			throw new Error( 'Fields can only share the name "' + name + '" if they are radio buttons or checkboxes' );
+		}
+	}
+	for ( i = 0, len = this.fields.length; i < len; i++ ) {
+		field = this.fields[ i ];
+		if ( $.inArray( field, fields ) === -1 ) {
+			field.getField().disconnect( this );
+			if ( !groups[ field.getName() ] ) {
+				delete this.initialValues[ field.getName() ];
+			}
+		}
+	}
+	for ( i = 0, len = fields.length; i < len; i++ ) {
+		field = fields[ i ];
+		if ( $.inArray( field, this.fields ) === -1 ) {
+			widget = field.getField();
+			events = {};
+			events[ widget.constructor.static.formValueEvent ] = 'onFieldValueChange';
+			widget.connect( this, events );
+			added.push( field.getName() );
+		}
+	}
+	this.fields = fields;
+	values = this.getFieldValues();
+	for ( i = 0, len = added.length; i < len; i++ ) {
+		this.initialValues[ added[ i ] ] = values[ added[ i ] ];
+	}
+	this.updateDirty();
+};
+
+/**
+ * Get the widgets of fields, grouped by the names of the fields.
+ *
+ * @private
+ * @param {OO.ui.FieldLayout[]} [fields] Fields, defaults to those tracked by the form
+ * @return {Object} Lists of widgets, keyed by field name
+ */
+OO.ui.FormLayout.prototype.getFieldGroups = function ( fields ) {
+	var i, len, name,
+		groups = {};
+
+	fields = fields || this.fields;
+	for ( i = 0, len = fields.length; i < len; i++ ) {
+		name = fields[ i ].getName();
+		groups[ name ] = groups[ name ] || [];
+		groups[ name ].push( fields[ i ].getField() );
+	}
+	return groups;
+};
+
+/**
+ * Check if widgets sharing a name are radio buttons or checkboxes, whose value is made up of the
+ * values of those that are selected, like in HTML forms.
+ *
+ * @private
+ * @param {OO.ui.Widget[]} widgets Widgets
+ * @return {boolean} Widgets are all radio buttons, or all checkboxes
+ */
+OO.ui.FormLayout.prototype.isCheckableGroup = function ( widgets ) {
+	return widgets.every( function ( widget ) {
+		return widget instanceof OO.ui.RadioInputWidget;
+	} ) || widgets.every( function ( widget ) {
+		return widget instanceof OO.ui.CheckboxInputWidget;
+	} );
+};
+
+/**
+ * Check if the values differ from the initial values, and emit a #dirty event if that changed.
+ *
+ * @private
+ * @fires dirty
+ */
+OO.ui.FormLayout.prototype.updateDirty = function () {
+	var dirty = !OO.compare( this.getFieldValues(), this.initialValues );
+
+	if ( this.dirty !== dirty ) {
+		this.dirty = dirty;
+		if ( this.warnOnUnload ) {
+			if ( dirty ) {
+				$( this.getElementWindow() ).on( 'beforeunload', this.onBeforeUnloadHandler );
+			} else {
+				$( this.getElementWindow() ).off( 'beforeunload', this.onBeforeUnloadHandler );
+			}
+		}
+		this.emit( 'dirty', dirty );
+	}
+};
+
+/**
+ * Get the values of the field widgets.
+ *
+ * The value of radio buttons is the value of the selected one, or null if none is. The value of
+ * several checkboxes sharing a name is the list of the values of the selected ones.
+ *
+ * @private
+ * @return {Object} Values of the field widgets, keyed by field name
+ */
+OO.ui.FormLayout.prototype.getFieldValues = function () {
+	var name, widgets,
+		groups = this.getFieldGroups(),
+		values = {};
+
+	function isSelected( widget ) {
+		return widget.isSelected();
+	}
+
+	function getValue( widget ) {
+		return widget.getValue();
+	}
+
+	for ( name in groups ) {
+		widgets = groups[ name ];
+		if ( widgets[ 0 ] instanceof OO.ui.RadioInputWidget ) {
+			values[ name ] = widgets.filter( isSelected ).map( getValue )[ 0 ];
+			if ( values[ name ] === undefined ) {
+				values[ name ] = null;
+			}
+		} else if ( widgets.length > 1 ) {
+			values[ name ] = widgets.filter( isSelected ).map( getValue );
+		} else {
+			values[ name ] = widgets[ 0 ].getFormValue();
+		}
+	}
+	return values;
+};
+
+/**
+ * Set the values of field widgets.
+ *
+ * Radio buttons and checkboxes sharing a name are selected if their value is the value of the
+ * field, or one of the values in its list, see #getFieldValues.
+ *
+ * @private
+ * @param {Object} values Values of the field widgets, keyed by field name; fields that are left
+ *  out keep their values
+ */
+OO.ui.FormLayout.prototype.setFieldValues = function ( values ) {
+	var i, len, name, widgets,
+		groups = this.getFieldGroups();
+
+	for ( name in groups ) {
+		if ( Object.prototype.hasOwnProperty.call( values, name ) ) {
+			widgets = groups[ name ];
+			if ( widgets[ 0 ] instanceof OO.ui.RadioInputWidget ) {
+				for ( i = 0, len = widgets.length; i < len; i++ ) {
+					widgets[ i ].setSelected( widgets[ i ].getValue() === values[ name ] );
+				}
+			} else if ( widgets.length > 1 ) {
+				for ( i = 0, len = widgets.length; i < len; i++ ) {
+					widgets[ i ].setSelected( $.inArray( widgets[ i ].getValue(), values[ name ] || [] ) !== -1 );
+				}
+			} else {
+				widgets[ 0 ].setFormValue( values[ name ] );
+			}
+		}
+	}
+	this.updateDirty();
+};
+
+/**
+ * Get the values of the fields.
+ *
+ * Subclasses may structure the values differently, see OO.ui.SchemaFormLayout.
+ *
+ * @return {Object} Values of the field widgets, keyed by field name
+ */
+OO.ui.FormLayout.prototype.getValues = function () {
+	return this.getFieldValues();
+};
+
+/**
+ * Set the values of fields.
+ *
+ * @param {Object} values Values of the field widgets, keyed by field name; fields that are left
+ *  out keep their values
+ * @chainable
+ */
+OO.ui.FormLayout.prototype.setValues = function ( values ) {
+	this.setFieldValues( values );
+	return this;
+};
+
+/**
+ * Set the fields back to their initial values.
+ *
+ * @chainable
+ */
+OO.ui.FormLayout.prototype.reset = function () {
+	this.setFieldValues( this.initialValues );
+	return this;
+};
+
+/**
+ * Check if the values of the fields differ from their initial values.
+ *
+ * @return {boolean} Form is dirty
+ */
+OO.ui.FormLayout.prototype.isDirty = function () {
+	return this.dirty;
+};
+
+/**
+ * Validate the fields and send their values, using the form's `action` and `method` (POST by
+ * default).
+ *
+ * The values are serialized in the format set by the `format` option and sent by the transport.
+ * Once they have been sent, they become the initial values of the fields, so the form is no longer
+ * dirty.
+ *
+ * @return {jQuery.Promise} Promise resolved with the response of the transport, or rejected with
+ *  `'invalid'` if a field is invalid, or with the error of the transport if sending failed
+ */
+OO.ui.FormLayout.prototype.submit = function () {
+	var form = this;
+
+	return this.validate().then( function ( valid ) {
+		var values, fieldValues;
+
+		if ( !valid ) {
+			return $.Deferred().reject( 'invalid' ).promise();
+		}
+		values = form.getValues();
+		fieldValues = form.getFieldValues();
+		return form.transport( {
+			url: form.$element.attr( 'action' ),
+			method: ( form.$element.attr( 'method' ) || 'post' ).toUpperCase(),
+			contentType: form.format === 'form' ?
+				'application/x-www-form-urlencoded; charset=UTF-8' : 'application/json',
+			data: form.constructor.static.serialize( values, form.format ),
+			values: values
+		} ).then( function ( response ) {
+			form.initialValues = fieldValues;
+			form.updateDirty();
+			return response;
+		} );
+	} );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.FormLayout.prototype.destroy = function () {
+	$( this.getElementWindow() ).off( 'beforeunload', this.onBeforeUnloadHandler );
+
+	// Mixin method
+	OO.ui.GroupElement.prototype.teardownGroupElement.call( this );
+
+	// Parent method
+	OO.ui.FormLayout.super.prototype.destroy.call( this );
+};
+
+/**
+ * Get the field layouts in the form, including those in fieldsets.
+ *
+ * @return {OO.ui.FieldLayout[]} Field layouts, in order
+ */
+OO.ui.FormLayout.prototype.getFieldLayouts = function () {
+	var fields = [];
+
+	function collect( items ) {
+		var i, len;
+		for ( i = 0, len = items.length; i < len; i++ ) {
+			if ( items[ i ] instanceof OO.ui.FieldLayout ) {
+				fields.push( items[ i ] );
+			} else if ( items[ i ].getItems ) {
+				collect( items[ i ].getItems() );
+			}
+		}
+	}
+
+	collect( this.getItems() );
+	return fields;
+};
+
+/**
+ * Validate all fields, showing the resulting messages beneath each field.
+ *
+ * If any field is invalid, the first invalid field is focused.
+ *
+ * @return {jQuery.Promise} Promise resolved with a boolean, true if all fields are valid
+ */
+OO.ui.FormLayout.prototype.validate = function () {
+	var fields = this.getFieldLayouts();
+
+	return $.when.apply( $, fields.map( function ( field ) {
+		return field.validate();
+	} ) ).then( function () {
+		var i, len, widget,
+			valid = true;
+
+		for ( i = 0, len = fields.length; i < len; i++ ) {
+			if ( arguments[ i ].errors.length ) {
+				widget = fields[ i ].getField();
+				if ( valid && widget.focus ) {
+					widget.focus();
+				}
+				valid = false;
+			}
+		}
+		return valid;
+	} );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.FormLayout.prototype.getConfig = function ( config ) {
+	var self = this;
+
+	config = config || {};
+	[ 'method', 'action', 'enctype' ].forEach( function ( attr ) {
+		if ( self.$element.attr( attr ) !== undefined ) {
+			config[ attr ] = self.$element.attr( attr );
+		}
+	} );
+	if ( this.format !== 'json' ) {
+		config.format = this.format;
+	}
+	if ( this.transport !== this.constructor.static.transport ) {
+		config.transport = this.transport;
+	}
+	if ( this.warnOnUnload ) {
+		config.warnOnUnload = true;
+	}
+
+	// Mixin method
+	OO.ui.GroupElement.prototype.getGroupElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.FormLayout.super.prototype.getConfig.call( this, config );
+};
@@ -8,12 +8,20 @@
  * @constructor
  * @param {OO.ui.PanelLayout[]} panels Panels in the grid
  * @param {Object} [config] Configuration options
+ * @cfg {OO.ui.PanelLayout[]} [panels] Panels in the grid, used instead of the positional parameter
+ *  when the configuration object is passed as the only argument
  * @cfg {number[]} [widths] Widths of columns as ratios
  * @cfg {number[]} [heights] Heights of rows as ratios
  */
 OO.ui.GridLayout = function OoUiGridLayout( panels, config ) {
 	var i, len, widths;
 
+	// Allow passing positional parameters inside the config object
+	if ( OO.isPlainObject( panels ) && config === undefined ) {
+		config = panels;
+		panels = config.panels;
+	}
+
 	// Configuration initialization
 	config = config || {};
 
@@ -37,3 +37,24 @@ OO.ui.PanelLayout = function OoUiPanelLayout( config ) {
 /* Setup */
 
 OO.inheritClass( OO.ui.PanelLayout, OO.ui.Layout );
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+OO.ui.PanelLayout.prototype.getConfig = function ( config ) {
+	config = config || {};
+	if ( this.$element.hasClass( 'oo-ui-panelLayout-scrollable' ) ) {
+		config.scrollable = true;
+	}
+	if ( this.$element.hasClass( 'oo-ui-panelLayout-padded' ) ) {
+		config.padded = true;
+	}
+	if ( !this.$element.hasClass( 'oo-ui-panelLayout-expanded' ) ) {
+		config.expanded = false;
+	}
+
+	// Parent method
+	return OO.ui.PanelLayout.super.prototype.getConfig.call( this, config );
+};
@@ -0,0 +1,397 @@
+/**
+ * Layout with a form generated from a [JSON Schema][1] describing an object.
+ *
+ * Each property of the schema becomes a field, with the `title` of the property as its label and
+ * the `description` as its help text:
+ *
+ * - `string` properties get a OO.ui.TextInputWidget, or a OO.ui.DateInputWidget for the `date`
+ *   format; `minLength`, `maxLength` and `pattern` are checked when validating.
+ * - `number` and `integer` properties get a OO.ui.NumberInputWidget, limited by `minimum`,
+ *   `maximum`, `exclusiveMinimum`, `exclusiveMaximum` and `multipleOf`. The exclusive bounds can be
+ *   numbers, or `true` to make `minimum` and `maximum` exclusive like in draft 4 of JSON Schema.
+ * - `boolean` properties get a OO.ui.CheckboxInputWidget or a OO.ui.ToggleSwitchWidget.
+ * - Properties with an `enum` get a OO.ui.DropdownInputWidget or a OO.ui.RadioSelectWidget. The
+ *   dropdown has an empty option first if the property is optional.
+ * - `object` properties become a OO.ui.FieldsetLayout with fields for their own properties.
+ * - `array` properties get a OO.ui.RepeatableGroupWidget, with fields for their `items` schema and
+ *   limited by `minItems` and `maxItems`.
+ *
+ * Properties listed in `required` must be filled in. The widget of a single property can be chosen
+ * with the non-standard `widget` keyword, which takes the same values as the `booleanWidget` and
+ * `enumWidget` options.
+ *
+ * Fields are named after the path to their property, like `address.city`, and #getValues returns
+ * an object matching the schema, with numbers, booleans and enum values of the right type. Empty
+ * optional fields are left out of it.
+ *
+ *     var form = new OO.ui.SchemaFormLayout( {
+ *         schema: {
+ *             type: 'object',
+ *             required: [ 'name' ],
+ *             properties: {
+ *                 name: { type: 'string', title: 'Name', maxLength: 50 },
+ *                 age: { type: 'integer', title: 'Age', minimum: 0 },
+ *                 newsletter: { type: 'boolean', title: 'Send me the newsletter' },
+ *                 tags: { type: 'array', title: 'Tags', items: { type: 'string' } }
+ *             }
+ *         },
+ *         value: { name: 'Alex', newsletter: true }
+ *     } );
+ *     form.on( 'submit', function () {
+ *         form.validate().done( function ( valid ) {
+ *             if ( valid ) {
+ *                 console.log( form.getValues() );
+ *             }
+ *         } );
+ *     } );
+ *
+ * [1]: http://json-schema.org/
+ *
+ * @class
+ * @extends OO.ui.FormLayout
+ *
+ * @constructor
+ * @param {Object} config Configuration options
+ * @cfg {Object} schema JSON Schema of an object
+ * @cfg {Object} [value] Initial values, an object matching the schema; properties that are left
+ *  out get their `default` value from the schema
+ * @cfg {string} [booleanWidget='checkbox'] Widget for boolean properties, 'checkbox' or 'toggle'
+ * @cfg {string} [enumWidget='dropdown'] Widget for properties with an enum, 'dropdown' or 'radio'
+ */
+OO.ui.SchemaFormLayout = function OoUiSchemaFormLayout( config ) {
+	// Parent constructor
+	OO.ui.SchemaFormLayout.super.call( this, config );
+
+	// Properties
+	this.schema = config.schema;
+	this.booleanWidget = config.booleanWidget || 'checkbox';
+	this.enumWidget = config.enumWidget || 'dropdown';
+
+	// Initialization
+	this.$element.addClass( 'oo-ui-schemaFormLayout' );
+	this.addItems( this.createItems( this.schema, '', config.value || {} ) );
+};
+
+/* Setup */
+
+OO.inheritClass( OO.ui.SchemaFormLayout, OO.ui.FormLayout );
+
+/* Methods */
+
+/**
+ * Create the fields for the properties of an object schema.
+ *
+ * @private
+ * @param {Object} schema Schema of an object
+ * @param {string} prefix Prefix of the field names, the path to the object followed by a dot
+ * @param {Object} [values] Values of the properties
+ * @return {OO.ui.Layout[]} Field and fieldset layouts
+ */
+OO.ui.SchemaFormLayout.prototype.createItems = function ( schema, prefix, values ) {
+	var key, property, required,
+		items = [],
+		properties = schema.properties || {};
+
+	values = values || {};
+	for ( key in properties ) {
+		property = properties[ key ];
+		required = $.inArray( key, schema.required || [] ) !== -1;
+		if ( property.type === 'object' && !property.enum ) {
+			items.push( new OO.ui.FieldsetLayout( {
+				label: property.title || key,
+				help: property.description,
+				items: this.createItems( property, prefix + key + '.', values[ key ] || property.default )
+			} ) );
+		} else {
+			items.push( this.createField( property, key, prefix + key, required, values[ key ] ) );
+		}
+	}
+	return items;
+};
+
+/**
+ * Create the field for a property.
+ *
+ * @private
+ * @param {Object} schema Schema of the property
+ * @param {string|null} key Property name, the label if the schema has no title
+ * @param {string|null} name Field name
+ * @param {boolean} required Property is required
+ * @param {Mixed} [value] Value of the property, defaults to the `default` value of the schema
+ * @return {OO.ui.FieldLayout} Field layout
+ */
+OO.ui.SchemaFormLayout.prototype.createField = function ( schema, key, name, required, value ) {
+	var widget = this.createWidget( schema, required ),
+		validator = null;
+
+	if ( required && widget instanceof OO.ui.RadioSelectWidget ) {
+		validator = function ( value ) {
+			return value !== null || OO.ui.msg( 'ooui-validation-required' );
+		};
+	}
+
+	if ( value === undefined ) {
+		value = schema.default;
+	}
+	if ( value !== undefined ) {
+		widget.setFormValue( this.formatValue( schema, value ) );
+	}
+	return new OO.ui.FieldLayout( widget, {
+		name: name,
+		label: schema.title || key || undefined,
+		help: schema.description,
+		align: schema.type === 'boolean' ? 'inline' : 'left',
+		validator: validator
+	} );
+};
+
+/**
+ * Create the widget for a property.
+ *
+ * @private
+ * @param {Object} schema Schema of the property
+ * @param {boolean} required Property is required
+ * @return {OO.ui.Widget} Widget
+ */
+OO.ui.SchemaFormLayout.prototype.createWidget = function ( schema, required ) {
+	var widget, items, options,
+		exclusiveMinimum = schema.exclusiveMinimum === true ? schema.minimum : schema.exclusiveMinimum,
+		exclusiveMaximum = schema.exclusiveMaximum === true ? schema.maximum : schema.exclusiveMaximum,
+		layout = this,
+		validators = [],
+		type = schema.widget;
+
+	if ( schema.enum ) {
+		type = type || this.enumWidget;
+		if ( type === 'radio' ) {
+			return new OO.ui.RadioSelectWidget( {
+				items: schema.enum.map( function ( value ) {
+					return new OO.ui.RadioOptionWidget( { data: value, label: String( value ) } );
+				} )
+			} );
+		}
+		options = schema.enum.map( function ( value ) {
+			return { data: value, label: String( value ) };
+		} );
+		if ( !required ) {
+			// Leave the property out unless an option is chosen, see #parseValue
+			options.unshift( { data: '', label: '' } );
+		}
+		return new OO.ui.DropdownInputWidget( { options: options } );
+	}
+
+	switch ( schema.type ) {
+		case 'boolean':
+			type = type || this.booleanWidget;
+			return type === 'toggle' ? new OO.ui.ToggleSwitchWidget() : new OO.ui.CheckboxInputWidget();
+		case 'array':
+			items = schema.items || {};
+			return new OO.ui.RepeatableGroupWidget( {
+				minItems: schema.minItems,
+				maxItems: schema.maxItems,
+				createItem: function () {
+					return items.type === 'object' && !items.enum ?
+						layout.createItems( items, '' ) :
+						[ layout.createField( items, null, null, true ) ];
+				}
+			} );
+		case 'number':
+		case 'integer':
+			if ( typeof exclusiveMinimum === 'number' || typeof exclusiveMaximum === 'number' ) {
+				validators.push( function () {
+					var number = this.getNumericValue();
+					return isNaN( number ) || !(
+						number <= exclusiveMinimum || number >= exclusiveMaximum
+					);
+				} );
+			}
+			if ( schema.multipleOf ) {
+				validators.push( function () {
+					var number = this.getNumericValue();
+					// Allow for rounding errors with decimal multiples
+					return isNaN( number ) ||
+						Math.abs( Math.round( number / schema.multipleOf ) * schema.multipleOf - number ) < 1e-9;
+				} );
+			}
+			widget = new OO.ui.NumberInputWidget( {
+				isInteger: schema.type === 'integer',
+				min: schema.minimum,
+				max: schema.maximum,
+				step: schema.multipleOf,
+				validators: validators
+			} );
+			break;
+		default:
+			if ( schema.minLength !== undefined || schema.maxLength !== undefined ) {
+				validators.push( { type: 'length', min: schema.minLength, max: schema.maxLength } );
+			}
+			if ( schema.pattern ) {
+				validators.push( new RegExp( schema.pattern ) );
+			}
+			widget = schema.format === 'date' ?
+				new OO.ui.DateInputWidget( { validators: validators } ) :
+				new OO.ui.TextInputWidget( { validators: validators } );
+	}
+	if ( required ) {
+		widget.addValidator( 'required' );
+	}
+	return widget;
+};
+
+/**
+ * Convert the values of fields to an object matching an object schema.
+ *
+ * @private
+ * @param {Object} schema Schema of an object
+ * @param {Object} values Values of the field widgets, keyed by field name
+ * @param {string} prefix Prefix of the field names
+ * @return {Object} Object
+ */
+OO.ui.SchemaFormLayout.prototype.parseObject = function ( schema, values, prefix ) {
+	var key, property, value,
+		object = {},
+		properties = schema.properties || {};
+
+	for ( key in properties ) {
+		property = properties[ key ];
+		if ( property.type === 'object' && !property.enum ) {
+			object[ key ] = this.parseObject( property, values, prefix + key + '.' );
+		} else if ( Object.prototype.hasOwnProperty.call( values, prefix + key ) ) {
+			value = this.parseValue( property, values[ prefix + key ] );
+			if ( value !== undefined ) {
+				object[ key ] = value;
+			}
+		}
+	}
+	return object;
+};
+
+/**
+ * Convert the value of a field widget to a value matching a schema.
+ *
+ * @private
+ * @param {Object} schema Schema of the value
+ * @param {Mixed} value Value of the field widget
+ * @return {Mixed} Value, or undefined if the field is empty
+ */
+OO.ui.SchemaFormLayout.prototype.parseValue = function ( schema, value ) {
+	var i, len,
+		layout = this,
+		items = schema.items || {};
+
+	if ( schema.enum ) {
+		for ( i = 0, len = schema.enum.length; i < len; i++ ) {
+			if ( value !== null && String( schema.enum[ i ] ) === String( value ) ) {
+				return schema.enum[ i ];
+			}
+		}
+		return undefined;
+	}
+	switch ( schema.type ) {
+		case 'array':
+			return ( value || [] ).map( function ( item ) {
+				item = items.type === 'object' && !items.enum ?
+					layout.parseObject( items, item, '' ) :
+					layout.parseValue( items, item );
+				return item === undefined ? null : item;
+			} );
+		case 'boolean':
+			return !!value;
+		case 'number':
+		case 'integer':
+			return value === null ? undefined : value;
+		default:
+			return value === '' ? undefined : value;
+	}
+};
+
+/**
+ * Convert an object matching an object schema to values of fields.
+ *
+ * @private
+ * @param {Object} schema Schema of an object
+ * @param {Object} object Object
+ * @param {string} prefix Prefix of the field names
+ * @param {Object} values Values of the field widgets to add to, keyed by field name
+ * @return {Object} Values of the field widgets
+ */
+OO.ui.SchemaFormLayout.prototype.formatObject = function ( schema, object, prefix, values ) {
+	var key, property,
+		properties = schema.properties || {};
+
+	for ( key in properties ) {
+		property = properties[ key ];
+		if ( object[ key ] === undefined ) {
+			continue;
+		}
+		if ( property.type === 'object' && !property.enum ) {
+			this.formatObject( property, object[ key ] || {}, prefix + key + '.', values );
+		} else {
+			values[ prefix + key ] = this.formatValue( property, object[ key ] );
+		}
+	}
+	return values;
+};
+
+/**
+ * Convert a value matching a schema to the value of a field widget.
+ *
+ * @private
+ * @param {Object} schema Schema of the value
+ * @param {Mixed} value Value
+ * @return {Mixed} Value of the field widget
+ */
+OO.ui.SchemaFormLayout.prototype.formatValue = function ( schema, value ) {
+	var layout = this,
+		items = schema.items || {};
+
+	if ( schema.type === 'array' && !schema.enum ) {
+		return ( value || [] ).map( function ( item ) {
+			return items.type === 'object' && !items.enum ?
+				layout.formatObject( items, item || {}, '', {} ) :
+				layout.formatValue( items, item );
+		} );
+	}
+	return schema.type === 'boolean' ? !!value : value;
+};
+
+/**
+ * Get the values of the fields, as an object matching the schema.
+ *
+ * @return {Object} Object
+ */
+OO.ui.SchemaFormLayout.prototype.getValues = function () {
+	return this.parseObject( this.schema, this.getFieldValues(), '' );
+};
+
+/**
+ * Set the values of the fields from an object matching the schema.
+ *
+ * @param {Object} object Object; properties that are left out keep their values
+ * @chainable
+ */
+OO.ui.SchemaFormLayout.prototype.setValues = function ( object ) {
+	this.setFieldValues( this.formatObject( this.schema, object || {}, '', {} ) );
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.SchemaFormLayout.prototype.getConfig = function ( config ) {
+	config = config || {};
+	config.schema = this.schema;
+	if ( this.booleanWidget !== 'checkbox' ) {
+		config.booleanWidget = this.booleanWidget;
+	}
+	if ( this.enumWidget !== 'dropdown' ) {
+		config.enumWidget = this.enumWidget;
+	}
+	config.value = this.getValues();
+
+	// Parent method
+	config = OO.ui.SchemaFormLayout.super.prototype.getConfig.call( this, config );
+	// The fields are created from the schema
+	delete config.items;
+	return config;
+};
@@ -186,3 +186,27 @@ OO.ui.StackLayout.prototype.updateHiddenState = function ( items, selectedItem )
 		}
 	}
 };
+
+/**
+ * @inheritdoc
+ */
+OO.ui.StackLayout.prototype.getConfig = function ( config ) {
+	config = config || {};
+
+	// Mixin method
+	OO.ui.GroupElement.prototype.getGroupElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.StackLayout.super.prototype.getConfig.call( this, config );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.StackLayout.prototype.destroy = function () {
+	// Mixin method
+	OO.ui.GroupElement.prototype.teardownGroupElement.call( this );
+
+	// Parent method
+	OO.ui.StackLayout.super.prototype.destroy.call( this );
+};
@@ -13,6 +13,17 @@ OO.ui.ApexTheme = function OoUiApexTheme() {
 
 OO.inheritClass( OO.ui.ApexTheme, OO.ui.Theme );
 
+/* Static Properties */
+
+OO.ui.ApexTheme.static.stylesheet = 'oojs-ui-apex';
+
+OO.ui.ApexTheme.static.customProperties = {
+	progressive: '#087ecc',
+	constructive: '#76ab36',
+	destructive: '#d45353'
+};
+
 /* Instantiation */
 
 OO.ui.theme = new OO.ui.ApexTheme();
+OO.ui.themeRegistry.register( 'apex', OO.ui.theme );
@@ -13,6 +13,10 @@ OO.ui.BlankTheme = function OoUiBlankTheme() {
 
 OO.inheritClass( OO.ui.BlankTheme, OO.ui.Theme );
 
+/* Static Properties */
+
+OO.ui.BlankTheme.static.stylesheet = 'oojs-ui-blank';
+
 /* Methods */
 
 /**
@@ -30,3 +34,4 @@ OO.ui.BlankTheme.prototype.getElementClasses = function ( element ) {
 /* Instantiation */
 
 OO.ui.theme = new OO.ui.BlankTheme();
+OO.ui.themeRegistry.register( 'blank', OO.ui.theme );
@@ -0,0 +1,70 @@
+/**
+ * Dark variant of the MediaWiki theme, with light text and icons on dark backgrounds.
+ *
+ * @class
+ * @extends OO.ui.Theme
+ *
+ * @constructor
+ */
+OO.ui.DarkTheme = function OoUiDarkTheme() {
+	// Parent constructor
+	OO.ui.DarkTheme.super.call( this );
+};
+
+/* Setup */
+
+OO.inheritClass( OO.ui.DarkTheme, OO.ui.Theme );
+
+/* Static Properties */
+
+OO.ui.DarkTheme.static.stylesheet = 'oojs-ui-dark';
+
+// Set from images.json during the build
+OO.ui.DarkTheme.static.imageVariants = {};
+
+OO.ui.DarkTheme.static.customProperties = {
+	progressive: '#598ad1',
+	constructive: '#00c697',
+	destructive: '#e81915',
+	background: '#1e1e1e',
+	text: '#dddddd'
+};
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+OO.ui.DarkTheme.prototype.getElementClasses = function ( element ) {
+	var variant,
+		variants = {
+			invert: true,
+			progressive: false,
+			constructive: false,
+			destructive: false
+		},
+		// Parent method
+		classes = OO.ui.DarkTheme.super.prototype.getElementClasses.call( this, element );
+
+	// Icons are inverted to stand out against dark backgrounds, unless they are coloured
+	if (
+		element.supports( [ 'isFramed', 'isDisabled', 'hasFlag' ] ) &&
+		!( element.isFramed() && ( element.isDisabled() || element.hasFlag( 'primary' ) ) )
+	) {
+		variants.progressive = element.hasFlag( 'progressive' );
+		variants.constructive = element.hasFlag( 'constructive' );
+		variants.destructive = element.hasFlag( 'destructive' );
+		variants.invert = !variants.progressive && !variants.constructive && !variants.destructive;
+	}
+
+	for ( variant in variants ) {
+		classes[ variants[ variant ] ? 'on' : 'off' ].push( 'oo-ui-image-' + variant );
+	}
+
+	return classes;
+};
+
+/* Instantiation */
+
+OO.ui.theme = new OO.ui.DarkTheme();
+OO.ui.themeRegistry.register( 'dark', OO.ui.theme );
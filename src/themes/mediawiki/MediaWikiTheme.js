@@ -13,6 +13,21 @@ OO.ui.MediaWikiTheme = function OoUiMediaWikiTheme() {
 
 OO.inheritClass( OO.ui.MediaWikiTheme, OO.ui.Theme );
 
+/* Static Properties */
+
+OO.ui.MediaWikiTheme.static.stylesheet = 'oojs-ui-mediawiki';
+
+// Set from images.json during the build
+OO.ui.MediaWikiTheme.static.imageVariants = {};
+
+OO.ui.MediaWikiTheme.static.customProperties = {
+	progressive: '#598ad1',
+	constructive: '#00c697',
+	destructive: '#e81915',
+	background: '#ffffff',
+	text: '#757575'
+};
+
 /* Methods */
 
 /**
@@ -50,3 +65,4 @@ OO.ui.MediaWikiTheme.prototype.getElementClasses = function ( element ) {
 /* Instantiation */
 
 OO.ui.theme = new OO.ui.MediaWikiTheme();
+OO.ui.themeRegistry.register( 'mediawiki', OO.ui.theme );
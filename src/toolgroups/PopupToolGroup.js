@@ -9,11 +9,14 @@
  * @mixins OO.ui.LabelElement
  * @mixins OO.ui.TitledElement
  * @mixins OO.ui.ClippableElement
+ * @mixins OO.ui.FloatableElement
  *
  * @constructor
  * @param {OO.ui.Toolbar} toolbar
  * @param {Object} [config] Configuration options
  * @cfg {string} [header] Text to display at the top of the pop-up
+ * @cfg {jQuery|boolean} [$overlay] Overlay for the list of tools, `true` for the default overlay
+ *  (see OO.ui#getDefaultOverlay); defaults to relative positioning
  */
 OO.ui.PopupToolGroup = function OoUiPopupToolGroup( toolbar, config ) {
 	// Configuration initialization
@@ -28,8 +31,14 @@ OO.ui.PopupToolGroup = function OoUiPopupToolGroup( toolbar, config ) {
 	OO.ui.LabelElement.call( this, config );
 	OO.ui.TitledElement.call( this, config );
 	OO.ui.ClippableElement.call( this, $.extend( {}, config, { $clippable: this.$group } ) );
+	OO.ui.FloatableElement.call( this, $.extend( {}, config, {
+		$floatable: this.$group,
+		$floatableContainer: this.$element,
+		align: 'start'
+	} ) );
 
 	// Properties
+	this.$overlay = OO.ui.resolveOverlay( config.$overlay, this ) || this.$element;
 	this.active = false;
 	this.dragging = false;
 	this.onBlurHandler = this.onBlur.bind( this );
@@ -40,6 +49,15 @@ OO.ui.PopupToolGroup = function OoUiPopupToolGroup( toolbar, config ) {
 		'mousedown touchstart': this.onHandlePointerDown.bind( this ),
 		'mouseup touchend': this.onHandlePointerUp.bind( this )
 	} );
+	if ( this.$overlay[ 0 ] !== this.$element[ 0 ] ) {
+		// Events of tools in the overlay don't bubble to #$element
+		this.$group.on( {
+			'mousedown touchstart': this.onPointerDown.bind( this ),
+			'mouseup touchend': this.onPointerUp.bind( this ),
+			mouseover: this.onMouseOver.bind( this ),
+			mouseout: this.onMouseOut.bind( this )
+		} );
+	}
 
 	// Initialization
 	this.$handle
@@ -55,9 +73,11 @@ OO.ui.PopupToolGroup = function OoUiPopupToolGroup( toolbar, config ) {
 				.text( config.header )
 			);
 	}
+	this.$group.addClass( 'oo-ui-popupToolGroup-tools' );
 	this.$element
 		.addClass( 'oo-ui-popupToolGroup' )
 		.prepend( this.$handle );
+	this.$overlay.append( this.$group );
 };
 
 /* Setup */
@@ -68,6 +88,7 @@ OO.mixinClass( OO.ui.PopupToolGroup, OO.ui.IndicatorElement );
 OO.mixinClass( OO.ui.PopupToolGroup, OO.ui.LabelElement );
 OO.mixinClass( OO.ui.PopupToolGroup, OO.ui.TitledElement );
 OO.mixinClass( OO.ui.PopupToolGroup, OO.ui.ClippableElement );
+OO.mixinClass( OO.ui.PopupToolGroup, OO.ui.FloatableElement );
 
 /* Static Properties */
 
@@ -93,8 +114,11 @@ OO.ui.PopupToolGroup.prototype.setDisabled = function () {
  * @param {jQuery.Event} e Mouse up event
  */
 OO.ui.PopupToolGroup.prototype.onBlur = function ( e ) {
-	// Only deactivate when clicking outside the dropdown element
-	if ( $( e.target ).closest( '.oo-ui-popupToolGroup' )[ 0 ] !== this.$element[ 0 ] ) {
+	// Only deactivate when clicking outside the dropdown element and its tools
+	if (
+		$( e.target ).closest( '.oo-ui-popupToolGroup' )[ 0 ] !== this.$element[ 0 ] &&
+		!OO.ui.contains( this.$group[ 0 ], e.target, true )
+	) {
 		this.setActive( false );
 	}
 };
@@ -146,23 +170,34 @@ OO.ui.PopupToolGroup.prototype.setActive = function ( value ) {
 		if ( value ) {
 			this.getElementDocument().addEventListener( 'mouseup', this.onBlurHandler, true );
 
-			// Try anchoring the popup to the left first
-			this.$element.addClass( 'oo-ui-popupToolGroup-active oo-ui-popupToolGroup-left' );
+			this.$element.addClass( 'oo-ui-popupToolGroup-active' );
+			this.$group.addClass( 'oo-ui-popupToolGroup-tools-active' );
+			// Positioning shifts the tools to the left if they don't fit to the right
+			this.togglePositioning( true );
 			this.toggleClipping( true );
-			if ( this.isClippedHorizontally() ) {
-				// Anchoring to the left caused the popup to clip, so anchor it to the right instead
-				this.toggleClipping( false );
-				this.$element
-					.removeClass( 'oo-ui-popupToolGroup-left' )
-					.addClass( 'oo-ui-popupToolGroup-right' );
-				this.toggleClipping( true );
-			}
 		} else {
 			this.getElementDocument().removeEventListener( 'mouseup', this.onBlurHandler, true );
-			this.$element.removeClass(
-				'oo-ui-popupToolGroup-active oo-ui-popupToolGroup-left  oo-ui-popupToolGroup-right'
-			);
+			this.$element.removeClass( 'oo-ui-popupToolGroup-active' );
+			this.$group.removeClass( 'oo-ui-popupToolGroup-tools-active' );
 			this.toggleClipping( false );
+			this.togglePositioning( false );
 		}
 	}
 };
+
+/**
+ * @inheritdoc
+ */
+OO.ui.PopupToolGroup.prototype.destroy = function () {
+	this.setActive( false );
+	if ( this.$overlay[ 0 ] !== this.$element[ 0 ] ) {
+		this.$group.remove();
+	}
+
+	// Mixin methods
+	OO.ui.ClippableElement.prototype.teardownClippableElement.call( this );
+	OO.ui.FloatableElement.prototype.teardownFloatableElement.call( this );
+
+	// Parent method
+	OO.ui.PopupToolGroup.super.prototype.destroy.call( this );
+};
@@ -15,12 +15,11 @@ OO.ui.PopupTool = function OoUiPopupTool( toolbar, config ) {
 	OO.ui.PopupTool.super.call( this, toolbar, config );
 
 	// Mixin constructors
-	OO.ui.PopupElement.call( this, config );
+	OO.ui.PopupElement.call( this, $.extend( { $overlay: toolbar.$overlay }, config ) );
 
 	// Initialization
-	this.$element
-		.addClass( 'oo-ui-popupTool' )
-		.append( this.popup.$element );
+	this.$element.addClass( 'oo-ui-popupTool' );
+	this.$overlay.append( this.popup.$element );
 };
 
 /* Setup */
@@ -51,3 +50,14 @@ OO.ui.PopupTool.prototype.onSelect = function () {
 OO.ui.PopupTool.prototype.onUpdateState = function () {
 	this.setActive( false );
 };
+
+/**
+ * @inheritdoc
+ */
+OO.ui.PopupTool.prototype.destroy = function () {
+	// Mixin method
+	OO.ui.PopupElement.prototype.teardownPopupElement.call( this );
+
+	// Parent method
+	OO.ui.PopupTool.super.prototype.destroy.call( this );
+};
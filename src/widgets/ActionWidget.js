@@ -156,3 +156,30 @@ OO.ui.ActionWidget.prototype.toggle = function () {
 
 	return this;
 };
+
+/**
+ * @inheritdoc
+ */
+OO.ui.ActionWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+	if ( this.action ) {
+		config.action = this.action;
+	}
+	if ( this.modes.length ) {
+		config.modes = this.modes.slice();
+	}
+
+	// Parent method
+	return OO.ui.ActionWidget.super.prototype.getConfig.call( this, config );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.ActionWidget.prototype.destroy = function () {
+	// Mixin method
+	OO.ui.PendingElement.prototype.teardownPendingElement.call( this );
+
+	// Parent method
+	OO.ui.ActionWidget.super.prototype.destroy.call( this );
+};
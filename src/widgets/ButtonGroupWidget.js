@@ -51,3 +51,29 @@ OO.ui.ButtonGroupWidget = function OoUiButtonGroupWidget( config ) {
 
 OO.inheritClass( OO.ui.ButtonGroupWidget, OO.ui.Widget );
 OO.mixinClass( OO.ui.ButtonGroupWidget, OO.ui.GroupElement );
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+OO.ui.ButtonGroupWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+
+	// Mixin method
+	OO.ui.GroupElement.prototype.getGroupElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.ButtonGroupWidget.super.prototype.getConfig.call( this, config );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.ButtonGroupWidget.prototype.destroy = function () {
+	// Mixin method
+	OO.ui.GroupElement.prototype.teardownGroupElement.call( this );
+
+	// Parent method
+	OO.ui.ButtonGroupWidget.super.prototype.destroy.call( this );
+};
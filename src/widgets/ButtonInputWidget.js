@@ -68,6 +68,16 @@ OO.mixinClass( OO.ui.ButtonInputWidget, OO.ui.LabelElement );
 OO.mixinClass( OO.ui.ButtonInputWidget, OO.ui.TitledElement );
 OO.mixinClass( OO.ui.ButtonInputWidget, OO.ui.FlaggedElement );
 
+/* Static Properties */
+
+/**
+ * Buttons are not form fields, even though they have a value.
+ *
+ * @static
+ * @inheritdoc
+ */
+OO.ui.ButtonInputWidget.static.formValueEvent = null;
+
 /* Methods */
 
 /**
@@ -121,3 +131,36 @@ OO.ui.ButtonInputWidget.prototype.setValue = function ( value ) {
 	}
 	return this;
 };
+
+/**
+ * @inheritdoc
+ */
+OO.ui.ButtonInputWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+	config.type = this.$input.attr( 'type' );
+	if ( this.$input.is( 'input' ) ) {
+		config.useInputTag = true;
+	}
+
+	// Mixin methods
+	OO.ui.ButtonElement.prototype.getButtonElementConfig.call( this, config );
+	OO.ui.IconElement.prototype.getIconElementConfig.call( this, config );
+	OO.ui.IndicatorElement.prototype.getIndicatorElementConfig.call( this, config );
+	OO.ui.LabelElement.prototype.getLabelElementConfig.call( this, config );
+	OO.ui.TitledElement.prototype.getTitledElementConfig.call( this, config );
+	OO.ui.FlaggedElement.prototype.getFlaggedElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.ButtonInputWidget.super.prototype.getConfig.call( this, config );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.ButtonInputWidget.prototype.destroy = function () {
+	// Mixin method
+	OO.ui.ButtonElement.prototype.teardownButtonElement.call( this );
+
+	// Parent method
+	OO.ui.ButtonInputWidget.super.prototype.destroy.call( this );
+};
@@ -55,3 +55,28 @@ OO.ui.ButtonOptionWidget.prototype.setSelected = function ( state ) {
 
 	return this;
 };
+
+/**
+ * @inheritdoc
+ */
+OO.ui.ButtonOptionWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+
+	// Mixin methods
+	OO.ui.ButtonElement.prototype.getButtonElementConfig.call( this, config );
+	OO.ui.TabIndexedElement.prototype.getTabIndexedElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.ButtonOptionWidget.super.prototype.getConfig.call( this, config );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.ButtonOptionWidget.prototype.destroy = function () {
+	// Mixin method
+	OO.ui.ButtonElement.prototype.teardownButtonElement.call( this );
+
+	// Parent method
+	OO.ui.ButtonOptionWidget.super.prototype.destroy.call( this );
+};
@@ -19,8 +19,8 @@ OO.ui.ButtonSelectWidget = function OoUiButtonSelectWidget( config ) {
 
 	// Events
 	this.$element.on( {
-		focus: this.bindKeyDownListener.bind( this ),
-		blur: this.unbindKeyDownListener.bind( this )
+		focus: this.onFocus.bind( this ),
+		blur: this.onBlur.bind( this )
 	} );
 
 	// Initialization
@@ -31,3 +31,18 @@ OO.ui.ButtonSelectWidget = function OoUiButtonSelectWidget( config ) {
 
 OO.inheritClass( OO.ui.ButtonSelectWidget, OO.ui.SelectWidget );
 OO.mixinClass( OO.ui.ButtonSelectWidget, OO.ui.TabIndexedElement );
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+OO.ui.ButtonSelectWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+
+	// Mixin method
+	OO.ui.TabIndexedElement.prototype.getTabIndexedElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.ButtonSelectWidget.super.prototype.getConfig.call( this, config );
+};
@@ -213,3 +213,42 @@ OO.ui.ButtonWidget.prototype.setNoFollow = function ( noFollow ) {
 
 	return this;
 };
+
+/**
+ * @inheritdoc
+ */
+OO.ui.ButtonWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+	if ( this.href !== null ) {
+		config.href = this.href;
+	}
+	if ( this.target !== null ) {
+		config.target = this.target;
+	}
+	if ( !this.noFollow ) {
+		config.noFollow = false;
+	}
+
+	// Mixin methods
+	OO.ui.ButtonElement.prototype.getButtonElementConfig.call( this, config );
+	OO.ui.IconElement.prototype.getIconElementConfig.call( this, config );
+	OO.ui.IndicatorElement.prototype.getIndicatorElementConfig.call( this, config );
+	OO.ui.LabelElement.prototype.getLabelElementConfig.call( this, config );
+	OO.ui.TitledElement.prototype.getTitledElementConfig.call( this, config );
+	OO.ui.FlaggedElement.prototype.getFlaggedElementConfig.call( this, config );
+	OO.ui.TabIndexedElement.prototype.getTabIndexedElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.ButtonWidget.super.prototype.getConfig.call( this, config );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.ButtonWidget.prototype.destroy = function () {
+	// Mixin method
+	OO.ui.ButtonElement.prototype.teardownButtonElement.call( this );
+
+	// Parent method
+	OO.ui.ButtonWidget.super.prototype.destroy.call( this );
+};
@@ -0,0 +1,550 @@
+/**
+ * CalendarWidgets display the days of a month in a grid, from which the user can choose a date.
+ *
+ * Use the arrow keys to move between days, PageUp and PageDown to move between months, and
+ * Shift+PageUp and Shift+PageDown to move between years. Enter or Space chooses the focused day.
+ * Dates are given and returned as strings in ISO 8601 format (`YYYY-MM-DD`).
+ *
+ *     @example
+ *     // Example: A calendar that only allows dates in 2015
+ *     var calendar = new OO.ui.CalendarWidget( {
+ *         date: '2015-06-15',
+ *         min: '2015-01-01',
+ *         max: '2015-12-31'
+ *     } );
+ *     calendar.on( 'choose', function ( date ) {
+ *         console.log( 'Chose ' + date );
+ *     } );
+ *     $( 'body' ).append( calendar.$element );
+ *
+ * @class
+ * @extends OO.ui.Widget
+ * @mixins OO.ui.TabIndexedElement
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ * @cfg {string|null} [date=null] Selected date
+ * @cfg {string|null} [min=null] Earliest date that can be chosen
+ * @cfg {string|null} [max=null] Latest date that can be chosen
+ * @cfg {number} [weekStart=0] Day weeks start on, from 0 for Sunday to 6 for Saturday
+ * @throws {Error} If the range is invalid
+ */
+OO.ui.CalendarWidget = function OoUiCalendarWidget( config ) {
+	// Configuration initialization
+	config = config || {};
+
+	// Properties (must be set before TabIndexedElement constructor call)
+	this.$grid = $( '<table>' );
+
+	// Parent constructor
+	OO.ui.CalendarWidget.super.call( this, config );
+
+	// Mixin constructors
+	OO.ui.TabIndexedElement.call( this, $.extend( {}, config, { $tabIndexed: this.$grid } ) );
+
+	// Properties
+	this.date = null;
+	this.focusedDate = null;
+	this.min = null;
+	this.max = null;
+	this.weekStart = config.weekStart || 0;
+	this.previousButton = new OO.ui.ButtonWidget( {
+		classes: [ 'oo-ui-calendarWidget-previousButton' ],
+		framed: false,
+		icon: 'previous',
+		title: OO.ui.msg( 'ooui-calendar-previous-month' )
+	} );
+	this.nextButton = new OO.ui.ButtonWidget( {
+		classes: [ 'oo-ui-calendarWidget-nextButton' ],
+		framed: false,
+		icon: 'next',
+		title: OO.ui.msg( 'ooui-calendar-next-month' )
+	} );
+	this.$title = $( '<div>' );
+	this.$header = $( '<div>' );
+	this.$days = $( '<tbody>' );
+
+	// Events
+	this.previousButton.connect( this, { click: [ 'moveFocusedDate', 0, -1 ] } );
+	this.nextButton.connect( this, { click: [ 'moveFocusedDate', 0, 1 ] } );
+	this.$days.on( 'click', '.oo-ui-calendarWidget-day', this.onDayClick.bind( this ) );
+	this.$grid.on( 'keydown', this.onKeyDown.bind( this ) );
+
+	// Initialization
+	this.$title
+		.addClass( 'oo-ui-calendarWidget-title' )
+		.attr( { id: OO.ui.generateElementId(), 'aria-live': 'polite' } );
+	this.$header
+		.addClass( 'oo-ui-calendarWidget-header' )
+		.append( this.previousButton.$element, this.$title, this.nextButton.$element );
+	this.$grid
+		.addClass( 'oo-ui-calendarWidget-grid' )
+		.attr( { role: 'grid', 'aria-labelledby': this.$title.attr( 'id' ) } )
+		.append( $( '<thead>' ).append( this.getWeekdayRow() ), this.$days );
+	this.$element
+		.addClass( 'oo-ui-calendarWidget' )
+		.append( this.$header, this.$grid );
+	this.setRange( config.min, config.max );
+	this.setDate( config.date );
+};
+
+/* Setup */
+
+OO.inheritClass( OO.ui.CalendarWidget, OO.ui.Widget );
+OO.mixinClass( OO.ui.CalendarWidget, OO.ui.TabIndexedElement );
+
+/* Static Properties */
+
+/**
+ * @inheritdoc
+ */
+OO.ui.CalendarWidget.static.formValueEvent = 'change';
+
+/* Static Methods */
+
+/**
+ * Parse a date in ISO 8601 format (`YYYY-MM-DD`).
+ *
+ * @static
+ * @param {string} value Date string
+ * @return {Date|null} Date at midnight UTC, or null if the string is not a valid date
+ */
+OO.ui.CalendarWidget.static.parseDate = function ( value ) {
+	var date, year, month, day,
+		matches = /^(\d{4})-(\d{2})-(\d{2})$/.exec( value );
+
+	if ( !matches ) {
+		return null;
+	}
+	year = +matches[ 1 ];
+	month = +matches[ 2 ] - 1;
+	day = +matches[ 3 ];
+	date = new Date( 0 );
+	// Date.UTC() would treat years 0 to 99 as 1900 to 1999
+	date.setUTCFullYear( year, month, day );
+	// Reject days that don't exist, such as February 30th
+	if ( date.getUTCMonth() !== month || date.getUTCDate() !== day ) {
+		return null;
+	}
+	return date;
+};
+
+/**
+ * Format a date in ISO 8601 format (`YYYY-MM-DD`).
+ *
+ * @static
+ * @param {Date} date Date at midnight UTC
+ * @return {string} Date string
+ */
+OO.ui.CalendarWidget.static.formatDate = function ( date ) {
+	function pad( number, length ) {
+		number = String( number );
+		while ( number.length < length ) {
+			number = '0' + number;
+		}
+		return number;
+	}
+
+	return pad( date.getUTCFullYear(), 4 ) + '-' +
+		pad( date.getUTCMonth() + 1, 2 ) + '-' +
+		pad( date.getUTCDate(), 2 );
+};
+
+/**
+ * Get the localized name of a month.
+ *
+ * @static
+ * @param {number} month Month, from 0 for January to 11 for December
+ * @return {string} Month name
+ */
+OO.ui.CalendarWidget.static.getMonthName = function ( month ) {
+	return OO.ui.msg( 'ooui-calendar-' + [
+		'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september',
+		'october', 'november', 'december'
+	][ month ] );
+};
+
+/**
+ * Get the localized abbreviated name of a day of the week.
+ *
+ * @static
+ * @param {number} day Day, from 0 for Sunday to 6 for Saturday
+ * @return {string} Abbreviated day name
+ */
+OO.ui.CalendarWidget.static.getWeekdayName = function ( day ) {
+	return OO.ui.msg( 'ooui-calendar-' + [
+		'sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'
+	][ day ] + '-short' );
+};
+
+/* Events */
+
+/**
+ * The selected date has changed.
+ *
+ * @event change
+ * @param {string|null} date Selected date, or null if no date is selected
+ */
+
+/**
+ * The user has chosen a date, by clicking it or by pressing Enter or Space.
+ *
+ * Unlike the #change event, this is emitted even if the chosen date was already selected.
+ *
+ * @event choose
+ * @param {string} date Chosen date
+ */
+
+/* Methods */
+
+/**
+ * Handle day click events.
+ *
+ * @param {jQuery.Event} e Click event
+ * @fires choose
+ */
+OO.ui.CalendarWidget.prototype.onDayClick = function ( e ) {
+	var date = this.constructor.static.parseDate( $( e.currentTarget ).attr( 'data-date' ) );
+
+	if ( e.which === 1 && !this.isDisabled() && this.isInRange( date ) ) {
+		this.focusedDate = date;
+		this.choose();
+		this.focus();
+	}
+	return false;
+};
+
+/**
+ * Handle key down events.
+ *
+ * @param {jQuery.Event} e Key down event
+ * @fires choose
+ */
+OO.ui.CalendarWidget.prototype.onKeyDown = function ( e ) {
+	var forward;
+
+	if ( this.isDisabled() ) {
+		return;
+	}
+
+	switch ( e.which ) {
+		case OO.ui.Keys.LEFT:
+		case OO.ui.Keys.RIGHT:
+			forward = e.which === OO.ui.Keys.RIGHT;
+			if ( OO.ui.Element.static.getDir( this.$element ) === 'rtl' ) {
+				forward = !forward;
+			}
+			this.moveFocusedDate( forward ? 1 : -1 );
+			return false;
+		case OO.ui.Keys.UP:
+			this.moveFocusedDate( -7 );
+			return false;
+		case OO.ui.Keys.DOWN:
+			this.moveFocusedDate( 7 );
+			return false;
+		case OO.ui.Keys.PAGEUP:
+			this.moveFocusedDate( 0, e.shiftKey ? -12 : -1 );
+			return false;
+		case OO.ui.Keys.PAGEDOWN:
+			this.moveFocusedDate( 0, e.shiftKey ? 12 : 1 );
+			return false;
+		case OO.ui.Keys.ENTER:
+		case OO.ui.Keys.SPACE:
+			this.choose();
+			return false;
+	}
+};
+
+/**
+ * Get a row of abbreviated weekday names, in the order they are shown in the grid.
+ *
+ * @private
+ * @return {jQuery} Table row
+ */
+OO.ui.CalendarWidget.prototype.getWeekdayRow = function () {
+	var i,
+		$row = $( '<tr>' );
+
+	for ( i = 0; i < 7; i++ ) {
+		$row.append(
+			$( '<th>' )
+				.attr( 'role', 'columnheader' )
+				.text( this.constructor.static.getWeekdayName( ( this.weekStart + i ) % 7 ) )
+		);
+	}
+	return $row;
+};
+
+/**
+ * Set the selected date.
+ *
+ * The month containing the date is shown. Dates outside the range can be selected this way, but
+ * can't be chosen by the user.
+ *
+ * @param {string|null} date Date, or null to select no date; invalid dates are treated as null
+ * @fires change
+ * @chainable
+ */
+OO.ui.CalendarWidget.prototype.setDate = function ( date ) {
+	var formatted;
+
+	date = date ? this.constructor.static.parseDate( date ) : null;
+	formatted = date && this.constructor.static.formatDate( date );
+
+	if ( formatted !== this.getDate() ) {
+		this.date = date;
+		this.emit( 'change', formatted );
+	}
+	this.setFocusedDate( formatted );
+	return this;
+};
+
+/**
+ * Get the selected date.
+ *
+ * @return {string|null} Selected date, or null if no date is selected
+ */
+OO.ui.CalendarWidget.prototype.getDate = function () {
+	return this.date && this.constructor.static.formatDate( this.date );
+};
+
+/**
+ * Get the selected date, to use in a form.
+ *
+ * @return {string|null} Selected date, or null if no date is selected
+ */
+OO.ui.CalendarWidget.prototype.getFormValue = function () {
+	return this.getDate();
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.CalendarWidget.prototype.setFormValue = function ( date ) {
+	return this.setDate( date );
+};
+
+/**
+ * Set the range of dates that can be chosen.
+ *
+ * @param {string|null} [min] Earliest date that can be chosen, or null for no limit
+ * @param {string|null} [max] Latest date that can be chosen, or null for no limit
+ * @chainable
+ * @throws {Error} If the minimum is later than the maximum
+ */
+OO.ui.CalendarWidget.prototype.setRange = function ( min, max ) {
+	min = min ? this.constructor.static.parseDate( min ) : null;
+	max = max ? this.constructor.static.parseDate( max ) : null;
+	if ( min && max && min > max ) {
+		throw new Error( 'Minimum must not be later than maximum' );
+	}
+	this.min = min;
+	this.max = max;
+	if ( this.focusedDate ) {
+		this.setFocusedDate( this.getFocusedDate() );
+	}
+	return this;
+};
+
+/**
+ * Get the range of dates that can be chosen.
+ *
+ * @return {Object} Object with `min` and `max` properties, each a date or null for no limit
+ */
+OO.ui.CalendarWidget.prototype.getRange = function () {
+	return {
+		min: this.min && this.constructor.static.formatDate( this.min ),
+		max: this.max && this.constructor.static.formatDate( this.max )
+	};
+};
+
+/**
+ * Check if a date is within the range of dates that can be chosen.
+ *
+ * @private
+ * @param {Date|null} date Date at midnight UTC
+ * @return {boolean} Date is in range
+ */
+OO.ui.CalendarWidget.prototype.isInRange = function ( date ) {
+	return !!date && ( !this.min || date >= this.min ) && ( !this.max || date <= this.max );
+};
+
+/**
+ * Set the focused date, which is highlighted for keyboard navigation, and show its month.
+ *
+ * The date is moved into the range of dates that can be chosen if needed.
+ *
+ * @param {string|null} [date] Date to focus, or null to focus the selected date, or today's date
+ *  if no date is selected
+ * @chainable
+ */
+OO.ui.CalendarWidget.prototype.setFocusedDate = function ( date ) {
+	var now;
+
+	date = date ? this.constructor.static.parseDate( date ) : null;
+	if ( !date ) {
+		if ( this.date ) {
+			date = this.date;
+		} else {
+			now = new Date();
+			date = new Date( 0 );
+			date.setUTCFullYear( now.getFullYear(), now.getMonth(), now.getDate() );
+		}
+	}
+	if ( this.min && date < this.min ) {
+		date = this.min;
+	} else if ( this.max && date > this.max ) {
+		date = this.max;
+	}
+	this.focusedDate = new Date( date.getTime() );
+	this.updateGrid();
+	return this;
+};
+
+/**
+ * Get the focused date.
+ *
+ * @return {string} Focused date
+ */
+OO.ui.CalendarWidget.prototype.getFocusedDate = function () {
+	return this.constructor.static.formatDate( this.focusedDate );
+};
+
+/**
+ * Move the focused date by a number of days and months.
+ *
+ * When moving by months, the day of the month is kept if possible, otherwise the last day of the
+ * month is focused.
+ *
+ * @param {number} days Number of days to move by, negative to move backward
+ * @param {number} [months=0] Number of months to move by, negative to move backward
+ * @chainable
+ */
+OO.ui.CalendarWidget.prototype.moveFocusedDate = function ( days, months ) {
+	var lastDay,
+		date = new Date( this.focusedDate.getTime() ),
+		day = date.getUTCDate();
+
+	if ( months ) {
+		date.setUTCDate( 1 );
+		date.setUTCMonth( date.getUTCMonth() + months );
+		// Day 0 of the next month is the last day of this one
+		lastDay = new Date( date.getTime() );
+		lastDay.setUTCMonth( lastDay.getUTCMonth() + 1, 0 );
+		date.setUTCDate( Math.min( day, lastDay.getUTCDate() ) );
+	}
+	date.setUTCDate( date.getUTCDate() + days );
+	return this.setFocusedDate( this.constructor.static.formatDate( date ) );
+};
+
+/**
+ * Select the focused date, if it can be chosen.
+ *
+ * @private
+ * @fires choose
+ */
+OO.ui.CalendarWidget.prototype.choose = function () {
+	var date = this.getFocusedDate();
+
+	if ( this.isInRange( this.focusedDate ) ) {
+		this.setDate( date );
+		this.emit( 'choose', date );
+	}
+};
+
+/**
+ * Render the month containing the focused date.
+ *
+ * @private
+ */
+OO.ui.CalendarWidget.prototype.updateGrid = function () {
+	var i, $row, $cell, formatted,
+		month = this.focusedDate.getUTCMonth(),
+		focused = this.getFocusedDate(),
+		selected = this.getDate(),
+		today = new Date(),
+		date = new Date( 0 );
+
+	date.setUTCFullYear( today.getFullYear(), today.getMonth(), today.getDate() );
+	today = this.constructor.static.formatDate( date );
+
+	// Start with the first day of the week containing the first day of the month
+	date.setUTCFullYear( this.focusedDate.getUTCFullYear(), month, 1 );
+	date.setUTCDate( 1 - ( date.getUTCDay() - this.weekStart + 7 ) % 7 );
+
+	this.$title.text( OO.ui.msg(
+		'ooui-calendar-month-year',
+		this.constructor.static.getMonthName( month ),
+		this.focusedDate.getUTCFullYear()
+	) );
+	this.$days.empty();
+	// Always show six weeks, so the size doesn't change between months
+	for ( i = 0; i < 42; i++ ) {
+		if ( i % 7 === 0 ) {
+			$row = $( '<tr>' ).appendTo( this.$days );
+		}
+		formatted = this.constructor.static.formatDate( date );
+		$cell = $( '<td>' )
+			.addClass( 'oo-ui-calendarWidget-day' )
+			.toggleClass( 'oo-ui-calendarWidget-day-otherMonth', date.getUTCMonth() !== month )
+			.toggleClass( 'oo-ui-calendarWidget-day-today', formatted === today )
+			.toggleClass( 'oo-ui-calendarWidget-day-selected', formatted === selected )
+			.toggleClass( 'oo-ui-calendarWidget-day-focused', formatted === focused )
+			.toggleClass( 'oo-ui-calendarWidget-day-disabled', !this.isInRange( date ) )
+			.attr( {
+				id: this.$title.attr( 'id' ) + '-' + formatted,
+				role: 'gridcell',
+				'data-date': formatted,
+				'aria-selected': String( formatted === selected ),
+				'aria-disabled': String( !this.isInRange( date ) )
+			} )
+			.text( date.getUTCDate() )
+			.appendTo( $row );
+		date.setUTCDate( date.getUTCDate() + 1 );
+	}
+	this.$grid.attr( 'aria-activedescendant', this.$title.attr( 'id' ) + '-' + focused );
+	this.previousButton.setDisabled(
+		this.isDisabled() || !!( this.min && this.min.getUTCFullYear() * 12 + this.min.getUTCMonth() >=
+			this.focusedDate.getUTCFullYear() * 12 + month )
+	);
+	this.nextButton.setDisabled(
+		this.isDisabled() || !!( this.max && this.max.getUTCFullYear() * 12 + this.max.getUTCMonth() <=
+			this.focusedDate.getUTCFullYear() * 12 + month )
+	);
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.CalendarWidget.prototype.setDisabled = function ( disabled ) {
+	// Parent method
+	OO.ui.CalendarWidget.super.prototype.setDisabled.call( this, disabled );
+
+	if ( this.focusedDate ) {
+		this.updateGrid();
+	}
+	return this;
+};
+
+/**
+ * Focus the calendar.
+ *
+ * @chainable
+ */
+OO.ui.CalendarWidget.prototype.focus = function () {
+	this.$grid[ 0 ].focus();
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.CalendarWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+
+	// Mixin method
+	OO.ui.TabIndexedElement.prototype.getTabIndexedElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.CalendarWidget.super.prototype.getConfig.call( this, config );
+};
@@ -0,0 +1,139 @@
+/**
+ * CapsuleItemWidgets are used within a {@link OO.ui.CapsuleMultiSelectWidget
+ * CapsuleMultiSelectWidget} to display the selected items as removable "capsules".
+ *
+ * Clicking the icon of the item, or pressing Backspace or Delete while the item is focused, removes
+ * it. The Left and Right arrow keys move the focus to the adjacent item.
+ *
+ * @class
+ * @extends OO.ui.Widget
+ * @mixins OO.ui.ItemWidget
+ * @mixins OO.ui.IconElement
+ * @mixins OO.ui.LabelElement
+ * @mixins OO.ui.FlaggedElement
+ * @mixins OO.ui.TabIndexedElement
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ */
+OO.ui.CapsuleItemWidget = function OoUiCapsuleItemWidget( config ) {
+	// Configuration initialization
+	config = $.extend( { tabIndex: -1 }, config );
+
+	// Parent constructor
+	OO.ui.CapsuleItemWidget.super.call( this, config );
+
+	// Mixin constructors
+	OO.ui.ItemWidget.call( this );
+	OO.ui.IconElement.call( this, config );
+	OO.ui.LabelElement.call( this, config );
+	OO.ui.FlaggedElement.call( this, config );
+	OO.ui.TabIndexedElement.call( this, config );
+
+	// Events
+	this.$icon.on( 'click', this.onIconClick.bind( this ) );
+	this.$element.on( 'keydown', this.onKeyDown.bind( this ) );
+
+	// Initialization
+	this.$element
+		.addClass( 'oo-ui-capsuleItemWidget' )
+		.append( this.$label, this.$icon );
+};
+
+/* Setup */
+
+OO.inheritClass( OO.ui.CapsuleItemWidget, OO.ui.Widget );
+OO.mixinClass( OO.ui.CapsuleItemWidget, OO.ui.ItemWidget );
+OO.mixinClass( OO.ui.CapsuleItemWidget, OO.ui.IconElement );
+OO.mixinClass( OO.ui.CapsuleItemWidget, OO.ui.LabelElement );
+OO.mixinClass( OO.ui.CapsuleItemWidget, OO.ui.FlaggedElement );
+OO.mixinClass( OO.ui.CapsuleItemWidget, OO.ui.TabIndexedElement );
+
+/* Static Properties */
+
+OO.ui.CapsuleItemWidget.static.icon = 'close';
+
+OO.ui.CapsuleItemWidget.static.iconTitle = OO.ui.deferMsg( 'ooui-item-remove' );
+
+/* Events */
+
+/**
+ * User asked to remove the item.
+ *
+ * @event remove
+ */
+
+/**
+ * User asked to move the focus to an adjacent item.
+ *
+ * @event navigate
+ * @param {number} direction 1 to move forward, -1 to move backward
+ */
+
+/* Methods */
+
+/**
+ * Handle icon click events.
+ *
+ * @param {jQuery.Event} e Click event
+ * @fires remove
+ */
+OO.ui.CapsuleItemWidget.prototype.onIconClick = function () {
+	if ( !this.isDisabled() ) {
+		this.emit( 'remove' );
+	}
+	return false;
+};
+
+/**
+ * Handle key down events.
+ *
+ * @param {jQuery.Event} e Key down event
+ * @fires remove
+ * @fires navigate
+ */
+OO.ui.CapsuleItemWidget.prototype.onKeyDown = function ( e ) {
+	var rtl;
+
+	if ( this.isDisabled() ) {
+		return;
+	}
+
+	switch ( e.which ) {
+		case OO.ui.Keys.BACKSPACE:
+		case OO.ui.Keys.DELETE:
+			this.emit( 'remove' );
+			return false;
+		case OO.ui.Keys.LEFT:
+		case OO.ui.Keys.RIGHT:
+			rtl = this.$element.css( 'direction' ) === 'rtl';
+			this.emit( 'navigate', ( e.which === OO.ui.Keys.RIGHT ) !== rtl ? 1 : -1 );
+			return false;
+	}
+};
+
+/**
+ * Focus the item.
+ *
+ * @chainable
+ */
+OO.ui.CapsuleItemWidget.prototype.focus = function () {
+	this.$element[ 0 ].focus();
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.CapsuleItemWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+
+	// Mixin methods
+	OO.ui.IconElement.prototype.getIconElementConfig.call( this, config );
+	OO.ui.LabelElement.prototype.getLabelElementConfig.call( this, config );
+	OO.ui.FlaggedElement.prototype.getFlaggedElementConfig.call( this, config );
+	OO.ui.TabIndexedElement.prototype.getTabIndexedElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.CapsuleItemWidget.super.prototype.getConfig.call( this, config );
+};
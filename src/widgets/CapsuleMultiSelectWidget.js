@@ -0,0 +1,554 @@
+/**
+ * CapsuleMultiSelectWidgets allow the user to select several values. Each selected value is shown
+ * as a removable {@link OO.ui.CapsuleItemWidget capsule}, followed by a text input that filters the
+ * options of a {@link OO.ui.MenuSelectWidget menu}.
+ *
+ * Choosing an option from the menu adds it to the selection. Pressing Backspace in the empty input
+ * removes the last item, and the Left and Right arrow keys move the focus between the items. When
+ * #allowArbitrary is enabled, pressing Enter adds the typed text as a new item.
+ *
+ * Suggestions can also be provided asynchronously by passing a text input widget that mixes in
+ * OO.ui.LookupElement as the `input` option; items chosen from its lookup menu are added to the
+ * selection as well.
+ *
+ *     @example
+ *     // Example: A CapsuleMultiSelectWidget with three options
+ *     var capsule = new OO.ui.CapsuleMultiSelectWidget( {
+ *         menu: {
+ *             items: [
+ *                 new OO.ui.MenuOptionWidget( { data: 'a', label: 'First' } ),
+ *                 new OO.ui.MenuOptionWidget( { data: 'b', label: 'Second' } ),
+ *                 new OO.ui.MenuOptionWidget( { data: 'c', label: 'Third' } )
+ *             ]
+ *         }
+ *     } );
+ *     capsule.setItemsFromData( [ 'a', 'c' ] );
+ *     $( 'body' ).append( capsule.$element );
+ *
+ * @class
+ * @extends OO.ui.Widget
+ * @mixins OO.ui.GroupWidget
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ * @cfg {boolean} [allowArbitrary=false] Allow values that are not present in the menu
+ * @cfg {Object} [menu] Configuration options to pass to the menu widget
+ * @cfg {Object|OO.ui.TextInputWidget} [input] Configuration options to pass to the input widget,
+ *  or the input widget to use
+ * @cfg {jQuery|boolean} [$overlay] Overlay layer, `true` for the default overlay (see
+ *  OO.ui#getDefaultOverlay); defaults to relative positioning
+ */
+OO.ui.CapsuleMultiSelectWidget = function OoUiCapsuleMultiSelectWidget( config ) {
+	// Configuration initialization
+	config = config || {};
+
+	// Parent constructor
+	OO.ui.CapsuleMultiSelectWidget.super.call( this, config );
+
+	// Properties (must be set before GroupWidget constructor call)
+	this.$handle = $( '<div>' );
+	this.$group = $( '<span>' );
+
+	// Mixin constructors
+	OO.ui.GroupWidget.call( this, $.extend( {}, config, { $group: this.$group } ) );
+
+	// Properties
+	this.allowArbitrary = !!config.allowArbitrary;
+	this.itemsHash = OO.getHash( [] );
+	this.$overlay = OO.ui.resolveOverlay( config.$overlay, this ) || this.$element;
+	this.input = config.input instanceof OO.ui.TextInputWidget ?
+		config.input :
+		new OO.ui.TextInputWidget( $.extend(
+			{ disabled: this.isDisabled() },
+			config.input
+		) );
+	this.menu = new OO.ui.TextInputMenuSelectWidget( this.input, $.extend(
+		{
+			widget: this,
+			input: this.input,
+			$container: this.$element,
+			disabled: this.isDisabled(),
+			// Options are hidden while filtering and once they are selected
+			skipHiddenItems: true
+		},
+		config.menu
+	) );
+	this.lookupMenu = this.input.getLookupMenu ? this.input.getLookupMenu() : null;
+
+	// Events
+	this.$handle.on( 'mousedown', this.onHandleMouseDown.bind( this ) );
+	this.input.$input.on( 'keydown', this.onInputKeyDown.bind( this ) );
+	this.input.connect( this, { change: 'onInputChange' } );
+	this.menu.connect( this, {
+		choose: 'onMenuChoose',
+		add: 'updateMenu',
+		remove: 'updateMenu'
+	} );
+	if ( this.lookupMenu ) {
+		this.lookupMenu.connect( this, { choose: 'onMenuChoose' } );
+	}
+	this.aggregate( {
+		remove: 'itemRemove',
+		navigate: 'itemNavigate'
+	} );
+	this.connect( this, {
+		itemRemove: 'onItemRemove',
+		itemNavigate: 'onItemNavigate'
+	} );
+
+	// Initialization
+	this.$group.addClass( 'oo-ui-capsuleMultiSelectWidget-group' );
+	this.$handle
+		.addClass( 'oo-ui-capsuleMultiSelectWidget-handle' )
+		.append( this.$group, this.input.$element );
+	this.$element
+		.addClass( 'oo-ui-capsuleMultiSelectWidget oo-ui-capsuleMultiSelectWidget-empty' )
+		.append( this.$handle );
+	this.$overlay.append( this.menu.$element );
+	this.updateMenu();
+};
+
+/* Setup */
+
+OO.inheritClass( OO.ui.CapsuleMultiSelectWidget, OO.ui.Widget );
+
+// Need to mixin base class as well
+OO.mixinClass( OO.ui.CapsuleMultiSelectWidget, OO.ui.GroupElement );
+OO.mixinClass( OO.ui.CapsuleMultiSelectWidget, OO.ui.GroupWidget );
+
+/* Static Properties */
+
+/**
+ * @inheritdoc
+ */
+OO.ui.CapsuleMultiSelectWidget.static.formValueEvent = 'change';
+
+/* Events */
+
+/**
+ * The selected items have changed.
+ *
+ * @event change
+ * @param {Mixed[]} datas Data of the selected items
+ */
+
+/* Methods */
+
+/**
+ * Get the menu.
+ *
+ * @return {OO.ui.TextInputMenuSelectWidget} Menu widget
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.getMenu = function () {
+	return this.menu;
+};
+
+/**
+ * Get the data of the selected items.
+ *
+ * @return {Mixed[]} Item data
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.getItemsData = function () {
+	return this.items.map( function ( item ) {
+		return item.getData();
+	} );
+};
+
+/**
+ * Get the data of the selected items, to use in a form.
+ *
+ * @return {Mixed[]} Item data
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.getFormValue = function () {
+	return this.getItemsData();
+};
+
+/**
+ * Select the items with the given data, as returned by #getFormValue.
+ *
+ * @param {Mixed[]} datas Data of the items to select
+ * @chainable
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.setFormValue = function ( datas ) {
+	return this.setItemsFromData( datas || [] );
+};
+
+/**
+ * Select the items with the given data, replacing the current selection.
+ *
+ * Data that is not present in the menu is ignored, unless #allowArbitrary is enabled.
+ *
+ * @param {Mixed[]} datas Data of the items to select
+ * @fires change
+ * @chainable
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.setItemsFromData = function ( datas ) {
+	var i, len, item,
+		items = [];
+
+	for ( i = 0, len = datas.length; i < len; i++ ) {
+		item = this.getItemFromData( datas[ i ] ) || this.createItemWidgetFromData( datas[ i ] );
+		if ( item && $.inArray( item, items ) === -1 ) {
+			items.push( item );
+		}
+	}
+
+	// Mixin method, so that only one change event is emitted
+	OO.ui.GroupWidget.prototype.clearItems.call( this );
+	this.addItems( items );
+
+	return this;
+};
+
+/**
+ * Add items with the given data to the selection.
+ *
+ * Data that is already selected is ignored, as is data that is not present in the menu unless
+ * #allowArbitrary is enabled.
+ *
+ * @param {Mixed[]} datas Data of the items to add
+ * @fires change
+ * @chainable
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.addItemsFromData = function ( datas ) {
+	var i, len, item,
+		items = [];
+
+	for ( i = 0, len = datas.length; i < len; i++ ) {
+		if ( !this.getItemFromData( datas[ i ] ) ) {
+			item = this.createItemWidgetFromData( datas[ i ] );
+			if ( item ) {
+				items.push( item );
+			}
+		}
+	}
+
+	if ( items.length ) {
+		this.addItems( items );
+	}
+
+	return this;
+};
+
+/**
+ * Remove items with the given data from the selection.
+ *
+ * @param {Mixed[]} datas Data of the items to remove
+ * @fires change
+ * @chainable
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.removeItemsFromData = function ( datas ) {
+	var i, len,
+		items = [];
+
+	for ( i = 0, len = datas.length; i < len; i++ ) {
+		items.push.apply( items, this.getItemsFromData( datas[ i ] ) );
+	}
+
+	if ( items.length ) {
+		this.removeItems( items );
+	}
+
+	return this;
+};
+
+/**
+ * Create an item for the given data, labelled like the corresponding menu option.
+ *
+ * @protected
+ * @param {Mixed} data Item data
+ * @return {OO.ui.CapsuleItemWidget|null} Item, `null` if the data is not present in the menu and
+ *  #allowArbitrary is disabled
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.createItemWidgetFromData = function ( data ) {
+	var option = this.menu.getItemFromData( data );
+
+	if ( option ) {
+		return this.createItemWidget( data, option.getLabel() );
+	}
+	if ( this.allowArbitrary ) {
+		return this.createItemWidget( data, String( data ) );
+	}
+	return null;
+};
+
+/**
+ * Create an item.
+ *
+ * Override this method to use a custom item widget.
+ *
+ * @protected
+ * @param {Mixed} data Item data
+ * @param {jQuery|string|Function} label Item label
+ * @return {OO.ui.CapsuleItemWidget} Item
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.createItemWidget = function ( data, label ) {
+	return new OO.ui.CapsuleItemWidget( { data: data, label: label } );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.addItems = function ( items, index ) {
+	// Mixin method
+	OO.ui.GroupWidget.prototype.addItems.call( this, items, index );
+
+	this.onItemsChange();
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.removeItems = function ( items ) {
+	// Mixin method
+	OO.ui.GroupWidget.prototype.removeItems.call( this, items );
+
+	this.onItemsChange();
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.clearItems = function () {
+	// Mixin method
+	OO.ui.GroupWidget.prototype.clearItems.call( this );
+
+	this.onItemsChange();
+	return this;
+};
+
+/**
+ * Handle changes to the selected items.
+ *
+ * @private
+ * @fires change
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.onItemsChange = function () {
+	var datas = this.getItemsData(),
+		hash = OO.getHash( datas );
+
+	this.$element.toggleClass( 'oo-ui-capsuleMultiSelectWidget-empty', this.isEmpty() );
+	this.updateMenu();
+
+	if ( hash !== this.itemsHash ) {
+		this.itemsHash = hash;
+		this.emit( 'change', datas );
+	}
+};
+
+/**
+ * Update the visibility of the menu options, hiding selected options and options that don't match
+ * the text in the input.
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.updateMenu = function () {
+	var i, len, option, visible, highlighted,
+		options = this.menu.getItems(),
+		query = $.trim( this.input.getValue() ).toLowerCase();
+
+	for ( i = 0, len = options.length; i < len; i++ ) {
+		option = options[ i ];
+		visible = !this.getItemFromData( option.getData() ) &&
+			option.$label.text().toLowerCase().indexOf( query ) !== -1;
+		option.toggle( visible );
+	}
+
+	highlighted = this.menu.getHighlightedItem();
+	if ( highlighted && !highlighted.isVisible() ) {
+		this.menu.highlightItem( null );
+	}
+	// Free text is added when no option is highlighted, so don't guess which option is meant
+	if ( query && !this.allowArbitrary && !this.menu.getHighlightedItem() ) {
+		this.menu.highlightItem( this.menu.getFirstSelectableItem() );
+	}
+	if ( !this.menu.getFirstSelectableItem() ) {
+		this.menu.toggle( false );
+	}
+};
+
+/**
+ * Handle mouse down events on the handle.
+ *
+ * @param {jQuery.Event} e Mouse down event
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.onHandleMouseDown = function ( e ) {
+	if ( !this.isDisabled() && e.which === 1 && ( e.target === this.$handle[ 0 ] || e.target === this.$group[ 0 ] ) ) {
+		this.focus();
+		this.updateMenu();
+		this.menu.toggle();
+		return false;
+	}
+};
+
+/**
+ * Handle key down events on the input.
+ *
+ * @param {jQuery.Event} e Key down event
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.onInputKeyDown = function ( e ) {
+	var value = this.input.getValue(),
+		input = this.input.$input[ 0 ],
+		atStart = input.selectionStart === 0 && input.selectionEnd === 0;
+
+	if ( this.isDisabled() || this.input.isReadOnly() ) {
+		return;
+	}
+
+	switch ( e.which ) {
+		case OO.ui.Keys.BACKSPACE:
+			if ( value === '' && !this.isEmpty() ) {
+				this.removeItems( [ this.items[ this.items.length - 1 ] ] );
+				return false;
+			}
+			break;
+		case OO.ui.Keys.LEFT:
+			if ( atStart && !this.isEmpty() && this.$element.css( 'direction' ) !== 'rtl' ) {
+				this.items[ this.items.length - 1 ].focus();
+				return false;
+			}
+			break;
+		case OO.ui.Keys.RIGHT:
+			if ( atStart && !this.isEmpty() && this.$element.css( 'direction' ) === 'rtl' ) {
+				this.items[ this.items.length - 1 ].focus();
+				return false;
+			}
+			break;
+		case OO.ui.Keys.DOWN:
+			if ( !this.menu.isVisible() ) {
+				this.updateMenu();
+				this.menu.toggle( true );
+				return false;
+			}
+			break;
+		case OO.ui.Keys.ENTER:
+			if (
+				this.allowArbitrary && $.trim( value ) !== '' &&
+				!( this.menu.isVisible() && this.menu.getHighlightedItem() )
+			) {
+				this.addItemsFromData( [ $.trim( value ) ] );
+				this.input.setValue( '' );
+				this.menu.toggle( false );
+				return false;
+			}
+			break;
+	}
+};
+
+/**
+ * Handle input change events.
+ *
+ * @param {string} value New value
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.onInputChange = function ( value ) {
+	this.updateMenu();
+	if ( !this.isDisabled() && value !== '' && this.menu.getFirstSelectableItem() ) {
+		this.menu.toggle( true );
+	}
+};
+
+/**
+ * Handle menu choose events.
+ *
+ * @param {OO.ui.OptionWidget} item Chosen item
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.onMenuChoose = function ( item ) {
+	if ( item && !this.getItemFromData( item.getData() ) ) {
+		this.addItems( [ this.createItemWidget( item.getData(), item.getLabel() ) ] );
+	}
+	this.input.setValue( '' );
+	if ( this.lookupMenu ) {
+		this.input.closeLookupMenu();
+	}
+	this.focus();
+};
+
+/**
+ * Handle item remove events.
+ *
+ * @param {OO.ui.CapsuleItemWidget} item Item to remove
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.onItemRemove = function ( item ) {
+	var index = $.inArray( item, this.items );
+
+	this.removeItems( [ item ] );
+	this.focusItem( index );
+};
+
+/**
+ * Handle item navigate events.
+ *
+ * @param {OO.ui.CapsuleItemWidget} item Item the focus moves from
+ * @param {number} direction 1 to move forward, -1 to move backward
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.onItemNavigate = function ( item, direction ) {
+	this.focusItem( Math.max( 0, $.inArray( item, this.items ) + direction ) );
+};
+
+/**
+ * Focus the item at a given position, or the input if there is no such item.
+ *
+ * @private
+ * @param {number} index Item index
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.focusItem = function ( index ) {
+	if ( this.items[ index ] ) {
+		this.items[ index ].focus();
+	} else {
+		this.focus();
+	}
+};
+
+/**
+ * Focus the input.
+ *
+ * @chainable
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.focus = function () {
+	this.input.focus();
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.setDisabled = function ( disabled ) {
+	// Mixin method
+	OO.ui.GroupWidget.prototype.setDisabled.call( this, disabled );
+
+	if ( this.input ) {
+		this.input.setDisabled( this.isDisabled() );
+	}
+	if ( this.menu ) {
+		this.menu.setDisabled( this.isDisabled() );
+	}
+
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.destroy = function () {
+	// The menu may be in an overlay, outside of #$element
+	this.menu.destroy();
+
+	// Mixin method
+	OO.ui.GroupElement.prototype.teardownGroupElement.call( this );
+
+	// Parent method
+	OO.ui.CapsuleMultiSelectWidget.super.prototype.destroy.call( this );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.CapsuleMultiSelectWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+
+	// Mixin method
+	OO.ui.GroupElement.prototype.getGroupElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.CapsuleMultiSelectWidget.super.prototype.getConfig.call( this, config );
+};
@@ -77,3 +77,35 @@ OO.ui.CheckboxInputWidget.prototype.isSelected = function () {
 	}
 	return this.selected;
 };
+
+/**
+ * Get the selection state of this checkbox, to use in a form.
+ *
+ * Checkboxes sharing a name in a OO.ui.FormLayout make up one value, the list of the values of the
+ * selected ones, instead.
+ *
+ * @return {boolean} Checkbox is selected
+ */
+OO.ui.CheckboxInputWidget.prototype.getFormValue = function () {
+	return this.isSelected();
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.CheckboxInputWidget.prototype.setFormValue = function ( value ) {
+	return this.setSelected( value );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.CheckboxInputWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+	if ( this.isSelected() ) {
+		config.selected = true;
+	}
+
+	// Parent method
+	return OO.ui.CheckboxInputWidget.super.prototype.getConfig.call( this, config );
+};
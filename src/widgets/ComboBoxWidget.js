@@ -9,7 +9,8 @@
  * @param {Object} [config] Configuration options
  * @cfg {Object} [menu] Configuration options to pass to menu widget
  * @cfg {Object} [input] Configuration options to pass to input widget
- * @cfg {jQuery} [$overlay] Overlay layer; defaults to relative positioning
+ * @cfg {jQuery|boolean} [$overlay] Overlay layer, `true` for the default overlay (see
+ *  OO.ui#getDefaultOverlay); defaults to relative positioning
  */
 OO.ui.ComboBoxWidget = function OoUiComboBoxWidget( config ) {
 	// Configuration initialization
@@ -25,7 +26,7 @@ OO.ui.ComboBoxWidget = function OoUiComboBoxWidget( config ) {
 	OO.ui.TabIndexedElement.call( this, $.extend( {}, config, { $tabIndexed: this.$indicator } ) );
 
 	// Properties
-	this.$overlay = config.$overlay || this.$element;
+	this.$overlay = OO.ui.resolveOverlay( config.$overlay, this ) || this.$element;
 	this.input = new OO.ui.TextInputWidget( $.extend(
 		{
 			indicator: 'down',
@@ -69,6 +70,22 @@ OO.ui.ComboBoxWidget = function OoUiComboBoxWidget( config ) {
 OO.inheritClass( OO.ui.ComboBoxWidget, OO.ui.Widget );
 OO.mixinClass( OO.ui.ComboBoxWidget, OO.ui.TabIndexedElement );
 
+/* Static Properties */
+
+/**
+ * @inheritdoc
+ */
+OO.ui.ComboBoxWidget.static.formValueEvent = 'change';
+
+/* Events */
+
+/**
+ * The value of the input has changed.
+ *
+ * @event change
+ * @param {string} value New value
+ */
+
 /* Methods */
 
 /**
@@ -83,6 +100,7 @@ OO.ui.ComboBoxWidget.prototype.getMenu = function () {
  * Handle input change events.
  *
  * @param {string} value New value
+ * @fires change
  */
 OO.ui.ComboBoxWidget.prototype.onInputChange = function ( value ) {
 	var match = this.menu.getItemFromData( value );
@@ -95,6 +113,27 @@ OO.ui.ComboBoxWidget.prototype.onInputChange = function ( value ) {
 	if ( !this.isDisabled() ) {
 		this.menu.toggle( true );
 	}
+	this.emit( 'change', value );
+};
+
+/**
+ * Get the value of the input, to use in a form.
+ *
+ * @return {string} Input value
+ */
+OO.ui.ComboBoxWidget.prototype.getFormValue = function () {
+	return this.input.getValue();
+};
+
+/**
+ * Set the value of the input, as returned by #getFormValue.
+ *
+ * @param {string} value New value
+ * @chainable
+ */
+OO.ui.ComboBoxWidget.prototype.setFormValue = function ( value ) {
+	this.input.setValue( value );
+	return this;
 };
 
 /**
@@ -171,3 +210,27 @@ OO.ui.ComboBoxWidget.prototype.setDisabled = function ( disabled ) {
 
 	return this;
 };
+
+/**
+ * @inheritdoc
+ */
+OO.ui.ComboBoxWidget.prototype.destroy = function () {
+	// The menu may be in an overlay, outside of #$element
+	this.menu.destroy();
+
+	// Parent method
+	OO.ui.ComboBoxWidget.super.prototype.destroy.call( this );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.ComboBoxWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+
+	// Mixin method
+	OO.ui.TabIndexedElement.prototype.getTabIndexedElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.ComboBoxWidget.super.prototype.getConfig.call( this, config );
+};
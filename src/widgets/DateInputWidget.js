@@ -0,0 +1,431 @@
+/**
+ * DateInputWidgets let the user enter a date, either by typing it into a text field or by choosing
+ * it from an OO.ui.CalendarWidget shown in a popup.
+ *
+ * The value of the widget is always either an empty string or a date in ISO 8601 format
+ * (`YYYY-MM-DD`), which is also what is submitted with the form. The text field shows the date in
+ * a localized format, see the `displayFormat` option.
+ *
+ *     @example
+ *     // Example: A date input that doesn't allow dates in the past
+ *     var dateInput = new OO.ui.DateInputWidget( {
+ *         name: 'deadline',
+ *         min: '2015-06-01'
+ *     } );
+ *     $( 'body' ).append( dateInput.$element );
+ *
+ * @class
+ * @extends OO.ui.InputWidget
+ * @mixins OO.ui.PopupElement
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ * @cfg {string|null} [min=null] Earliest date that can be entered
+ * @cfg {string|null} [max=null] Latest date that can be entered
+ * @cfg {number} [weekStart=0] Day weeks start on in the calendar, from 0 for Sunday to 6 for
+ *  Saturday
+ * @cfg {string} [displayFormat] Format to show dates in and to parse typed dates with, using `YYYY`
+ *  for the year, `MM` or `M` for the month and `DD` or `D` for the day of the month, with or without
+ *  leading zeros; defaults to the localized 'ooui-dateinput-format' message
+ * @cfg {string} [placeholder] Placeholder text; defaults to the localized
+ *  'ooui-dateinput-placeholder' message
+ * @cfg {boolean} [readOnly=false] Prevent changes
+ */
+OO.ui.DateInputWidget = function OoUiDateInputWidget( config ) {
+	// Configuration initialization
+	config = $.extend( {
+		displayFormat: OO.ui.msg( 'ooui-dateinput-format' ),
+		placeholder: OO.ui.msg( 'ooui-dateinput-placeholder' )
+	}, config );
+
+	// Properties (must be set before parent constructor, which calls #setValue)
+	this.displayFormat = config.displayFormat;
+	this.textInput = new OO.ui.TextInputWidget( {
+		indicator: 'down',
+		placeholder: config.placeholder,
+		readOnly: config.readOnly,
+		disabled: config.disabled
+	} );
+	this.calendar = new OO.ui.CalendarWidget( {
+		min: config.min,
+		max: config.max,
+		weekStart: config.weekStart,
+		disabled: config.disabled
+	} );
+	this.typing = false;
+
+	// Parent constructor
+	OO.ui.DateInputWidget.super.call( this, config );
+
+	// Mixin constructors
+	OO.ui.PopupElement.call( this, $.extend( {}, config, {
+		popup: $.extend( {
+			$content: this.calendar.$element,
+			align: 'left',
+			anchor: false,
+			width: 280,
+			padded: true
+		}, config.popup )
+	} ) );
+
+	// Events
+	this.textInput.connect( this, { change: 'onTextInputChange' } );
+	this.textInput.$input.on( {
+		blur: this.onTextInputBlur.bind( this ),
+		mousedown: this.onTextInputMouseDown.bind( this ),
+		keydown: this.onTextInputKeyDown.bind( this )
+	} );
+	this.calendar.connect( this, { choose: 'onCalendarChoose' } );
+	this.popup.connect( this, { toggle: 'onPopupToggle' } );
+	this.calendar.$element.on( 'keydown', this.onCalendarKeyDown.bind( this ) );
+
+	// Initialization
+	this.$element
+		.addClass( 'oo-ui-dateInputWidget' )
+		.append( this.textInput.$element, this.popup.$element );
+	this.textInput.$input.attr( 'aria-haspopup', 'true' );
+};
+
+/* Setup */
+
+OO.inheritClass( OO.ui.DateInputWidget, OO.ui.InputWidget );
+OO.mixinClass( OO.ui.DateInputWidget, OO.ui.PopupElement );
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ * @private
+ */
+OO.ui.DateInputWidget.prototype.getInputElement = function () {
+	return $( '<input type="hidden">' );
+};
+
+/**
+ * Handle text input change events.
+ *
+ * @param {string} text Text in the text field
+ */
+OO.ui.DateInputWidget.prototype.onTextInputChange = function ( text ) {
+	this.typing = true;
+	this.setValue( this.parseDisplayDate( text ) || '' );
+	this.typing = false;
+	// The value may not have changed if the text isn't a valid date
+	this.debouncedUpdateValidity();
+};
+
+/**
+ * Handle text input blur events.
+ *
+ * @param {jQuery.Event} e Blur event
+ */
+OO.ui.DateInputWidget.prototype.onTextInputBlur = function () {
+	// Show what was typed in the display format, unless it wasn't understood
+	if ( this.value ) {
+		this.textInput.setValue( this.formatDisplayDate( this.value ) );
+	}
+};
+
+/**
+ * Handle text input mouse down events.
+ *
+ * @param {jQuery.Event} e Mouse down event
+ */
+OO.ui.DateInputWidget.prototype.onTextInputMouseDown = function ( e ) {
+	if ( e.which === 1 && !this.isDisabled() && !this.textInput.isReadOnly() ) {
+		this.popup.toggle( true );
+	}
+};
+
+/**
+ * Handle text input key down events.
+ *
+ * @param {jQuery.Event} e Key down event
+ */
+OO.ui.DateInputWidget.prototype.onTextInputKeyDown = function ( e ) {
+	if ( this.isDisabled() || this.textInput.isReadOnly() ) {
+		return;
+	}
+	if ( e.which === OO.ui.Keys.DOWN ) {
+		this.popup.toggle( true );
+		this.calendar.focus();
+		return false;
+	} else if ( e.which === OO.ui.Keys.ESCAPE && this.popup.isVisible() ) {
+		this.popup.toggle( false );
+		return false;
+	}
+};
+
+/**
+ * Handle calendar choose events.
+ *
+ * @param {string} date Chosen date
+ */
+OO.ui.DateInputWidget.prototype.onCalendarChoose = function ( date ) {
+	this.setValue( date );
+	this.popup.toggle( false );
+	this.textInput.focus();
+};
+
+/**
+ * Handle popup toggle events.
+ *
+ * @param {boolean} visible Popup is visible
+ */
+OO.ui.DateInputWidget.prototype.onPopupToggle = function ( visible ) {
+	if ( visible ) {
+		// Show the month of the current value, even if another month was shown when last closed
+		this.calendar.setFocusedDate( this.value || null );
+	}
+};
+
+/**
+ * Handle calendar key down events.
+ *
+ * @param {jQuery.Event} e Key down event
+ */
+OO.ui.DateInputWidget.prototype.onCalendarKeyDown = function ( e ) {
+	if ( e.which === OO.ui.Keys.ESCAPE ) {
+		this.popup.toggle( false );
+		this.textInput.focus();
+		return false;
+	}
+};
+
+/**
+ * Format a date in the display format.
+ *
+ * @param {string} value Date in ISO 8601 format
+ * @return {string} Formatted date
+ */
+OO.ui.DateInputWidget.prototype.formatDisplayDate = function ( value ) {
+	var parts = value.split( '-' ),
+		tokens = {
+			YYYY: parts[ 0 ],
+			MM: parts[ 1 ],
+			M: String( +parts[ 1 ] ),
+			DD: parts[ 2 ],
+			D: String( +parts[ 2 ] )
+		};
+
+	return this.displayFormat.replace( /YYYY|MM?|DD?/g, function ( token ) {
+		return tokens[ token ];
+	} );
+};
+
+/**
+ * Parse a date typed in the display format.
+ *
+ * Dates in ISO 8601 format are always understood, whatever the display format.
+ *
+ * @param {string} text Typed date
+ * @return {string|null} Date in ISO 8601 format, or null if the text isn't a valid date
+ */
+OO.ui.DateInputWidget.prototype.parseDisplayDate = function ( text ) {
+	var i, len, matches, value,
+		parts = this.displayFormat.split( /(YYYY|MM?|DD?)/ ),
+		pattern = '',
+		order = [],
+		date = {};
+
+	function pad( number ) {
+		return number.length < 2 ? '0' + number : number;
+	}
+
+	text = $.trim( text );
+	if ( OO.ui.CalendarWidget.static.parseDate( text ) ) {
+		return text;
+	}
+
+	// Odd parts are tokens, even parts are the literal text between them
+	for ( i = 0, len = parts.length; i < len; i++ ) {
+		if ( i % 2 ) {
+			pattern += parts[ i ] === 'YYYY' ? '(\\d{4})' : '(\\d{1,2})';
+			order.push( parts[ i ].charAt( 0 ) );
+		} else {
+			pattern += parts[ i ].replace( /[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, '\\$&' );
+		}
+	}
+	matches = new RegExp( '^' + pattern + '$' ).exec( text );
+	if ( !matches ) {
+		return null;
+	}
+	for ( i = 0, len = order.length; i < len; i++ ) {
+		date[ order[ i ] ] = matches[ i + 1 ];
+	}
+	if ( !date.Y || !date.M || !date.D ) {
+		return null;
+	}
+	value = date.Y + '-' + pad( date.M ) + '-' + pad( date.D );
+	return OO.ui.CalendarWidget.static.parseDate( value ) ? value : null;
+};
+
+/**
+ * @inheritdoc
+ * @private
+ */
+OO.ui.DateInputWidget.prototype.cleanUpValue = function ( value ) {
+	// Parent method
+	value = OO.ui.DateInputWidget.super.prototype.cleanUpValue.call( this, value );
+
+	return OO.ui.CalendarWidget.static.parseDate( value ) ? value : '';
+};
+
+/**
+ * Set the value of the input.
+ *
+ * @param {string} value Date in ISO 8601 format, or an empty string for no date; invalid dates are
+ *  treated as an empty string
+ * @fires change
+ * @chainable
+ */
+OO.ui.DateInputWidget.prototype.setValue = function ( value ) {
+	// Parent method
+	OO.ui.DateInputWidget.super.prototype.setValue.call( this, value );
+
+	if ( this.calendar ) {
+		this.calendar.setDate( this.value || null );
+		// Don't reformat the text while the user is typing it
+		if ( !this.typing ) {
+			this.textInput.setValue( this.value && this.formatDisplayDate( this.value ) );
+		}
+	}
+	return this;
+};
+
+/**
+ * Set the range of dates that can be entered.
+ *
+ * @param {string|null} [min] Earliest date that can be entered, or null for no limit
+ * @param {string|null} [max] Latest date that can be entered, or null for no limit
+ * @chainable
+ * @throws {Error} If the minimum is later than the maximum
+ */
+OO.ui.DateInputWidget.prototype.setRange = function ( min, max ) {
+	this.calendar.setRange( min, max ).setFocusedDate( this.value || null );
+	return this;
+};
+
+/**
+ * Get the range of dates that can be entered.
+ *
+ * @return {Object} Object with `min` and `max` properties, each a date or null for no limit
+ */
+OO.ui.DateInputWidget.prototype.getRange = function () {
+	return this.calendar.getRange();
+};
+
+/**
+ * @inheritdoc
+ *
+ * The typed text must also be a valid date within the range, see the `min` and `max` options.
+ */
+OO.ui.DateInputWidget.prototype.getValidity = function () {
+	var error,
+		range = this.getRange();
+
+	if ( this.value ) {
+		if ( range.min && this.value < range.min ) {
+			error = OO.ui.msg( 'ooui-validation-date-min', this.formatDisplayDate( range.min ) );
+		} else if ( range.max && this.value > range.max ) {
+			error = OO.ui.msg( 'ooui-validation-date-max', this.formatDisplayDate( range.max ) );
+		}
+	} else if ( $.trim( this.textInput.getValue() ) !== '' ) {
+		error = OO.ui.msg( 'ooui-validation-invalid' );
+	}
+
+	// Parent method
+	return OO.ui.DateInputWidget.super.prototype.getValidity.call( this ).then( function ( validity ) {
+		if ( error ) {
+			validity.errors.unshift( error );
+		}
+		return validity;
+	} );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.DateInputWidget.prototype.updateValidity = function () {
+	var widget = this;
+
+	// Parent method
+	return OO.ui.DateInputWidget.super.prototype.updateValidity.call( this ).done( function () {
+		widget.textInput.setFlags( { invalid: widget.hasFlag( 'invalid' ) } );
+		widget.textInput.$input.attr( 'aria-invalid', widget.$input.attr( 'aria-invalid' ) || null );
+	} );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.DateInputWidget.prototype.setDisabled = function ( disabled ) {
+	// Parent method
+	OO.ui.DateInputWidget.super.prototype.setDisabled.call( this, disabled );
+
+	if ( this.popup ) {
+		this.textInput.setDisabled( this.isDisabled() );
+		this.calendar.setDisabled( this.isDisabled() );
+		if ( this.isDisabled() ) {
+			this.popup.toggle( false );
+		}
+	}
+	return this;
+};
+
+/**
+ * Set the read-only state of the widget.
+ *
+ * @param {boolean} state Make the widget read-only
+ * @chainable
+ */
+OO.ui.DateInputWidget.prototype.setReadOnly = function ( state ) {
+	this.textInput.setReadOnly( state );
+	if ( state ) {
+		this.popup.toggle( false );
+	}
+	return this;
+};
+
+/**
+ * Check if the widget is read-only.
+ *
+ * @return {boolean} Widget is read-only
+ */
+OO.ui.DateInputWidget.prototype.isReadOnly = function () {
+	return this.textInput.isReadOnly();
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.DateInputWidget.prototype.simulateLabelClick = function () {
+	this.textInput.simulateLabelClick();
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.DateInputWidget.prototype.focus = function () {
+	this.textInput.focus();
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.DateInputWidget.prototype.blur = function () {
+	this.textInput.blur();
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.DateInputWidget.prototype.destroy = function () {
+	// Mixin method
+	OO.ui.PopupElement.prototype.teardownPopupElement.call( this );
+
+	// Parent method
+	OO.ui.DateInputWidget.super.prototype.destroy.call( this );
+};
@@ -121,3 +121,16 @@ OO.ui.DropdownInputWidget.prototype.blur = function () {
 	this.dropdownWidget.getMenu().toggle( false );
 	return this;
 };
+
+/**
+ * @inheritdoc
+ */
+OO.ui.DropdownInputWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+	config.options = this.dropdownWidget.getMenu().getItems().map( function ( item ) {
+		return { data: item.getData(), label: item.getLabel() };
+	} );
+
+	// Parent method
+	return OO.ui.DropdownInputWidget.super.prototype.getConfig.call( this, config );
+};
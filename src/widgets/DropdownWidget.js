@@ -42,6 +42,8 @@
  * @constructor
  * @param {Object} [config] Configuration options
  * @cfg {Object} [menu] Configuration options to pass to menu widget
+ * @cfg {jQuery|boolean} [$overlay] Overlay for the menu, `true` for the default overlay (see
+ *  OO.ui#getDefaultOverlay); defaults to relative positioning
  */
 OO.ui.DropdownWidget = function OoUiDropdownWidget( config ) {
 	// Configuration initialization
@@ -61,14 +63,22 @@ OO.ui.DropdownWidget = function OoUiDropdownWidget( config ) {
 	OO.ui.TabIndexedElement.call( this, $.extend( {}, config, { $tabIndexed: this.$handle } ) );
 
 	// Properties
-	this.menu = new OO.ui.MenuSelectWidget( $.extend( { widget: this }, config.menu ) );
+	this.placeholderLabel = this.getLabel();
+	this.$overlay = OO.ui.resolveOverlay( config.$overlay, this ) || this.$element;
+	this.menu = new OO.ui.MenuSelectWidget( $.extend(
+		{ widget: this, $floatableContainer: this.$handle },
+		config.menu
+	) );
 
 	// Events
 	this.$handle.on( {
 		click: this.onClick.bind( this ),
 		keypress: this.onKeyPress.bind( this )
 	} );
-	this.menu.connect( this, { select: 'onMenuSelect' } );
+	this.menu.connect( this, {
+		select: 'onMenuSelect',
+		toggle: 'onMenuToggle'
+	} );
 
 	// Initialization
 	this.$handle
@@ -76,7 +86,8 @@ OO.ui.DropdownWidget = function OoUiDropdownWidget( config ) {
 		.append( this.$icon, this.$label, this.$indicator );
 	this.$element
 		.addClass( 'oo-ui-dropdownWidget' )
-		.append( this.$handle, this.menu.$element );
+		.append( this.$handle );
+	this.$overlay.append( this.menu.$element );
 };
 
 /* Setup */
@@ -88,6 +99,22 @@ OO.mixinClass( OO.ui.DropdownWidget, OO.ui.LabelElement );
 OO.mixinClass( OO.ui.DropdownWidget, OO.ui.TitledElement );
 OO.mixinClass( OO.ui.DropdownWidget, OO.ui.TabIndexedElement );
 
+/* Static Properties */
+
+/**
+ * @inheritdoc
+ */
+OO.ui.DropdownWidget.static.formValueEvent = 'change';
+
+/* Events */
+
+/**
+ * The selected menu option has changed.
+ *
+ * @event change
+ * @param {Mixed|null} data Data of the selected option, `null` if no option is selected
+ */
+
 /* Methods */
 
 /**
@@ -102,17 +129,14 @@ OO.ui.DropdownWidget.prototype.getMenu = function () {
 /**
  * Handles menu select events.
  *
+ * The label of the selected option is shown, or the initial label if no option is selected.
+ *
  * @private
- * @param {OO.ui.MenuOptionWidget} item Selected menu item
+ * @param {OO.ui.MenuOptionWidget|null} item Selected menu item, null if no item is selected
+ * @fires change
  */
 OO.ui.DropdownWidget.prototype.onMenuSelect = function ( item ) {
-	var selectedLabel;
-
-	if ( !item ) {
-		return;
-	}
-
-	selectedLabel = item.getLabel();
+	var selectedLabel = item ? item.getLabel() : this.placeholderLabel;
 
 	// If the label is a DOM element, clone it, because setLabel will append() it
 	if ( selectedLabel instanceof jQuery ) {
@@ -120,6 +144,40 @@ OO.ui.DropdownWidget.prototype.onMenuSelect = function ( item ) {
 	}
 
 	this.setLabel( selectedLabel );
+	this.emit( 'change', this.getFormValue() );
+};
+
+/**
+ * Get the data of the selected menu option, to use in a form.
+ *
+ * @return {Mixed|null} Data of the selected option, `null` if no option is selected
+ */
+OO.ui.DropdownWidget.prototype.getFormValue = function () {
+	return this.menu.getFormValue();
+};
+
+/**
+ * Select the menu option with the given data, as returned by #getFormValue.
+ *
+ * @param {Mixed|null} data Data of the option to select, `null` to deselect all
+ * @chainable
+ */
+OO.ui.DropdownWidget.prototype.setFormValue = function ( data ) {
+	this.menu.setFormValue( data );
+	return this;
+};
+
+/**
+ * Handle menu toggle events.
+ *
+ * @private
+ * @param {boolean} visible Menu is visible
+ */
+OO.ui.DropdownWidget.prototype.onMenuToggle = function ( visible ) {
+	if ( visible && this.$overlay[ 0 ] !== this.$element[ 0 ] ) {
+		// The stylesheet can't make a menu in an overlay as wide as the widget
+		this.menu.$element.css( 'width', this.$handle.outerWidth() );
+	}
 };
 
 /**
@@ -138,12 +196,53 @@ OO.ui.DropdownWidget.prototype.onClick = function ( e ) {
 /**
  * Handle key press events.
  *
+ * Typing while the menu is closed chooses the next option whose label starts with the typed
+ * characters, like in native drop-down lists.
+ *
  * @private
  * @param {jQuery.Event} e Key press event
  */
 OO.ui.DropdownWidget.prototype.onKeyPress = function ( e ) {
-	if ( !this.isDisabled() && ( e.which === OO.ui.Keys.SPACE || e.which === OO.ui.Keys.ENTER ) ) {
-		this.menu.toggle();
+	if ( !this.isDisabled() ) {
+		if ( e.which !== OO.ui.Keys.ENTER && !this.menu.isVisible() ) {
+			this.menu.onKeyPress( e );
+		}
+		// Spaces typed as part of a label are handled by the menu
+		if (
+			( e.which === OO.ui.Keys.SPACE || e.which === OO.ui.Keys.ENTER ) &&
+			!e.isDefaultPrevented()
+		) {
+			this.menu.toggle();
+		}
 	}
 	return false;
 };
+
+/**
+ * @inheritdoc
+ */
+OO.ui.DropdownWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+	config.menu = this.menu.getConfig();
+
+	// Mixin methods
+	OO.ui.IconElement.prototype.getIconElementConfig.call( this, config );
+	OO.ui.IndicatorElement.prototype.getIndicatorElementConfig.call( this, config );
+	OO.ui.LabelElement.prototype.getLabelElementConfig.call( this, config );
+	OO.ui.TitledElement.prototype.getTitledElementConfig.call( this, config );
+	OO.ui.TabIndexedElement.prototype.getTabIndexedElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.DropdownWidget.super.prototype.getConfig.call( this, config );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.DropdownWidget.prototype.destroy = function () {
+	// The menu may be in an overlay, outside of #$element
+	this.menu.destroy();
+
+	// Parent method
+	OO.ui.DropdownWidget.super.prototype.destroy.call( this );
+};
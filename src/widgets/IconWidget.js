@@ -49,3 +49,19 @@ OO.mixinClass( OO.ui.IconWidget, OO.ui.TitledElement );
 /* Static Properties */
 
 OO.ui.IconWidget.static.tagName = 'span';
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+OO.ui.IconWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+
+	// Mixin methods
+	OO.ui.IconElement.prototype.getIconElementConfig.call( this, config );
+	OO.ui.TitledElement.prototype.getTitledElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.IconWidget.super.prototype.getConfig.call( this, config );
+};
@@ -35,3 +35,19 @@ OO.mixinClass( OO.ui.IndicatorWidget, OO.ui.TitledElement );
 /* Static Properties */
 
 OO.ui.IndicatorWidget.static.tagName = 'span';
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+OO.ui.IndicatorWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+
+	// Mixin methods
+	OO.ui.IndicatorElement.prototype.getIndicatorElementConfig.call( this, config );
+	OO.ui.TitledElement.prototype.getTitledElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.IndicatorWidget.super.prototype.getConfig.call( this, config );
+};
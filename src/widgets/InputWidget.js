@@ -17,6 +17,9 @@
  * @cfg {string} [name=''] HTML input name
  * @cfg {string} [value=''] Input value
  * @cfg {Function} [inputFilter] Filter function to apply to the input. Takes a string argument and returns a string.
+ * @cfg {Array} [validators] Validators to check the value with, see #addValidator
+ * @cfg {number} [validationDelay=250] Time to wait after the value changes before validating it
+ *  again with the validators, in milliseconds
  */
 OO.ui.InputWidget = function OoUiInputWidget( config ) {
 	// Configuration initialization
@@ -29,6 +32,17 @@ OO.ui.InputWidget = function OoUiInputWidget( config ) {
 	this.$input = this.getInputElement( config );
 	this.value = '';
 	this.inputFilter = config.inputFilter;
+	this.validators = [];
+	this.validationRequest = 0;
+	this.debouncedUpdateValidity = OO.ui.debounce(
+		function () {
+			// The widget may have been destroyed while waiting
+			if ( !this.isDestroyed() ) {
+				this.updateValidity();
+			}
+		}.bind( this ),
+		config.validationDelay !== undefined ? config.validationDelay : 250
+	);
 
 	// Mixin constructors
 	OO.ui.FlaggedElement.call( this, config );
@@ -36,6 +50,7 @@ OO.ui.InputWidget = function OoUiInputWidget( config ) {
 
 	// Events
 	this.$input.on( 'keydown mouseup cut paste change input select', this.onEdit.bind( this ) );
+	this.connect( this, { change: 'onValueChange' } );
 
 	// Initialization
 	this.$input
@@ -43,6 +58,9 @@ OO.ui.InputWidget = function OoUiInputWidget( config ) {
 		.prop( 'disabled', this.isDisabled() );
 	this.$element.addClass( 'oo-ui-inputWidget' ).append( this.$input, $( '<span>' ) );
 	this.setValue( config.value );
+	if ( Array.isArray( config.validators ) ) {
+		this.setValidators( config.validators );
+	}
 };
 
 /* Setup */
@@ -51,6 +69,51 @@ OO.inheritClass( OO.ui.InputWidget, OO.ui.Widget );
 OO.mixinClass( OO.ui.InputWidget, OO.ui.FlaggedElement );
 OO.mixinClass( OO.ui.InputWidget, OO.ui.TabIndexedElement );
 
+/* Static Properties */
+
+/**
+ * @inheritdoc
+ */
+OO.ui.InputWidget.static.formValueEvent = 'change';
+
+/**
+ * Validator types, keyed by name.
+ *
+ * Each validator type is a function that is called with the value to check, the validator
+ * options and the widget, and returns `true` if the value is valid, `false` or an error message if
+ * it is not, or a promise resolved with one of those. Add functions to this map to make new
+ * validator types available to all input widgets.
+ *
+ * @static
+ * @inheritable
+ * @property {Object.<string,Function>}
+ */
+OO.ui.InputWidget.static.validators = {
+	required: function ( value, options, widget ) {
+		var filled = widget.isSelected ? widget.isSelected() : $.trim( value ) !== '';
+		return filled || OO.ui.msg( 'ooui-validation-required' );
+	},
+	length: function ( value, options ) {
+		// Leave empty values to the 'required' validator
+		if ( value === '' ) {
+			return true;
+		}
+		if ( options.min !== undefined && value.length < options.min ) {
+			return OO.ui.msg( 'ooui-validation-length-min', options.min );
+		}
+		if ( options.max !== undefined && value.length > options.max ) {
+			return OO.ui.msg( 'ooui-validation-length-max', options.max );
+		}
+		return true;
+	},
+	pattern: function ( value, options ) {
+		return value === '' || options.pattern.test( value );
+	},
+	custom: function ( value, options, widget ) {
+		return options.validate.call( widget, value, widget );
+	}
+};
+
 /* Events */
 
 /**
@@ -58,6 +121,15 @@ OO.mixinClass( OO.ui.InputWidget, OO.ui.TabIndexedElement );
  * @param {string} value
  */
 
+/**
+ * The value has been validated.
+ *
+ * @event validate
+ * @param {Object} validity Validity of the value
+ * @param {string[]} validity.errors Error messages
+ * @param {string[]} validity.warnings Warning messages
+ */
+
 /* Methods */
 
 /**
@@ -104,6 +176,20 @@ OO.ui.InputWidget.prototype.getValue = function () {
 	return this.value;
 };
 
+/**
+ * @inheritdoc
+ */
+OO.ui.InputWidget.prototype.getFormValue = function () {
+	return this.getValue();
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.InputWidget.prototype.setFormValue = function ( value ) {
+	return this.setValue( value );
+};
+
 /**
  * Sets the direction of the current input, either RTL or LTR
  *
@@ -153,6 +239,163 @@ OO.ui.InputWidget.prototype.cleanUpValue = function ( value ) {
 	}
 };
 
+/**
+ * Add a validator.
+ *
+ * A validator can be given as:
+ *
+ * - a function, which is called with the value and the widget and returns `true` if the value is
+ *   valid, `false` or an error message if it is not, or a promise resolved with one of those
+ * - a regular expression the value must match
+ * - the name of a validator type from #static-validators, such as 'required'
+ * - an object with a `type` property naming a validator type along with its options, such as
+ *   `{ type: 'length', min: 2, max: 10 }`, or with a `validate` property containing a function
+ *
+ * Objects may also have a `message` property, to override the error message, and a `warning`
+ * property, to report failures as warnings that don't make the value invalid.
+ *
+ * Empty values are only checked by the 'required' validator and custom functions.
+ *
+ * @param {Function|RegExp|string|Object} validator Validator
+ * @chainable
+ * @throws {Error} If the validator type is unknown
+ */
+OO.ui.InputWidget.prototype.addValidator = function ( validator ) {
+	if ( typeof validator === 'function' ) {
+		validator = { type: 'custom', validate: validator };
+	} else if ( validator instanceof RegExp ) {
+		validator = { type: 'pattern', pattern: validator };
+	} else if ( typeof validator === 'string' ) {
+		validator = { type: validator };
+	} else {
+		validator = $.extend( { type: validator.validate ? 'custom' : undefined }, validator );
+	}
+	if ( !Object.prototype.hasOwnProperty.call( this.constructor.static.validators, validator.type ) ) {
+		throw new Error( 'Unknown validator type: ' + validator.type );
+	}
+	this.validators.push( validator );
+	return this;
+};
+
+/**
+ * Set the validators, replacing any existing ones.
+ *
+ * @param {Array} validators Validators, see #addValidator
+ * @chainable
+ */
+OO.ui.InputWidget.prototype.setValidators = function ( validators ) {
+	var i, len;
+
+	this.validators = [];
+	for ( i = 0, len = validators.length; i < len; i++ ) {
+		this.addValidator( validators[ i ] );
+	}
+	return this;
+};
+
+/**
+ * Get the validators.
+ *
+ * @return {Object[]} Normalized validators, see #addValidator
+ */
+OO.ui.InputWidget.prototype.getValidators = function () {
+	return this.validators.slice();
+};
+
+/**
+ * Check the value with all validators.
+ *
+ * Validators run in parallel; a validator whose promise is rejected counts as failed.
+ *
+ * @return {jQuery.Promise} Promise resolved with the validity of the value, an object with
+ *  `errors` and `warnings` arrays of messages
+ */
+OO.ui.InputWidget.prototype.getValidity = function () {
+	var widget = this,
+		value = this.getValue(),
+		types = this.constructor.static.validators;
+
+	function check( validator ) {
+		function fail( result ) {
+			return {
+				message: validator.message !== undefined ? OO.ui.resolveMsg( validator.message ) :
+					typeof result === 'string' ? result : OO.ui.msg( 'ooui-validation-invalid' ),
+				warning: !!validator.warning
+			};
+		}
+		return $.when( types[ validator.type ]( value, validator, widget ) ).then(
+			function ( result ) {
+				return result === true ? null : fail( result );
+			},
+			function () {
+				return $.Deferred().resolve( fail() ).promise();
+			}
+		);
+	}
+
+	return $.when.apply( $, this.validators.map( check ) ).then( function () {
+		var i, len, failure,
+			validity = { errors: [], warnings: [] };
+
+		for ( i = 0, len = arguments.length; i < len; i++ ) {
+			failure = arguments[ i ];
+			if ( failure ) {
+				validity[ failure.warning ? 'warnings' : 'errors' ].push( failure.message );
+			}
+		}
+		return validity;
+	} );
+};
+
+/**
+ * Check if the value is valid, meaning that no validator reports an error.
+ *
+ * @return {jQuery.Promise} Promise resolved with a boolean
+ */
+OO.ui.InputWidget.prototype.isValid = function () {
+	return this.getValidity().then( function ( validity ) {
+		return !validity.errors.length;
+	} );
+};
+
+/**
+ * Validate the value now, and update the 'invalid' flag and ARIA state to reflect the result.
+ *
+ * If there are validators, the value is validated automatically a moment after it changes, see the
+ * `validationDelay` option. If the value is validated again before a previous validation has finished, the result of
+ * the previous validation is ignored.
+ *
+ * @return {jQuery.Promise} Promise resolved with the validity of the value, see #getValidity
+ * @fires validate
+ */
+OO.ui.InputWidget.prototype.updateValidity = function () {
+	var widget = this,
+		request = ++this.validationRequest;
+
+	return this.getValidity().then( function ( validity ) {
+		var invalid = !!validity.errors.length;
+		if ( request === widget.validationRequest ) {
+			widget.setFlags( { invalid: invalid } );
+			widget.$input.attr( 'aria-invalid', invalid ? 'true' : null );
+			widget.emit( 'validate', validity );
+		}
+		return validity;
+	} );
+};
+
+/**
+ * Handle value change events.
+ *
+ * The value is validated again a moment later, if there are validators to check it with.
+ *
+ * @private
+ */
+OO.ui.InputWidget.prototype.onValueChange = function () {
+	if ( this.validators.length ) {
+		this.debouncedUpdateValidity();
+	}
+};
+
 /**
  * Simulate the behavior of clicking on a label bound to this input.
  */
@@ -196,3 +439,23 @@ OO.ui.InputWidget.prototype.blur = function () {
 	this.$input[ 0 ].blur();
 	return this;
 };
+
+/**
+ * @inheritdoc
+ */
+OO.ui.InputWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+	if ( this.$input.attr( 'name' ) ) {
+		config.name = this.$input.attr( 'name' );
+	}
+	if ( this.getValue() !== '' ) {
+		config.value = this.getValue();
+	}
+
+	// Mixin methods
+	OO.ui.FlaggedElement.prototype.getFlaggedElementConfig.call( this, config );
+	OO.ui.TabIndexedElement.prototype.getTabIndexedElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.InputWidget.super.prototype.getConfig.call( this, config );
+};
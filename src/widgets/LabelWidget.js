@@ -53,3 +53,17 @@ OO.ui.LabelWidget.prototype.onClick = function () {
 	this.input.simulateLabelClick();
 	return false;
 };
+
+/**
+ * @inheritdoc
+ */
+OO.ui.LabelWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+
+	// Mixin methods
+	OO.ui.LabelElement.prototype.getLabelElementConfig.call( this, config );
+	OO.ui.TitledElement.prototype.getTitledElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.LabelWidget.super.prototype.getConfig.call( this, config );
+};
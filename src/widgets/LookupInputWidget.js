@@ -14,7 +14,8 @@
  * @constructor
  * @param {OO.ui.TextInputWidget} input Input widget
  * @param {Object} [config] Configuration options
- * @cfg {jQuery} [$overlay] Overlay for dropdown; defaults to relative positioning
+ * @cfg {jQuery|boolean} [$overlay] Overlay for dropdown, `true` for the default overlay (see
+ *  OO.ui#getDefaultOverlay); defaults to relative positioning
  * @cfg {jQuery} [$container=input.$element] Element to render menu under
  */
 OO.ui.LookupInputWidget = function OoUiLookupInputWidget( input, config ) {
@@ -23,7 +24,7 @@ OO.ui.LookupInputWidget = function OoUiLookupInputWidget( input, config ) {
 
 	// Properties
 	this.lookupInput = input;
-	this.$overlay = config.$overlay || this.$element;
+	this.$overlay = OO.ui.resolveOverlay( config.$overlay, this ) || this.$element;
 	this.lookupMenu = new OO.ui.TextInputMenuSelectWidget( this, {
 		input: this.lookupInput,
 		$container: config.$container
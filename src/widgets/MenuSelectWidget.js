@@ -2,19 +2,23 @@
  * Overlaid menu of options.
  *
  * Menus are clipped to the visible viewport. They do not provide a control for opening or closing
- * the menu.
+ * the menu. Menus given a `$floatableContainer` open next to it, above it if there is more room
+ * there than below.
  *
  * Use together with OO.ui.MenuOptionWidget.
  *
  * @class
  * @extends OO.ui.SelectWidget
  * @mixins OO.ui.ClippableElement
+ * @mixins OO.ui.FloatableElement
  *
  * @constructor
  * @param {Object} [config] Configuration options
  * @cfg {OO.ui.TextInputWidget} [input] Input to bind keyboard handlers to
  * @cfg {OO.ui.Widget} [widget] Widget to bind mouse handlers to
  * @cfg {boolean} [autoHide=true] Hide the menu when the mouse is pressed outside the menu
+ * @cfg {jQuery} [$floatableContainer] Element to open the menu next to, omit to leave positioning
+ *  the menu to the stylesheet
  */
 OO.ui.MenuSelectWidget = function OoUiMenuSelectWidget( config ) {
 	// Configuration initialization
@@ -25,6 +29,7 @@ OO.ui.MenuSelectWidget = function OoUiMenuSelectWidget( config ) {
 
 	// Mixin constructors
 	OO.ui.ClippableElement.call( this, $.extend( {}, config, { $clippable: this.$group } ) );
+	OO.ui.FloatableElement.call( this, $.extend( { align: 'start' }, config ) );
 
 	// Properties
 	this.newItems = null;
@@ -49,6 +54,7 @@ OO.ui.MenuSelectWidget = function OoUiMenuSelectWidget( config ) {
 
 OO.inheritClass( OO.ui.MenuSelectWidget, OO.ui.SelectWidget );
 OO.mixinClass( OO.ui.MenuSelectWidget, OO.ui.ClippableElement );
+OO.mixinClass( OO.ui.MenuSelectWidget, OO.ui.FloatableElement );
 
 /* Methods */
 
@@ -76,7 +82,9 @@ OO.ui.MenuSelectWidget.prototype.onKeyDown = function ( e ) {
 		switch ( e.keyCode ) {
 			case OO.ui.Keys.LEFT:
 			case OO.ui.Keys.RIGHT:
-				// Do nothing if a text field is associated, arrow keys will be handled natively
+			case OO.ui.Keys.HOME:
+			case OO.ui.Keys.END:
+				// Do nothing if a text field is associated, these keys will be handled natively
 				if ( !this.$input ) {
 					OO.ui.MenuSelectWidget.super.prototype.onKeyDown.call( this, e );
 				}
@@ -122,6 +130,16 @@ OO.ui.MenuSelectWidget.prototype.unbindKeyDownListener = function () {
 	}
 };
 
+/**
+ * @inheritdoc
+ */
+OO.ui.MenuSelectWidget.prototype.bindKeyPressListener = function () {
+	// Typing goes to the text field if one is associated
+	if ( !this.$input ) {
+		OO.ui.MenuSelectWidget.super.prototype.bindKeyPressListener.call( this );
+	}
+};
+
 /**
  * Choose an item.
  *
@@ -160,8 +178,8 @@ OO.ui.MenuSelectWidget.prototype.addItems = function ( items, index ) {
 		}
 	}
 
-	// Reevaluate clipping
-	this.clip();
+	// Reevaluate position and clipping
+	this.position().clip();
 
 	return this;
 };
@@ -173,8 +191,8 @@ OO.ui.MenuSelectWidget.prototype.removeItems = function ( items ) {
 	// Parent method
 	OO.ui.MenuSelectWidget.super.prototype.removeItems.call( this, items );
 
-	// Reevaluate clipping
-	this.clip();
+	// Reevaluate position and clipping
+	this.position().clip();
 
 	return this;
 };
@@ -186,8 +204,21 @@ OO.ui.MenuSelectWidget.prototype.clearItems = function () {
 	// Parent method
 	OO.ui.MenuSelectWidget.super.prototype.clearItems.call( this );
 
-	// Reevaluate clipping
-	this.clip();
+	// Reevaluate position and clipping
+	this.position().clip();
+
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.MenuSelectWidget.prototype.clip = function () {
+	// Mixin method
+	OO.ui.ClippableElement.prototype.clip.call( this );
+
+	// Attach the options in view of the clipped menu
+	this.updateVirtualItems();
 
 	return this;
 };
@@ -207,6 +238,7 @@ OO.ui.MenuSelectWidget.prototype.toggle = function ( visible ) {
 	if ( change ) {
 		if ( visible ) {
 			this.bindKeyDownListener();
+			this.bindKeyPressListener();
 
 			if ( this.newItems && this.newItems.length ) {
 				for ( i = 0, len = this.newItems.length; i < len; i++ ) {
@@ -214,6 +246,7 @@ OO.ui.MenuSelectWidget.prototype.toggle = function ( visible ) {
 				}
 				this.newItems = null;
 			}
+			this.togglePositioning( true );
 			this.toggleClipping( true );
 
 			// Auto-hide
@@ -224,12 +257,30 @@ OO.ui.MenuSelectWidget.prototype.toggle = function ( visible ) {
 			}
 		} else {
 			this.unbindKeyDownListener();
+			this.unbindKeyPressListener();
 			this.getElementDocument().removeEventListener(
 				'mousedown', this.onDocumentMouseDownHandler, true
 			);
 			this.toggleClipping( false );
+			this.togglePositioning( false );
 		}
 	}
 
 	return this;
 };
+
+/**
+ * @inheritdoc
+ */
+OO.ui.MenuSelectWidget.prototype.destroy = function () {
+	this.getElementDocument().removeEventListener(
+		'mousedown', this.onDocumentMouseDownHandler, true
+	);
+
+	// Mixin methods
+	OO.ui.ClippableElement.prototype.teardownClippableElement.call( this );
+	OO.ui.FloatableElement.prototype.teardownFloatableElement.call( this );
+
+	// Parent method
+	OO.ui.MenuSelectWidget.super.prototype.destroy.call( this );
+};
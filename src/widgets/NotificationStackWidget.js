@@ -0,0 +1,145 @@
+/**
+ * NotificationStackWidgets show {@link OO.ui.NotificationWidget notifications} stacked in a
+ * corner of the page. Notifications are shown in the order they are pushed; when more than `limit`
+ * are open, the rest wait in a queue until others close.
+ *
+ * The stack is an ARIA live region, so screen readers announce notifications as they are shown.
+ * OO.ui#notify uses a stack that is appended to the body of the document when it is first used.
+ *
+ *     var stack = new OO.ui.NotificationStackWidget( { limit: 1 } );
+ *     $( 'body' ).append( stack.$element );
+ *     stack.push( new OO.ui.NotificationWidget( { label: 'Saved.', type: 'success' } ) );
+ *
+ * @class
+ * @extends OO.ui.Widget
+ * @mixins OO.ui.GroupElement
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ * @cfg {number} [limit=3] Maximum number of notifications shown at once
+ */
+OO.ui.NotificationStackWidget = function OoUiNotificationStackWidget( config ) {
+	// Configuration initialization
+	config = config || {};
+
+	// Parent constructor
+	OO.ui.NotificationStackWidget.super.call( this, config );
+
+	// Mixin constructors
+	OO.ui.GroupElement.call( this, $.extend( {}, config, { $group: this.$element } ) );
+
+	// Properties
+	this.limit = config.limit || 3;
+	this.queue = [];
+
+	// Initialization
+	this.$element
+		.addClass( 'oo-ui-notificationStackWidget' )
+		.attr( { 'aria-live': 'polite', 'aria-relevant': 'additions' } );
+};
+
+/* Setup */
+
+OO.inheritClass( OO.ui.NotificationStackWidget, OO.ui.Widget );
+OO.mixinClass( OO.ui.NotificationStackWidget, OO.ui.GroupElement );
+
+/* Methods */
+
+/**
+ * Handle close events from notifications, shown or queued.
+ *
+ * @private
+ * @param {OO.ui.NotificationWidget} notification Closed notification
+ */
+OO.ui.NotificationStackWidget.prototype.onNotificationClose = function ( notification ) {
+	var index = this.queue.indexOf( notification );
+
+	notification.disconnect( this );
+	if ( index !== -1 ) {
+		this.queue.splice( index, 1 );
+	} else {
+		this.removeItems( [ notification ] );
+		this.showQueued();
+	}
+};
+
+/**
+ * Show queued notifications, as long as there is room for them.
+ *
+ * @private
+ */
+OO.ui.NotificationStackWidget.prototype.showQueued = function () {
+	var notification;
+
+	while ( this.queue.length && this.items.length < this.limit ) {
+		notification = this.queue.shift();
+		this.addItems( [ notification ] );
+		notification.startAutoHide();
+	}
+};
+
+/**
+ * Show a notification, or queue it if the stack is full.
+ *
+ * The notification is removed from the stack when it closes.
+ *
+ * @param {OO.ui.NotificationWidget} notification Notification to show
+ * @chainable
+ */
+OO.ui.NotificationStackWidget.prototype.push = function ( notification ) {
+	if ( !notification.isClosed() ) {
+		notification.connect( this, { close: [ 'onNotificationClose', notification ] } );
+		this.queue.push( notification );
+		this.showQueued();
+	}
+	return this;
+};
+
+/**
+ * Get the notifications waiting to be shown.
+ *
+ * @return {OO.ui.NotificationWidget[]} Queued notifications, in the order they will be shown
+ */
+OO.ui.NotificationStackWidget.prototype.getQueuedNotifications = function () {
+	return this.queue.slice();
+};
+
+/**
+ * Close all notifications, shown and queued.
+ *
+ * @chainable
+ */
+OO.ui.NotificationStackWidget.prototype.closeAll = function () {
+	var i,
+		notifications = this.queue.concat( this.items );
+
+	// Close queued ones first, so they are not shown when the others close
+	for ( i = 0; i < notifications.length; i++ ) {
+		notifications[ i ].close();
+	}
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.NotificationStackWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+
+	// Mixin method
+	OO.ui.GroupElement.prototype.getGroupElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.NotificationStackWidget.super.prototype.getConfig.call( this, config );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.NotificationStackWidget.prototype.destroy = function () {
+	// Mixin method
+	OO.ui.GroupElement.prototype.teardownGroupElement.call( this );
+
+	// Parent method
+	OO.ui.NotificationStackWidget.super.prototype.destroy.call( this );
+};
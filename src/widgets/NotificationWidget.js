@@ -0,0 +1,354 @@
+/**
+ * NotificationWidgets are short, non-modal messages such as "Saved" or "Request failed". They are
+ * usually created with OO.ui#notify, which shows them in the
+ * {@link OO.ui.NotificationStackWidget notification stack} in a corner of the page.
+ *
+ * Notifications close themselves after a few seconds unless `autoHide` is turned off. The timer is
+ * paused while the mouse is over the notification or focus is inside it. Actions are shown as
+ * buttons; clicking one emits an #action event and closes the notification.
+ *
+ *     OO.ui.notify( 'Item deleted.', {
+ *         type: 'success',
+ *         actions: [ { action: 'undo', label: 'Undo' } ]
+ *     } ).on( 'action', function ( action ) {
+ *         // Restore the item
+ *     } );
+ *
+ * @class
+ * @extends OO.ui.Widget
+ * @mixins OO.ui.IconElement
+ * @mixins OO.ui.LabelElement
+ * @mixins OO.ui.FlaggedElement
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ * @cfg {string} [type='info'] Type of message: 'info', 'success', 'warning' or 'error'. The type is
+ *  set as a flag for styling, and chooses the default icon.
+ * @cfg {boolean|number} [autoHide=true] Close the notification after a while. Use a number to set
+ *  the time in milliseconds, instead of the default #static-hideDelay.
+ * @cfg {Object[]} [actions] Configuration options for an OO.ui.ActionWidget for each action, with
+ *  the symbolic name of the action in `action`
+ */
+OO.ui.NotificationWidget = function OoUiNotificationWidget( config ) {
+	var i, len, button;
+
+	// Configuration initialization
+	config = config || {};
+	this.type = config.type || 'info';
+	config = $.extend( { icon: this.constructor.static.icons[ this.type ] }, config );
+
+	// Parent constructor
+	OO.ui.NotificationWidget.super.call( this, config );
+
+	// Mixin constructors
+	OO.ui.IconElement.call( this, config );
+	OO.ui.LabelElement.call( this, config );
+	OO.ui.FlaggedElement.call( this, config );
+
+	// Properties
+	this.autoHide = config.autoHide !== undefined ? !!config.autoHide : true;
+	this.hideDelay = typeof config.autoHide === 'number' ?
+		config.autoHide : this.constructor.static.hideDelay;
+	this.hideTimeout = null;
+	this.hideRemaining = null;
+	this.hideStarted = null;
+	this.hovered = false;
+	this.focused = false;
+	this.closed = false;
+	this.actionButtons = [];
+	this.$actions = $( '<div>' );
+	this.closeButton = new OO.ui.ButtonWidget( {
+		classes: [ 'oo-ui-notificationWidget-closeButton' ],
+		framed: false,
+		icon: 'close',
+		title: OO.ui.msg( 'ooui-notification-close' )
+	} );
+
+	// Events
+	this.$element.on( {
+		mouseenter: this.onMouseEnter.bind( this ),
+		mouseleave: this.onMouseLeave.bind( this ),
+		focusin: this.onFocusIn.bind( this ),
+		focusout: this.onFocusOut.bind( this )
+	} );
+	this.closeButton.connect( this, { click: 'close' } );
+
+	// Initialization
+	for ( i = 0, len = ( config.actions || [] ).length; i < len; i++ ) {
+		button = new OO.ui.ActionWidget( config.actions[ i ] );
+		button.connect( this, { click: [ 'onActionButtonClick', button ] } );
+		this.actionButtons.push( button );
+		this.$actions.append( button.$element );
+	}
+	this.setFlags( this.type );
+	this.$label.addClass( 'oo-ui-notificationWidget-message' );
+	this.$actions
+		.addClass( 'oo-ui-notificationWidget-actions' )
+		.toggle( this.actionButtons.length > 0 );
+	this.$element
+		.addClass( 'oo-ui-notificationWidget' )
+		// Errors interrupt screen readers, everything else waits for them to be idle
+		.attr( 'role', this.type === 'error' ? 'alert' : 'status' )
+		.append( this.$icon, this.$label, this.$actions, this.closeButton.$element );
+};
+
+/* Setup */
+
+OO.inheritClass( OO.ui.NotificationWidget, OO.ui.Widget );
+OO.mixinClass( OO.ui.NotificationWidget, OO.ui.IconElement );
+OO.mixinClass( OO.ui.NotificationWidget, OO.ui.LabelElement );
+OO.mixinClass( OO.ui.NotificationWidget, OO.ui.FlaggedElement );
+
+/* Static Properties */
+
+/**
+ * Time in milliseconds after which notifications close themselves, unless set by `autoHide`.
+ *
+ * @static
+ * @inheritable
+ * @property {number}
+ */
+OO.ui.NotificationWidget.static.hideDelay = 5000;
+
+/**
+ * Default icons for each type of message.
+ *
+ * @static
+ * @inheritable
+ * @property {Object.<string,string>}
+ */
+OO.ui.NotificationWidget.static.icons = {
+	info: 'info',
+	success: 'check',
+	warning: 'alert',
+	error: 'alert'
+};
+
+/* Events */
+
+/**
+ * An action button was clicked.
+ *
+ * @event action
+ * @param {string} action Symbolic name of the action
+ */
+
+/**
+ * The notification was closed, by the user, an action or the timer.
+ *
+ * @event close
+ */
+
+/* Methods */
+
+/**
+ * Handle mouse enter events.
+ *
+ * @private
+ * @param {jQuery.Event} e Mouse enter event
+ */
+OO.ui.NotificationWidget.prototype.onMouseEnter = function () {
+	this.hovered = true;
+	this.pauseAutoHide();
+};
+
+/**
+ * Handle mouse leave events.
+ *
+ * @private
+ * @param {jQuery.Event} e Mouse leave event
+ */
+OO.ui.NotificationWidget.prototype.onMouseLeave = function () {
+	this.hovered = false;
+	this.resumeAutoHide();
+};
+
+/**
+ * Handle focus in events.
+ *
+ * @private
+ * @param {jQuery.Event} e Focus in event
+ */
+OO.ui.NotificationWidget.prototype.onFocusIn = function () {
+	this.focused = true;
+	this.pauseAutoHide();
+};
+
+/**
+ * Handle focus out events.
+ *
+ * @private
+ * @param {jQuery.Event} e Focus out event
+ */
+OO.ui.NotificationWidget.prototype.onFocusOut = function ( e ) {
+	// Ignore focus moving between the buttons
+	if ( e.relatedTarget && OO.ui.contains( this.$element[ 0 ], e.relatedTarget, true ) ) {
+		return;
+	}
+	this.focused = false;
+	this.resumeAutoHide();
+};
+
+/**
+ * Handle action button click events.
+ *
+ * @private
+ * @param {OO.ui.ActionWidget} button Clicked button
+ * @fires action
+ */
+OO.ui.NotificationWidget.prototype.onActionButtonClick = function ( button ) {
+	this.emit( 'action', button.getAction() );
+	this.close();
+};
+
+/**
+ * Get the type of message.
+ *
+ * @return {string} Type of message, 'info', 'success', 'warning' or 'error'
+ */
+OO.ui.NotificationWidget.prototype.getType = function () {
+	return this.type;
+};
+
+/**
+ * Get the action buttons.
+ *
+ * @return {OO.ui.ActionWidget[]} Action buttons
+ */
+OO.ui.NotificationWidget.prototype.getActionButtons = function () {
+	return this.actionButtons.slice();
+};
+
+/**
+ * Check if the notification closes itself after a while.
+ *
+ * @return {boolean} Notification closes itself
+ */
+OO.ui.NotificationWidget.prototype.isAutoHiding = function () {
+	return this.autoHide;
+};
+
+/**
+ * Start the timer that closes the notification.
+ *
+ * The notification stack calls this when the notification is shown, so that queued notifications
+ * stay open for as long as the others.
+ *
+ * @chainable
+ */
+OO.ui.NotificationWidget.prototype.startAutoHide = function () {
+	if ( this.autoHide && !this.closed ) {
+		this.hideRemaining = this.hideDelay;
+		this.resumeAutoHide();
+	}
+	return this;
+};
+
+/**
+ * Pause the timer that closes the notification, keeping the time that is left.
+ *
+ * @chainable
+ */
+OO.ui.NotificationWidget.prototype.pauseAutoHide = function () {
+	if ( this.hideTimeout !== null ) {
+		clearTimeout( this.hideTimeout );
+		this.hideTimeout = null;
+		this.hideRemaining = Math.max( 0, this.hideRemaining - ( Date.now() - this.hideStarted ) );
+	}
+	return this;
+};
+
+/**
+ * Resume the timer that closes the notification, unless the notification is hovered or focused.
+ *
+ * @chainable
+ */
+OO.ui.NotificationWidget.prototype.resumeAutoHide = function () {
+	if (
+		this.hideRemaining !== null && this.hideTimeout === null &&
+		!this.hovered && !this.focused && !this.closed
+	) {
+		this.hideStarted = Date.now();
+		this.hideTimeout = setTimeout( this.close.bind( this ), this.hideRemaining );
+	}
+	return this;
+};
+
+/**
+ * Check if the notification has been closed.
+ *
+ * @return {boolean} Notification is closed
+ */
+OO.ui.NotificationWidget.prototype.isClosed = function () {
+	return this.closed;
+};
+
+/**
+ * Close the notification.
+ *
+ * Notifications can only be closed once; the notification stack removes them when they are.
+ *
+ * @fires close
+ * @chainable
+ */
+OO.ui.NotificationWidget.prototype.close = function () {
+	if ( !this.closed ) {
+		this.pauseAutoHide();
+		this.closed = true;
+		this.emit( 'close' );
+	}
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.NotificationWidget.prototype.destroy = function () {
+	this.pauseAutoHide();
+
+	// Parent method
+	OO.ui.NotificationWidget.super.prototype.destroy.call( this );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.NotificationWidget.prototype.getConfig = function ( config ) {
+	var type = this.type;
+
+	config = config || {};
+	if ( type !== 'info' ) {
+		config.type = type;
+	}
+	if ( !this.autoHide ) {
+		config.autoHide = false;
+	} else if ( this.hideDelay !== this.constructor.static.hideDelay ) {
+		config.autoHide = this.hideDelay;
+	}
+	if ( this.actionButtons.length ) {
+		config.actions = this.actionButtons.map( function ( button ) {
+			return button.getConfig();
+		} );
+	}
+
+	// Mixin methods
+	OO.ui.IconElement.prototype.getIconElementConfig.call( this, config );
+	OO.ui.LabelElement.prototype.getLabelElementConfig.call( this, config );
+	OO.ui.FlaggedElement.prototype.getFlaggedElementConfig.call( this, config );
+
+	// The type sets the default icon and a flag
+	if ( config.icon === this.constructor.static.icons[ type ] ) {
+		delete config.icon;
+	}
+	if ( config.flags ) {
+		config.flags = config.flags.filter( function ( flag ) {
+			return flag !== type;
+		} );
+		if ( !config.flags.length ) {
+			delete config.flags;
+		}
+	}
+
+	// Parent method
+	return OO.ui.NotificationWidget.super.prototype.getConfig.call( this, config );
+};
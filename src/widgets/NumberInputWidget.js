@@ -0,0 +1,474 @@
+/**
+ * NumberInputWidgets are {@link OO.ui.TextInputWidget text inputs} for numeric values. The value
+ * can be typed in (numbers are parsed using the decimal and digit group separators of the user's
+ * language), or adjusted by a step with the increment and decrement buttons, the Up and Down arrow
+ * keys, the mouse wheel, or by a larger step with the PageUp and PageDown keys.
+ *
+ * Values that are not numbers, are out of range, or are not whole numbers when
+ * #setIsInteger is enabled are considered invalid by #isValid.
+ *
+ *     @example
+ *     // Example: A NumberInputWidget for a value between 1 and 10
+ *     var numberInput = new OO.ui.NumberInputWidget( {
+ *         min: 1,
+ *         max: 10,
+ *         isInteger: true
+ *     } );
+ *     $( 'body' ).append( numberInput.$element );
+ *
+ * @class
+ * @extends OO.ui.TextInputWidget
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ * @cfg {boolean} [isInteger=false] Only allow whole numbers
+ * @cfg {number} [min=-Infinity] Minimum allowed value
+ * @cfg {number} [max=Infinity] Maximum allowed value
+ * @cfg {number} [step=1] Delta when using the buttons, the arrow keys or the mouse wheel
+ * @cfg {number|null} [pageStep] Delta when using PageUp and PageDown, defaults to ten times `step`
+ * @cfg {boolean} [showButtons=true] Show the increment and decrement buttons
+ * @cfg {Object} [minusButton] Configuration options to pass to the decrement
+ *  {@link OO.ui.ButtonWidget button widget}
+ * @cfg {Object} [plusButton] Configuration options to pass to the increment
+ *  {@link OO.ui.ButtonWidget button widget}
+ */
+OO.ui.NumberInputWidget = function OoUiNumberInputWidget( config ) {
+	// Configuration initialization
+	config = $.extend( {
+		isInteger: false,
+		min: -Infinity,
+		max: Infinity,
+		step: 1,
+		pageStep: null,
+		showButtons: true
+	}, config );
+
+	// Properties (must be set before parent constructor, which calls #setValue and #setDisabled)
+	this.isInteger = false;
+	this.min = -Infinity;
+	this.max = Infinity;
+	this.step = 1;
+	this.pageStep = 10;
+	this.separators = this.constructor.static.getSeparators();
+	this.minusButton = new OO.ui.ButtonWidget( $.extend( {
+		classes: [ 'oo-ui-numberInputWidget-minusButton' ],
+		label: '−',
+		tabIndex: -1
+	}, config.minusButton ) );
+	this.plusButton = new OO.ui.ButtonWidget( $.extend( {
+		classes: [ 'oo-ui-numberInputWidget-plusButton' ],
+		label: '+',
+		tabIndex: -1
+	}, config.plusButton ) );
+	this.$buttons = $( '<span>' );
+
+	// Parent constructor
+	OO.ui.NumberInputWidget.super.call( this, $.extend( {}, config, { type: 'text', multiline: false } ) );
+
+	// Events
+	this.$input.on( {
+		keydown: this.onKeyDown.bind( this ),
+		'wheel mousewheel DOMMouseScroll': this.onWheel.bind( this )
+	} );
+	this.minusButton.connect( this, { click: [ 'onButtonClick', -1 ] } );
+	this.plusButton.connect( this, { click: [ 'onButtonClick', 1 ] } );
+
+	// Initialization
+	this.setIsInteger( !!config.isInteger );
+	this.setRange( config.min, config.max );
+	this.setStep( config.step, config.pageStep );
+	this.$input.attr( 'role', 'spinbutton' );
+	this.$buttons
+		.addClass( 'oo-ui-numberInputWidget-buttons' )
+		.append( this.minusButton.$element, this.plusButton.$element )
+		.toggleClass( 'oo-ui-element-hidden', !config.showButtons );
+	this.$element
+		.addClass( 'oo-ui-numberInputWidget' )
+		.toggleClass( 'oo-ui-numberInputWidget-buttoned', !!config.showButtons )
+		.append( this.$buttons );
+	this.updateControls();
+};
+
+/* Setup */
+
+OO.inheritClass( OO.ui.NumberInputWidget, OO.ui.TextInputWidget );
+
+/* Static Methods */
+
+/**
+ * Get the separators used to format numbers in the user's language.
+ *
+ * @static
+ * @return {Object} Separators, with `decimal` and `group` (digit grouping) properties
+ */
+OO.ui.NumberInputWidget.static.getSeparators = function () {
+	var match;
+
+	try {
+		match = ( 1234.5 ).toLocaleString( OO.ui.getUserLanguages() ).match( /^1(\D?)234(\D)5$/ );
+	} catch ( e ) {
+		// Unknown language codes, fall back to the defaults
+	}
+	return match ?
+		{ group: match[ 1 ], decimal: match[ 2 ] } :
+		{ group: ',', decimal: '.' };
+};
+
+/* Methods */
+
+/**
+ * Set whether only whole numbers are allowed.
+ *
+ * @param {boolean} flag Only allow whole numbers
+ * @chainable
+ */
+OO.ui.NumberInputWidget.prototype.setIsInteger = function ( flag ) {
+	this.isInteger = !!flag;
+	this.setValidityFlag();
+	return this;
+};
+
+/**
+ * Check whether only whole numbers are allowed.
+ *
+ * @return {boolean} Only whole numbers are allowed
+ */
+OO.ui.NumberInputWidget.prototype.getIsInteger = function () {
+	return this.isInteger;
+};
+
+/**
+ * Set the range of allowed values.
+ *
+ * @param {number} min Minimum allowed value
+ * @param {number} max Maximum allowed value
+ * @chainable
+ * @throws {Error} If the minimum is greater than the maximum
+ */
+OO.ui.NumberInputWidget.prototype.setRange = function ( min, max ) {
+	if ( min > max ) {
+		throw new Error( 'Minimum (' + min + ') must not be greater than maximum (' + max + ')' );
+	}
+	this.min = min;
+	this.max = max;
+	this.$input.attr( {
+		'aria-valuemin': isFinite( min ) ? min : null,
+		'aria-valuemax': isFinite( max ) ? max : null
+	} );
+	this.setValidityFlag();
+	this.updateControls();
+	return this;
+};
+
+/**
+ * Get the range of allowed values.
+ *
+ * @return {number[]} Minimum and maximum allowed values
+ */
+OO.ui.NumberInputWidget.prototype.getRange = function () {
+	return [ this.min, this.max ];
+};
+
+/**
+ * Set the stepping deltas.
+ *
+ * @param {number} step Delta when using the buttons, the arrow keys or the mouse wheel
+ * @param {number|null} [pageStep] Delta when using PageUp and PageDown, omit or null to use ten
+ *  times `step`
+ * @chainable
+ * @throws {Error} If a step is not a positive number
+ */
+OO.ui.NumberInputWidget.prototype.setStep = function ( step, pageStep ) {
+	if ( pageStep === undefined || pageStep === null ) {
+		pageStep = step * 10;
+	}
+	if ( isNaN( step ) || isNaN( pageStep ) || step <= 0 || pageStep <= 0 ) {
+		throw new Error( 'Step values must be positive numbers' );
+	}
+	this.step = step;
+	this.pageStep = pageStep;
+	return this;
+};
+
+/**
+ * Get the stepping deltas.
+ *
+ * @return {number[]} Step and page step
+ */
+OO.ui.NumberInputWidget.prototype.getStep = function () {
+	return [ this.step, this.pageStep ];
+};
+
+/**
+ * Get the current value as a number.
+ *
+ * @return {number} Numeric value, NaN if the value is empty or not a number
+ */
+OO.ui.NumberInputWidget.prototype.getNumericValue = function () {
+	return this.parseNumber( this.getValue() );
+};
+
+/**
+ * Get the current value as a number, to use in a form.
+ *
+ * @return {number|null} Numeric value, `null` if the value is empty or not a number
+ */
+OO.ui.NumberInputWidget.prototype.getFormValue = function () {
+	var value = this.getNumericValue();
+	return isNaN( value ) ? null : value;
+};
+
+/**
+ * Parse a number typed in the user's language.
+ *
+ * Digit group separators and whitespace are ignored.
+ *
+ * @param {string} value Text to parse
+ * @return {number} Parsed number, NaN if the text is not a number
+ */
+OO.ui.NumberInputWidget.prototype.parseNumber = function ( value ) {
+	value = String( value ).replace( /\s+/g, '' );
+	if ( this.separators.group ) {
+		value = value.split( this.separators.group ).join( '' );
+	}
+	value = value
+		.split( this.separators.decimal ).join( '.' )
+		// Minus sign
+		.replace( /^−/, '-' );
+
+	return /^[+\-]?(\d+(\.\d*)?|\.\d+)$/.test( value ) ? +value : NaN;
+};
+
+/**
+ * Format a number for display in the user's language.
+ *
+ * @param {number} number Number to format
+ * @return {string} Formatted number
+ */
+OO.ui.NumberInputWidget.prototype.formatNumber = function ( number ) {
+	return String( number ).replace( '.', this.separators.decimal );
+};
+
+/**
+ * Adjust the value by a delta.
+ *
+ * The result is clamped to the allowed range, and rounded if only whole numbers are allowed. An
+ * empty or invalid value is treated as zero.
+ *
+ * @param {number} delta Amount to add to the value
+ * @chainable
+ */
+OO.ui.NumberInputWidget.prototype.adjustValue = function ( delta ) {
+	var value = this.getNumericValue(),
+		result = ( isNaN( value ) ? 0 : value ) + delta;
+
+	// Strip floating point errors, such as 0.1 + 0.2 = 0.30000000000000004
+	result = +result.toPrecision( 15 );
+	if ( this.isInteger ) {
+		result = Math.round( result );
+	}
+	result = Math.min( Math.max( result, this.min ), this.max );
+
+	if ( result !== value ) {
+		this.setValue( result );
+	}
+	return this;
+};
+
+/**
+ * Check if a value is a number within the allowed range.
+ *
+ * An empty value is valid unless the input is required.
+ *
+ * @param {string} value Value to check
+ * @return {boolean} Value is valid
+ */
+OO.ui.NumberInputWidget.prototype.validateNumber = function ( value ) {
+	var number;
+
+	if ( value === '' ) {
+		return !this.$input.prop( 'required' );
+	}
+	number = this.parseNumber( value );
+	return !isNaN( number ) &&
+		( !this.isInteger || Math.floor( number ) === number ) &&
+		number >= this.min && number <= this.max;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.NumberInputWidget.prototype.getValidity = function () {
+	var valid = this.validateNumber( this.getValue() );
+
+	// Parent method
+	return OO.ui.NumberInputWidget.super.prototype.getValidity.call( this ).then( function ( validity ) {
+		if ( !valid && !validity.errors.length ) {
+			validity.errors.push( OO.ui.msg( 'ooui-validation-invalid' ) );
+		}
+		return validity;
+	} );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.NumberInputWidget.prototype.cleanUpValue = function ( value ) {
+	if ( typeof value === 'number' ) {
+		value = this.formatNumber( value );
+	}
+
+	// Parent method
+	return OO.ui.NumberInputWidget.super.prototype.cleanUpValue.call( this, value );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.NumberInputWidget.prototype.setValue = function ( value ) {
+	// Parent method
+	OO.ui.NumberInputWidget.super.prototype.setValue.call( this, value );
+
+	this.updateControls();
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.NumberInputWidget.prototype.setDisabled = function ( disabled ) {
+	// Parent method
+	OO.ui.NumberInputWidget.super.prototype.setDisabled.call( this, disabled );
+
+	// Called by the parent constructor before the input exists
+	if ( this.$input ) {
+		this.updateControls();
+	}
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.NumberInputWidget.prototype.setReadOnly = function ( state ) {
+	// Parent method
+	OO.ui.NumberInputWidget.super.prototype.setReadOnly.call( this, state );
+
+	this.updateControls();
+	return this;
+};
+
+/**
+ * Update the buttons and ARIA attributes to reflect the value and state of the widget.
+ *
+ * @private
+ */
+OO.ui.NumberInputWidget.prototype.updateControls = function () {
+	var value = this.parseNumber( this.$input.val() ),
+		locked = this.isDisabled() || this.isReadOnly();
+
+	this.minusButton.setDisabled( locked || value <= this.min );
+	this.plusButton.setDisabled( locked || value >= this.max );
+	this.$input.attr( 'aria-valuenow', isNaN( value ) ? null : value );
+};
+
+/**
+ * Handle clicks on the increment and decrement buttons.
+ *
+ * @protected
+ * @param {number} direction 1 to increment, -1 to decrement
+ */
+OO.ui.NumberInputWidget.prototype.onButtonClick = function ( direction ) {
+	this.adjustValue( direction * this.step );
+};
+
+/**
+ * Handle key down events on the input.
+ *
+ * @protected
+ * @param {jQuery.Event} e Key down event
+ */
+OO.ui.NumberInputWidget.prototype.onKeyDown = function ( e ) {
+	var delta;
+
+	if ( this.isDisabled() || this.isReadOnly() ) {
+		return;
+	}
+
+	switch ( e.which ) {
+		case OO.ui.Keys.UP:
+			delta = this.step;
+			break;
+		case OO.ui.Keys.DOWN:
+			delta = -this.step;
+			break;
+		case OO.ui.Keys.PAGEUP:
+			delta = this.pageStep;
+			break;
+		case OO.ui.Keys.PAGEDOWN:
+			delta = -this.pageStep;
+			break;
+	}
+
+	if ( delta ) {
+		this.adjustValue( delta );
+		return false;
+	}
+};
+
+/**
+ * Handle mouse wheel events on the input.
+ *
+ * The value is only adjusted while the input is focused, so that scrolling the page over the
+ * widget keeps working.
+ *
+ * @protected
+ * @param {jQuery.Event} e Mouse wheel event
+ */
+OO.ui.NumberInputWidget.prototype.onWheel = function ( e ) {
+	var delta = 0,
+		event = e.originalEvent;
+
+	if ( this.isDisabled() || this.isReadOnly() || !this.$input.is( ':focus' ) ) {
+		return;
+	}
+
+	// Standard 'wheel' event, legacy 'mousewheel' and Firefox's 'DOMMouseScroll'
+	if ( event.deltaY !== undefined ) {
+		delta = -event.deltaY;
+	} else if ( event.wheelDelta !== undefined ) {
+		delta = event.wheelDelta;
+	} else if ( event.detail !== undefined ) {
+		delta = -event.detail;
+	}
+
+	if ( delta ) {
+		this.adjustValue( delta > 0 ? this.step : -this.step );
+		return false;
+	}
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.NumberInputWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+	if ( this.isInteger ) {
+		config.isInteger = true;
+	}
+	// Infinity can't be represented in JSON, and is the default anyway
+	if ( isFinite( this.min ) ) {
+		config.min = this.min;
+	}
+	if ( isFinite( this.max ) ) {
+		config.max = this.max;
+	}
+	config.step = this.step;
+	config.pageStep = this.pageStep;
+	if ( this.$buttons.hasClass( 'oo-ui-element-hidden' ) ) {
+		config.showButtons = false;
+	}
+
+	// Parent method
+	return OO.ui.NumberInputWidget.super.prototype.getConfig.call( this, config );
+};
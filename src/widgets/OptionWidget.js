@@ -32,6 +32,9 @@ OO.ui.OptionWidget = function OoUiOptionWidget( config ) {
 		.attr( 'role', 'option' )
 		.addClass( 'oo-ui-optionWidget' )
 		.append( this.$label );
+	if ( this.constructor.static.selectable ) {
+		this.$element.attr( 'aria-selected', 'false' );
+	}
 };
 
 /* Setup */
@@ -59,7 +62,7 @@ OO.ui.OptionWidget.static.scrollIntoViewOnSelect = false;
  * @return {boolean} Item is selectable
  */
 OO.ui.OptionWidget.prototype.isSelectable = function () {
-	return this.constructor.static.selectable && !this.isDisabled();
+	return this.constructor.static.selectable && !this.isDisabled() && !this.isSkipped();
 };
 
 /**
@@ -68,7 +71,17 @@ OO.ui.OptionWidget.prototype.isSelectable = function () {
  * @return {boolean} Item is highlightable
  */
 OO.ui.OptionWidget.prototype.isHighlightable = function () {
-	return this.constructor.static.highlightable && !this.isDisabled();
+	return this.constructor.static.highlightable && !this.isDisabled() && !this.isSkipped();
+};
+
+/**
+ * Check if option is hidden in a select that skips hidden options.
+ *
+ * @private
+ * @return {boolean} Item is skipped
+ */
+OO.ui.OptionWidget.prototype.isSkipped = function () {
+	return !!( this.elementGroup && this.elementGroup.skipHiddenItems ) && !this.isVisible();
 };
 
 /**
@@ -156,3 +169,17 @@ OO.ui.OptionWidget.prototype.setPressed = function ( state ) {
 	}
 	return this;
 };
+
+/**
+ * @inheritdoc
+ */
+OO.ui.OptionWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+
+	// Mixin methods
+	OO.ui.LabelElement.prototype.getLabelElementConfig.call( this, config );
+	OO.ui.FlaggedElement.prototype.getFlaggedElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.OptionWidget.super.prototype.getConfig.call( this, config );
+};
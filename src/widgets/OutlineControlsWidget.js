@@ -111,3 +111,28 @@ OO.ui.OutlineControlsWidget.prototype.onOutlineChange = function () {
 	this.downButton.setDisabled( !movable || selectedItem === lastMovable );
 	this.removeButton.setDisabled( !removable );
 };
+
+/**
+ * @inheritdoc
+ */
+OO.ui.OutlineControlsWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+
+	// Mixin methods
+	OO.ui.GroupElement.prototype.getGroupElementConfig.call( this, config );
+	OO.ui.IconElement.prototype.getIconElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.OutlineControlsWidget.super.prototype.getConfig.call( this, config );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.OutlineControlsWidget.prototype.destroy = function () {
+	// Mixin method
+	OO.ui.GroupElement.prototype.teardownGroupElement.call( this );
+
+	// Parent method
+	OO.ui.OutlineControlsWidget.super.prototype.destroy.call( this );
+};
@@ -19,8 +19,8 @@ OO.ui.OutlineSelectWidget = function OoUiOutlineSelectWidget( config ) {
 
 	// Events
 	this.$element.on( {
-		focus: this.bindKeyDownListener.bind( this ),
-		blur: this.unbindKeyDownListener.bind( this )
+		focus: this.onFocus.bind( this ),
+		blur: this.onBlur.bind( this )
 	} );
 
 	// Initialization
@@ -31,3 +31,18 @@ OO.ui.OutlineSelectWidget = function OoUiOutlineSelectWidget( config ) {
 
 OO.inheritClass( OO.ui.OutlineSelectWidget, OO.ui.SelectWidget );
 OO.mixinClass( OO.ui.OutlineSelectWidget, OO.ui.TabIndexedElement );
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ */
+OO.ui.OutlineSelectWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+
+	// Mixin method
+	OO.ui.TabIndexedElement.prototype.getTabIndexedElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.OutlineSelectWidget.super.prototype.getConfig.call( this, config );
+};
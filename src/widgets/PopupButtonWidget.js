@@ -21,8 +21,8 @@ OO.ui.PopupButtonWidget = function OoUiPopupButtonWidget( config ) {
 	// Initialization
 	this.$element
 		.addClass( 'oo-ui-popupButtonWidget' )
-		.attr( 'aria-haspopup', 'true' )
-		.append( this.popup.$element );
+		.attr( 'aria-haspopup', 'true' );
+	this.$overlay.append( this.popup.$element );
 };
 
 /* Setup */
@@ -38,3 +38,14 @@ OO.mixinClass( OO.ui.PopupButtonWidget, OO.ui.PopupElement );
 OO.ui.PopupButtonWidget.prototype.onAction = function () {
 	this.popup.toggle();
 };
+
+/**
+ * @inheritdoc
+ */
+OO.ui.PopupButtonWidget.prototype.destroy = function () {
+	// Mixin method
+	OO.ui.PopupElement.prototype.teardownPopupElement.call( this );
+
+	// Parent method
+	OO.ui.PopupButtonWidget.super.prototype.destroy.call( this );
+};
@@ -1,16 +1,27 @@
 /**
  * Container for content that is overlaid and positioned absolutely.
  *
+ * The popup is placed next to its `$floatableContainer`, on the side given by the `position` option,
+ * and is flipped to the opposite side if there is more room there. It is shifted to stay inside
+ * `$container`, and its anchor moves to keep pointing at the middle of the `$floatableContainer`.
+ *
  * @class
  * @extends OO.ui.Widget
  * @mixins OO.ui.LabelElement
+ * @mixins OO.ui.FloatableElement
  *
  * @constructor
  * @param {Object} [config] Configuration options
  * @cfg {number} [width=320] Width of popup in pixels
  * @cfg {number} [height] Height of popup, omit to use automatic height
  * @cfg {boolean} [anchor=true] Show anchor pointing to origin of popup
- * @cfg {string} [align='center'] Alignment of popup to origin
+ * @cfg {string} [position='below'] Side of the origin to show the popup on, either 'above',
+ *  'below', 'before' or 'after'
+ * @cfg {string} [align='center'] Alignment of popup to origin when shown above or below it, either
+ *  'start', 'center' or 'end', or 'left' or 'right' regardless of the text direction
+ * @cfg {boolean} [autoFlip=true] Show the popup on the opposite side if it doesn't fit
+ * @cfg {jQuery} [$floatableContainer] Element to show the popup next to, omit to use the point where
+ *  the stylesheet places the popup
  * @cfg {jQuery} [$container] Container to prevent popup from rendering outside of
  * @cfg {number} [containerPadding=10] How much padding to keep between popup and container
  * @cfg {jQuery} [$content] Content to append to the popup's body
@@ -32,21 +43,22 @@ OO.ui.PopupWidget = function OoUiPopupWidget( config ) {
 	// Mixin constructors
 	OO.ui.LabelElement.call( this, config );
 	OO.ui.ClippableElement.call( this, $.extend( {}, config, { $clippable: this.$body } ) );
+	OO.ui.FloatableElement.call( this, $.extend( {}, config, {
+		$floatableContainer: config.$floatableContainer || this.$element,
+		$floatableBoundary: config.$container,
+		boundaryPadding: config.containerPadding
+	} ) );
 
 	// Properties
 	this.$popup = $( '<div>' );
 	this.$head = $( '<div>' );
 	this.$anchor = $( '<div>' );
-	// If undefined, will be computed lazily in updateDimensions()
-	this.$container = config.$container;
-	this.containerPadding = config.containerPadding !== undefined ? config.containerPadding : 10;
 	this.autoClose = !!config.autoClose;
 	this.$autoCloseIgnore = config.$autoCloseIgnore;
 	this.transitionTimeout = null;
 	this.anchor = null;
 	this.width = config.width !== undefined ? config.width : 320;
 	this.height = config.height !== undefined ? config.height : null;
-	this.align = config.align || 'center';
 	this.closeButton = new OO.ui.ButtonWidget( { framed: false, icon: 'close' } );
 	this.onMouseDownHandler = this.onMouseDown.bind( this );
 
@@ -89,6 +101,7 @@ OO.ui.PopupWidget = function OoUiPopupWidget( config ) {
 OO.inheritClass( OO.ui.PopupWidget, OO.ui.Widget );
 OO.mixinClass( OO.ui.PopupWidget, OO.ui.LabelElement );
 OO.mixinClass( OO.ui.PopupWidget, OO.ui.ClippableElement );
+OO.mixinClass( OO.ui.PopupWidget, OO.ui.FloatableElement );
 
 /* Methods */
 
@@ -155,7 +168,18 @@ OO.ui.PopupWidget.prototype.toggleAnchor = function ( show ) {
  * @return {boolean} anchor is visible
  */
 OO.ui.PopupWidget.prototype.hasAnchor = function () {
-	return this.anchor;
+	return this.anchored;
+};
+
+/**
+ * Get the distance between the popup and the point its anchor points at.
+ *
+ * @private
+ * @return {number} Size of the anchor in pixels, or 0 if no anchor is shown
+ */
+OO.ui.PopupWidget.prototype.getAnchorSize = function () {
+	// The anchor is drawn with borders, so the theme gives it a height to measure
+	return this.anchored ? this.$anchor.outerHeight() : 0;
 };
 
 /**
@@ -174,10 +198,12 @@ OO.ui.PopupWidget.prototype.toggle = function ( show ) {
 			if ( this.autoClose ) {
 				this.bindMouseDownListener();
 			}
+			this.togglePositioning( true );
 			this.updateDimensions();
 			this.toggleClipping( true );
 		} else {
 			this.toggleClipping( false );
+			this.togglePositioning( false );
 			if ( this.autoClose ) {
 				this.unbindMouseDownListener();
 			}
@@ -215,14 +241,7 @@ OO.ui.PopupWidget.prototype.setSize = function ( width, height, transition ) {
  * @chainable
  */
 OO.ui.PopupWidget.prototype.updateDimensions = function ( transition ) {
-	var popupOffset, originOffset, containerLeft, containerWidth, containerRight,
-		popupLeft, popupRight, overlapLeft, overlapRight, anchorWidth,
-		widget = this;
-
-	if ( !this.$container ) {
-		// Lazy-initialize $container if not specified in constructor
-		this.$container = $( this.getClosestScrollableElementContainer() );
-	}
+	var widget = this;
 
 	// Set height and width before measuring things, since it might cause our measurements
 	// to change (e.g. due to scrollbars appearing or disappearing)
@@ -231,36 +250,6 @@ OO.ui.PopupWidget.prototype.updateDimensions = function ( transition ) {
 		height: this.height !== null ? this.height : 'auto'
 	} );
 
-	// Compute initial popupOffset based on alignment
-	popupOffset = this.width * ( { left: 0, center: -0.5, right: -1 } )[ this.align ];
-
-	// Figure out if this will cause the popup to go beyond the edge of the container
-	originOffset = this.$element.offset().left;
-	containerLeft = this.$container.offset().left;
-	containerWidth = this.$container.innerWidth();
-	containerRight = containerLeft + containerWidth;
-	popupLeft = popupOffset - this.containerPadding;
-	popupRight = popupOffset + this.containerPadding + this.width + this.containerPadding;
-	overlapLeft = ( originOffset + popupLeft ) - containerLeft;
-	overlapRight = containerRight - ( originOffset + popupRight );
-
-	// Adjust offset to make the popup not go beyond the edge, if needed
-	if ( overlapRight < 0 ) {
-		popupOffset += overlapRight;
-	} else if ( overlapLeft < 0 ) {
-		popupOffset -= overlapLeft;
-	}
-
-	// Adjust offset to avoid anchor being rendered too close to the edge
-	// $anchor.width() doesn't work with the pure CSS anchor (returns 0)
-	// TODO: Find a measurement that works for CSS anchors and image anchors
-	anchorWidth = this.$anchor[ 0 ].scrollWidth * 2;
-	if ( popupOffset + this.width < anchorWidth ) {
-		popupOffset = anchorWidth - this.width;
-	} else if ( -popupOffset < anchorWidth ) {
-		popupOffset = -anchorWidth;
-	}
-
 	// Prevent transition from being interrupted
 	clearTimeout( this.transitionTimeout );
 	if ( transition ) {
@@ -268,8 +257,7 @@ OO.ui.PopupWidget.prototype.updateDimensions = function ( transition ) {
 		this.$element.addClass( 'oo-ui-popupWidget-transitioning' );
 	}
 
-	// Position body relative to anchor
-	this.$popup.css( 'margin-left', popupOffset );
+	this.position();
 
 	if ( transition ) {
 		// Prevent transitioning after transition is complete
@@ -281,8 +269,116 @@ OO.ui.PopupWidget.prototype.updateDimensions = function ( transition ) {
 		this.$element.removeClass( 'oo-ui-popupWidget-transitioning' );
 	}
 
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.PopupWidget.prototype.position = function () {
+	if ( this.$floatableContainer === this.$element && this.isPositioning() ) {
+		// Measure the origin where the stylesheet places it, not where it was last moved to
+		this.$element.css( { top: '', left: '' } );
+	}
+
+	// Mixin method
+	OO.ui.FloatableElement.prototype.position.call( this );
+
 	// Reevaluate clipping state since we've relocated and resized the popup
 	this.clip();
 
 	return this;
 };
+
+/**
+ * @inheritdoc
+ */
+OO.ui.PopupWidget.prototype.getFloatableSize = function () {
+	return {
+		width: this.$popup.outerWidth(),
+		// Measure the body as if it were not clipped
+		height: this.$popup.outerHeight() + this.$body[ 0 ].scrollHeight - this.$body[ 0 ].clientHeight
+	};
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.PopupWidget.prototype.getFloatableOptions = function () {
+	var anchorSize = this.getAnchorSize();
+
+	// Mixin method
+	return $.extend( OO.ui.FloatableElement.prototype.getFloatableOptions.call( this ), {
+		gap: anchorSize,
+		// Keep the anchor away from the rounded corners
+		tipInset: anchorSize * 2
+	} );
+};
+
+/**
+ * Move the origin to the point the anchor points at, and the popup next to it.
+ *
+ * @protected
+ * @param {Object} placement Placement, as returned by
+ *  OO.ui.FloatableElement#static-method-computePosition
+ */
+OO.ui.PopupWidget.prototype.placeFloatable = function ( placement ) {
+	var anchorSize = this.getAnchorSize(),
+		css = { top: '', right: '', bottom: '', left: '' };
+
+	// Mixin method
+	OO.ui.FloatableElement.prototype.placeFloatable.call( this, {
+		position: placement.position,
+		top: placement.tip.top,
+		left: placement.tip.left
+	} );
+
+	// Attach the popup to the origin on the side facing it, so clipping doesn't move it away
+	switch ( placement.side ) {
+		case 'top':
+			css.bottom = anchorSize;
+			css.left = placement.left - placement.tip.left;
+			break;
+		case 'bottom':
+			css.top = anchorSize;
+			css.left = placement.left - placement.tip.left;
+			break;
+		case 'left':
+			css.right = anchorSize;
+			css.top = placement.top - placement.tip.top;
+			break;
+		case 'right':
+			css.left = anchorSize;
+			css.top = placement.top - placement.tip.top;
+			break;
+	}
+	this.$popup.css( css );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.PopupWidget.prototype.destroy = function () {
+	clearTimeout( this.transitionTimeout );
+	this.unbindMouseDownListener();
+
+	// Mixin methods
+	OO.ui.ClippableElement.prototype.teardownClippableElement.call( this );
+	OO.ui.FloatableElement.prototype.teardownFloatableElement.call( this );
+
+	// Parent method
+	OO.ui.PopupWidget.super.prototype.destroy.call( this );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.PopupWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+
+	// Mixin method
+	OO.ui.LabelElement.prototype.getLabelElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.PopupWidget.super.prototype.getConfig.call( this, config );
+};
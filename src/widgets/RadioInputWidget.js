@@ -38,10 +38,19 @@ OO.ui.RadioInputWidget.prototype.getInputElement = function () {
 };
 
 /**
- * @inheritdoc
+ * Handle potentially value-changing events.
+ *
+ * RadioInputWidget doesn't track its state, but emits a #change event when the user selects it, so
+ * that forms know the value of its set of radio buttons changed. Deselected radio buttons of the
+ * set don't emit it.
+ *
+ * @param {jQuery.Event} e Key down, mouse up, cut, paste, change, input, or select event
+ * @fires change
  */
-OO.ui.RadioInputWidget.prototype.onEdit = function () {
-	// RadioInputWidget doesn't track its state.
+OO.ui.RadioInputWidget.prototype.onEdit = function ( e ) {
+	if ( e.type === 'change' && !this.isDisabled() ) {
+		this.emit( 'change', this.getValue() );
+	}
 };
 
 /**
@@ -64,3 +73,35 @@ OO.ui.RadioInputWidget.prototype.setSelected = function ( state ) {
 OO.ui.RadioInputWidget.prototype.isSelected = function () {
 	return this.$input.prop( 'checked' );
 };
+
+/**
+ * Get the selection state of this radio button, to use in a form.
+ *
+ * In a OO.ui.FormLayout, radio buttons sharing a name make up one value instead, the value of the
+ * selected one.
+ *
+ * @return {boolean} Radio is selected
+ */
+OO.ui.RadioInputWidget.prototype.getFormValue = function () {
+	return this.isSelected();
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.RadioInputWidget.prototype.setFormValue = function ( value ) {
+	return this.setSelected( value );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.RadioInputWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+	if ( this.isSelected() ) {
+		config.selected = true;
+	}
+
+	// Parent method
+	return OO.ui.RadioInputWidget.super.prototype.getConfig.call( this, config );
+};
@@ -0,0 +1,408 @@
+/**
+ * RepeatableGroupWidgets let users edit a list of values, each made of the same fields. Items can
+ * be added with a button at the end of the list and removed with a button next to each of them.
+ *
+ * The fields of an item are created by the `createItem` function. The value of an item is the
+ * value of its field widget if it has a single field without a name, or else an object of the
+ * values of its fields, keyed by their names (see OO.ui.FieldLayout#getName). The value of the
+ * widget is the list of the values of its items.
+ *
+ *     var group = new OO.ui.RepeatableGroupWidget( {
+ *         minItems: 1,
+ *         createItem: function () {
+ *             return [
+ *                 new OO.ui.FieldLayout( new OO.ui.TextInputWidget(), { name: 'name', label: 'Name' } ),
+ *                 new OO.ui.FieldLayout( new OO.ui.TextInputWidget(), { name: 'email', label: 'Email' } )
+ *             ];
+ *         }
+ *     } );
+ *     group.setFormValue( [ { name: 'Alex', email: 'alex@example.org' } ] );
+ *
+ * @class
+ * @extends OO.ui.Widget
+ * @mixins OO.ui.GroupElement
+ *
+ * @constructor
+ * @param {Object} config Configuration options
+ * @cfg {Function} createItem Function that creates the fields of a new item, returning a list of
+ *  OO.ui.FieldLayout and OO.ui.FieldsetLayout
+ * @cfg {number} [minItems=0] Minimum number of items, the list starts with as many
+ * @cfg {number} [maxItems=Infinity] Maximum number of items
+ * @cfg {string} [addLabel] Label of the button that adds an item
+ */
+OO.ui.RepeatableGroupWidget = function OoUiRepeatableGroupWidget( config ) {
+	// Configuration initialization
+	config = $.extend( { minItems: 0, maxItems: Infinity }, config );
+
+	// Properties (must be set before parent constructor, which calls #setDisabled)
+	this.addButton = new OO.ui.ButtonWidget( {
+		classes: [ 'oo-ui-repeatableGroupWidget-addButton' ],
+		framed: false,
+		icon: 'add',
+		label: config.addLabel || OO.ui.msg( 'ooui-repeatablegroup-add' )
+	} );
+
+	// Parent constructor
+	OO.ui.RepeatableGroupWidget.super.call( this, config );
+
+	// Mixin constructors
+	OO.ui.GroupElement.call( this, config );
+
+	// Properties
+	this.createItemFields = config.createItem;
+	this.minItems = config.minItems;
+	this.maxItems = config.maxItems;
+
+	// Events
+	this.addButton.connect( this, { click: 'onAddButtonClick' } );
+
+	// Initialization
+	this.$group.addClass( 'oo-ui-repeatableGroupWidget-items' );
+	this.$element
+		.addClass( 'oo-ui-repeatableGroupWidget' )
+		.append( this.$group, this.addButton.$element );
+	while ( this.items.length < this.minItems ) {
+		this.appendItem();
+	}
+	this.updateControls();
+};
+
+/* Setup */
+
+OO.inheritClass( OO.ui.RepeatableGroupWidget, OO.ui.Widget );
+OO.mixinClass( OO.ui.RepeatableGroupWidget, OO.ui.GroupElement );
+
+/* Static Properties */
+
+/**
+ * @inheritdoc
+ */
+OO.ui.RepeatableGroupWidget.static.formValueEvent = 'change';
+
+/* Events */
+
+/**
+ * An item was added or removed, or the value of one of its fields changed.
+ *
+ * @event change
+ * @param {Mixed[]} values Values of the items
+ */
+
+/**
+ * The items have been validated.
+ *
+ * @event validate
+ * @param {Object} validity Validity of the items
+ * @param {string[]} validity.errors Error messages
+ * @param {string[]} validity.warnings Warning messages
+ */
+
+/* Methods */
+
+/**
+ * Handle add button click events.
+ *
+ * @private
+ */
+OO.ui.RepeatableGroupWidget.prototype.onAddButtonClick = function () {
+	var fields = this.getItemFields( this.appendItem() ),
+		widget = fields.length && fields[ 0 ].getField();
+
+	if ( widget && widget.focus ) {
+		widget.focus();
+	}
+};
+
+/**
+ * Handle value change events from the field widgets of items.
+ *
+ * @private
+ * @fires change
+ */
+OO.ui.RepeatableGroupWidget.prototype.onItemFieldChange = function () {
+	this.emit( 'change', this.getFormValue() );
+};
+
+/**
+ * Get the field layouts of an item, including those in fieldsets.
+ *
+ * @private
+ * @param {OO.ui.FieldsetLayout} item Item
+ * @return {OO.ui.FieldLayout[]} Field layouts, in order
+ */
+OO.ui.RepeatableGroupWidget.prototype.getItemFields = function ( item ) {
+	var fields = [];
+
+	function collect( items ) {
+		var i, len;
+		for ( i = 0, len = items.length; i < len; i++ ) {
+			if ( items[ i ] instanceof OO.ui.FieldLayout ) {
+				fields.push( items[ i ] );
+			} else if ( items[ i ].getItems ) {
+				collect( items[ i ].getItems() );
+			}
+		}
+	}
+
+	collect( item.getItems() );
+	return fields;
+};
+
+/**
+ * Get the value of an item.
+ *
+ * @private
+ * @param {OO.ui.FieldsetLayout} item Item
+ * @return {Mixed} Value of the single unnamed field, or values of the fields keyed by name
+ */
+OO.ui.RepeatableGroupWidget.prototype.getItemValue = function ( item ) {
+	var i, len, name,
+		fields = this.getItemFields( item ),
+		values = {};
+
+	if ( fields.length === 1 && fields[ 0 ].getName() === null ) {
+		return fields[ 0 ].getField().getFormValue();
+	}
+	for ( i = 0, len = fields.length; i < len; i++ ) {
+		name = fields[ i ].getName();
+		if ( name !== null ) {
+			values[ name ] = fields[ i ].getField().getFormValue();
+		}
+	}
+	return values;
+};
+
+/**
+ * Set the value of an item.
+ *
+ * @private
+ * @param {OO.ui.FieldsetLayout} item Item
+ * @param {Mixed} value Value, as returned by #getItemValue
+ */
+OO.ui.RepeatableGroupWidget.prototype.setItemValue = function ( item, value ) {
+	var i, len, name,
+		fields = this.getItemFields( item );
+
+	if ( fields.length === 1 && fields[ 0 ].getName() === null ) {
+		fields[ 0 ].getField().setFormValue( value );
+		return;
+	}
+	for ( i = 0, len = fields.length; i < len; i++ ) {
+		name = fields[ i ].getName();
+		if ( value && name !== null && Object.prototype.hasOwnProperty.call( value, name ) ) {
+			fields[ i ].getField().setFormValue( value[ name ] );
+		}
+	}
+};
+
+/**
+ * Update the add and remove buttons, which are disabled when the number of items is at its limits.
+ *
+ * @private
+ */
+OO.ui.RepeatableGroupWidget.prototype.updateControls = function () {
+	var i, len,
+		disabled = this.isDisabled();
+
+	this.addButton.setDisabled( disabled || this.items.length >= this.maxItems );
+	for ( i = 0, len = this.items.length; i < len; i++ ) {
+		this.items[ i ].$element.data( 'oo-ui-removeButton' )
+			.setDisabled( disabled || this.items.length <= this.minItems );
+	}
+};
+
+/**
+ * Add an item at the end of the list.
+ *
+ * @param {Mixed} [value] Value of the item, as returned by #getFormValue for each item; omit to
+ *  keep the values the fields are created with
+ * @return {OO.ui.FieldsetLayout} New item
+ * @fires change
+ */
+OO.ui.RepeatableGroupWidget.prototype.appendItem = function ( value ) {
+	var i, len, widget, events,
+		item = new OO.ui.FieldsetLayout( {
+			classes: [ 'oo-ui-repeatableGroupWidget-item' ],
+			items: this.createItemFields()
+		} ),
+		fields = this.getItemFields( item ),
+		removeButton = new OO.ui.ButtonWidget( {
+			classes: [ 'oo-ui-repeatableGroupWidget-removeButton' ],
+			framed: false,
+			icon: 'remove',
+			title: OO.ui.msg( 'ooui-repeatablegroup-remove' )
+		} );
+
+	if ( value !== undefined ) {
+		this.setItemValue( item, value );
+	}
+	for ( i = 0, len = fields.length; i < len; i++ ) {
+		widget = fields[ i ].getField();
+		if ( widget.constructor.static.formValueEvent ) {
+			events = {};
+			events[ widget.constructor.static.formValueEvent ] = 'onItemFieldChange';
+			widget.connect( this, events );
+		}
+	}
+	removeButton.connect( this, { click: [ 'removeItem', item ] } );
+	item.$element
+		.data( 'oo-ui-removeButton', removeButton )
+		.prepend( removeButton.$element );
+
+	this.addItems( [ item ] );
+	this.updateControls();
+	this.emit( 'change', this.getFormValue() );
+	return item;
+};
+
+/**
+ * Remove an item, and destroy it.
+ *
+ * @param {OO.ui.FieldsetLayout} item Item to remove
+ * @chainable
+ * @fires change
+ */
+OO.ui.RepeatableGroupWidget.prototype.removeItem = function ( item ) {
+	var i, len,
+		fields = this.getItemFields( item );
+
+	if ( $.inArray( item, this.items ) !== -1 ) {
+		for ( i = 0, len = fields.length; i < len; i++ ) {
+			fields[ i ].getField().disconnect( this );
+		}
+		this.removeItems( [ item ] );
+		item.$element.data( 'oo-ui-removeButton' ).destroy();
+		item.destroy();
+		this.updateControls();
+		this.emit( 'change', this.getFormValue() );
+	}
+	return this;
+};
+
+/**
+ * Get the values of the items, to use in a form.
+ *
+ * @return {Mixed[]} Values of the items
+ */
+OO.ui.RepeatableGroupWidget.prototype.getFormValue = function () {
+	return this.items.map( this.getItemValue.bind( this ) );
+};
+
+/**
+ * Set the values of the items, adding and removing items as needed.
+ *
+ * @param {Mixed[]} values Values of the items, as returned by #getFormValue
+ * @chainable
+ */
+OO.ui.RepeatableGroupWidget.prototype.setFormValue = function ( values ) {
+	var i, len;
+
+	values = values || [];
+	while ( this.items.length > Math.max( values.length, this.minItems ) ) {
+		this.removeItem( this.items[ this.items.length - 1 ] );
+	}
+	for ( i = 0, len = values.length; i < len; i++ ) {
+		if ( i < this.items.length ) {
+			this.setItemValue( this.items[ i ], values[ i ] );
+		} else {
+			this.appendItem( values[ i ] );
+		}
+	}
+	return this;
+};
+
+/**
+ * Validate the fields of all items and the number of items, and show the resulting messages.
+ *
+ * Messages about fields are shown beneath each field; if any field is invalid, the widget is
+ * invalid as well.
+ *
+ * @return {jQuery.Promise} Promise resolved with the validity of the widget, an object with
+ *  `errors` and `warnings` arrays of messages
+ * @fires validate
+ */
+OO.ui.RepeatableGroupWidget.prototype.updateValidity = function () {
+	var widget = this,
+		fields = [];
+
+	this.items.forEach( function ( item ) {
+		fields.push.apply( fields, widget.getItemFields( item ) );
+	} );
+
+	return $.when.apply( $, fields.map( function ( field ) {
+		return field.validate();
+	} ) ).then( function () {
+		var i, len,
+			validity = { errors: [], warnings: [] };
+
+		if ( widget.items.length < widget.minItems ) {
+			validity.errors.push( OO.ui.msg( 'ooui-validation-items-min', widget.minItems ) );
+		}
+		if ( widget.items.length > widget.maxItems ) {
+			validity.errors.push( OO.ui.msg( 'ooui-validation-items-max', widget.maxItems ) );
+		}
+		for ( i = 0, len = fields.length; i < len; i++ ) {
+			if ( arguments[ i ].errors.length ) {
+				validity.errors.push( OO.ui.msg( 'ooui-validation-items-invalid' ) );
+				break;
+			}
+		}
+		widget.emit( 'validate', validity );
+		return validity;
+	} );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.RepeatableGroupWidget.prototype.setDisabled = function ( disabled ) {
+	// Parent method
+	OO.ui.RepeatableGroupWidget.super.prototype.setDisabled.call( this, disabled );
+
+	// The items are not set yet when called from the parent constructor
+	if ( this.items ) {
+		this.updateControls();
+	}
+	return this;
+};
+
+/**
+ * Focus the first field of the first item, or the add button if there are no items.
+ *
+ * @chainable
+ */
+OO.ui.RepeatableGroupWidget.prototype.focus = function () {
+	var fields = this.items.length ? this.getItemFields( this.items[ 0 ] ) : [],
+		widget = fields.length && fields[ 0 ].getField();
+
+	if ( widget && widget.focus ) {
+		widget.focus();
+	} else {
+		this.addButton.$button[ 0 ].focus();
+	}
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.RepeatableGroupWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+
+	// Mixin method
+	OO.ui.GroupElement.prototype.getGroupElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.RepeatableGroupWidget.super.prototype.getConfig.call( this, config );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.RepeatableGroupWidget.prototype.destroy = function () {
+	// Mixin method
+	OO.ui.GroupElement.prototype.teardownGroupElement.call( this );
+
+	// Parent method
+	OO.ui.RepeatableGroupWidget.super.prototype.destroy.call( this );
+};
@@ -86,7 +86,7 @@ OO.ui.SearchWidget.prototype.onQueryKeydown = function ( e ) {
 		}
 		nextItem = this.results.getRelativeSelectableItem( highlightedItem, dir );
 		this.results.highlightItem( nextItem );
-		nextItem.scrollElementIntoView();
+		this.results.scrollItemIntoView( nextItem );
 	}
 };
 
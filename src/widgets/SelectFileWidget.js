@@ -0,0 +1,512 @@
+/**
+ * SelectFileWidgets let the user choose files, with a button that opens the browser's file picker
+ * or by dropping files onto the widget. The chosen files are listed in the widget, and can be
+ * removed again.
+ *
+ * The value of the widget is a `File` object, or `null` if no file is chosen; with `multiple`, it is
+ * an array of `File` objects. Files that do not match `accept` or are larger than `maxSize` are not
+ * chosen, and are reported with a #reject event instead.
+ *
+ *     @example
+ *     // Example: A widget for choosing up to 2 MB of images, as a large drop target
+ *     var selectFile = new OO.ui.SelectFileWidget( {
+ *         accept: [ 'image/*' ],
+ *         maxSize: 2 * 1024 * 1024,
+ *         multiple: true,
+ *         showThumbnails: true,
+ *         dropTarget: true
+ *     } );
+ *     $( 'body' ).append( selectFile.$element );
+ *
+ * @class
+ * @extends OO.ui.InputWidget
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ * @cfg {boolean} [multiple=false] Allow choosing more than one file
+ * @cfg {string[]|null} [accept=null] MIME types, such as `image/png` or `image/*`, and file name
+ *  extensions, such as `.pdf`, of the files that can be chosen; null allows any file
+ * @cfg {number|null} [maxSize=null] Largest size of file that can be chosen, in bytes
+ * @cfg {boolean} [showThumbnails=false] Show thumbnails of chosen images
+ * @cfg {boolean} [dropTarget=false] Show the widget as a large area to drop files onto. Files can be
+ *  dropped onto the widget either way.
+ * @cfg {Object} [button] Configuration options to pass to the OO.ui.ButtonWidget that opens the
+ *  file picker
+ * @cfg {string} [placeholder] Text shown when no file is chosen; defaults to the localized
+ *  'ooui-selectfile-placeholder' message
+ */
+OO.ui.SelectFileWidget = function OoUiSelectFileWidget( config ) {
+	// Configuration initialization
+	config = config || {};
+
+	// Properties (must be set before parent constructor, which calls #setValue)
+	this.multiple = !!config.multiple;
+	this.accept = config.accept || null;
+	this.maxSize = config.maxSize || null;
+	this.showThumbnails = !!config.showThumbnails;
+	this.dropTarget = !!config.dropTarget;
+	this.files = [];
+	this.dragCounter = 0;
+	this.$files = $( '<div>' );
+	this.$placeholder = $( '<span>' );
+	this.selectButton = new OO.ui.ButtonWidget( $.extend( {
+		icon: 'add',
+		label: OO.ui.msg( this.multiple ?
+			'ooui-selectfile-button-select-multiple' : 'ooui-selectfile-button-select' ),
+		disabled: config.disabled
+	}, config.button ) );
+
+	// Parent constructor
+	OO.ui.SelectFileWidget.super.call( this, config );
+
+	// Events
+	this.selectButton.connect( this, { click: 'onSelectButtonClick' } );
+	this.$element.on( {
+		dragenter: this.onDragEnter.bind( this ),
+		dragover: this.onDragOver.bind( this ),
+		dragleave: this.onDragLeave.bind( this ),
+		drop: this.onDrop.bind( this )
+	} );
+
+	// Initialization
+	this.setTabIndexedElement( this.selectButton.$button );
+	this.$input
+		.attr( { tabindex: -1, 'aria-hidden': 'true' } )
+		.prop( 'multiple', this.multiple );
+	if ( this.accept ) {
+		this.$input.attr( 'accept', this.accept.join( ',' ) );
+	}
+	this.$files.addClass( 'oo-ui-selectFileWidget-files' );
+	this.$placeholder
+		.addClass( 'oo-ui-selectFileWidget-placeholder' )
+		.text( config.placeholder !== undefined ?
+			config.placeholder : OO.ui.msg( 'ooui-selectfile-placeholder' ) );
+	this.$element
+		.addClass( 'oo-ui-selectFileWidget' )
+		.toggleClass( 'oo-ui-selectFileWidget-dropTarget', this.dropTarget )
+		.append( this.$placeholder, this.$files, this.selectButton.$element );
+	if ( this.dropTarget ) {
+		this.$element.prepend(
+			$( '<span>' )
+				.addClass( 'oo-ui-selectFileWidget-dropLabel' )
+				.text( OO.ui.msg( this.multiple ?
+					'ooui-selectfile-dragdrop-placeholder-multiple' : 'ooui-selectfile-dragdrop-placeholder' ) )
+		);
+	}
+	this.updateFiles();
+};
+
+/* Setup */
+
+OO.inheritClass( OO.ui.SelectFileWidget, OO.ui.InputWidget );
+
+/* Static Properties */
+
+/**
+ * @inheritdoc
+ */
+OO.ui.SelectFileWidget.static.validators = $.extend( {}, OO.ui.InputWidget.static.validators, {
+	required: function ( value ) {
+		return ( Array.isArray( value ) ? value.length > 0 : !!value ) ||
+			OO.ui.msg( 'ooui-validation-required' );
+	}
+} );
+
+/* Events */
+
+/**
+ * @event change
+ * @param {File|File[]|null} value Chosen file, or files if `multiple` is set
+ */
+
+/**
+ * Files were chosen that cannot be accepted.
+ *
+ * @event reject
+ * @param {Object[]} rejected Rejected files
+ * @param {File} rejected.file File
+ * @param {string} rejected.reason Reason the file was rejected, 'type' or 'size'
+ * @param {string} rejected.message Localized message explaining why the file was rejected
+ */
+
+/* Methods */
+
+/**
+ * @inheritdoc
+ * @private
+ */
+OO.ui.SelectFileWidget.prototype.getInputElement = function () {
+	return $( '<input type="file">' );
+};
+
+/**
+ * Handle change events from the file input.
+ *
+ * @param {jQuery.Event} e Change event, or other potentially value-changing event
+ */
+OO.ui.SelectFileWidget.prototype.onEdit = function ( e ) {
+	if ( e.type === 'change' && !this.isDisabled() ) {
+		this.addFiles( this.$input[ 0 ].files );
+	}
+};
+
+/**
+ * Handle click events from the select button.
+ *
+ * @private
+ */
+OO.ui.SelectFileWidget.prototype.onSelectButtonClick = function () {
+	if ( !this.isDisabled() ) {
+		this.$input[ 0 ].click();
+	}
+};
+
+/**
+ * Handle drag enter events.
+ *
+ * @private
+ * @param {jQuery.Event} e Drag enter event
+ */
+OO.ui.SelectFileWidget.prototype.onDragEnter = function ( e ) {
+	if ( !this.isDisabled() && this.isFileDrag( e ) ) {
+		// Entering and leaving children fires events on the widget too, so count them
+		this.dragCounter++;
+		this.$element.addClass( 'oo-ui-selectFileWidget-dragover' );
+		return false;
+	}
+};
+
+/**
+ * Handle drag over events.
+ *
+ * @private
+ * @param {jQuery.Event} e Drag over event
+ */
+OO.ui.SelectFileWidget.prototype.onDragOver = function ( e ) {
+	if ( !this.isDisabled() && this.isFileDrag( e ) ) {
+		e.originalEvent.dataTransfer.dropEffect = 'copy';
+		return false;
+	}
+};
+
+/**
+ * Handle drag leave events.
+ *
+ * @private
+ * @param {jQuery.Event} e Drag leave event
+ */
+OO.ui.SelectFileWidget.prototype.onDragLeave = function () {
+	if ( this.dragCounter > 0 ) {
+		this.dragCounter--;
+		if ( !this.dragCounter ) {
+			this.$element.removeClass( 'oo-ui-selectFileWidget-dragover' );
+		}
+	}
+};
+
+/**
+ * Handle drop events.
+ *
+ * @private
+ * @param {jQuery.Event} e Drop event
+ */
+OO.ui.SelectFileWidget.prototype.onDrop = function ( e ) {
+	this.dragCounter = 0;
+	this.$element.removeClass( 'oo-ui-selectFileWidget-dragover' );
+	if ( !this.isDisabled() && this.isFileDrag( e ) ) {
+		this.addFiles( e.originalEvent.dataTransfer.files );
+		return false;
+	}
+};
+
+/**
+ * Check if a drag event is dragging files.
+ *
+ * @private
+ * @param {jQuery.Event} e Drag event
+ * @return {boolean} Files are being dragged
+ */
+OO.ui.SelectFileWidget.prototype.isFileDrag = function ( e ) {
+	var dataTransfer = e.originalEvent && e.originalEvent.dataTransfer;
+	return !!dataTransfer && Array.prototype.indexOf.call( dataTransfer.types || [], 'Files' ) !== -1;
+};
+
+/**
+ * Check why a file can't be chosen.
+ *
+ * @param {File} file File
+ * @return {string|null} Reason the file would be rejected, 'type' or 'size', or null if the file
+ *  can be chosen
+ */
+OO.ui.SelectFileWidget.prototype.getRejectReason = function ( file ) {
+	var i, len, type,
+		name = file.name.toLowerCase(),
+		allowed = !this.accept;
+
+	for ( i = 0, len = this.accept ? this.accept.length : 0; i < len && !allowed; i++ ) {
+		type = this.accept[ i ].toLowerCase();
+		if ( type.charAt( 0 ) === '.' ) {
+			allowed = name.slice( -type.length ) === type;
+		} else if ( type.slice( -2 ) === '/*' ) {
+			allowed = file.type.indexOf( type.slice( 0, -1 ) ) === 0;
+		} else {
+			allowed = file.type === type;
+		}
+	}
+	if ( !allowed ) {
+		return 'type';
+	}
+	if ( this.maxSize !== null && file.size > this.maxSize ) {
+		return 'size';
+	}
+	return null;
+};
+
+/**
+ * Choose files, in addition to those already chosen if `multiple` is set.
+ *
+ * Files that can't be chosen are left out and reported with a #reject event.
+ *
+ * @param {File[]|FileList} files Files
+ * @fires reject
+ * @chainable
+ */
+OO.ui.SelectFileWidget.prototype.addFiles = function ( files ) {
+	var i, len, reason,
+		accepted = [],
+		rejected = [];
+
+	for ( i = 0, len = files.length; i < len; i++ ) {
+		reason = this.getRejectReason( files[ i ] );
+		if ( reason ) {
+			rejected.push( {
+				file: files[ i ],
+				reason: reason,
+				message: OO.ui.msg( 'ooui-selectfile-reject-' + reason, files[ i ].name )
+			} );
+		} else {
+			accepted.push( files[ i ] );
+		}
+	}
+
+	if ( accepted.length ) {
+		this.setValue( this.multiple ? this.files.concat( accepted ) : accepted[ 0 ] );
+	}
+	// Don't leave rejected files in the input, even if none were chosen
+	this.updateInput();
+	if ( rejected.length ) {
+		this.emit( 'reject', rejected );
+	}
+	return this;
+};
+
+/**
+ * Remove a chosen file.
+ *
+ * @param {File} file File to remove
+ * @chainable
+ */
+OO.ui.SelectFileWidget.prototype.removeFile = function ( file ) {
+	this.setValue( this.files.filter( function ( chosen ) {
+		return chosen !== file;
+	} ) );
+	return this;
+};
+
+/**
+ * Get the chosen files.
+ *
+ * @return {File|File[]|null} Chosen file, or files if `multiple` is set
+ */
+OO.ui.SelectFileWidget.prototype.getValue = function () {
+	return this.multiple ? this.files.slice() : ( this.files[ 0 ] || null );
+};
+
+/**
+ * Set the chosen files.
+ *
+ * Unlike files chosen by the user, files set with this method are not checked against `accept` and
+ * `maxSize`.
+ *
+ * @param {File|File[]|null} value File or files; only the first is kept unless `multiple` is set
+ * @fires change
+ * @chainable
+ */
+OO.ui.SelectFileWidget.prototype.setValue = function ( value ) {
+	var files = this.cleanUpValue( value ),
+		changed = files.length !== this.files.length || files.some( function ( file, i ) {
+			return file !== this.files[ i ];
+		}, this );
+
+	if ( changed ) {
+		this.files = files;
+		this.updateFiles();
+		this.emit( 'change', this.getValue() );
+	}
+	return this;
+};
+
+/**
+ * Clean up incoming value.
+ *
+ * @private
+ * @param {File|File[]|null|undefined} value Original value
+ * @return {File[]} Files, at most one unless `multiple` is set
+ */
+OO.ui.SelectFileWidget.prototype.cleanUpValue = function ( value ) {
+	var files = Array.isArray( value ) ? value.slice() : value ? [ value ] : [];
+	return this.multiple ? files : files.slice( 0, 1 );
+};
+
+/**
+ * Update the list of chosen files, and the files submitted with the form.
+ *
+ * @private
+ */
+OO.ui.SelectFileWidget.prototype.updateFiles = function () {
+	var i, len,
+		widget = this;
+
+	function makeItem( file ) {
+		var url,
+			$item = $( '<div>' ).addClass( 'oo-ui-selectFileWidget-file' ),
+			removeButton = new OO.ui.ButtonWidget( {
+				classes: [ 'oo-ui-selectFileWidget-removeButton' ],
+				framed: false,
+				icon: 'close',
+				title: OO.ui.msg( 'ooui-item-remove' ),
+				disabled: widget.isDisabled()
+			} );
+
+		removeButton.connect( widget, { click: [ 'removeFile', file ] } );
+		if ( widget.showThumbnails && /^image\//.test( file.type ) && window.URL && window.URL.createObjectURL ) {
+			url = window.URL.createObjectURL( file );
+			$item.append(
+				$( '<img>' )
+					.addClass( 'oo-ui-selectFileWidget-thumbnail' )
+					.attr( { src: url, alt: '' } )
+					.on( 'load error', function () {
+						window.URL.revokeObjectURL( url );
+					} )
+			);
+		}
+		return $item
+			.data( 'oo-ui-removeButton', removeButton )
+			.append(
+				$( '<span>' ).addClass( 'oo-ui-selectFileWidget-fileName' ).text( file.name ),
+				removeButton.$element
+			);
+	}
+
+	this.$files.empty();
+	for ( i = 0, len = this.files.length; i < len; i++ ) {
+		this.$files.append( makeItem( this.files[ i ] ) );
+	}
+	this.$placeholder.toggle( !this.files.length );
+	this.$element.toggleClass( 'oo-ui-selectFileWidget-empty', !this.files.length );
+
+	this.updateInput();
+};
+
+/**
+ * Make the file input hold the chosen files, so that they are submitted with the form.
+ *
+ * Browsers that support the DataTransfer constructor let the files of an input be replaced. Other
+ * browsers keep the files the user last chose with the file picker, so the input is cleared if
+ * any of those were not chosen, like files that were rejected or removed.
+ *
+ * @private
+ */
+OO.ui.SelectFileWidget.prototype.updateInput = function () {
+	var i, len, dataTransfer,
+		input = this.$input[ 0 ];
+
+	try {
+		dataTransfer = new window.DataTransfer();
+		for ( i = 0, len = this.files.length; i < len; i++ ) {
+			dataTransfer.items.add( this.files[ i ] );
+		}
+		input.files = dataTransfer.files;
+	} catch ( e ) {
+		for ( i = 0, len = input.files ? input.files.length : 0; i < len; i++ ) {
+			if ( $.inArray( input.files[ i ], this.files ) === -1 ) {
+				input.value = '';
+				break;
+			}
+		}
+	}
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.SelectFileWidget.prototype.simulateLabelClick = function () {
+	if ( !this.isDisabled() ) {
+		this.focus();
+	}
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.SelectFileWidget.prototype.focus = function () {
+	this.selectButton.$button[ 0 ].focus();
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.SelectFileWidget.prototype.blur = function () {
+	this.selectButton.$button[ 0 ].blur();
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.SelectFileWidget.prototype.setDisabled = function ( state ) {
+	var disabled;
+
+	// Parent method
+	OO.ui.SelectFileWidget.super.prototype.setDisabled.call( this, state );
+
+	disabled = this.isDisabled();
+	if ( this.selectButton ) {
+		this.selectButton.setDisabled( disabled );
+	}
+	if ( this.$files ) {
+		this.$files.children().each( function () {
+			$( this ).data( 'oo-ui-removeButton' ).setDisabled( disabled );
+		} );
+	}
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.SelectFileWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+	if ( this.multiple ) {
+		config.multiple = true;
+	}
+	if ( this.accept ) {
+		config.accept = this.accept.slice();
+	}
+	if ( this.maxSize !== null ) {
+		config.maxSize = this.maxSize;
+	}
+	if ( this.showThumbnails ) {
+		config.showThumbnails = true;
+	}
+	if ( this.dropTarget ) {
+		config.dropTarget = true;
+	}
+
+	// Parent method
+	config = OO.ui.SelectFileWidget.super.prototype.getConfig.call( this, config );
+	// Files can't be serialized
+	delete config.value;
+	return config;
+};
@@ -10,6 +10,21 @@
  *
  * [1]: https://www.mediawiki.org/wiki/OOjs_UI/Widgets/Selects_and_Options
  *
+ * Selects with thousands of options can be virtualized with the `virtual` option, so that only the
+ * options scrolled into view are attached to the DOM. Highlighting, selecting, keyboard navigation
+ * and looking up items still work over all options. All options must have the same height, and the
+ * select must have a limited height to scroll within, which {@link OO.ui.MenuSelectWidget menus}
+ * get from being clipped. If the size of a virtualized select changes for any other reason, call
+ * #updateVirtualItems.
+ *
+ * Like native list boxes, selects can be navigated with the arrow, Home, End, Page Up and Page Down
+ * keys, and by typing the start of an option's label.
+ *
+ * With the `multiselect` option, several options can be selected. Clicking an option while holding
+ * Ctrl (Cmd on Mac) adds it to or removes it from the selection, and clicking it while holding
+ * Shift, or moving to it with the keyboard while holding Shift, selects the range of options from
+ * the last one clicked.
+ *
  * @class
  * @extends OO.ui.Widget
  * @mixins OO.ui.GroupElement
@@ -17,6 +32,10 @@
  * @constructor
  * @param {Object} [config] Configuration options
  * @cfg {OO.ui.OptionWidget[]} [items] Options to add
+ * @cfg {boolean} [virtual=false] Only attach the options scrolled into view to the DOM
+ * @cfg {boolean} [multiselect=false] Allow selecting several options
+ * @cfg {boolean} [skipHiddenItems=false] Hidden options can't be highlighted or selected, such as
+ *  options hidden while filtering
  */
 OO.ui.SelectWidget = function OoUiSelectWidget( config ) {
 	// Configuration initialization
@@ -34,6 +53,20 @@ OO.ui.SelectWidget = function OoUiSelectWidget( config ) {
 	this.onMouseUpHandler = this.onMouseUp.bind( this );
 	this.onMouseMoveHandler = this.onMouseMove.bind( this );
 	this.onKeyDownHandler = this.onKeyDown.bind( this );
+	this.onKeyPressHandler = this.onKeyPress.bind( this );
+	this.keyPressBuffer = '';
+	this.keyPressBufferTimer = null;
+	this.multiselect = !!config.multiselect;
+	this.skipHiddenItems = !!config.skipHiddenItems;
+	this.selectionAnchor = null;
+	this.selectionFocus = null;
+	this.virtual = !!config.virtual;
+	this.virtualItemHeight = null;
+	this.virtualStart = null;
+	this.virtualEnd = null;
+	this.virtualItems = [];
+	this.$virtualBefore = null;
+	this.$virtualAfter = null;
 
 	// Events
 	this.$element.on( {
@@ -46,6 +79,20 @@ OO.ui.SelectWidget = function OoUiSelectWidget( config ) {
 	this.$element
 		.addClass( 'oo-ui-selectWidget oo-ui-selectWidget-depressed' )
 		.attr( 'role', 'listbox' );
+	if ( this.multiselect ) {
+		this.$element
+			.addClass( 'oo-ui-selectWidget-multiselect' )
+			.attr( 'aria-multiselectable', 'true' );
+	}
+	if ( this.virtual ) {
+		// Spacers take the place of the options before and after those which are attached
+		this.$virtualBefore = $( '<div>' ).addClass( 'oo-ui-selectWidget-virtualSpacer' );
+		this.$virtualAfter = $( '<div>' ).addClass( 'oo-ui-selectWidget-virtualSpacer' );
+		this.$element
+			.addClass( 'oo-ui-selectWidget-virtual' )
+			.append( this.$virtualBefore, this.$virtualAfter )
+			.on( 'scroll', this.updateVirtualItems.bind( this ) );
+	}
 	if ( Array.isArray( config.items ) ) {
 		this.addItems( config.items );
 	}
@@ -59,6 +106,32 @@ OO.inheritClass( OO.ui.SelectWidget, OO.ui.Widget );
 OO.mixinClass( OO.ui.SelectWidget, OO.ui.GroupElement );
 OO.mixinClass( OO.ui.SelectWidget, OO.ui.GroupWidget );
 
+/* Static Properties */
+
+/**
+ * Number of options to attach before and after those in view, when the select is virtualized.
+ *
+ * @static
+ * @inheritable
+ * @property {number}
+ */
+OO.ui.SelectWidget.static.virtualBuffer = 10;
+
+/**
+ * Time in milliseconds after which typed characters are no longer combined when looking for an
+ * option whose label starts with them.
+ *
+ * @static
+ * @inheritable
+ * @property {number}
+ */
+OO.ui.SelectWidget.static.keyPressBufferTimeout = 1000;
+
+/**
+ * @inheritdoc
+ */
+OO.ui.SelectWidget.static.formValueEvent = 'select';
+
 /* Events */
 
 /**
@@ -73,7 +146,8 @@ OO.mixinClass( OO.ui.SelectWidget, OO.ui.GroupWidget );
 
 /**
  * @event select
- * @param {OO.ui.OptionWidget|null} item Selected item
+ * @param {OO.ui.OptionWidget|OO.ui.OptionWidget[]|null} item Selected item, or all selected items
+ *  if the select is a multiselect
  */
 
 /**
@@ -142,7 +216,11 @@ OO.ui.SelectWidget.prototype.onMouseUp = function ( e ) {
 	}
 	if ( !this.isDisabled() && e.which === 1 && this.selecting ) {
 		this.pressItem( null );
-		this.chooseItem( this.selecting );
+		if ( this.multiselect && ( e.shiftKey || e.ctrlKey || e.metaKey ) ) {
+			this.modifySelection( this.selecting, e.shiftKey, e.ctrlKey || e.metaKey );
+		} else {
+			this.chooseItem( this.selecting );
+		}
 		this.selecting = null;
 	}
 
@@ -208,6 +286,28 @@ OO.ui.SelectWidget.prototype.onMouseLeave = function () {
 	return false;
 };
 
+/**
+ * Handle focus events of selects that can be focused.
+ *
+ * @protected
+ * @param {jQuery.Event} e Focus event
+ */
+OO.ui.SelectWidget.prototype.onFocus = function () {
+	this.bindKeyDownListener();
+	this.bindKeyPressListener();
+};
+
+/**
+ * Handle blur events of selects that can be focused.
+ *
+ * @protected
+ * @param {jQuery.Event} e Blur event
+ */
+OO.ui.SelectWidget.prototype.onBlur = function () {
+	this.unbindKeyDownListener();
+	this.unbindKeyPressListener();
+};
+
 /**
  * Handle key down events.
  *
@@ -216,7 +316,10 @@ OO.ui.SelectWidget.prototype.onMouseLeave = function () {
 OO.ui.SelectWidget.prototype.onKeyDown = function ( e ) {
 	var nextItem,
 		handled = false,
-		currentItem = this.getHighlightedItem() || this.getSelectedItem();
+		currentItem = this.getHighlightedItem() ||
+			( this.multiselect && this.selectionFocus ) ||
+			this.getSelectedItem(),
+		currentIndex = currentItem ? $.inArray( currentItem, this.items ) : -1;
 
 	if ( !this.isDisabled() && this.isVisible() ) {
 		switch ( e.keyCode ) {
@@ -227,6 +330,12 @@ OO.ui.SelectWidget.prototype.onKeyDown = function ( e ) {
 					handled = true;
 				}
 				break;
+			case OO.ui.Keys.SPACE:
+				if ( this.multiselect && currentItem && ( e.ctrlKey || e.metaKey ) ) {
+					this.modifySelection( currentItem, false, true );
+					handled = true;
+				}
+				break;
 			case OO.ui.Keys.UP:
 			case OO.ui.Keys.LEFT:
 				nextItem = this.getRelativeSelectableItem( currentItem, -1 );
@@ -237,24 +346,48 @@ OO.ui.SelectWidget.prototype.onKeyDown = function ( e ) {
 				nextItem = this.getRelativeSelectableItem( currentItem, 1 );
 				handled = true;
 				break;
+			case OO.ui.Keys.HOME:
+				nextItem = this.getClosestSelectableItem( 0, 1 );
+				handled = true;
+				break;
+			case OO.ui.Keys.END:
+				nextItem = this.getClosestSelectableItem( this.items.length - 1, -1 );
+				handled = true;
+				break;
+			case OO.ui.Keys.PAGEUP:
+				nextItem = this.getClosestSelectableItem( currentIndex - this.getPageSize(), -1 );
+				handled = true;
+				break;
+			case OO.ui.Keys.PAGEDOWN:
+				nextItem = this.getClosestSelectableItem(
+					currentIndex === -1 ? 0 : currentIndex + this.getPageSize(), 1
+				);
+				handled = true;
+				break;
 			case OO.ui.Keys.ESCAPE:
 			case OO.ui.Keys.TAB:
 				if ( currentItem && currentItem.constructor.static.highlightable ) {
 					currentItem.setHighlighted( false );
 				}
 				this.unbindKeyDownListener();
+				this.unbindKeyPressListener();
 				// Don't prevent tabbing away / defocusing
 				handled = false;
 				break;
 		}
 
 		if ( nextItem ) {
-			if ( nextItem.constructor.static.highlightable ) {
+			if ( this.multiselect && e.shiftKey ) {
+				this.modifySelection( nextItem, true, false );
+				if ( nextItem.constructor.static.highlightable ) {
+					this.highlightItem( nextItem );
+				}
+			} else if ( nextItem.constructor.static.highlightable ) {
 				this.highlightItem( nextItem );
 			} else {
 				this.chooseItem( nextItem );
 			}
-			nextItem.scrollElementIntoView();
+			this.scrollItemIntoView( nextItem );
 		}
 
 		if ( handled ) {
@@ -265,6 +398,91 @@ OO.ui.SelectWidget.prototype.onKeyDown = function ( e ) {
 	}
 };
 
+/**
+ * Handle key press events.
+ *
+ * Typed characters are combined for a short time, and the next option whose label starts with
+ * them is highlighted, or chosen if options can't be highlighted. Typing the same character
+ * repeatedly cycles through the options starting with it.
+ *
+ * @param {jQuery.Event} e Key press event
+ */
+OO.ui.SelectWidget.prototype.onKeyPress = function ( e ) {
+	var character, item, matcher;
+
+	if ( this.isDisabled() || !e.charCode ) {
+		return;
+	}
+	character = String.fromCharCode( e.charCode );
+	if ( character === ' ' && this.keyPressBuffer === '' ) {
+		// Leave spaces to other handlers, unless they are part of a label being typed
+		return;
+	}
+
+	clearTimeout( this.keyPressBufferTimer );
+	this.keyPressBufferTimer = setTimeout(
+		this.clearKeyPressBuffer.bind( this ),
+		this.constructor.static.keyPressBufferTimeout
+	);
+
+	item = this.getHighlightedItem() || this.getSelectedItem();
+	if ( this.keyPressBuffer === character ) {
+		// Move on from the current item to the next one starting with the character
+		item = item && this.getRelativeSelectableItem( item, 1 );
+	} else {
+		this.keyPressBuffer += character;
+	}
+
+	matcher = this.getItemMatcher( this.keyPressBuffer );
+	if ( !item || !matcher( item ) ) {
+		item = this.getRelativeSelectableItem( item, 1, matcher );
+	}
+	if ( item ) {
+		if ( this.isVisible() && item.constructor.static.highlightable ) {
+			this.highlightItem( item );
+		} else {
+			this.chooseItem( item );
+		}
+		this.scrollItemIntoView( item );
+	}
+
+	// Can't just return false, because e is not always a jQuery event
+	e.preventDefault();
+	e.stopPropagation();
+};
+
+/**
+ * Clear the characters typed to find an option.
+ *
+ * @private
+ */
+OO.ui.SelectWidget.prototype.clearKeyPressBuffer = function () {
+	clearTimeout( this.keyPressBufferTimer );
+	this.keyPressBufferTimer = null;
+	this.keyPressBuffer = '';
+};
+
+/**
+ * Get a function that checks whether the label of an item starts with a query.
+ *
+ * Matching ignores case and leading whitespace, and does not depend on the user's locale.
+ *
+ * @param {string} query Query
+ * @return {Function} Function taking an OO.ui.OptionWidget and returning whether it matches
+ */
+OO.ui.SelectWidget.prototype.getItemMatcher = function ( query ) {
+	query = query.replace( /^\s+/, '' ).toLowerCase();
+
+	return function ( item ) {
+		var label = item.getLabel();
+
+		if ( typeof label !== 'string' ) {
+			label = item.$label ? item.$label.text() : '';
+		}
+		return label.replace( /^\s+/, '' ).toLowerCase().indexOf( query ) === 0;
+	};
+};
+
 /**
  * Bind key down listener.
  */
@@ -279,6 +497,21 @@ OO.ui.SelectWidget.prototype.unbindKeyDownListener = function () {
 	this.getElementWindow().removeEventListener( 'keydown', this.onKeyDownHandler, true );
 };
 
+/**
+ * Bind key press listener, used to find options by typing the start of their labels.
+ */
+OO.ui.SelectWidget.prototype.bindKeyPressListener = function () {
+	this.getElementWindow().addEventListener( 'keypress', this.onKeyPressHandler, true );
+};
+
+/**
+ * Unbind key press listener.
+ */
+OO.ui.SelectWidget.prototype.unbindKeyPressListener = function () {
+	this.getElementWindow().removeEventListener( 'keypress', this.onKeyPressHandler, true );
+	this.clearKeyPressBuffer();
+};
+
 /**
  * Get the closest item to a jQuery.Event.
  *
@@ -310,6 +543,66 @@ OO.ui.SelectWidget.prototype.getSelectedItem = function () {
 	return null;
 };
 
+/**
+ * Get selected items.
+ *
+ * @return {OO.ui.OptionWidget[]} Selected items, in the order they are listed
+ */
+OO.ui.SelectWidget.prototype.getSelectedItems = function () {
+	return this.items.filter( function ( item ) {
+		return item.isSelected();
+	} );
+};
+
+/**
+ * Get the data of the selected item, to use in a form.
+ *
+ * @return {Mixed|Mixed[]|null} Data of the selected item, `null` if no item is selected; data of
+ *  all selected items if the select is a multiselect
+ */
+OO.ui.SelectWidget.prototype.getFormValue = function () {
+	var item;
+
+	if ( this.multiselect ) {
+		return this.getSelectedItems().map( function ( item ) {
+			return item.getData();
+		} );
+	}
+	item = this.getSelectedItem();
+	return item ? item.getData() : null;
+};
+
+/**
+ * Select the items with the given data, as returned by #getFormValue.
+ *
+ * Data of items that are not in the select is ignored.
+ *
+ * @param {Mixed|Mixed[]|null} value Data of the item to select, `null` to deselect all; data of
+ *  the items to select if the select is a multiselect
+ * @chainable
+ */
+OO.ui.SelectWidget.prototype.setFormValue = function ( value ) {
+	var select = this;
+
+	if ( this.multiselect ) {
+		return this.selectItems( ( value || [] ).map( function ( data ) {
+			return select.getItemFromData( data );
+		} ).filter( function ( item ) {
+			return item !== null;
+		} ) );
+	}
+	return this.selectItem( value === null ? null : this.getItemFromData( value ) );
+};
+
+/**
+ * Check if several items can be selected.
+ *
+ * @return {boolean} Select is a multiselect
+ */
+OO.ui.SelectWidget.prototype.isMultiselect = function () {
+	return this.multiselect;
+};
+
 /**
  * Get highlighted item.
  *
@@ -373,28 +666,84 @@ OO.ui.SelectWidget.prototype.highlightItem = function ( item ) {
 /**
  * Select an item.
  *
+ * Other items are deselected, also if the select is a multiselect.
+ *
  * @param {OO.ui.OptionWidget} [item] Item to select, omit to deselect all
  * @fires select
  * @chainable
  */
 OO.ui.SelectWidget.prototype.selectItem = function ( item ) {
+	this.selectionAnchor = this.selectionFocus = item || null;
+	return this.selectItems( item ? [ item ] : [] );
+};
+
+/**
+ * Select items.
+ *
+ * Other items are deselected. Only the first item is selected unless the select is a multiselect.
+ *
+ * @param {OO.ui.OptionWidget[]} items Items to select, an empty list to deselect all
+ * @fires select
+ * @chainable
+ */
+OO.ui.SelectWidget.prototype.selectItems = function ( items ) {
 	var i, len, selected,
 		changed = false;
 
+	if ( !this.multiselect ) {
+		items = items.slice( 0, 1 );
+	}
 	for ( i = 0, len = this.items.length; i < len; i++ ) {
-		selected = this.items[ i ] === item;
+		selected = $.inArray( this.items[ i ], items ) !== -1;
 		if ( this.items[ i ].isSelected() !== selected ) {
 			this.items[ i ].setSelected( selected );
 			changed = true;
 		}
 	}
 	if ( changed ) {
-		this.emit( 'select', item );
+		if ( this.virtual && items.length && items[ 0 ].constructor.static.scrollIntoViewOnSelect ) {
+			this.scrollItemIntoView( items[ 0 ] );
+		}
+		this.emit( 'select', this.multiselect ? this.getSelectedItems() : ( items[ 0 ] || null ) );
 	}
 
 	return this;
 };
 
+/**
+ * Change the selection of a multiselect like clicking an item with modifier keys does.
+ *
+ * @private
+ * @param {OO.ui.OptionWidget} item Item clicked or moved to
+ * @param {boolean} range Select the range of items from the last item clicked, like with Shift
+ * @param {boolean} toggle Add to the selection instead of replacing it, or remove the item from the
+ *  selection if it is selected and no range is selected, like with Ctrl
+ * @fires select
+ */
+OO.ui.SelectWidget.prototype.modifySelection = function ( item, range, toggle ) {
+	var from, to, i,
+		items = toggle ? this.getSelectedItems() : [];
+
+	if ( range && this.selectionAnchor ) {
+		from = $.inArray( this.selectionAnchor, this.items );
+		to = $.inArray( item, this.items );
+		for ( i = Math.min( from, to ); i <= Math.max( from, to ); i++ ) {
+			if ( this.items[ i ].isSelectable() && $.inArray( this.items[ i ], items ) === -1 ) {
+				items.push( this.items[ i ] );
+			}
+		}
+	} else {
+		this.selectionAnchor = item;
+		if ( toggle && item.isSelected() ) {
+			items.splice( $.inArray( item, items ), 1 );
+		} else {
+			items.push( item );
+		}
+	}
+	this.selectionFocus = item;
+	this.selectItems( items );
+};
+
 /**
  * Press an item.
  *
@@ -442,9 +791,11 @@ OO.ui.SelectWidget.prototype.chooseItem = function ( item ) {
  *
  * @param {OO.ui.OptionWidget|null} item Item to start at, null to get relative to list start
  * @param {number} direction Direction to move in, -1 to move backward, 1 to move forward
+ * @param {Function} [filter] Only consider items for which this function returns true, such as
+ *  one returned by #getItemMatcher
  * @return {OO.ui.OptionWidget|null} Item at position, `null` if there are no items in the menu
  */
-OO.ui.SelectWidget.prototype.getRelativeSelectableItem = function ( item, direction ) {
+OO.ui.SelectWidget.prototype.getRelativeSelectableItem = function ( item, direction, filter ) {
 	var currentIndex, nextIndex, i,
 		increase = direction > 0 ? 1 : -1,
 		len = this.items.length;
@@ -460,7 +811,7 @@ OO.ui.SelectWidget.prototype.getRelativeSelectableItem = function ( item, direct
 
 	for ( i = 0; i < len; i++ ) {
 		item = this.items[ nextIndex ];
-		if ( item instanceof OO.ui.OptionWidget && item.isSelectable() ) {
+		if ( item instanceof OO.ui.OptionWidget && item.isSelectable() && ( !filter || filter( item ) ) ) {
 			return item;
 		}
 		nextIndex = ( nextIndex + increase + len ) % len;
@@ -468,6 +819,55 @@ OO.ui.SelectWidget.prototype.getRelativeSelectableItem = function ( item, direct
 	return null;
 };
 
+/**
+ * Get the selectable item closest to an index, without wrapping around.
+ *
+ * @private
+ * @param {number} index Index to start at, clamped to the list of items
+ * @param {number} direction Direction to look in first, -1 for backward, 1 for forward; the other
+ *  direction is looked in if there is no selectable item in the first
+ * @return {OO.ui.OptionWidget|null} Item, `null` if there aren't any selectable items
+ */
+OO.ui.SelectWidget.prototype.getClosestSelectableItem = function ( index, direction ) {
+	var i, item,
+		len = this.items.length;
+
+	index = Math.max( 0, Math.min( len - 1, index ) );
+	for ( i = index; i >= 0 && i < len; i += direction ) {
+		item = this.items[ i ];
+		if ( item instanceof OO.ui.OptionWidget && item.isSelectable() ) {
+			return item;
+		}
+	}
+	for ( i = index - direction; i >= 0 && i < len; i -= direction ) {
+		item = this.items[ i ];
+		if ( item instanceof OO.ui.OptionWidget && item.isSelectable() ) {
+			return item;
+		}
+	}
+	return null;
+};
+
+/**
+ * Get the number of items to move by when paging with the Page Up and Page Down keys.
+ *
+ * @private
+ * @return {number} Number of items that fit in view, or 10 if they can't be measured
+ */
+OO.ui.SelectWidget.prototype.getPageSize = function () {
+	var i, len,
+		itemHeight = this.virtual ? this.getVirtualItemHeight() : 0,
+		viewHeight = Math.min( this.$element.innerHeight(), this.getElementWindow().innerHeight );
+
+	for ( i = 0, len = this.items.length; !itemHeight && i < len; i++ ) {
+		if ( this.items[ i ].isVisible() && this.items[ i ].$element[ 0 ].parentNode ) {
+			itemHeight = this.items[ i ].$element.outerHeight( true );
+			break;
+		}
+	}
+	return itemHeight && viewHeight ? Math.max( 1, Math.floor( viewHeight / itemHeight ) ) : 10;
+};
+
 /**
  * Get the next selectable item.
  *
@@ -498,12 +898,25 @@ OO.ui.SelectWidget.prototype.addItems = function ( items, index ) {
 	// Mixin method
 	OO.ui.GroupWidget.prototype.addItems.call( this, items, index );
 
+	this.resetVirtualItems();
+
 	// Always provide an index, even if it was omitted
 	this.emit( 'add', items, index === undefined ? this.items.length - items.length - 1 : index );
 
 	return this;
 };
 
+/**
+ * @inheritdoc
+ */
+OO.ui.SelectWidget.prototype.insertItemElements = function ( itemElements, index ) {
+	// Options of virtualized selects are only attached by #updateVirtualItems
+	if ( !this.virtual ) {
+		// Mixin method
+		OO.ui.GroupWidget.prototype.insertItemElements.call( this, itemElements, index );
+	}
+};
+
 /**
  * Remove items.
  *
@@ -514,19 +927,22 @@ OO.ui.SelectWidget.prototype.addItems = function ( items, index ) {
  * @chainable
  */
 OO.ui.SelectWidget.prototype.removeItems = function ( items ) {
-	var i, len, item;
-
 	// Deselect items being removed
-	for ( i = 0, len = items.length; i < len; i++ ) {
-		item = items[ i ];
-		if ( item.isSelected() ) {
-			this.selectItem( null );
-		}
+	this.selectItems( this.getSelectedItems().filter( function ( item ) {
+		return $.inArray( item, items ) === -1;
+	} ) );
+	if ( $.inArray( this.selectionAnchor, items ) !== -1 ) {
+		this.selectionAnchor = null;
+	}
+	if ( $.inArray( this.selectionFocus, items ) !== -1 ) {
+		this.selectionFocus = null;
 	}
 
 	// Mixin method
 	OO.ui.GroupWidget.prototype.removeItems.call( this, items );
 
+	this.resetVirtualItems();
+
 	this.emit( 'remove', items );
 
 	return this;
@@ -549,7 +965,209 @@ OO.ui.SelectWidget.prototype.clearItems = function () {
 	// Clear selection
 	this.selectItem( null );
 
+	this.resetVirtualItems();
+
 	this.emit( 'remove', items );
 
 	return this;
 };
+
+/**
+ * @inheritdoc
+ */
+OO.ui.SelectWidget.prototype.toggle = function ( show ) {
+	var change = ( show === undefined ? !this.visible : !!show ) !== this.isVisible();
+
+	// Parent method
+	OO.ui.SelectWidget.super.prototype.toggle.call( this, show );
+
+	if ( change && this.isVisible() ) {
+		this.updateVirtualItems();
+	}
+
+	return this;
+};
+
+/**
+ * Check if the select is virtualized, only attaching the options scrolled into view to the DOM.
+ *
+ * @return {boolean} Select is virtualized
+ */
+OO.ui.SelectWidget.prototype.isVirtual = function () {
+	return this.virtual;
+};
+
+/**
+ * Attach the options scrolled into view to the DOM, and detach all others.
+ *
+ * Only has an effect if the select is virtualized. Call this method when the size of the select
+ * changes.
+ *
+ * @chainable
+ */
+OO.ui.SelectWidget.prototype.updateVirtualItems = function () {
+	var i, len, item, scrollTop, viewHeight, start, end, items, node, reset,
+		buffer = this.constructor.static.virtualBuffer,
+		itemHeight = this.getVirtualItemHeight();
+
+	if ( !this.virtual ) {
+		return this;
+	}
+
+	len = this.items.length;
+	if ( itemHeight ) {
+		// Unclipped menus are as tall as all of their options, but can't show more than a window
+		viewHeight = Math.min( this.$element.innerHeight(), this.getElementWindow().innerHeight );
+		// The spacers may still be taller than all remaining options, after options were removed
+		scrollTop = Math.max( 0, Math.min( this.$element.scrollTop(), len * itemHeight - viewHeight ) );
+		start = Math.max( 0, Math.floor( scrollTop / itemHeight ) - buffer );
+		end = Math.min( len, Math.ceil( ( scrollTop + viewHeight ) / itemHeight ) + buffer );
+	} else {
+		// Attach some options to measure once the select is visible
+		start = 0;
+		end = Math.min( len, buffer * 2 );
+	}
+
+	// Most scroll events don't move the select by a whole option
+	if ( start === this.virtualStart && end === this.virtualEnd ) {
+		return this;
+	}
+
+	// Detach the options leaving the view, unless they were removed and attached elsewhere
+	items = this.items.slice( start, end );
+	for ( i = 0, len = this.virtualItems.length; i < len; i++ ) {
+		item = this.virtualItems[ i ];
+		if ( item.$element[ 0 ].parentNode === this.$element[ 0 ] && $.inArray( item, items ) === -1 ) {
+			item.$element.detach();
+		}
+	}
+
+	// Attach the options entering the view, leaving those already in place alone
+	reset = this.virtualStart === null;
+	node = this.$virtualBefore[ 0 ];
+	for ( i = 0, len = items.length; i < len; i++ ) {
+		item = items[ i ];
+		if ( reset || $.inArray( item, this.virtualItems ) === -1 ) {
+			item.$element.attr( { 'aria-posinset': start + i + 1, 'aria-setsize': this.items.length } );
+		}
+		if ( node.nextSibling !== item.$element[ 0 ] ) {
+			node.parentNode.insertBefore( item.$element[ 0 ], node.nextSibling );
+		}
+		node = item.$element[ 0 ];
+	}
+
+	this.$virtualBefore.css( 'height', start * ( itemHeight || 0 ) );
+	this.$virtualAfter.css( 'height', ( this.items.length - end ) * ( itemHeight || 0 ) );
+	this.virtualStart = start;
+	this.virtualEnd = end;
+	this.virtualItems = items;
+
+	if ( !itemHeight && this.getVirtualItemHeight() ) {
+		// Options could be measured now that some are attached
+		this.updateVirtualItems();
+	}
+
+	return this;
+};
+
+/**
+ * Update the attached options after options were added or removed, even if the options in view
+ * are still at the same positions.
+ *
+ * @private
+ * @chainable
+ */
+OO.ui.SelectWidget.prototype.resetVirtualItems = function () {
+	this.virtualStart = null;
+	this.virtualEnd = null;
+	return this.updateVirtualItems();
+};
+
+/**
+ * Get the height of options in a virtualized select, measured from the first attached option.
+ *
+ * @private
+ * @return {number} Height in pixels, or 0 if no option could be measured
+ */
+OO.ui.SelectWidget.prototype.getVirtualItemHeight = function () {
+	var i, len;
+
+	if ( !this.virtualItemHeight ) {
+		for ( i = 0, len = this.items.length; i < len; i++ ) {
+			if ( this.items[ i ].$element[ 0 ].parentNode ) {
+				this.virtualItemHeight = this.items[ i ].$element.outerHeight( true ) || null;
+				break;
+			}
+		}
+	}
+	return this.virtualItemHeight || 0;
+};
+
+/**
+ * Scroll an item into view.
+ *
+ * Unlike OO.ui.Element#scrollElementIntoView, this works for options of a virtualized select
+ * which are not attached to the DOM.
+ *
+ * @param {OO.ui.OptionWidget} item Item to scroll into view
+ * @chainable
+ */
+OO.ui.SelectWidget.prototype.scrollItemIntoView = function ( item ) {
+	var top, scrollTop, viewHeight,
+		itemHeight = this.getVirtualItemHeight();
+
+	if ( !this.virtual ) {
+		item.scrollElementIntoView();
+		return this;
+	}
+
+	if ( itemHeight ) {
+		top = $.inArray( item, this.items ) * itemHeight;
+		scrollTop = this.$element.scrollTop();
+		viewHeight = this.$element.innerHeight();
+		if ( top < scrollTop ) {
+			this.$element.scrollTop( top );
+		} else if ( top + itemHeight > scrollTop + viewHeight ) {
+			this.$element.scrollTop( top + itemHeight - viewHeight );
+		}
+	}
+	return this.updateVirtualItems();
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.SelectWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+	if ( this.virtual ) {
+		config.virtual = true;
+	}
+	if ( this.multiselect ) {
+		config.multiselect = true;
+	}
+	if ( this.skipHiddenItems ) {
+		config.skipHiddenItems = true;
+	}
+
+	// Mixin method
+	OO.ui.GroupElement.prototype.getGroupElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.SelectWidget.super.prototype.getConfig.call( this, config );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.SelectWidget.prototype.destroy = function () {
+	this.unbindKeyDownListener();
+	this.unbindKeyPressListener();
+	this.getElementDocument().removeEventListener( 'mouseup', this.onMouseUpHandler, true );
+	this.getElementDocument().removeEventListener( 'mousemove', this.onMouseMoveHandler, true );
+
+	// Mixin method
+	OO.ui.GroupElement.prototype.teardownGroupElement.call( this );
+
+	// Parent method
+	OO.ui.SelectWidget.super.prototype.destroy.call( this );
+};
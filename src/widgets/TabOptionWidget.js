@@ -0,0 +1,118 @@
+/**
+ * TabOptionWidgets are the tabs of a {@link OO.ui.TabSelectWidget TabSelectWidget}, usually created
+ * by an {@link OO.ui.IndexLayout IndexLayout} for each of its {@link OO.ui.CardLayout cards}.
+ *
+ * Closable tabs show a button to close them, which emits a #close event. Pressing Delete while the
+ * tab select is focused closes the selected tab as well.
+ *
+ * @class
+ * @extends OO.ui.OptionWidget
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ * @cfg {boolean} [closable=false] Show a button to close the tab
+ */
+OO.ui.TabOptionWidget = function OoUiTabOptionWidget( config ) {
+	// Configuration initialization
+	config = config || {};
+
+	// Parent constructor
+	OO.ui.TabOptionWidget.super.call( this, config );
+
+	// Properties
+	this.closable = false;
+	this.closeButton = null;
+
+	// Initialization
+	this.$element
+		.addClass( 'oo-ui-tabOptionWidget' )
+		.attr( { id: OO.ui.generateElementId(), role: 'tab' } );
+	this.setClosable( config.closable );
+};
+
+/* Setup */
+
+OO.inheritClass( OO.ui.TabOptionWidget, OO.ui.OptionWidget );
+
+/* Static Properties */
+
+OO.ui.TabOptionWidget.static.highlightable = false;
+
+/* Events */
+
+/**
+ * User asked to close the tab.
+ *
+ * @event close
+ */
+
+/* Methods */
+
+/**
+ * Check if the tab can be closed.
+ *
+ * @return {boolean} Tab is closable
+ */
+OO.ui.TabOptionWidget.prototype.isClosable = function () {
+	return this.closable;
+};
+
+/**
+ * Show or hide the button to close the tab.
+ *
+ * @param {boolean} closable Tab is closable
+ * @chainable
+ */
+OO.ui.TabOptionWidget.prototype.setClosable = function ( closable ) {
+	closable = !!closable;
+
+	if ( closable !== this.closable ) {
+		this.closable = closable;
+		if ( closable && !this.closeButton ) {
+			this.closeButton = new OO.ui.ButtonWidget( {
+				classes: [ 'oo-ui-tabOptionWidget-closeButton' ],
+				framed: false,
+				icon: 'close',
+				title: OO.ui.msg( 'ooui-tab-close' ),
+				tabIndex: -1
+			} );
+			this.closeButton.connect( this, { click: 'close' } );
+			this.$element.append( this.closeButton.$element );
+		}
+		if ( this.closeButton ) {
+			this.closeButton.toggle( closable );
+		}
+		this.$element.toggleClass( 'oo-ui-tabOptionWidget-closable', closable );
+	}
+
+	return this;
+};
+
+/**
+ * Close the tab, if it is closable and not disabled.
+ *
+ * The tab is not removed; whoever handles the #close event decides what closing it means.
+ *
+ * @fires close
+ * @chainable
+ */
+OO.ui.TabOptionWidget.prototype.close = function () {
+	if ( this.closable && !this.isDisabled() ) {
+		this.emit( 'close' );
+	}
+
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.TabOptionWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+	if ( this.closable ) {
+		config.closable = true;
+	}
+
+	// Parent method
+	return OO.ui.TabOptionWidget.super.prototype.getConfig.call( this, config );
+};
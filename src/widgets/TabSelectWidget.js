@@ -0,0 +1,258 @@
+/**
+ * TabSelectWidget is a horizontal strip of {@link OO.ui.TabOptionWidget tabs}, used by
+ * {@link OO.ui.IndexLayout IndexLayout} to switch between its cards.
+ *
+ * Tabs that don't fit into the width of the widget can be scrolled to with buttons at either end
+ * of the strip, which are only shown while the tabs overflow. The strip is updated when tabs are
+ * added or removed and when the window is resized; if its width changes for any other reason,
+ * call #updateScrollButtons.
+ *
+ * @class
+ * @extends OO.ui.SelectWidget
+ * @mixins OO.ui.TabIndexedElement
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ */
+OO.ui.TabSelectWidget = function OoUiTabSelectWidget( config ) {
+	// Configuration initialization
+	config = config || {};
+
+	// Parent constructor, without items, which are added once the strip exists
+	OO.ui.TabSelectWidget.super.call( this, $.extend( {}, config, { items: null } ) );
+
+	// Mixin constructors
+	OO.ui.TabIndexedElement.call( this, config );
+
+	// Properties
+	this.$tabs = $( '<div>' );
+	this.previousButton = new OO.ui.ButtonWidget( {
+		classes: [ 'oo-ui-tabSelectWidget-previousButton' ],
+		framed: false,
+		icon: 'previous',
+		title: OO.ui.msg( 'ooui-tabselect-scroll-previous' ),
+		tabIndex: -1
+	} );
+	this.nextButton = new OO.ui.ButtonWidget( {
+		classes: [ 'oo-ui-tabSelectWidget-nextButton' ],
+		framed: false,
+		icon: 'next',
+		title: OO.ui.msg( 'ooui-tabselect-scroll-next' ),
+		tabIndex: -1
+	} );
+	this.onWindowResizeHandler = OO.ui.debounce( this.updateScrollButtons.bind( this ), 100 );
+
+	// Events
+	this.$element.on( {
+		focus: this.onFocus.bind( this ),
+		blur: this.onBlur.bind( this )
+	} );
+	this.$tabs.on( 'scroll', this.updateScrollButtons.bind( this ) );
+	this.previousButton.connect( this, { click: [ 'scrollTabs', -1 ] } );
+	this.nextButton.connect( this, { click: [ 'scrollTabs', 1 ] } );
+	this.aggregate( { close: 'close' } );
+	$( this.getElementWindow() ).on( 'resize', this.onWindowResizeHandler );
+
+	// Initialization
+	this.setGroupElement( this.$tabs );
+	this.$tabs.addClass( 'oo-ui-tabSelectWidget-tabs' );
+	this.$element
+		.addClass( 'oo-ui-tabSelectWidget' )
+		.attr( 'role', 'tablist' )
+		.append( this.previousButton.$element, this.$tabs, this.nextButton.$element );
+	if ( Array.isArray( config.items ) ) {
+		this.addItems( config.items );
+	}
+	this.updateScrollButtons();
+};
+
+/* Setup */
+
+OO.inheritClass( OO.ui.TabSelectWidget, OO.ui.SelectWidget );
+OO.mixinClass( OO.ui.TabSelectWidget, OO.ui.TabIndexedElement );
+
+/* Events */
+
+/**
+ * User asked to close a tab.
+ *
+ * @event close
+ * @param {OO.ui.TabOptionWidget} item Tab to close
+ */
+
+/* Methods */
+
+/**
+ * Handle key down events.
+ *
+ * Pressing Delete closes the selected tab, if it is closable.
+ *
+ * @param {jQuery.Event} e Key down event
+ */
+OO.ui.TabSelectWidget.prototype.onKeyDown = function ( e ) {
+	var item = this.getSelectedItem();
+
+	if (
+		e.keyCode === OO.ui.Keys.DELETE &&
+		item && item.isClosable() &&
+		!this.isDisabled() && this.isVisible()
+	) {
+		item.close();
+		// Can't just return false, because e is not always a jQuery event
+		e.preventDefault();
+		e.stopPropagation();
+		return;
+	}
+
+	// Parent method
+	OO.ui.TabSelectWidget.super.prototype.onKeyDown.call( this, e );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.TabSelectWidget.prototype.addItems = function ( items, index ) {
+	// Parent method
+	OO.ui.TabSelectWidget.super.prototype.addItems.call( this, items, index );
+
+	return this.updateScrollButtons();
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.TabSelectWidget.prototype.removeItems = function ( items ) {
+	// Parent method
+	OO.ui.TabSelectWidget.super.prototype.removeItems.call( this, items );
+
+	return this.updateScrollButtons();
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.TabSelectWidget.prototype.clearItems = function () {
+	// Parent method
+	OO.ui.TabSelectWidget.super.prototype.clearItems.call( this );
+
+	return this.updateScrollButtons();
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.TabSelectWidget.prototype.selectItems = function ( items ) {
+	var item;
+
+	// Parent method
+	OO.ui.TabSelectWidget.super.prototype.selectItems.call( this, items );
+
+	item = this.getSelectedItem();
+	if ( item ) {
+		this.scrollItemIntoView( item );
+	}
+
+	return this;
+};
+
+/**
+ * Scroll the strip so that a tab is entirely in view.
+ *
+ * @param {OO.ui.TabOptionWidget} item Tab to scroll into view
+ * @chainable
+ */
+OO.ui.TabSelectWidget.prototype.scrollItemIntoView = function ( item ) {
+	var tabs = this.$tabs[ 0 ],
+		left = item.$element[ 0 ].offsetLeft,
+		right = left + item.$element[ 0 ].offsetWidth;
+
+	this.updateScrollButtons();
+	if ( left < tabs.scrollLeft ) {
+		this.scrollTabsTo( left );
+	} else if ( right > tabs.scrollLeft + tabs.clientWidth ) {
+		this.scrollTabsTo( right - tabs.clientWidth );
+	}
+
+	return this;
+};
+
+/**
+ * Scroll the strip by most of its width, like clicking the buttons at its ends does.
+ *
+ * @param {number} direction 1 to scroll forward, -1 to scroll backward
+ * @chainable
+ */
+OO.ui.TabSelectWidget.prototype.scrollTabs = function ( direction ) {
+	var tabs = this.$tabs[ 0 ];
+
+	return this.scrollTabsTo( tabs.scrollLeft + direction * Math.round( tabs.clientWidth * 0.75 ) );
+};
+
+/**
+ * Animate scrolling the strip.
+ *
+ * @private
+ * @param {number} scrollLeft Scroll position to scroll to, which is kept within the strip
+ * @chainable
+ */
+OO.ui.TabSelectWidget.prototype.scrollTabsTo = function ( scrollLeft ) {
+	var tabs = this.$tabs[ 0 ];
+
+	scrollLeft = Math.max( 0, Math.min( tabs.scrollWidth - tabs.clientWidth, scrollLeft ) );
+	this.$tabs.stop( true ).animate( { scrollLeft: scrollLeft }, 200 );
+
+	return this;
+};
+
+/**
+ * Check if the tabs overflow the strip, so that some of them have to be scrolled to.
+ *
+ * @return {boolean} Tabs overflow the strip
+ */
+OO.ui.TabSelectWidget.prototype.isScrollable = function () {
+	return this.$tabs[ 0 ].scrollWidth > this.$tabs[ 0 ].clientWidth;
+};
+
+/**
+ * Show the scroll buttons if the tabs overflow the strip, and disable those that would scroll past
+ * its ends.
+ *
+ * @chainable
+ */
+OO.ui.TabSelectWidget.prototype.updateScrollButtons = function () {
+	var tabs = this.$tabs[ 0 ],
+		scrollable = this.isScrollable();
+
+	this.$element.toggleClass( 'oo-ui-tabSelectWidget-scrollable', scrollable );
+	this.previousButton
+		.toggle( scrollable )
+		.setDisabled( !scrollable || tabs.scrollLeft <= 0 );
+	this.nextButton
+		.toggle( scrollable )
+		.setDisabled( !scrollable || tabs.scrollLeft + tabs.clientWidth >= tabs.scrollWidth );
+
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.TabSelectWidget.prototype.destroy = function () {
+	$( this.getElementWindow() ).off( 'resize', this.onWindowResizeHandler );
+
+	// Parent method
+	OO.ui.TabSelectWidget.super.prototype.destroy.call( this );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.TabSelectWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+
+	// Mixin method
+	OO.ui.TabIndexedElement.prototype.getTabIndexedElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.TabSelectWidget.super.prototype.getConfig.call( this, config );
+};
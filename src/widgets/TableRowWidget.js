@@ -0,0 +1,108 @@
+/**
+ * TableRowWidgets are the rows of a {@link OO.ui.TableWidget TableWidget}, which creates them for
+ * the row data given to it. The data of the row is an object, whose properties are shown in the
+ * cells of the columns with the same keys.
+ *
+ * @class
+ * @extends OO.ui.OptionWidget
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ * @cfg {Object[]} [columns] Column definitions, see the `columns` option of OO.ui.TableWidget
+ */
+OO.ui.TableRowWidget = function OoUiTableRowWidget( config ) {
+	// Configuration initialization
+	config = $.extend( { data: {} }, config );
+
+	// Parent constructor
+	OO.ui.TableRowWidget.super.call( this, config );
+
+	// Properties
+	this.columns = config.columns || [];
+	this.cellWidgets = {};
+
+	// Initialization
+	// Rows have cells instead of a label
+	this.$label.detach();
+	this.$element
+		.addClass( 'oo-ui-tableRowWidget' )
+		.attr( 'role', 'row' );
+	this.updateCells();
+};
+
+/* Setup */
+
+OO.inheritClass( OO.ui.TableRowWidget, OO.ui.OptionWidget );
+
+/* Static Properties */
+
+OO.ui.TableRowWidget.static.tagName = 'tr';
+
+/* Methods */
+
+/**
+ * Handle mouse down events on cells containing widgets.
+ *
+ * Using the widget does not select the row.
+ *
+ * @param {jQuery.Event} e Mouse down event
+ */
+OO.ui.TableRowWidget.prototype.onWidgetCellMouseDown = function ( e ) {
+	e.stopPropagation();
+};
+
+/**
+ * Get the widget shown in a cell.
+ *
+ * @param {string} key Key of the cell's column
+ * @return {OO.ui.Widget|null} Widget returned by the column's `render` function, or null if the
+ *  cell shows text
+ */
+OO.ui.TableRowWidget.prototype.getCellWidget = function ( key ) {
+	return this.cellWidgets[ key ] || null;
+};
+
+/**
+ * Render the cells from the data of the row.
+ *
+ * Call this after changing the data of the row, to show the changes.
+ *
+ * @chainable
+ */
+OO.ui.TableRowWidget.prototype.updateCells = function () {
+	var i, len, column, value, content, $cell;
+
+	this.$element.empty();
+	this.cellWidgets = {};
+	for ( i = 0, len = this.columns.length; i < len; i++ ) {
+		column = this.columns[ i ];
+		value = this.data[ column.key ];
+		content = column.render ? column.render( value, this.data ) : value;
+		$cell = $( '<td>' )
+			.addClass( 'oo-ui-tableRowWidget-cell' )
+			.attr( 'role', 'gridcell' );
+		if ( content instanceof OO.ui.Widget ) {
+			this.cellWidgets[ column.key ] = content;
+			$cell
+				.addClass( 'oo-ui-tableRowWidget-widgetCell' )
+				.append( content.$element )
+				.on( 'mousedown', this.onWidgetCellMouseDown.bind( this ) );
+		} else {
+			$cell.text( content === null || content === undefined ? '' : String( content ) );
+		}
+		this.$element.append( $cell );
+	}
+
+	return this;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.TableRowWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+	config.columns = this.columns;
+
+	// Parent method
+	return OO.ui.TableRowWidget.super.prototype.getConfig.call( this, config );
+};
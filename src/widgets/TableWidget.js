@@ -0,0 +1,470 @@
+/**
+ * TableWidget shows rows of data in columns. Rows can be selected like the options of any other
+ * select, by clicking them or with the arrow keys, and, with the `multiselect` option, several at
+ * once. Clicking the header of a sortable column sorts the rows by it, and dragging the edge of a
+ * header resizes its column.
+ *
+ * Each column is defined by an object with these properties:
+ *
+ * - `key`: Key of the column, the property of the row data shown in its cells
+ * - `label`: Label of the column's header
+ * - `sortable`: Whether the rows can be sorted by the column, false if omitted
+ * - `width`: Initial width of the column, in pixels or as a CSS length
+ * - `render`: Function given the value of a cell and the data of its row, returning the text or
+ *   OO.ui.Widget to show in the cell; the value itself is shown if omitted
+ * - `compare`: Function comparing two values of the column when sorting, like those passed to
+ *   Array#sort; #static-method-compare is used if omitted
+ *
+ * For example:
+ *
+ *     var table = new OO.ui.TableWidget( {
+ *         columns: [
+ *             { key: 'name', label: 'Name', sortable: true },
+ *             { key: 'size', label: 'Size', sortable: true, width: 80 },
+ *             {
+ *                 key: 'shared',
+ *                 label: 'Shared',
+ *                 render: function ( value ) {
+ *                     return new OO.ui.ToggleSwitchWidget( { value: value } );
+ *                 }
+ *             }
+ *         ],
+ *         rows: [
+ *             { name: 'notes.txt', size: 120, shared: false },
+ *             { name: 'photo.jpg', size: 5400, shared: true }
+ *         ]
+ *     } );
+ *
+ * The rows are OO.ui.TableRowWidget items of the select, whose data is the data of the row.
+ *
+ * @class
+ * @extends OO.ui.SelectWidget
+ * @mixins OO.ui.TabIndexedElement
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ * @cfg {Object[]} [columns] Column definitions
+ * @cfg {Object[]} [rows] Data of the rows to show
+ */
+OO.ui.TableWidget = function OoUiTableWidget( config ) {
+	var i, len, column, $header,
+		$headerRow = $( '<tr>' );
+
+	// Configuration initialization
+	config = config || {};
+
+	// Parent constructor, without items, which are created from the rows
+	OO.ui.TableWidget.super.call( this, $.extend( {}, config, { items: null, virtual: false } ) );
+
+	// Mixin constructors
+	OO.ui.TabIndexedElement.call( this, config );
+
+	// Properties
+	this.columns = config.columns || [];
+	this.sortKey = null;
+	this.sortDirection = null;
+	this.resizing = null;
+	this.$colgroup = $( '<colgroup>' );
+	this.$head = $( '<thead>' );
+	this.$body = $( '<tbody>' );
+	this.$cols = {};
+	this.$headers = {};
+	this.sortIndicators = {};
+	this.onDocumentMouseMoveHandler = this.onDocumentMouseMove.bind( this );
+	this.onDocumentMouseUpHandler = this.onDocumentMouseUp.bind( this );
+
+	// Events
+	this.$element.on( {
+		focus: this.onFocus.bind( this ),
+		blur: this.onBlur.bind( this )
+	} );
+	// Don't press rows or take the focus when clicking the headers
+	this.$head.on( 'mousedown', false );
+
+	// Initialization
+	for ( i = 0, len = this.columns.length; i < len; i++ ) {
+		column = this.columns[ i ];
+		this.$cols[ column.key ] = $( '<col>' );
+		$header = this.$headers[ column.key ] = $( '<th>' )
+			.addClass( 'oo-ui-tableWidget-header' )
+			.attr( 'role', 'columnheader' )
+			.append(
+				$( '<span>' )
+					.addClass( 'oo-ui-tableWidget-headerLabel' )
+					.text( column.label !== undefined ? column.label : column.key ),
+				$( '<span>' )
+					.addClass( 'oo-ui-tableWidget-resizeHandle' )
+					.on( 'mousedown', this.onResizeHandleMouseDown.bind( this, column.key ) )
+			);
+		if ( column.sortable ) {
+			this.sortIndicators[ column.key ] = new OO.ui.IndicatorWidget( {
+				classes: [ 'oo-ui-tableWidget-sortIndicator' ]
+			} );
+			$header
+				.addClass( 'oo-ui-tableWidget-sortable' )
+				.attr( { 'aria-sort': 'none', tabindex: 0 } )
+				.on( {
+					click: this.onHeaderClick.bind( this, column.key ),
+					keydown: this.onHeaderKeyDown.bind( this, column.key )
+				} );
+			$header.children( '.oo-ui-tableWidget-headerLabel' )
+				.after( this.sortIndicators[ column.key ].$element );
+		}
+		if ( column.width !== undefined ) {
+			this.setColumnWidth( column.key, column.width );
+		}
+		this.$colgroup.append( this.$cols[ column.key ] );
+		$headerRow.append( $header );
+	}
+	this.$head.append( $headerRow );
+	this.setGroupElement( this.$body );
+	this.$element
+		.addClass( 'oo-ui-tableWidget' )
+		.attr( 'role', 'grid' )
+		.append( this.$colgroup, this.$head, this.$body );
+	if ( Array.isArray( config.rows ) ) {
+		this.setRows( config.rows );
+	}
+};
+
+/* Setup */
+
+OO.inheritClass( OO.ui.TableWidget, OO.ui.SelectWidget );
+OO.mixinClass( OO.ui.TableWidget, OO.ui.TabIndexedElement );
+
+/* Static Properties */
+
+OO.ui.TableWidget.static.tagName = 'table';
+
+/**
+ * Smallest width columns can be resized to, in pixels.
+ *
+ * @static
+ * @inheritable
+ * @property {number}
+ */
+OO.ui.TableWidget.static.minColumnWidth = 32;
+
+/* Static Methods */
+
+/**
+ * Compare two values of a column when sorting, for columns without a `compare` function.
+ *
+ * Numbers and dates are compared by their value, anything else as text in the user's locale.
+ * Missing values come before any other value.
+ *
+ * @static
+ * @param {Mixed} a Value
+ * @param {Mixed} b Value
+ * @return {number} Negative if a comes before b, positive if after, 0 if they are equal
+ */
+OO.ui.TableWidget.static.compare = function ( a, b ) {
+	var aMissing = a === null || a === undefined,
+		bMissing = b === null || b === undefined;
+
+	if ( aMissing || bMissing ) {
+		return bMissing - aMissing;
+	}
+	if (
+		( typeof a === 'number' && typeof b === 'number' ) ||
+		( a instanceof Date && b instanceof Date )
+	) {
+		return a - b;
+	}
+	return String( a ).localeCompare( String( b ) );
+};
+
+/* Events */
+
+/**
+ * The rows were sorted.
+ *
+ * @event sort
+ * @param {string} key Key of the column sorted by
+ * @param {string} direction Sort direction, 'ascending' or 'descending'
+ */
+
+/**
+ * A column was resized by the user.
+ *
+ * @event resize
+ * @param {string} key Key of the column
+ * @param {number} width Width of the column, in pixels
+ */
+
+/* Methods */
+
+/**
+ * Handle click events on the header of a sortable column.
+ *
+ * @param {string} key Key of the column
+ * @param {jQuery.Event} e Click event
+ */
+OO.ui.TableWidget.prototype.onHeaderClick = function ( key ) {
+	if ( !this.isDisabled() ) {
+		this.sort( key, this.sortKey === key && this.sortDirection === 'ascending' ?
+			'descending' : 'ascending' );
+	}
+};
+
+/**
+ * Handle key down events on the header of a sortable column.
+ *
+ * @param {string} key Key of the column
+ * @param {jQuery.Event} e Key down event
+ */
+OO.ui.TableWidget.prototype.onHeaderKeyDown = function ( key, e ) {
+	if ( e.which === OO.ui.Keys.ENTER || e.which === OO.ui.Keys.SPACE ) {
+		this.onHeaderClick( key );
+		return false;
+	}
+};
+
+/**
+ * Handle mouse down events on the resize handle of a header.
+ *
+ * @param {string} key Key of the column
+ * @param {jQuery.Event} e Mouse down event
+ */
+OO.ui.TableWidget.prototype.onResizeHandleMouseDown = function ( key, e ) {
+	if ( !this.isDisabled() && e.which === 1 ) {
+		this.resizing = {
+			key: key,
+			startX: e.pageX,
+			startWidth: this.$headers[ key ].outerWidth(),
+			width: null,
+			rtl: this.$element.css( 'direction' ) === 'rtl'
+		};
+		this.$element.addClass( 'oo-ui-tableWidget-resizing' );
+		this.getElementDocument().addEventListener( 'mousemove', this.onDocumentMouseMoveHandler, true );
+		this.getElementDocument().addEventListener( 'mouseup', this.onDocumentMouseUpHandler, true );
+	}
+	return false;
+};
+
+/**
+ * Handle mouse move events while resizing a column.
+ *
+ * @param {MouseEvent} e Mouse move event
+ */
+OO.ui.TableWidget.prototype.onDocumentMouseMove = function ( e ) {
+	var delta;
+
+	if ( this.resizing ) {
+		delta = e.pageX - this.resizing.startX;
+		this.resizing.width = Math.max(
+			this.constructor.static.minColumnWidth,
+			Math.round( this.resizing.startWidth + ( this.resizing.rtl ? -delta : delta ) )
+		);
+		this.setColumnWidth( this.resizing.key, this.resizing.width );
+	}
+};
+
+/**
+ * Handle mouse up events while resizing a column.
+ *
+ * @param {MouseEvent} e Mouse up event
+ * @fires resize
+ */
+OO.ui.TableWidget.prototype.onDocumentMouseUp = function () {
+	var resizing = this.resizing;
+
+	this.getElementDocument().removeEventListener( 'mousemove', this.onDocumentMouseMoveHandler, true );
+	this.getElementDocument().removeEventListener( 'mouseup', this.onDocumentMouseUpHandler, true );
+	this.$element.removeClass( 'oo-ui-tableWidget-resizing' );
+	this.resizing = null;
+	if ( resizing && resizing.width !== null ) {
+		this.emit( 'resize', resizing.key, resizing.width );
+	}
+};
+
+/**
+ * Get the column definitions.
+ *
+ * @return {Object[]} Column definitions
+ */
+OO.ui.TableWidget.prototype.getColumns = function () {
+	return this.columns.slice();
+};
+
+/**
+ * Get a column definition.
+ *
+ * @param {string} key Key of the column
+ * @return {Object|null} Column definition, or null if there is no such column
+ */
+OO.ui.TableWidget.prototype.getColumn = function ( key ) {
+	var i, len;
+
+	for ( i = 0, len = this.columns.length; i < len; i++ ) {
+		if ( this.columns[ i ].key === key ) {
+			return this.columns[ i ];
+		}
+	}
+	return null;
+};
+
+/**
+ * Set the width of a column.
+ *
+ * @param {string} key Key of the column
+ * @param {number|string} width Width in pixels, or as a CSS length
+ * @chainable
+ */
+OO.ui.TableWidget.prototype.setColumnWidth = function ( key, width ) {
+	if ( typeof width === 'number' ) {
+		width = Math.max( this.constructor.static.minColumnWidth, Math.round( width ) ) + 'px';
+	}
+	if ( this.$cols[ key ] ) {
+		this.$cols[ key ].css( 'width', width );
+	}
+	return this;
+};
+
+/**
+ * Get the data of the rows.
+ *
+ * @return {Object[]} Data of the rows, in the order they are shown in
+ */
+OO.ui.TableWidget.prototype.getRows = function () {
+	return this.items.map( function ( item ) {
+		return item.getData();
+	} );
+};
+
+/**
+ * Replace the rows.
+ *
+ * The rows are sorted by the column they were last sorted by.
+ *
+ * @param {Object[]} rows Data of the rows to show
+ * @chainable
+ */
+OO.ui.TableWidget.prototype.setRows = function ( rows ) {
+	this.clearItems();
+	return this.addRows( rows );
+};
+
+/**
+ * Add rows.
+ *
+ * @param {Object[]} rows Data of the rows to add
+ * @param {number} [index] Index to insert the rows at, omit to add them last; rows are added
+ *  where they belong instead if the table is sorted
+ * @chainable
+ */
+OO.ui.TableWidget.prototype.addRows = function ( rows, index ) {
+	var i, len,
+		items = [];
+
+	for ( i = 0, len = rows.length; i < len; i++ ) {
+		items.push( this.createRow( rows[ i ] ) );
+	}
+	this.addItems( items, index );
+	if ( this.sortKey !== null ) {
+		this.sort( this.sortKey, this.sortDirection );
+	}
+
+	return this;
+};
+
+/**
+ * Create a row for the data of a row.
+ *
+ * @protected
+ * @param {Object} data Data of the row
+ * @return {OO.ui.TableRowWidget} Row
+ */
+OO.ui.TableWidget.prototype.createRow = function ( data ) {
+	return new OO.ui.TableRowWidget( { data: data, columns: this.columns } );
+};
+
+/**
+ * Sort the rows by a column.
+ *
+ * Sorting is stable, so rows with equal values keep their order, and sorting by several columns
+ * one after another orders the rows by the last column first.
+ *
+ * @param {string} key Key of the column to sort by
+ * @param {string} [direction='ascending'] Sort direction, 'ascending' or 'descending'
+ * @fires sort
+ * @chainable
+ */
+OO.ui.TableWidget.prototype.sort = function ( key, direction ) {
+	var entries, column, compare, factor;
+
+	column = this.getColumn( key );
+	if ( !column ) {
+		return this;
+	}
+	direction = direction === 'descending' ? 'descending' : 'ascending';
+	compare = column.compare || this.constructor.static.compare;
+	factor = direction === 'descending' ? -1 : 1;
+
+	entries = this.items.map( function ( item, index ) {
+		return { item: item, value: item.getData()[ key ], index: index };
+	} );
+	entries.sort( function ( a, b ) {
+		return factor * compare( a.value, b.value ) || a.index - b.index;
+	} );
+	this.items = entries.map( function ( entry ) {
+		return entry.item;
+	} );
+	this.$group.append( this.items.map( function ( item ) {
+		return item.$element[ 0 ];
+	} ) );
+
+	if ( this.sortKey !== null && this.sortIndicators[ this.sortKey ] ) {
+		this.sortIndicators[ this.sortKey ].setIndicator( null );
+		this.$headers[ this.sortKey ].attr( 'aria-sort', 'none' );
+	}
+	this.sortKey = key;
+	this.sortDirection = direction;
+	if ( this.sortIndicators[ key ] ) {
+		this.sortIndicators[ key ].setIndicator( direction === 'ascending' ? 'up' : 'down' );
+		this.$headers[ key ].attr( 'aria-sort', direction );
+	}
+	this.emit( 'sort', key, direction );
+
+	return this;
+};
+
+/**
+ * Get the column the rows were last sorted by.
+ *
+ * @return {Object|null} Key of the column and sort direction as `key` and `direction`, or null
+ *  if the rows have not been sorted
+ */
+OO.ui.TableWidget.prototype.getSort = function () {
+	return this.sortKey === null ? null : { key: this.sortKey, direction: this.sortDirection };
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.TableWidget.prototype.getConfig = function ( config ) {
+	// Parent method
+	config = OO.ui.TableWidget.super.prototype.getConfig.call( this, config );
+
+	// Mixin method
+	OO.ui.TabIndexedElement.prototype.getTabIndexedElementConfig.call( this, config );
+
+	// Rows are created from their data
+	delete config.items;
+	config.columns = this.getColumns();
+	if ( this.items.length ) {
+		config.rows = this.getRows();
+	}
+	return config;
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.TableWidget.prototype.destroy = function () {
+	this.getElementDocument().removeEventListener( 'mousemove', this.onDocumentMouseMoveHandler, true );
+	this.getElementDocument().removeEventListener( 'mouseup', this.onDocumentMouseUpHandler, true );
+
+	// Parent method
+	OO.ui.TableWidget.super.prototype.destroy.call( this );
+};
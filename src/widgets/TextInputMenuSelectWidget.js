@@ -1,8 +1,9 @@
 /**
  * Menu for a text input widget.
  *
- * This menu is specially designed to be positioned beneath a text input widget. The menu's position
- * is automatically calculated and maintained when the menu is toggled or the window is resized.
+ * This menu is specially designed to be positioned beneath a text input widget, or above it if there
+ * is more room there. The menu's position is automatically calculated and maintained when the menu
+ * is toggled, or the page is scrolled or resized.
  *
  * @class
  * @extends OO.ui.MenuSelectWidget
@@ -17,12 +18,13 @@ OO.ui.TextInputMenuSelectWidget = function OoUiTextInputMenuSelectWidget( input,
 	config = config || {};
 
 	// Parent constructor
-	OO.ui.TextInputMenuSelectWidget.super.call( this, config );
+	OO.ui.TextInputMenuSelectWidget.super.call( this, $.extend( {}, config, {
+		$floatableContainer: config.$container || input.$element
+	} ) );
 
 	// Properties
 	this.input = input;
-	this.$container = config.$container || this.input.$element;
-	this.onWindowResizeHandler = this.onWindowResize.bind( this );
+	this.$container = this.$floatableContainer;
 
 	// Initialization
 	this.$element.addClass( 'oo-ui-textInputMenuSelectWidget' );
@@ -34,15 +36,6 @@ OO.inheritClass( OO.ui.TextInputMenuSelectWidget, OO.ui.MenuSelectWidget );
 
 /* Methods */
 
-/**
- * Handle window resize event.
- *
- * @param {jQuery.Event} e Window resize event
- */
-OO.ui.TextInputMenuSelectWidget.prototype.onWindowResize = function () {
-	this.position();
-};
-
 /**
  * @inheritdoc
  */
@@ -52,42 +45,32 @@ OO.ui.TextInputMenuSelectWidget.prototype.toggle = function ( visible ) {
 	var change = visible !== this.isVisible();
 
 	if ( change && visible ) {
-		// Make sure the width is set before the parent method runs.
-		// After this we have to call this.position(); again to actually
-		// position ourselves correctly.
-		this.position();
+		// Make sure the width is set before the parent method runs, which positions the menu
+		this.setIdealSize( this.$container.width() );
 	}
 
 	// Parent method
 	OO.ui.TextInputMenuSelectWidget.super.prototype.toggle.call( this, visible );
 
-	if ( change ) {
-		if ( this.isVisible() ) {
-			this.position();
-			$( this.getElementWindow() ).on( 'resize', this.onWindowResizeHandler );
-		} else {
-			$( this.getElementWindow() ).off( 'resize', this.onWindowResizeHandler );
-		}
-	}
-
 	return this;
 };
 
 /**
- * Position the menu.
+ * Position the menu next to its container, and as wide as it.
  *
  * @chainable
  */
 OO.ui.TextInputMenuSelectWidget.prototype.position = function () {
-	var $container = this.$container,
-		pos = OO.ui.Element.static.getRelativePosition( $container, this.$element.offsetParent() );
-
-	// Position under input
-	pos.top += $container.height();
-	this.$element.css( pos );
+	if ( !this.isPositioning() ) {
+		return this;
+	}
 
 	// Set width
-	this.setIdealSize( $container.width() );
+	this.setIdealSize( this.$container.width() );
+
+	// Mixin method
+	OO.ui.FloatableElement.prototype.position.call( this );
+
 	// We updated the position, so re-evaluate the clipping state
 	this.clip();
 
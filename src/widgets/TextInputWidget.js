@@ -65,7 +65,8 @@ OO.ui.TextInputWidget = function OoUiTextInputWidget( config ) {
 		keypress: this.onKeyPress.bind( this ),
 		blur: this.setValidityFlag.bind( this )
 	} );
-	this.$element.on( 'DOMNodeInsertedIntoDocument', this.onElementAttach.bind( this ) );
+	// Attaching a visible widget also shows it, so attach events don't need to be handled too
+	this.connect( this, { visibilitychange: 'onElementVisibilityChange' } );
 	this.$icon.on( 'mousedown', this.onIconMouseDown.bind( this ) );
 	this.$indicator.on( 'mousedown', this.onIndicatorMouseDown.bind( this ) );
 	this.on( 'labelChange', this.updatePosition.bind( this ) );
@@ -74,6 +75,7 @@ OO.ui.TextInputWidget = function OoUiTextInputWidget( config ) {
 	this.$element
 		.addClass( 'oo-ui-textInputWidget' )
 		.append( this.$icon, this.$indicator );
+	this.watchLifecycle();
 	this.setReadOnly( !!config.readOnly );
 	if ( config.placeholder ) {
 		this.$input.attr( 'placeholder', config.placeholder );
@@ -174,8 +176,6 @@ OO.ui.TextInputWidget.prototype.onKeyPress = function ( e ) {
 
 /**
  * Handle element attach events.
- *
- * @param {jQuery.Event} e Element attach event
  */
 OO.ui.TextInputWidget.prototype.onElementAttach = function () {
 	// Any previously calculated size is now probably invalid if we reattached elsewhere
@@ -184,6 +184,20 @@ OO.ui.TextInputWidget.prototype.onElementAttach = function () {
 	this.positionLabel();
 };
 
+/**
+ * Handle element visibility change events.
+ *
+ * Sizes can't be measured while the widget is hidden, such as in a hidden tab, so measure them
+ * again when it is shown.
+ *
+ * @param {boolean} visible The widget is visible
+ */
+OO.ui.TextInputWidget.prototype.onElementVisibilityChange = function ( visible ) {
+	if ( visible ) {
+		this.onElementAttach();
+	}
+};
+
 /**
  * @inheritdoc
  */
@@ -201,7 +215,10 @@ OO.ui.TextInputWidget.prototype.setValue = function ( value ) {
 	// Parent method
 	OO.ui.TextInputWidget.super.prototype.setValue.call( this, value );
 
-	this.setValidityFlag();
+	// Validators are checked a moment later instead, see the `validationDelay` option
+	if ( !this.validators.length ) {
+		this.setValidityFlag();
+	}
 	this.adjustSize();
 	return this;
 };
@@ -333,22 +350,28 @@ OO.ui.TextInputWidget.prototype.setValidation = function ( validate ) {
 
 /**
  * Sets the 'invalid' flag appropriately.
+ *
+ * @see #updateValidity
  */
 OO.ui.TextInputWidget.prototype.setValidityFlag = function () {
-	var widget = this;
-	this.isValid().done( function ( valid ) {
-		widget.setFlags( { invalid: !valid } );
-	} );
+	this.updateValidity();
 };
 
 /**
- * Returns whether or not the current value is considered valid, according to the
- * supplied validation pattern.
+ * @inheritdoc
  *
- * @return {jQuery.Deferred}
+ * The value must also match the validation pattern, see the `validate` option.
  */
-OO.ui.TextInputWidget.prototype.isValid = function () {
-	return $.Deferred().resolve( !!this.getValue().match( this.validate ) ).promise();
+OO.ui.TextInputWidget.prototype.getValidity = function () {
+	var matches = !!this.getValue().match( this.validate );
+
+	// Parent method
+	return OO.ui.TextInputWidget.super.prototype.getValidity.call( this ).then( function ( validity ) {
+		if ( !matches ) {
+			validity.errors.unshift( OO.ui.msg( 'ooui-validation-invalid' ) );
+		}
+		return validity;
+	} );
 };
 
 /**
@@ -411,3 +434,51 @@ OO.ui.TextInputWidget.prototype.positionLabel = function () {
 
 	return this;
 };
+
+/**
+ * @inheritdoc
+ */
+OO.ui.TextInputWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+	if ( this.isMultiline() ) {
+		config.multiline = true;
+		if ( this.isAutosizing() ) {
+			config.autosize = true;
+		}
+	} else if ( this.$input.attr( 'type' ) !== 'text' ) {
+		config.type = this.$input.attr( 'type' );
+	}
+	if ( this.$input.attr( 'placeholder' ) ) {
+		config.placeholder = this.$input.attr( 'placeholder' );
+	}
+	if ( this.$input.attr( 'maxlength' ) !== undefined ) {
+		config.maxLength = Number( this.$input.attr( 'maxlength' ) );
+	}
+	if ( this.$input.attr( 'required' ) ) {
+		config.required = true;
+	}
+	if ( this.isReadOnly() ) {
+		config.readOnly = true;
+	}
+
+	// Mixin methods
+	OO.ui.IconElement.prototype.getIconElementConfig.call( this, config );
+	OO.ui.IndicatorElement.prototype.getIndicatorElementConfig.call( this, config );
+	OO.ui.LabelElement.prototype.getLabelElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.TextInputWidget.super.prototype.getConfig.call( this, config );
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.TextInputWidget.prototype.destroy = function () {
+	this.unwatchLifecycle();
+
+	// Mixin method
+	OO.ui.PendingElement.prototype.teardownPendingElement.call( this );
+
+	// Parent method
+	OO.ui.TextInputWidget.super.prototype.destroy.call( this );
+};
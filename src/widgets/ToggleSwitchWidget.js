@@ -71,3 +71,16 @@ OO.ui.ToggleSwitchWidget.prototype.onKeyPress = function ( e ) {
 	}
 	return false;
 };
+
+/**
+ * @inheritdoc
+ */
+OO.ui.ToggleSwitchWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+
+	// Mixin method
+	OO.ui.TabIndexedElement.prototype.getTabIndexedElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.ToggleSwitchWidget.super.prototype.getConfig.call( this, config );
+};
@@ -20,6 +20,18 @@ OO.ui.ToggleWidget = function OoUiToggleWidget( config ) {
 	this.setValue( !!config.value );
 };
 
+/* Setup */
+
+OO.initClass( OO.ui.ToggleWidget );
+
+/* Static Properties */
+
+/**
+ * @static
+ * @inheritdoc OO.ui.Widget#static-formValueEvent
+ */
+OO.ui.ToggleWidget.static.formValueEvent = 'change';
+
 /* Events */
 
 /**
@@ -38,6 +50,25 @@ OO.ui.ToggleWidget.prototype.getValue = function () {
 	return this.value;
 };
 
+/**
+ * Get the value of the toggle, to use in a form.
+ *
+ * @return {boolean}
+ */
+OO.ui.ToggleWidget.prototype.getFormValue = function () {
+	return this.getValue();
+};
+
+/**
+ * Set the value of the toggle, as returned by #getFormValue.
+ *
+ * @param {boolean} value New value
+ * @chainable
+ */
+OO.ui.ToggleWidget.prototype.setFormValue = function ( value ) {
+	return this.setValue( value );
+};
+
 /**
  * Set the value of the toggle.
  *
@@ -0,0 +1,526 @@
+/**
+ * TreeNodeWidgets are the nodes of a {@link OO.ui.TreeWidget TreeWidget}, and can have child nodes
+ * of their own.
+ *
+ * Nodes with child nodes show a toggle to expand or collapse them. The children of a `lazy` node
+ * are not given upfront, but loaded by the tree when the node is first expanded.
+ *
+ * Checkable nodes show a checkbox. Checking a node checks all of its checkable descendants, and a
+ * checkable node whose checkable children are only partly checked is shown as indeterminate.
+ *
+ *     var node = new OO.ui.TreeNodeWidget( {
+ *         data: 'docs',
+ *         label: 'Documents',
+ *         expanded: true,
+ *         children: [
+ *             new OO.ui.TreeNodeWidget( { data: 'notes', label: 'Notes', lazy: true } ),
+ *             new OO.ui.TreeNodeWidget( { data: 'todo', label: 'To do' } )
+ *         ]
+ *     } );
+ *
+ * @class
+ * @extends OO.ui.OptionWidget
+ * @mixins OO.ui.IconElement
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ * @cfg {OO.ui.TreeNodeWidget[]} [children] Child nodes
+ * @cfg {boolean} [lazy=false] Load the child nodes when the node is first expanded, see
+ *  OO.ui.TreeWidget#getChildNodesRequest
+ * @cfg {boolean} [expanded=false] Show the child nodes, once they are loaded for lazy nodes
+ * @cfg {boolean} [checkable=false] Show a checkbox
+ * @cfg {boolean} [checked=false] Check the node, if it is checkable
+ */
+OO.ui.TreeNodeWidget = function OoUiTreeNodeWidget( config ) {
+	// Configuration initialization
+	config = config || {};
+
+	// Parent constructor
+	OO.ui.TreeNodeWidget.super.call( this, config );
+
+	// Mixin constructors
+	OO.ui.IconElement.call( this, config );
+
+	// Properties
+	this.tree = null;
+	this.parentNode = null;
+	this.childNodes = [];
+	this.level = 0;
+	this.loaded = !config.lazy;
+	this.loading = null;
+	this.expanded = !!config.expanded;
+	this.checkable = !!config.checkable;
+	this.checked = false;
+	this.indeterminate = false;
+	this.$indent = $( '<span>' );
+	this.toggleIndicator = new OO.ui.IndicatorWidget( {
+		classes: [ 'oo-ui-treeNodeWidget-toggle' ]
+	} );
+	this.checkbox = this.checkable ? new OO.ui.CheckboxInputWidget( { tabIndex: -1 } ) : null;
+
+	// Events
+	this.toggleIndicator.$element.on( {
+		mousedown: false,
+		click: this.onToggleClick.bind( this )
+	} );
+	if ( this.checkbox ) {
+		this.checkbox.$element.on( 'mousedown', function ( e ) {
+			// Check the node without selecting it
+			e.stopPropagation();
+		} );
+		this.checkbox.$input.on( 'change', this.onCheckboxChange.bind( this ) );
+	}
+
+	// Initialization
+	this.$indent.addClass( 'oo-ui-treeNodeWidget-indent' );
+	this.$element
+		.addClass( 'oo-ui-treeNodeWidget' )
+		.attr( 'role', 'treeitem' )
+		.prepend( this.$indent, this.toggleIndicator.$element, this.$icon );
+	if ( this.checkbox ) {
+		this.$element
+			.addClass( 'oo-ui-treeNodeWidget-checkable' )
+			.attr( 'aria-checked', 'false' );
+		this.$icon.before( this.checkbox.$element );
+	}
+	this.setLevel( 0 );
+	if ( Array.isArray( config.children ) ) {
+		this.addChildNodes( config.children );
+	}
+	if ( config.checked ) {
+		this.setChecked( true );
+	}
+	this.updateToggle();
+};
+
+/* Setup */
+
+OO.inheritClass( OO.ui.TreeNodeWidget, OO.ui.OptionWidget );
+OO.mixinClass( OO.ui.TreeNodeWidget, OO.ui.IconElement );
+
+/* Static Properties */
+
+/**
+ * Indentation of each level of the tree, in ems.
+ *
+ * @static
+ * @inheritable
+ * @property {number}
+ */
+OO.ui.TreeNodeWidget.static.indentation = 1.25;
+
+/* Events */
+
+/**
+ * @event expand
+ * @param {boolean} expanded Child nodes are shown
+ */
+
+/**
+ * @event check
+ * @param {boolean} checked Node is checked
+ * @param {boolean} indeterminate Node's descendants are only partly checked
+ */
+
+/* Methods */
+
+/**
+ * Handle click events on the toggle.
+ *
+ * @param {jQuery.Event} e Click event
+ */
+OO.ui.TreeNodeWidget.prototype.onToggleClick = function () {
+	if ( !this.isDisabled() ) {
+		this.setExpanded( !this.isExpanded() );
+	}
+	return false;
+};
+
+/**
+ * Handle change events of the checkbox, caused by the user.
+ *
+ * @param {jQuery.Event} e Change event
+ */
+OO.ui.TreeNodeWidget.prototype.onCheckboxChange = function () {
+	this.setChecked( this.checkbox.$input.prop( 'checked' ) );
+};
+
+/**
+ * Get the tree the node is in.
+ *
+ * @return {OO.ui.TreeWidget|null} Tree, or null if the node is not in one
+ */
+OO.ui.TreeNodeWidget.prototype.getTree = function () {
+	return this.tree;
+};
+
+/**
+ * Get the parent node.
+ *
+ * @return {OO.ui.TreeNodeWidget|null} Parent node, or null if the node is a root node
+ */
+OO.ui.TreeNodeWidget.prototype.getParentNode = function () {
+	return this.parentNode;
+};
+
+/**
+ * Get the child nodes.
+ *
+ * @return {OO.ui.TreeNodeWidget[]} Child nodes
+ */
+OO.ui.TreeNodeWidget.prototype.getChildNodes = function () {
+	return this.childNodes.slice();
+};
+
+/**
+ * Get all descendants, in the order they are shown in.
+ *
+ * @return {OO.ui.TreeNodeWidget[]} Descendant nodes
+ */
+OO.ui.TreeNodeWidget.prototype.getDescendantNodes = function () {
+	var i, len,
+		nodes = [];
+
+	for ( i = 0, len = this.childNodes.length; i < len; i++ ) {
+		nodes.push( this.childNodes[ i ] );
+		nodes.push.apply( nodes, this.childNodes[ i ].getDescendantNodes() );
+	}
+	return nodes;
+};
+
+/**
+ * Get the depth of the node in the tree.
+ *
+ * @return {number} Level, 0 for root nodes
+ */
+OO.ui.TreeNodeWidget.prototype.getLevel = function () {
+	return this.level;
+};
+
+/**
+ * Set the depth of the node and its descendants.
+ *
+ * @private
+ * @param {number} level Level, 0 for root nodes
+ */
+OO.ui.TreeNodeWidget.prototype.setLevel = function ( level ) {
+	var i, len;
+
+	this.level = level;
+	this.$indent.css( 'width', ( level * this.constructor.static.indentation ) + 'em' );
+	this.$element.attr( 'aria-level', level + 1 );
+	for ( i = 0, len = this.childNodes.length; i < len; i++ ) {
+		this.childNodes[ i ].setLevel( level + 1 );
+	}
+};
+
+/**
+ * Add child nodes.
+ *
+ * Nodes that already have a parent, or are root nodes of a tree, are moved.
+ *
+ * @param {OO.ui.TreeNodeWidget[]} nodes Nodes to add
+ * @param {number} [index] Index among the child nodes to add the nodes at, omit to add them last
+ * @chainable
+ */
+OO.ui.TreeNodeWidget.prototype.addChildNodes = function ( nodes, index ) {
+	var i, len, node;
+
+	for ( i = 0, len = nodes.length; i < len; i++ ) {
+		node = nodes[ i ];
+		if ( node.parentNode ) {
+			node.parentNode.removeChildNodes( [ node ] );
+		} else if ( node.tree ) {
+			node.tree.removeNodes( [ node ] );
+		}
+		node.parentNode = this;
+		node.setLevel( this.level + 1 );
+	}
+	index = index === undefined ? this.childNodes.length :
+		Math.max( 0, Math.min( this.childNodes.length, index ) );
+	this.childNodes.splice.apply( this.childNodes, [ index, 0 ].concat( nodes ) );
+
+	if ( this.tree ) {
+		this.tree.insertNodeItems( nodes );
+	}
+	if ( this.checkable && this.checked ) {
+		// New children of a checked node are checked as well
+		for ( i = 0, len = nodes.length; i < len; i++ ) {
+			nodes[ i ].setChecked( true );
+		}
+	} else {
+		this.updateAncestorsCheckedState();
+	}
+	this.updateToggle();
+
+	return this;
+};
+
+/**
+ * Remove child nodes.
+ *
+ * The nodes keep their own child nodes, so they can be added elsewhere.
+ *
+ * @param {OO.ui.TreeNodeWidget[]} nodes Nodes to remove
+ * @chainable
+ */
+OO.ui.TreeNodeWidget.prototype.removeChildNodes = function ( nodes ) {
+	var i, len, index;
+
+	nodes = nodes.filter( function ( node ) {
+		return node.parentNode === this;
+	}, this );
+	if ( this.tree ) {
+		this.tree.removeNodeItems( nodes );
+	}
+	for ( i = 0, len = nodes.length; i < len; i++ ) {
+		index = $.inArray( nodes[ i ], this.childNodes );
+		this.childNodes.splice( index, 1 );
+		nodes[ i ].parentNode = null;
+		nodes[ i ].setLevel( 0 );
+	}
+	if ( this.tree ) {
+		this.tree.updateNodePositions( this.childNodes );
+	}
+	this.updateAncestorsCheckedState();
+	this.updateToggle();
+
+	return this;
+};
+
+/**
+ * Check if the node can be expanded, because it has child nodes or they are not loaded yet.
+ *
+ * @return {boolean} Node can be expanded
+ */
+OO.ui.TreeNodeWidget.prototype.isExpandable = function () {
+	return this.childNodes.length > 0 || !this.loaded;
+};
+
+/**
+ * Check if the child nodes are shown.
+ *
+ * @return {boolean} Node is expanded
+ */
+OO.ui.TreeNodeWidget.prototype.isExpanded = function () {
+	return this.expanded && this.loaded && this.childNodes.length > 0;
+};
+
+/**
+ * Check if the child nodes are being loaded.
+ *
+ * @return {boolean} Child nodes are being loaded
+ */
+OO.ui.TreeNodeWidget.prototype.isLoading = function () {
+	return !!this.loading;
+};
+
+/**
+ * Show or hide the child nodes.
+ *
+ * Expanding a lazy node in a tree loads its child nodes first, using
+ * OO.ui.TreeWidget#getChildNodesRequest. If loading them fails, the node stays collapsed, and
+ * expanding it again tries again.
+ *
+ * @param {boolean} expanded Show the child nodes
+ * @fires expand
+ * @return {jQuery.Promise} Promise resolved when the child nodes are shown or hidden
+ */
+OO.ui.TreeNodeWidget.prototype.setExpanded = function ( expanded ) {
+	var highlighted,
+		node = this;
+
+	expanded = !!expanded;
+	if ( expanded && !this.loaded && this.tree ) {
+		if ( !this.loading ) {
+			this.$element.addClass( 'oo-ui-treeNodeWidget-loading' ).attr( 'aria-busy', 'true' );
+			this.loading = this.tree.getChildNodesRequest( this )
+				.then( function ( nodes ) {
+					node.loaded = true;
+					// Add the child nodes collapsed, and show them by expanding
+					node.expanded = false;
+					node.addChildNodes( nodes || [] );
+					return node.setExpanded( true );
+				} )
+				.always( function () {
+					node.loading = null;
+					node.$element.removeClass( 'oo-ui-treeNodeWidget-loading' ).removeAttr( 'aria-busy' );
+				} );
+		}
+		return this.loading;
+	}
+
+	if ( expanded !== this.expanded ) {
+		this.expanded = expanded;
+		if ( this.tree ) {
+			if ( !expanded ) {
+				// Keep the highlight from disappearing into the collapsed nodes
+				highlighted = this.tree.getHighlightedItem();
+				if ( highlighted && $.inArray( highlighted, this.getDescendantNodes() ) !== -1 ) {
+					this.tree.highlightItem( this );
+				}
+			}
+			this.tree.updateNodeVisibility( this.childNodes, this.isVisible() && this.isExpanded() );
+		}
+		this.updateToggle();
+		this.emit( 'expand', expanded );
+	}
+	return $.Deferred().resolve().promise();
+};
+
+/**
+ * Update the toggle and ARIA state to whether the node can be expanded and is expanded.
+ *
+ * @private
+ */
+OO.ui.TreeNodeWidget.prototype.updateToggle = function () {
+	var expandable = this.isExpandable(),
+		expanded = this.isExpanded();
+
+	this.$element
+		.toggleClass( 'oo-ui-treeNodeWidget-expandable', expandable )
+		.toggleClass( 'oo-ui-treeNodeWidget-expanded', expanded );
+	if ( expandable ) {
+		this.$element.attr( 'aria-expanded', expanded.toString() );
+	} else {
+		this.$element.removeAttr( 'aria-expanded' );
+	}
+	this.toggleIndicator.setIndicator( expanded ? 'down' : 'next' );
+};
+
+/**
+ * Check if the node has a checkbox.
+ *
+ * @return {boolean} Node is checkable
+ */
+OO.ui.TreeNodeWidget.prototype.isCheckable = function () {
+	return this.checkable;
+};
+
+/**
+ * Check if the node is checked.
+ *
+ * @return {boolean} Node is checked, false if it is indeterminate
+ */
+OO.ui.TreeNodeWidget.prototype.isChecked = function () {
+	return this.checked;
+};
+
+/**
+ * Check if the node's checkable descendants are only partly checked.
+ *
+ * @return {boolean} Node is indeterminate
+ */
+OO.ui.TreeNodeWidget.prototype.isIndeterminate = function () {
+	return this.indeterminate;
+};
+
+/**
+ * Check or uncheck the node and all of its checkable descendants.
+ *
+ * The checked state of the node's ancestors is updated accordingly. Has no effect if the node is
+ * not checkable.
+ *
+ * @param {boolean} checked Check the node
+ * @fires check
+ * @chainable
+ */
+OO.ui.TreeNodeWidget.prototype.setChecked = function ( checked ) {
+	var i, len,
+		nodes = this.getDescendantNodes();
+
+	if ( this.checkable ) {
+		checked = !!checked;
+		this.setCheckedState( checked, false );
+		for ( i = 0, len = nodes.length; i < len; i++ ) {
+			if ( nodes[ i ].checkable ) {
+				nodes[ i ].setCheckedState( checked, false );
+			}
+		}
+		this.updateAncestorsCheckedState();
+	}
+
+	return this;
+};
+
+/**
+ * Set the checked state of the node alone.
+ *
+ * @private
+ * @param {boolean} checked Node is checked
+ * @param {boolean} indeterminate Node is indeterminate
+ * @fires check
+ */
+OO.ui.TreeNodeWidget.prototype.setCheckedState = function ( checked, indeterminate ) {
+	if ( checked !== this.checked || indeterminate !== this.indeterminate ) {
+		this.checked = checked;
+		this.indeterminate = indeterminate;
+		this.checkbox.setSelected( checked );
+		this.checkbox.$input.prop( 'indeterminate', indeterminate );
+		this.$element
+			.toggleClass( 'oo-ui-treeNodeWidget-indeterminate', indeterminate )
+			.attr( 'aria-checked', indeterminate ? 'mixed' : checked.toString() );
+		this.emit( 'check', checked, indeterminate );
+	}
+};
+
+/**
+ * Update the checked state of the node and its ancestors from their checkable children.
+ *
+ * @private
+ */
+OO.ui.TreeNodeWidget.prototype.updateAncestorsCheckedState = function () {
+	var i, len, count, checked, indeterminate,
+		node = this;
+
+	for ( ; node; node = node.parentNode ) {
+		if ( !node.checkable ) {
+			continue;
+		}
+		count = 0;
+		checked = 0;
+		indeterminate = false;
+		for ( i = 0, len = node.childNodes.length; i < len; i++ ) {
+			if ( node.childNodes[ i ].checkable ) {
+				count++;
+				if ( node.childNodes[ i ].indeterminate ) {
+					indeterminate = true;
+				} else if ( node.childNodes[ i ].checked ) {
+					checked++;
+				}
+			}
+		}
+		if ( count ) {
+			indeterminate = indeterminate || ( checked > 0 && checked < count );
+			node.setCheckedState( !indeterminate && checked === count, indeterminate );
+		}
+	}
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.TreeNodeWidget.prototype.getConfig = function ( config ) {
+	config = config || {};
+	if ( this.childNodes.length ) {
+		config.children = this.getChildNodes();
+	}
+	if ( !this.loaded ) {
+		config.lazy = true;
+	}
+	if ( this.expanded ) {
+		config.expanded = true;
+	}
+	if ( this.checkable ) {
+		config.checkable = true;
+		if ( this.checked ) {
+			config.checked = true;
+		}
+	}
+
+	// Mixin method
+	OO.ui.IconElement.prototype.getIconElementConfig.call( this, config );
+
+	// Parent method
+	return OO.ui.TreeNodeWidget.super.prototype.getConfig.call( this, config );
+};
@@ -0,0 +1,375 @@
+/**
+ * TreeWidget is a select of hierarchical {@link OO.ui.TreeNodeWidget nodes}, whose child nodes can
+ * be expanded and collapsed.
+ *
+ * All nodes shown are items of the select, so they are selected, highlighted and navigated like the
+ * options of any other select. In addition, the Right arrow key expands the current node or moves
+ * to its first child node, the Left arrow key collapses it or moves to its parent node, and Space
+ * checks or unchecks it if it is checkable.
+ *
+ * The child nodes of lazy nodes are loaded by #getChildNodesRequest when the node is first expanded,
+ * which uses the `loadChildNodes` option:
+ *
+ *     var tree = new OO.ui.TreeWidget( {
+ *         loadChildNodes: function ( node ) {
+ *             return $.getJSON( '/folders/' + node.getData() ).then( function ( folders ) {
+ *                 return folders.map( function ( folder ) {
+ *                     return new OO.ui.TreeNodeWidget( { data: folder.id, label: folder.name, lazy: true } );
+ *                 } );
+ *             } );
+ *         },
+ *         items: [ new OO.ui.TreeNodeWidget( { data: 'root', label: 'All folders', lazy: true } ) ]
+ *     } );
+ *
+ * Add and remove nodes with #addNodes, #removeNodes, OO.ui.TreeNodeWidget#addChildNodes and
+ * OO.ui.TreeNodeWidget#removeChildNodes, rather than with the methods of the select, which don't
+ * know about the hierarchy.
+ *
+ * @class
+ * @extends OO.ui.SelectWidget
+ * @mixins OO.ui.TabIndexedElement
+ *
+ * @constructor
+ * @param {Object} [config] Configuration options
+ * @cfg {OO.ui.TreeNodeWidget[]} [items] Root nodes to add
+ * @cfg {Function} [loadChildNodes] Function to load the child nodes of a lazy node, given the node
+ *  and returning its child nodes, or a promise resolved with them
+ */
+OO.ui.TreeWidget = function OoUiTreeWidget( config ) {
+	// Configuration initialization
+	config = config || {};
+
+	// Parent constructor, without items, which are added as root nodes, and skipping the hidden
+	// child nodes of collapsed nodes
+	OO.ui.TreeWidget.super.call( this, $.extend( {}, config, { items: null, skipHiddenItems: true } ) );
+
+	// Mixin constructors
+	OO.ui.TabIndexedElement.call( this, config );
+
+	// Properties
+	this.rootNodes = [];
+	this.childNodesLoader = config.loadChildNodes || null;
+
+	// Events
+	this.$element.on( {
+		focus: this.onFocus.bind( this ),
+		blur: this.onBlur.bind( this )
+	} );
+	this.aggregate( {
+		expand: 'expand',
+		check: 'check'
+	} );
+
+	// Initialization
+	this.$element
+		.addClass( 'oo-ui-treeWidget' )
+		.attr( 'role', 'tree' );
+	if ( Array.isArray( config.items ) ) {
+		this.addNodes( config.items );
+	}
+};
+
+/* Setup */
+
+OO.inheritClass( OO.ui.TreeWidget, OO.ui.SelectWidget );
+OO.mixinClass( OO.ui.TreeWidget, OO.ui.TabIndexedElement );
+
+/* Events */
+
+/**
+ * A node was expanded or collapsed.
+ *
+ * @event expand
+ * @param {OO.ui.TreeNodeWidget} node Node
+ * @param {boolean} expanded Child nodes are shown
+ */
+
+/**
+ * A node was checked or unchecked, or became indeterminate.
+ *
+ * @event check
+ * @param {OO.ui.TreeNodeWidget} node Node
+ * @param {boolean} checked Node is checked
+ * @param {boolean} indeterminate Node's descendants are only partly checked
+ */
+
+/* Methods */
+
+/**
+ * Handle key down events.
+ *
+ * @param {jQuery.Event} e Key down event
+ */
+OO.ui.TreeWidget.prototype.onKeyDown = function ( e ) {
+	var nextItem,
+		handled = false,
+		currentItem = this.getHighlightedItem() || this.getSelectedItem();
+
+	if ( this.isDisabled() || !this.isVisible() || !currentItem ) {
+		// Parent method
+		OO.ui.TreeWidget.super.prototype.onKeyDown.call( this, e );
+		return;
+	}
+
+	switch ( e.keyCode ) {
+		case OO.ui.Keys.RIGHT:
+			if ( currentItem.isExpanded() ) {
+				nextItem = currentItem.getChildNodes()[ 0 ];
+			} else if ( currentItem.isExpandable() ) {
+				currentItem.setExpanded( true );
+			}
+			handled = true;
+			break;
+		case OO.ui.Keys.LEFT:
+			if ( currentItem.isExpanded() ) {
+				currentItem.setExpanded( false );
+			} else {
+				nextItem = currentItem.getParentNode();
+			}
+			handled = true;
+			break;
+		case OO.ui.Keys.SPACE:
+			if ( currentItem.isCheckable() && !e.ctrlKey && !e.metaKey ) {
+				currentItem.setChecked( !currentItem.isChecked() );
+				handled = true;
+			}
+			break;
+	}
+
+	if ( !handled ) {
+		// Parent method
+		OO.ui.TreeWidget.super.prototype.onKeyDown.call( this, e );
+		return;
+	}
+
+	if ( nextItem ) {
+		if ( nextItem.constructor.static.highlightable ) {
+			this.highlightItem( nextItem );
+		} else {
+			this.chooseItem( nextItem );
+		}
+		this.scrollItemIntoView( nextItem );
+	}
+	// Can't just return false, because e is not always a jQuery event
+	e.preventDefault();
+	e.stopPropagation();
+};
+
+/**
+ * Get a promise for the child nodes of a lazy node.
+ *
+ * Uses the `loadChildNodes` option, or resolves with no child nodes if it was not given. Override
+ * this method to load child nodes in a subclass.
+ *
+ * @param {OO.ui.TreeNodeWidget} node Node to load the child nodes of
+ * @return {jQuery.Promise} Promise resolved with the child nodes
+ */
+OO.ui.TreeWidget.prototype.getChildNodesRequest = function ( node ) {
+	return this.childNodesLoader ?
+		$.when( this.childNodesLoader( node ) ) :
+		$.Deferred().resolve( [] ).promise();
+};
+
+/**
+ * Get the root nodes.
+ *
+ * @return {OO.ui.TreeNodeWidget[]} Root nodes
+ */
+OO.ui.TreeWidget.prototype.getRootNodes = function () {
+	return this.rootNodes.slice();
+};
+
+/**
+ * Get the checked nodes.
+ *
+ * @return {OO.ui.TreeNodeWidget[]} Checked nodes, in the order they are shown in
+ */
+OO.ui.TreeWidget.prototype.getCheckedNodes = function () {
+	return this.items.filter( function ( node ) {
+		return node.isChecked();
+	} );
+};
+
+/**
+ * Add root nodes.
+ *
+ * Nodes that already have a parent, or are root nodes of a tree, are moved.
+ *
+ * @param {OO.ui.TreeNodeWidget[]} nodes Nodes to add
+ * @param {number} [index] Index among the root nodes to add the nodes at, omit to add them last
+ * @chainable
+ */
+OO.ui.TreeWidget.prototype.addNodes = function ( nodes, index ) {
+	var i, len, node;
+
+	for ( i = 0, len = nodes.length; i < len; i++ ) {
+		node = nodes[ i ];
+		if ( node.getParentNode() ) {
+			node.getParentNode().removeChildNodes( [ node ] );
+		} else if ( node.getTree() ) {
+			node.getTree().removeNodes( [ node ] );
+		}
+	}
+	index = index === undefined ? this.rootNodes.length :
+		Math.max( 0, Math.min( this.rootNodes.length, index ) );
+	this.rootNodes.splice.apply( this.rootNodes, [ index, 0 ].concat( nodes ) );
+	this.insertNodeItems( nodes );
+
+	return this;
+};
+
+/**
+ * Remove nodes, wherever they are in the tree.
+ *
+ * The nodes keep their own child nodes, so they can be added elsewhere.
+ *
+ * @param {OO.ui.TreeNodeWidget[]} nodes Nodes to remove
+ * @chainable
+ */
+OO.ui.TreeWidget.prototype.removeNodes = function ( nodes ) {
+	var i, len, node, roots;
+
+	roots = nodes.filter( function ( root ) {
+		return $.inArray( root, this.rootNodes ) !== -1;
+	}, this );
+	this.removeNodeItems( roots );
+	for ( i = 0, len = roots.length; i < len; i++ ) {
+		this.rootNodes.splice( $.inArray( roots[ i ], this.rootNodes ), 1 );
+	}
+	this.updateNodePositions( this.rootNodes );
+
+	for ( i = 0, len = nodes.length; i < len; i++ ) {
+		node = nodes[ i ];
+		if ( node.getTree() === this && node.getParentNode() ) {
+			node.getParentNode().removeChildNodes( [ node ] );
+		}
+	}
+
+	return this;
+};
+
+/**
+ * Remove all nodes.
+ *
+ * @chainable
+ */
+OO.ui.TreeWidget.prototype.clearNodes = function () {
+	return this.removeNodes( this.rootNodes.slice() );
+};
+
+/**
+ * Add the items of nodes just added to the hierarchy, and of their descendants.
+ *
+ * @private
+ * @param {OO.ui.TreeNodeWidget[]} nodes Adjacent nodes with the same parent
+ */
+OO.ui.TreeWidget.prototype.insertNodeItems = function ( nodes ) {
+	var i, len, parent, siblings, previous, index,
+		items = [];
+
+	if ( !nodes.length ) {
+		return;
+	}
+	parent = nodes[ 0 ].getParentNode();
+	siblings = parent ? parent.childNodes : this.rootNodes;
+	previous = siblings[ $.inArray( nodes[ 0 ], siblings ) - 1 ];
+
+	// Insert after the previous sibling and its descendants, or after the parent
+	if ( previous ) {
+		index = $.inArray( previous.getDescendantNodes().pop() || previous, this.items ) + 1;
+	} else {
+		index = parent ? $.inArray( parent, this.items ) + 1 : 0;
+	}
+	for ( i = 0, len = nodes.length; i < len; i++ ) {
+		items.push( nodes[ i ] );
+		items.push.apply( items, nodes[ i ].getDescendantNodes() );
+	}
+	for ( i = 0, len = items.length; i < len; i++ ) {
+		items[ i ].tree = this;
+	}
+
+	this.updateNodeVisibility( nodes, !parent || ( parent.isVisible() && parent.isExpanded() ) );
+	this.addItems( items, index );
+	this.updateNodePositions( siblings );
+	for ( i = 0, len = items.length; i < len; i++ ) {
+		this.updateNodePositions( items[ i ].childNodes );
+	}
+
+	// Load the child nodes of lazy nodes which were expanded before they were in a tree
+	for ( i = 0, len = items.length; i < len; i++ ) {
+		if ( items[ i ].expanded && !items[ i ].loaded ) {
+			items[ i ].setExpanded( true );
+		}
+	}
+};
+
+/**
+ * Remove the items of nodes about to be removed from the hierarchy, and of their descendants.
+ *
+ * @private
+ * @param {OO.ui.TreeNodeWidget[]} nodes Nodes
+ */
+OO.ui.TreeWidget.prototype.removeNodeItems = function ( nodes ) {
+	var i, len,
+		items = [];
+
+	for ( i = 0, len = nodes.length; i < len; i++ ) {
+		items.push( nodes[ i ] );
+		items.push.apply( items, nodes[ i ].getDescendantNodes() );
+	}
+	for ( i = 0, len = items.length; i < len; i++ ) {
+		items[ i ].tree = null;
+	}
+	this.removeItems( items );
+};
+
+/**
+ * Show or hide nodes, and show the descendants of those which are shown and expanded.
+ *
+ * @private
+ * @param {OO.ui.TreeNodeWidget[]} nodes Nodes
+ * @param {boolean} visible Show the nodes
+ */
+OO.ui.TreeWidget.prototype.updateNodeVisibility = function ( nodes, visible ) {
+	var i, len;
+
+	for ( i = 0, len = nodes.length; i < len; i++ ) {
+		nodes[ i ].toggle( visible );
+		this.updateNodeVisibility( nodes[ i ].childNodes, visible && nodes[ i ].isExpanded() );
+	}
+};
+
+/**
+ * Update the ARIA position of sibling nodes.
+ *
+ * @private
+ * @param {OO.ui.TreeNodeWidget[]} siblings All child nodes of a node, or all root nodes
+ */
+OO.ui.TreeWidget.prototype.updateNodePositions = function ( siblings ) {
+	var i, len;
+
+	for ( i = 0, len = siblings.length; i < len; i++ ) {
+		siblings[ i ].$element.attr( {
+			'aria-posinset': i + 1,
+			'aria-setsize': len
+		} );
+	}
+};
+
+/**
+ * @inheritdoc
+ */
+OO.ui.TreeWidget.prototype.getConfig = function ( config ) {
+	// Parent method
+	config = OO.ui.TreeWidget.super.prototype.getConfig.call( this, config );
+
+	// Mixin method
+	OO.ui.TabIndexedElement.prototype.getTabIndexedElementConfig.call( this, config );
+
+	// Child nodes are part of the configuration of their parents
+	if ( config.items ) {
+		config.items = this.getRootNodes();
+	}
+	delete config.skipHiddenItems;
+	return config;
+};
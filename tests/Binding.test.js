@@ -0,0 +1,114 @@
+( function () {
+	QUnit.module( 'Binding' );
+
+	QUnit.test( 'Two-way binding', 7, function ( assert ) {
+		var changes = [],
+			model = $.extend( new OO.EventEmitter(), { user: { name: 'Alex' } } ),
+			input = new OO.ui.TextInputWidget(),
+			other = new OO.ui.TextInputWidget(),
+			binding = OO.ui.bindWidget( input, model, 'user.name', { validate: false } );
+
+		OO.ui.bindWidget( other, model, 'user.name', { validate: false } );
+		model.on( 'change', function ( path, value ) {
+			changes.push( [ path, value ] );
+		} );
+
+		assert.strictEqual( input.getValue(), 'Alex', 'Widget is updated from the model initially' );
+
+		input.setValue( 'Sam' );
+		assert.strictEqual( model.user.name, 'Sam', 'Model is updated when the widget changes' );
+		assert.deepEqual( changes, [ [ 'user.name', 'Sam' ] ], 'Change is emitted on the model once' );
+		assert.strictEqual( other.getValue(), 'Sam', 'Other widgets bound to the model are updated' );
+
+		model.user.name = 'Kim';
+		model.emit( 'change' );
+		assert.strictEqual( input.getValue(), 'Kim', 'Widget is updated when the model changes' );
+
+		binding.unbind();
+		input.setValue( 'Lee' );
+		assert.strictEqual( model.user.name, 'Kim', 'Model is not updated after unbinding' );
+		assert.strictEqual( binding.isBound(), false, 'Binding is no longer bound' );
+	} );
+
+	QUnit.test( 'Converters and models with accessors', 3, function ( assert ) {
+		var model = new OO.EventEmitter(),
+			data = { size: 2 },
+			toggle = new OO.ui.ToggleSwitchWidget();
+
+		model.get = function ( path ) {
+			return data[ path ];
+		};
+		model.set = function ( path, value ) {
+			data[ path ] = value;
+			this.emit( 'change' );
+		};
+
+		OO.ui.bindWidget( toggle, model, 'size', {
+			toWidget: function ( size ) {
+				return size > 1;
+			},
+			toModel: function ( large ) {
+				return large ? 2 : 1;
+			}
+		} );
+		assert.strictEqual( toggle.getValue(), true, 'Value is converted for the widget' );
+
+		toggle.setValue( false );
+		assert.strictEqual( data.size, 1, 'Value is converted for the model and written with set' );
+
+		model.set( 'size', 5 );
+		assert.strictEqual( toggle.getValue(), true, 'Value is read with get' );
+	} );
+
+	QUnit.asyncTest( 'Validation', 3, function ( assert ) {
+		var model = $.extend( new OO.EventEmitter(), { age: 20 } ),
+			input = new OO.ui.NumberInputWidget( { min: 0 } ),
+			binding = OO.ui.bindWidget( input, model, 'age', {
+				validate: function ( age ) {
+					return age !== 13;
+				}
+			} );
+
+		input.setValue( '-5' );
+		binding.updateModel().fail( function () {
+			assert.strictEqual( model.age, 20, 'Invalid values of the widget are not written' );
+
+			input.setValue( 13 );
+			binding.updateModel().fail( function () {
+				assert.strictEqual( model.age, 20, 'Values failing the validate function are not written' );
+
+				input.setValue( 30 );
+				binding.updateModel().done( function () {
+					assert.strictEqual( model.age, 30, 'Valid values are written' );
+					QUnit.start();
+				} );
+			} );
+		} );
+	} );
+
+	QUnit.test( 'Binding items', 6, function ( assert ) {
+		var model = $.extend( new OO.EventEmitter(), { sizes: [ 'S', 'M' ] } ),
+			select = new OO.ui.RadioSelectWidget(),
+			binding = OO.ui.bindWidget( select, model, 'sizes', { items: true } ),
+			medium = select.getItemFromData( 'M' );
+
+		function getData() {
+			return select.getItems().map( function ( item ) {
+				return item.getData();
+			} );
+		}
+
+		assert.deepEqual( getData(), [ 'S', 'M' ], 'Items are created for the array' );
+		assert.ok( medium instanceof OO.ui.RadioOptionWidget, 'Items match the kind of select widget' );
+
+		select.selectItem( medium );
+		model.sizes = [ 'L', 'M' ];
+		model.emit( 'change' );
+		assert.deepEqual( getData(), [ 'L', 'M' ], 'Items are added and removed when the array changes' );
+		assert.strictEqual( select.getItemFromData( 'M' ), medium, 'Existing items are kept' );
+		assert.strictEqual( select.getSelectedItem(), medium, 'Selection is kept' );
+
+		select.destroy();
+		assert.strictEqual( binding.isBound(), false, 'Binding ends when the widget is destroyed' );
+	} );
+}() );
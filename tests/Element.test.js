@@ -50,3 +50,146 @@ QUnit.test( 'getElementDocument', 1, function ( assert ) {
 	el = new OO.ui.Element();
 	assert.strictEqual( el.getElementDocument(), doc );
 } );
+
+QUnit.test( 'static.infuse', 11, function ( assert ) {
+	var field, input, fieldNode, inputNode;
+
+	fieldNode = $( '<div>' )
+		.attr( {
+			id: 'ooui-test-field',
+			'data-ooui': JSON.stringify( {
+				_: 'FieldLayout',
+				fieldWidget: { tag: 'ooui-test-input' },
+				align: 'top',
+				label: 'Foo'
+			} )
+		} )
+		.append( $( '<div>' ).append( $( '<div>' ).append( $( '<div>' )
+			.attr( {
+				id: 'ooui-test-input',
+				'data-ooui': JSON.stringify( { _: 'TextInputWidget', name: 'foo', value: 'bar' } )
+			} )
+			.append( '<input type="text" name="foo" value="bar">' )
+		) ) )
+		.appendTo( this.fixture )[ 0 ];
+	inputNode = document.getElementById( 'ooui-test-input' );
+	$( '<div>' )
+		.attr( { id: 'ooui-test-invalid', 'data-ooui': JSON.stringify( { _: 'NoSuchWidget' } ) } )
+		.appendTo( this.fixture );
+	$( '<div>' )
+		.attr( {
+			id: 'ooui-test-throwing',
+			'data-ooui': JSON.stringify( { _: 'NumberInputWidget', min: 5, max: 1 } )
+		} )
+		.appendTo( this.fixture );
+
+	field = OO.ui.infuse( 'ooui-test-field' );
+	input = field.getField();
+	assert.ok( field instanceof OO.ui.FieldLayout, 'Infused widget class' );
+	assert.strictEqual( field.$element[ 0 ], fieldNode, 'Existing node is adopted' );
+	assert.ok( input instanceof OO.ui.TextInputWidget, 'Nested widget is infused' );
+	assert.strictEqual( input.$element[ 0 ], inputNode, 'Nested node is adopted' );
+	assert.strictEqual( input.getValue(), 'bar', 'Configuration is restored' );
+	assert.strictEqual( $( inputNode ).find( 'input' ).length, 1, 'Server-rendered contents are replaced' );
+	assert.ok( $.contains( fieldNode, inputNode ), 'Nested node is placed inside the infused layout' );
+	assert.strictEqual( OO.ui.infuse( inputNode ), input, 'Infusing again returns the same object' );
+	assert.throws( function () {
+		OO.ui.infuse( 'ooui-test-invalid' );
+	}, 'Unknown widget type throws' );
+	assert.throws( function () {
+		OO.ui.infuse( 'ooui-test-throwing' );
+	}, /Minimum/, 'Error of the constructor is thrown' );
+	assert.throws( function () {
+		OO.ui.infuse( 'ooui-test-throwing' );
+	}, /Minimum/, 'Error of the constructor is thrown again, not a circular dependency' );
+} );
+
+QUnit.asyncTest( 'watchLifecycle', 6, function ( assert ) {
+	var events = [],
+		fixture = this.fixture,
+		widget = new OO.ui.Widget(),
+		$wrapper = $( '<div>' ).append( widget.$element );
+
+	widget.on( 'attach', function () {
+		events.push( 'attach' );
+	} );
+	widget.on( 'detach', function () {
+		events.push( 'detach' );
+	} );
+	widget.watchLifecycle().watchLifecycle();
+	assert.ok( widget.isWatchingLifecycle(), 'Widget is watched' );
+
+	// Attach a wrapper, to check that nested elements are found
+	$wrapper.appendTo( fixture );
+	setTimeout( function () {
+		assert.deepEqual( events, [ 'attach' ], 'Attach is emitted when an ancestor is attached' );
+
+		$wrapper.detach();
+		setTimeout( function () {
+			assert.deepEqual( events, [ 'attach', 'detach' ], 'Detach is emitted' );
+
+			widget.unwatchLifecycle();
+			assert.ok( widget.isWatchingLifecycle(), 'Widget is watched until unwatched as often as watched' );
+			widget.unwatchLifecycle();
+			assert.ok( !widget.isWatchingLifecycle(), 'Widget is no longer watched' );
+
+			$wrapper.appendTo( fixture );
+			setTimeout( function () {
+				assert.deepEqual( events, [ 'attach', 'detach' ], 'Events are not emitted when not watched' );
+				QUnit.start();
+			} );
+		} );
+	} );
+} );
+
+QUnit.test( 'destroy', 6, function ( assert ) {
+	var $overlay = $( '<div>' ).appendTo( this.fixture ),
+		option = new OO.ui.MenuOptionWidget( { data: 'a', label: 'A' } ),
+		dropdown = new OO.ui.DropdownWidget( { $overlay: $overlay, menu: { items: [ option ] } } ),
+		destroyed = 0;
+
+	dropdown.on( 'destroy', function () {
+		destroyed++;
+	} );
+	dropdown.$element.appendTo( this.fixture );
+	dropdown.destroy();
+
+	assert.strictEqual( destroyed, 1, 'Destroy event is emitted' );
+	assert.ok( dropdown.isDestroyed(), 'Widget is destroyed' );
+	assert.strictEqual( dropdown.$element.parent().length, 0, 'Widget is removed' );
+	assert.strictEqual( $overlay.children().length, 0, 'Menu in an overlay is removed too' );
+	assert.ok( option.isDestroyed(), 'Items of groups are destroyed' );
+
+	dropdown.destroy();
+	assert.strictEqual( destroyed, 1, 'Destroying again does nothing' );
+} );
+
+QUnit.test( 'destroy (debug mode)', 3, function ( assert ) {
+	var warnings = [],
+		warn = window.console.warn,
+		debug = OO.ui.debug,
+		quiet = new OO.ui.ButtonWidget(),
+		widget = new OO.ui.ButtonWidget();
+
+	window.console.warn = function ( message ) {
+		warnings.push( message );
+	};
+	try {
+		quiet.destroy();
+		quiet.setLabel( 'Quiet' );
+		assert.deepEqual( warnings, [], 'Using a destroyed widget is not warned about by default' );
+
+		OO.ui.debug = true;
+		widget.destroy();
+		widget.setLabel( 'Label' ).setIcon( 'add' );
+		assert.deepEqual(
+			warnings,
+			[ 'OO.ui.Element#setLabel called after the element was destroyed' ],
+			'Using a destroyed widget is warned about once in debug mode'
+		);
+		assert.strictEqual( widget.getLabel(), 'Label', 'Methods still work' );
+	} finally {
+		window.console.warn = warn;
+		OO.ui.debug = debug;
+	}
+} );
@@ -0,0 +1,113 @@
+QUnit.module( 'OO.ui.ThemeRegistry', {
+	setup: function () {
+		function TestTheme( className ) {
+			TestTheme.super.call( this );
+			this.className = className;
+		}
+		OO.inheritClass( TestTheme, OO.ui.Theme );
+		TestTheme.prototype.getElementClasses = function () {
+			return { on: [ this.className ], off: [] };
+		};
+
+		this.previousTheme = OO.ui.theme;
+		this.TestTheme = TestTheme;
+	},
+	teardown: function () {
+		OO.ui.theme = this.previousTheme;
+	}
+} );
+
+/* Tests */
+
+QUnit.test( 'register/getThemeName', 5, function ( assert ) {
+	var registry = new OO.ui.ThemeRegistry(),
+		light = new this.TestTheme( 'light' ),
+		dark = new this.TestTheme( 'dark' );
+
+	assert.throws( function () {
+		registry.register( 'invalid', {} );
+	}, Error, 'Only themes can be registered' );
+
+	registry.register( 'light', light );
+	registry.register( 'dark', dark );
+	assert.deepEqual( registry.getThemeNames(), [ 'light', 'dark' ], 'Names of registered themes' );
+
+	OO.ui.theme = dark;
+	assert.strictEqual( registry.getThemeName(), 'dark', 'Active theme defaults to OO.ui.theme' );
+	OO.ui.theme = new this.TestTheme( 'other' );
+	assert.strictEqual( registry.getThemeName(), null, 'Active theme may not be registered' );
+
+	assert.throws( function () {
+		registry.setTheme( 'unknown' );
+	}, Error, 'Switching to an unknown theme throws' );
+} );
+
+QUnit.asyncTest( 'setTheme', 12, function ( assert ) {
+	var light, dark,
+		TestTheme = this.TestTheme,
+		registry = new OO.ui.ThemeRegistry(),
+		style = document.documentElement.style,
+		attached = new OO.ui.ButtonWidget(),
+		themes = [];
+
+	function LightTheme() {
+		LightTheme.super.call( this, 'light' );
+	}
+	OO.inheritClass( LightTheme, TestTheme );
+	LightTheme.static.stylesheet = 'test';
+	LightTheme.static.customProperties = { background: '#ffffff' };
+
+	function DarkTheme() {
+		DarkTheme.super.call( this, 'dark' );
+	}
+	OO.inheritClass( DarkTheme, TestTheme );
+	DarkTheme.static.customProperties = { text: '#ffffff' };
+
+	light = new LightTheme();
+	dark = new DarkTheme();
+	registry.register( 'light', light );
+	registry.register( 'dark', dark );
+	registry.on( 'theme', function ( name ) {
+		themes.push( name );
+	} );
+	$( 'body' ).append( attached.$element );
+
+	registry.setStylesheetUrl( 'dist/$1.css' ).setTheme( 'light' );
+	assert.strictEqual( OO.ui.theme, light, 'OO.ui.theme is set' );
+	assert.strictEqual( registry.getThemeName(), 'light', 'Active theme' );
+	assert.strictEqual( $( 'link[href="dist/test.css"]' ).length, 1, 'Stylesheet is linked' );
+	assert.strictEqual( style.getPropertyValue( '--oo-ui-background' ).trim(), '#ffffff', 'Custom properties are set' );
+	assert.ok( $( document.documentElement ).hasClass( 'oo-ui-theme-light' ), 'Document element has theme class' );
+
+	setTimeout( function () {
+		assert.ok( attached.$element.hasClass( 'light' ), 'Attached element has theme classes' );
+
+		registry.setStylesheetUrl( null ).setTheme( 'dark' );
+		assert.strictEqual( $( 'link[href="dist/test.css"]' ).length, 0, 'Previous stylesheet is removed' );
+		assert.strictEqual( style.getPropertyValue( '--oo-ui-background' ), '', 'Previous custom properties are removed' );
+		assert.deepEqual(
+			[
+				$( document.documentElement ).hasClass( 'oo-ui-theme-light' ),
+				$( document.documentElement ).hasClass( 'oo-ui-theme-dark' )
+			],
+			[ false, true ],
+			'Document element has class of new theme only'
+		);
+
+		setTimeout( function () {
+			assert.deepEqual(
+				[ attached.$element.hasClass( 'light' ), attached.$element.hasClass( 'dark' ) ],
+				[ false, true ],
+				'Classes of attached element are updated'
+			);
+			assert.deepEqual( themes, [ 'light', 'dark' ], 'Theme events are emitted' );
+
+			assert.strictEqual( style.getPropertyValue( '--oo-ui-text' ).trim(), '#ffffff', 'Custom properties of new theme are set' );
+
+			style.removeProperty( '--oo-ui-text' );
+			$( document.documentElement ).removeClass( 'oo-ui-theme-dark' );
+			attached.$element.remove();
+			QUnit.start();
+		} );
+	} );
+} );
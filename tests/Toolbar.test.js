@@ -0,0 +1,126 @@
+QUnit.module( 'OO.ui.Toolbar' );
+
+/* Tests */
+
+QUnit.test( 'keyboard shortcuts', 7, function ( assert ) {
+	var toolbar,
+		selected = [],
+		toolFactory = new OO.ui.ToolFactory(),
+		toolGroupFactory = new OO.ui.ToolGroupFactory(),
+		registry = new OO.ui.TriggerRegistry( { platform: 'pc' } );
+
+	function createTool( name, accelerator ) {
+		var Tool = function () {
+			Tool.super.apply( this, arguments );
+		};
+		OO.inheritClass( Tool, OO.ui.Tool );
+		Tool.static.name = name;
+		Tool.static.group = 'test';
+		Tool.static.title = name;
+		Tool.static.accelerator = accelerator;
+		Tool.prototype.onSelect = function () {
+			selected.push( name );
+		};
+		Tool.prototype.onUpdateState = function () {};
+		return Tool;
+	}
+
+	toolFactory.register( createTool( 'bold', 'accel+b' ) );
+	toolFactory.register( createTool( 'italic', 'accel+i' ) );
+	toolbar = new OO.ui.Toolbar( toolFactory, toolGroupFactory, { triggerRegistry: registry } );
+	toolbar.setup( [ { type: 'list', include: [ { group: 'test' } ] } ] );
+
+	assert.strictEqual( toolbar.getToolAccelerator( 'bold' ), 'Ctrl+B', 'Accelerator label is provided' );
+	assert.strictEqual( toolbar.tools.bold.$accel.text(), 'Ctrl+B', 'Accelerator label is rendered' );
+
+	toolbar.$element.trigger( $.Event( 'keydown', { which: 66, ctrlKey: true } ) );
+	assert.deepEqual( selected, [ 'bold' ], 'Pressing the shortcut selects the tool' );
+
+	toolbar.tools.italic.setDisabled( true );
+	toolbar.$element.trigger( $.Event( 'keydown', { which: 73, ctrlKey: true } ) );
+	assert.deepEqual( selected, [ 'bold' ], 'Disabled tool is not selected' );
+
+	registry.register( 'other', 'accel+o' );
+	toolbar.reset();
+	assert.deepEqual(
+		registry.getBindings().map( function ( binding ) {
+			return binding.name;
+		} ),
+		[ 'other' ],
+		'Accelerators bound by the toolbar are unbound when its tools are released'
+	);
+	toolbar.setup( [ { type: 'list', include: [ { group: 'test' } ] } ] );
+	assert.strictEqual( toolbar.getToolAccelerator( 'bold' ), 'Ctrl+B', 'Accelerators are bound again' );
+
+	toolbar.destroy();
+	$( document.body ).append( toolbar.$element );
+	toolbar.$element.trigger( $.Event( 'keydown', { which: 66, ctrlKey: true } ) );
+	toolbar.$element.remove();
+	assert.deepEqual( selected, [ 'bold' ], 'Shortcuts are unbound when the toolbar is destroyed' );
+} );
+
+QUnit.test( 'updateOverflow', 8, function ( assert ) {
+	var toolbar,
+		availableWidth = 1000,
+		toolFactory = new OO.ui.ToolFactory(),
+		toolGroupFactory = new OO.ui.ToolGroupFactory();
+
+	function createTool( name, overflowPriority ) {
+		var Tool = function () {
+			Tool.super.apply( this, arguments );
+		};
+		OO.inheritClass( Tool, OO.ui.Tool );
+		Tool.static.name = name;
+		Tool.static.group = 'test';
+		Tool.static.title = name;
+		Tool.static.overflowPriority = overflowPriority || 0;
+		Tool.prototype.onSelect = function () {};
+		Tool.prototype.onUpdateState = function ( activeNames ) {
+			this.setActive( activeNames.indexOf( name ) !== -1 );
+		};
+		return Tool;
+	}
+
+	function getNames( group ) {
+		return group.items.map( function ( tool ) {
+			return tool.getName();
+		} );
+	}
+
+	toolFactory.register( createTool( 'bold', 2 ) );
+	toolFactory.register( createTool( 'italic', 1 ) );
+	toolFactory.register( createTool( 'underline' ) );
+	toolFactory.register( createTool( 'strike' ) );
+	toolbar = new OO.ui.Toolbar( toolFactory, toolGroupFactory, { overflow: true } );
+	toolbar.setup( [ { type: 'bar', include: [ { group: 'test' } ] } ] );
+
+	// Each tool takes up 100 pixels, and so does the "More" menu
+	toolbar.getAvailableWidth = function () {
+		return availableWidth;
+	};
+	toolbar.getContentWidth = function () {
+		return 100 * ( this.items[ 0 ].items.length + ( this.overflowGroup.items.length ? 1 : 0 ) );
+	};
+	toolbar.initialize();
+	toolbar.emit( 'updateState', [ 'strike' ] );
+
+	assert.deepEqual( getNames( toolbar.items[ 0 ] ), [ 'bold', 'italic', 'underline', 'strike' ], 'All tools fit' );
+	assert.deepEqual( getNames( toolbar.overflowGroup ), [], 'More menu is empty' );
+
+	availableWidth = 300;
+	toolbar.updateOverflow();
+	assert.deepEqual( getNames( toolbar.items[ 0 ] ), [ 'bold', 'italic' ], 'Tools of lowest priority are moved, last one first' );
+	assert.deepEqual( getNames( toolbar.overflowGroup ), [ 'underline', 'strike' ], 'Moved tools are in toolbar order' );
+	assert.strictEqual( toolbar.overflowGroup.items[ 1 ].isActive(), true, 'State of moved tools is restored' );
+
+	availableWidth = 400;
+	toolbar.updateOverflow();
+	assert.deepEqual( getNames( toolbar.items[ 0 ] ), [ 'bold', 'italic', 'underline', 'strike' ], 'Tools are moved back when there is room' );
+	assert.strictEqual( toolbar.items[ 0 ].items[ 3 ].isActive(), true, 'State of tools moved back is restored' );
+
+	availableWidth = 200;
+	toolbar.updateOverflow();
+	assert.deepEqual( getNames( toolbar.overflowGroup ), [ 'italic', 'underline', 'strike' ], 'Tool of highest priority stays' );
+
+	toolbar.destroy();
+} );
@@ -0,0 +1,36 @@
+QUnit.module( 'OO.ui.Trigger' );
+
+/* Tests */
+
+QUnit.test( 'constructor (string)', 7, function ( assert ) {
+	assert.strictEqual( new OO.ui.Trigger( 'accel+b', 'pc' ).toString(), 'ctrl+b', 'Accel is Ctrl on PC' );
+	assert.strictEqual( new OO.ui.Trigger( 'accel+b', 'mac' ).toString(), 'meta+b', 'Accel is Cmd on Mac' );
+	assert.strictEqual( new OO.ui.Trigger( 'Shift+Cmd+Z', 'pc' ).toString(), 'meta+shift+z', 'Aliases, case and order are normalized' );
+	assert.strictEqual( new OO.ui.Trigger( 'ctrl+esc' ).toString(), 'ctrl+escape', 'Primary key aliases are normalized' );
+	assert.strictEqual( new OO.ui.Trigger( 'ctrl+shift' ).isComplete(), false, 'Trigger without primary key is incomplete' );
+	assert.strictEqual( new OO.ui.Trigger( 'ctrl+a+b' ).isComplete(), false, 'Trigger with two primary keys is incomplete' );
+	assert.strictEqual( new OO.ui.Trigger( 'ctrl+foo' ).isComplete(), false, 'Trigger with unknown key is incomplete' );
+} );
+
+QUnit.test( 'constructor (event)', 3, function ( assert ) {
+	var trigger = new OO.ui.Trigger( $.Event( 'keydown', { which: 90, ctrlKey: true, shiftKey: true } ) );
+
+	assert.strictEqual( trigger.toString(), 'ctrl+shift+z', 'Key down event with modifiers' );
+	assert.deepEqual(
+		trigger.getModifiers(),
+		{ meta: false, ctrl: true, alt: false, shift: true },
+		'Modifiers are read from the event'
+	);
+	assert.strictEqual(
+		new OO.ui.Trigger( $.Event( 'keydown', { which: OO.ui.Keys.SHIFT, shiftKey: true } ) ).isComplete(),
+		false,
+		'Pressing a modifier key alone is incomplete'
+	);
+} );
+
+QUnit.test( 'getMessage', 4, function ( assert ) {
+	assert.strictEqual( new OO.ui.Trigger( 'accel+shift+z', 'pc' ).getMessage( 'pc' ), 'Ctrl+Shift+Z', 'PC label' );
+	assert.strictEqual( new OO.ui.Trigger( 'accel+shift+z', 'mac' ).getMessage( 'mac' ), '⇧⌘Z', 'Mac label' );
+	assert.strictEqual( new OO.ui.Trigger( 'alt+pagedown' ).getMessage( 'pc' ), 'Alt+PgDn', 'Special key label' );
+	assert.strictEqual( new OO.ui.Trigger( 'ctrl' ).getMessage( 'pc' ), '', 'Incomplete trigger has no label' );
+} );
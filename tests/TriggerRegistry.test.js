@@ -0,0 +1,60 @@
+QUnit.module( 'OO.ui.TriggerRegistry' );
+
+/* Tests */
+
+QUnit.test( 'register/getNameByTrigger', 6, function ( assert ) {
+	var registry = new OO.ui.TriggerRegistry( { platform: 'pc' } );
+
+	registry.register( 'bold', 'accel+b' );
+	registry.register( 'redo', { mac: 'accel+shift+z', pc: [ 'accel+y', 'accel+shift+z' ] } );
+
+	assert.strictEqual( registry.getNameByTrigger( 'ctrl+b' ), 'bold', 'Lookup by trigger string' );
+	assert.strictEqual(
+		registry.getNameByTrigger( new OO.ui.Trigger( $.Event( 'keydown', { which: 89, ctrlKey: true } ) ) ),
+		'redo',
+		'Lookup by trigger from event'
+	);
+	assert.strictEqual( registry.getNameByTrigger( 'ctrl+shift+z' ), 'redo', 'Second trigger for the platform is bound' );
+	assert.strictEqual( registry.getNameByTrigger( 'ctrl+i' ), undefined, 'Unbound trigger' );
+
+	registry.register( 'bold', 'accel+shift+b' );
+	assert.strictEqual( registry.getNameByTrigger( 'ctrl+b' ), undefined, 'Registering again unbinds previous triggers' );
+
+	assert.throws( function () {
+		registry.register( 'italic', 'accel+' );
+	}, 'Incomplete trigger throws' );
+} );
+
+QUnit.test( 'conflicts', 4, function ( assert ) {
+	var registry = new OO.ui.TriggerRegistry( { platform: 'mac' } ),
+		conflicts = [];
+
+	registry.on( 'conflict', function ( trigger, name, existingName ) {
+		conflicts.push( [ trigger.toString(), name, existingName ] );
+	} );
+	registry.register( 'undo', 'accel+z' );
+	registry.register( 'zoom', [ 'cmd+z', 'accel+shift+z' ] );
+
+	assert.deepEqual( conflicts, [ [ 'meta+z', 'zoom', 'undo' ] ], 'Conflict is reported' );
+	assert.strictEqual( registry.getNameByTrigger( 'meta+z' ), 'undo', 'Existing binding is kept' );
+	assert.strictEqual( registry.getNameByTrigger( 'meta+shift+z' ), 'zoom', 'Other triggers are bound' );
+
+	registry.unregister( 'undo' );
+	assert.strictEqual( registry.getNameByTrigger( 'meta+z' ), undefined, 'Unregistering unbinds triggers' );
+} );
+
+QUnit.test( 'getBindings', 1, function ( assert ) {
+	var registry = new OO.ui.TriggerRegistry( { platform: 'pc' } );
+
+	registry.register( 'undo', 'accel+z' );
+	registry.register( 'nothing', [] );
+	registry.register( 'redo', [ 'accel+y', 'accel+shift+z' ] );
+
+	assert.deepEqual(
+		registry.getBindings().map( function ( binding ) {
+			return [ binding.name, binding.messages ];
+		} ),
+		[ [ 'undo', [ 'Ctrl+Z' ] ], [ 'redo', [ 'Ctrl+Y', 'Ctrl+Shift+Z' ] ] ],
+		'Bindings are listed in registration order'
+	);
+} );
@@ -0,0 +1,149 @@
+QUnit.module( 'OO.ui.WidgetFactory' );
+
+/* Tests */
+
+QUnit.test( 'create', 9, function ( assert ) {
+	var fieldset, field, select, dropdown, CustomWidget,
+		factory = new OO.ui.WidgetFactory();
+
+	fieldset = factory.create( {
+		_: 'FieldsetLayout',
+		label: 'Settings',
+		items: [
+			{
+				_: 'FieldLayout',
+				label: 'Size',
+				align: 'top',
+				fieldWidget: {
+					_: 'ButtonSelectWidget',
+					items: [
+						{ _: 'ButtonOptionWidget', data: 's', label: 'Small' },
+						{ _: 'ButtonOptionWidget', data: 'l', label: { html: '<b>Large</b>' } }
+					]
+				}
+			},
+			{
+				_: 'FieldLayout',
+				fieldWidget: {
+					_: 'DropdownWidget',
+					menu: {
+						items: [ { _: 'MenuOptionWidget', data: 1, label: 'One' } ]
+					}
+				}
+			}
+		]
+	} );
+	field = fieldset.getItems()[ 0 ];
+	select = field.getField();
+	dropdown = fieldset.getItems()[ 1 ].getField();
+
+	assert.ok( fieldset instanceof OO.ui.FieldsetLayout, 'Creates class named by "_"' );
+	assert.strictEqual( fieldset.getLabel(), 'Settings', 'Passes configuration' );
+	assert.ok( field instanceof OO.ui.FieldLayout && field.align === 'top', 'Creates nested items' );
+	assert.ok( select instanceof OO.ui.ButtonSelectWidget, 'Creates nested field widget' );
+	assert.deepEqual( select.getItems().map( function ( item ) {
+		return item.getData();
+	} ), [ 's', 'l' ], 'Creates items of nested widget' );
+	assert.strictEqual( select.getItems()[ 1 ].$label.find( 'b' ).text(), 'Large', 'Creates nodes from HTML' );
+	assert.strictEqual( dropdown.getMenu().getItems()[ 0 ].getLabel(), 'One', 'Creates menu items of dropdown' );
+
+	CustomWidget = function () {
+		CustomWidget.super.apply( this, arguments );
+	};
+	OO.inheritClass( CustomWidget, OO.ui.Widget );
+	CustomWidget.static.name = 'custom';
+	factory.register( CustomWidget );
+	assert.ok( factory.create( { _: 'custom' } ) instanceof CustomWidget, 'Creates registered class' );
+
+	assert.throws( function () {
+		factory.create( { _: 'Process' } );
+	}, 'Throws for unknown class' );
+} );
+
+QUnit.test( 'OO.ui.create', 3, function ( assert ) {
+	var button = OO.ui.create( { _: 'ButtonWidget', label: 'Click me', flags: [ 'primary' ] } );
+
+	assert.ok( button instanceof OO.ui.ButtonWidget, 'Creates class named by "_"' );
+	assert.strictEqual( button.getLabel(), 'Click me', 'Passes configuration' );
+	assert.ok( button.hasFlag( 'primary' ), 'Passes flags' );
+} );
+
+QUnit.test( 'serialize', 7, function ( assert ) {
+	var spec, serialized, button, UnknownElement,
+		factory = new OO.ui.WidgetFactory();
+
+	spec = {
+		_: 'FieldsetLayout',
+		label: 'Settings',
+		items: [
+			{
+				_: 'FieldLayout',
+				label: 'Name',
+				fieldWidget: { _: 'TextInputWidget', value: 'Foo', placeholder: 'Your name' },
+				align: 'top'
+			},
+			{
+				_: 'FieldLayout',
+				fieldWidget: {
+					_: 'ButtonSelectWidget',
+					items: [
+						{ _: 'ButtonOptionWidget', label: 'Small', data: 's' },
+						{ _: 'ButtonOptionWidget', label: 'Large', data: 'l' }
+					]
+				},
+				align: 'left'
+			},
+			{
+				_: 'FieldLayout',
+				fieldWidget: {
+					_: 'DropdownWidget',
+					menu: {
+						items: [ { _: 'MenuOptionWidget', label: 'One', data: 1 } ]
+					},
+					disabled: true
+				},
+				align: 'left'
+			}
+		]
+	};
+
+	serialized = factory.serialize( factory.create( spec ) );
+	assert.deepEqual(
+		serialized.items[ 0 ],
+		spec.items[ 0 ],
+		'Serializes nested widgets'
+	);
+	assert.deepEqual(
+		serialized.items[ 1 ].fieldWidget.items.map( function ( item ) {
+			return [ item._, item.label, item.data ];
+		} ),
+		[ [ 'ButtonOptionWidget', 'Small', 's' ], [ 'ButtonOptionWidget', 'Large', 'l' ] ],
+		'Serializes items'
+	);
+	assert.deepEqual(
+		[ serialized.items[ 2 ].fieldWidget.menu.items[ 0 ].data, serialized.items[ 2 ].fieldWidget.disabled ],
+		[ 1, true ],
+		'Serializes dropdown menu'
+	);
+	assert.deepEqual( factory.serialize( factory.create( serialized ) ), serialized, 'Round trip' );
+
+	button = new OO.ui.ButtonWidget( { label: $( '<b>' ).text( 'Bold' ), flags: [ 'primary' ], framed: false } );
+	assert.deepEqual(
+		factory.serialize( button ),
+		{ _: 'ButtonWidget', label: { html: '<b>Bold</b>' }, flags: [ 'primary' ], framed: false },
+		'Serializes nodes to HTML'
+	);
+	assert.deepEqual(
+		OO.ui.serialize( OO.ui.create( factory.serialize( button ) ) ),
+		factory.serialize( button ),
+		'Round trip of nodes through HTML'
+	);
+
+	UnknownElement = function () {
+		UnknownElement.super.apply( this, arguments );
+	};
+	OO.inheritClass( UnknownElement, OO.ui.Element );
+	assert.throws( function () {
+		factory.serialize( new UnknownElement() );
+	}, 'Throws for unknown class' );
+} );
@@ -0,0 +1,99 @@
+QUnit.module( 'OO.ui.WindowManager' );
+
+/* Tests */
+
+QUnit.asyncTest( 'openWindow/closeWindow (stacked)', 9, function ( assert ) {
+	var manager = new OO.ui.WindowManager(),
+		lower = new OO.ui.Dialog(),
+		upper = new OO.ui.MessageDialog(),
+		$button = $( '<button>' ).appendTo( 'body' );
+
+	// Don't wait for transitions
+	manager.getTeardownDelay = function () {
+		return 0;
+	};
+	manager.addWindows( { lower: lower, upper: upper } );
+	$( 'body' ).append( manager.$element );
+
+	lower.open().then( function () {
+		$button[ 0 ].focus();
+		return upper.open();
+	} ).then( function () {
+		assert.deepEqual( manager.getOpenWindows(), [ lower, upper ], 'Both windows are open' );
+		assert.strictEqual( manager.getCurrentWindow(), upper, 'Window opened last is on top' );
+		assert.ok( lower.isOpened() && upper.isOpened(), 'Both windows are opened' );
+		assert.strictEqual( lower.$element.attr( 'aria-hidden' ), 'true', 'Window below is hidden from screen readers' );
+		assert.strictEqual( upper.$element.attr( 'aria-hidden' ), undefined, 'Window on top is visible to screen readers' );
+		return upper.close();
+	} ).then( function () {
+		assert.strictEqual( manager.getCurrentWindow(), lower, 'Window below is on top again' );
+		assert.strictEqual( lower.$element.attr( 'aria-hidden' ), undefined, 'Window below is visible to screen readers again' );
+		assert.strictEqual( document.activeElement, $button[ 0 ], 'Focus is restored' );
+		return lower.close();
+	} ).then( function () {
+		assert.strictEqual( manager.getCurrentWindow(), null, 'No window is open' );
+		manager.destroy();
+		$button.remove();
+		QUnit.start();
+	} );
+} );
+
+QUnit.asyncTest( 'openWindow (errors)', 2, function ( assert ) {
+	var manager = new OO.ui.WindowManager(),
+		win = new OO.ui.Dialog();
+
+	manager.addWindows( { win: win } );
+	win.open();
+	win.open().fail( function ( error ) {
+		assert.ok( error instanceof OO.ui.Error, 'Opening an open window fails' );
+		manager.openWindow( new OO.ui.Dialog() ).fail( function ( error ) {
+			assert.ok( error instanceof OO.ui.Error, 'Opening an unmanaged window fails' );
+			manager.destroy();
+			QUnit.start();
+		} );
+	} );
+} );
+
+QUnit.asyncTest( 'openWindow (non-modal)', 6, function ( assert ) {
+	var manager = new OO.ui.WindowManager(),
+		win = new OO.ui.Dialog( { modal: false } );
+
+	manager.getTeardownDelay = function () {
+		return 0;
+	};
+	manager.addWindows( { win: win } );
+	$( 'body' ).append( manager.$element );
+
+	win.open().then( function () {
+		assert.strictEqual( win.isModal(), false, 'Window is not modal' );
+		assert.ok( win.$element.hasClass( 'oo-ui-window-nonModal' ), 'Window has non-modal class' );
+		assert.strictEqual( manager.$ariaHidden, null, 'Page is not hidden from screen readers' );
+		assert.ok( manager.globalEvents, 'Global events are bound' );
+		assert.ok( !manager.scrollLocked, 'Page can be scrolled' );
+		return win.close();
+	} ).then( function () {
+		assert.ok( !manager.globalEvents, 'Global events are unbound after closing' );
+		manager.destroy();
+		QUnit.start();
+	} );
+} );
+
+QUnit.asyncTest( 'destroy', 3, function ( assert ) {
+	var manager = new OO.ui.WindowManager(),
+		win = new OO.ui.Dialog();
+
+	manager.addWindows( { win: win } );
+	$( 'body' ).append( manager.$element );
+
+	win.open().then( function ( opened ) {
+		manager.destroy();
+		opened.then( function ( closing ) {
+			closing.fail( function ( error ) {
+				assert.ok( error instanceof OO.ui.Error, 'Open window is not closed' );
+				assert.strictEqual( manager.getCurrentWindow(), null, 'No window is open' );
+				assert.strictEqual( win.$element.parent().length, 0, 'Window is removed' );
+				QUnit.start();
+			} );
+		} );
+	} );
+} );
@@ -0,0 +1,185 @@
+( function () {
+	var computePosition = OO.ui.FloatableElement.static.computePosition,
+		boundary = { top: 0, left: 0, width: 1000, height: 600 },
+		size = { width: 200, height: 100 };
+
+	QUnit.module( 'FloatableElement' );
+
+	QUnit.test( 'computePosition: sides', 8, function ( assert ) {
+		var placement,
+			container = { top: 300, left: 400, width: 100, height: 20 };
+
+		placement = computePosition( container, size, boundary, { gap: 5 } );
+		assert.deepEqual(
+			[ placement.position, placement.side, placement.top, placement.left ],
+			[ 'below', 'bottom', 325, 350 ],
+			'Below and centered by default'
+		);
+		assert.deepEqual( placement.tip, { top: 320, left: 450 }, 'Tip at the middle of the bottom edge' );
+
+		placement = computePosition( container, size, boundary, { position: 'above', gap: 5 } );
+		assert.deepEqual(
+			[ placement.side, placement.top, placement.left ],
+			[ 'top', 195, 350 ],
+			'Above'
+		);
+
+		placement = computePosition( container, size, boundary, { position: 'before' } );
+		assert.deepEqual(
+			[ placement.side, placement.top, placement.left ],
+			[ 'left', 260, 200 ],
+			'Before is left, centered vertically'
+		);
+		assert.deepEqual( placement.tip, { top: 310, left: 400 }, 'Tip at the middle of the left edge' );
+
+		placement = computePosition( container, size, boundary, { position: 'after' } );
+		assert.deepEqual( [ placement.side, placement.left ], [ 'right', 500 ], 'After is right' );
+
+		placement = computePosition( container, size, boundary, { position: 'before', rtl: true } );
+		assert.deepEqual( [ placement.side, placement.left ], [ 'right', 500 ], 'Before is right in RTL' );
+
+		placement = computePosition( container, size, boundary, { position: 'after', rtl: true } );
+		assert.deepEqual( [ placement.side, placement.left ], [ 'left', 200 ], 'After is left in RTL' );
+	} );
+
+	QUnit.test( 'computePosition: alignment', 5, function ( assert ) {
+		var container = { top: 300, left: 400, width: 100, height: 20 };
+
+		assert.strictEqual(
+			computePosition( container, size, boundary, { align: 'start' } ).left,
+			400,
+			'Start is left'
+		);
+		assert.strictEqual(
+			computePosition( container, size, boundary, { align: 'end' } ).left,
+			300,
+			'End is right'
+		);
+		assert.strictEqual(
+			computePosition( container, size, boundary, { align: 'start', rtl: true } ).left,
+			300,
+			'Start is right in RTL'
+		);
+		assert.strictEqual(
+			computePosition( container, size, boundary, { align: 'left', rtl: true } ).left,
+			400,
+			'Left is left in RTL'
+		);
+		assert.strictEqual(
+			computePosition( container, size, boundary, { align: 'right' } ).left,
+			300,
+			'Right is right'
+		);
+	} );
+
+	QUnit.test( 'computePosition: flipping', 4, function ( assert ) {
+		var placement;
+
+		placement = computePosition( { top: 550, left: 400, width: 100, height: 20 }, size, boundary );
+		assert.deepEqual(
+			[ placement.position, placement.top ],
+			[ 'above', 450 ],
+			'Flips above when there is no room below'
+		);
+
+		placement = computePosition(
+			{ top: 550, left: 400, width: 100, height: 20 }, size, boundary, { autoFlip: false }
+		);
+		assert.strictEqual( placement.position, 'below', 'Does not flip if autoFlip is off' );
+
+		placement = computePosition(
+			{ top: 50, left: 400, width: 100, height: 500 }, size, boundary
+		);
+		assert.strictEqual( placement.position, 'below', 'Does not flip if there is less room there' );
+
+		placement = computePosition(
+			{ top: 300, left: 100, width: 100, height: 20 }, size, boundary, { position: 'before', padding: 10 }
+		);
+		assert.deepEqual(
+			[ placement.position, placement.left ],
+			[ 'after', 200 ],
+			'Flips after when there is no room before'
+		);
+	} );
+
+	QUnit.test( 'computePosition: shifting', 4, function ( assert ) {
+		var placement;
+
+		placement = computePosition(
+			{ top: 300, left: 0, width: 40, height: 20 }, size, boundary, { padding: 10, tipInset: 15 }
+		);
+		assert.strictEqual( placement.left, 10, 'Shifted right to stay inside the boundary' );
+		assert.strictEqual( placement.tip.left, 25, 'Tip is kept away from the corner' );
+
+		placement = computePosition(
+			{ top: 300, left: 960, width: 40, height: 20 }, size, boundary, { padding: 10 }
+		);
+		assert.deepEqual(
+			[ placement.left, placement.tip.left ],
+			[ 790, 980 ],
+			'Shifted left to stay inside the boundary, tip still at the middle of the container'
+		);
+
+		placement = computePosition(
+			{ top: 590, left: 400, width: 100, height: 20 }, size, boundary, { position: 'after' }
+		);
+		assert.strictEqual( placement.top, 500, 'Shifted up to stay inside the boundary' );
+	} );
+
+	QUnit.test( 'Overlays', 6, function ( assert ) {
+		var otherDocument,
+			$dialog = $( '<div>' ).css( { position: 'fixed', zIndex: 100 } ).appendTo( 'body' ),
+			dropdown = new OO.ui.DropdownWidget( {
+				$overlay: true,
+				menu: { items: [ new OO.ui.MenuOptionWidget( { data: 'a', label: 'A' } ) ] }
+			} ),
+			inline = new OO.ui.DropdownWidget( {
+				menu: { items: [ new OO.ui.MenuOptionWidget( { data: 'a', label: 'A' } ) ] }
+			} );
+
+		$dialog.append( dropdown.$element, inline.$element );
+		assert.strictEqual(
+			dropdown.getMenu().$element.parent()[ 0 ],
+			OO.ui.getDefaultOverlay()[ 0 ],
+			'Menu is appended to the default overlay'
+		);
+		assert.strictEqual(
+			inline.getMenu().$element.parent()[ 0 ],
+			inline.$element[ 0 ],
+			'Menu is appended to the widget without an overlay'
+		);
+
+		dropdown.getMenu().toggle( true );
+		inline.getMenu().toggle( true );
+		assert.strictEqual(
+			dropdown.getMenu().$element.css( 'z-index' ),
+			'101',
+			'Menu in an overlay is stacked above the containers of the widget'
+		);
+		assert.strictEqual(
+			inline.getMenu().$element[ 0 ].style.zIndex,
+			'',
+			'Menu in the widget is stacked by the stylesheet'
+		);
+
+		dropdown.getMenu().toggle( false );
+		inline.getMenu().toggle( false );
+		$dialog.remove();
+
+		otherDocument = document.implementation.createHTMLDocument( '' );
+		dropdown = new OO.ui.DropdownWidget( {
+			$element: $( otherDocument.createElement( 'div' ) ),
+			$overlay: true
+		} );
+		assert.strictEqual(
+			dropdown.getMenu().$element.parent()[ 0 ],
+			OO.ui.getDefaultOverlay( otherDocument )[ 0 ],
+			'Menu is appended to the default overlay of the document of the widget'
+		);
+		assert.strictEqual(
+			OO.ui.getDefaultOverlay( otherDocument ).parent()[ 0 ],
+			otherDocument.body,
+			'Default overlay is appended to the body of its document'
+		);
+	} );
+}() );
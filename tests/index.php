@@ -27,9 +27,33 @@
 	<script src="../dist/oojs-ui.js"></script>
 	<script src="../dist/oojs-ui-mediawiki.js"></script>
 	<!-- Test suites -->
+	<script src="./Binding.test.js"></script>
 	<script src="./Element.test.js"></script>
 	<script src="./Process.test.js"></script>
+	<script src="./Toolbar.test.js"></script>
+	<script src="./ThemeRegistry.test.js"></script>
+	<script src="./Trigger.test.js"></script>
+	<script src="./TriggerRegistry.test.js"></script>
+	<script src="./WidgetFactory.test.js"></script>
+	<script src="./WindowManager.test.js"></script>
 	<script src="./elements/FlaggedElement.test.js"></script>
+	<script src="./elements/FloatableElement.test.js"></script>
+	<script src="./layouts/FieldLayout.test.js"></script>
+	<script src="./layouts/FormLayout.test.js"></script>
+	<script src="./layouts/IndexLayout.test.js"></script>
+	<script src="./layouts/SchemaFormLayout.test.js"></script>
+	<script src="./widgets/CalendarWidget.test.js"></script>
+	<script src="./widgets/CapsuleMultiSelectWidget.test.js"></script>
+	<script src="./widgets/DateInputWidget.test.js"></script>
+	<script src="./widgets/InputWidget.test.js"></script>
+	<script src="./widgets/NotificationWidget.test.js"></script>
+	<script src="./widgets/NumberInputWidget.test.js"></script>
+	<script src="./widgets/RepeatableGroupWidget.test.js"></script>
+	<script src="./widgets/SelectFileWidget.test.js"></script>
+	<script src="./widgets/SelectWidget.test.js"></script>
+	<script src="./widgets/TableWidget.test.js"></script>
+	<script src="./widgets/TextInputWidget.test.js"></script>
+	<script src="./widgets/TreeWidget.test.js"></script>
 	<!-- JS/PHP comparison tests -->
 	<script>OO.ui.JSPHPTestSuite = <?php echo $testSuiteJSON; ?></script>
 	<script src="./JSPHP.test.js"></script>
@@ -0,0 +1,51 @@
+( function () {
+	QUnit.module( 'FieldLayout' );
+
+	QUnit.test( 'setErrors/setWarnings', 10, function ( assert ) {
+		var input = new OO.ui.TextInputWidget(),
+			plain = new OO.ui.FieldLayout( new OO.ui.TextInputWidget() ),
+			described = new OO.ui.TextInputWidget(),
+			field = new OO.ui.FieldLayout( input, { errors: [ 'Error' ] } ),
+			describedField;
+
+		assert.strictEqual( plain.$messages.attr( 'id' ), undefined, 'Fields without messages have no messages id' );
+
+		described.$input.attr( 'aria-describedby', 'hint' );
+		describedField = new OO.ui.FieldLayout( described, { errors: [ 'Error' ] } );
+		assert.strictEqual(
+			described.$input.attr( 'aria-describedby' ),
+			'hint ' + describedField.$messages.attr( 'id' ),
+			'Messages are added to existing descriptions'
+		);
+		describedField.setErrors( [] );
+		assert.strictEqual( described.$input.attr( 'aria-describedby' ), 'hint', 'Existing descriptions are kept' );
+
+		assert.deepEqual( field.getErrors(), [ 'Error' ], 'Errors from config' );
+		assert.strictEqual( field.$messages.children( '.oo-ui-fieldLayout-messages-error' ).length, 1, 'Error is rendered' );
+		assert.strictEqual( input.$input.attr( 'aria-invalid' ), 'true', 'Input is marked invalid' );
+		assert.strictEqual( input.$input.attr( 'aria-describedby' ), field.$messages.attr( 'id' ), 'Input is described by the messages' );
+
+		field.setErrors( [] ).setWarnings( [ 'Warning' ] );
+		assert.ok( field.$element.hasClass( 'oo-ui-fieldLayout-warning' ), 'Warning class is set' );
+		assert.strictEqual( input.$input.attr( 'aria-invalid' ), undefined, 'Warnings do not make the input invalid' );
+
+		field.setWarnings( [] );
+		assert.ok( field.$messages.hasClass( 'oo-ui-element-hidden' ), 'Messages are hidden when empty' );
+	} );
+
+	QUnit.asyncTest( 'FormLayout#validate', 4, function ( assert ) {
+		var valid = new OO.ui.FieldLayout( new OO.ui.TextInputWidget( { value: 'x', validators: [ 'required' ] } ) ),
+			invalid = new OO.ui.FieldLayout( new OO.ui.TextInputWidget( { validators: [ 'required' ] } ) ),
+			form = new OO.ui.FormLayout( {
+				items: [ new OO.ui.FieldsetLayout( { items: [ valid, invalid ] } ) ]
+			} );
+
+		assert.deepEqual( form.getFieldLayouts(), [ valid, invalid ], 'Fields in fieldsets are found' );
+		form.validate().done( function ( result ) {
+			assert.strictEqual( result, false, 'Form is invalid' );
+			assert.deepEqual( valid.getErrors(), [], 'Valid field has no errors' );
+			assert.deepEqual( invalid.getErrors(), [ OO.ui.msg( 'ooui-validation-required' ) ], 'Invalid field shows its error' );
+			QUnit.start();
+		} );
+	} );
+}() );
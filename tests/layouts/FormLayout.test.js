@@ -0,0 +1,177 @@
+( function () {
+	QUnit.module( 'FormLayout' );
+
+	QUnit.test( 'getValues/setValues', 4, function ( assert ) {
+		var radio = new OO.ui.RadioSelectWidget( {
+				items: [
+					new OO.ui.RadioOptionWidget( { data: 'x', label: 'X' } ),
+					new OO.ui.RadioOptionWidget( { data: 'y', label: 'Y' } )
+				]
+			} ),
+			dropdown = new OO.ui.DropdownWidget( {
+				menu: { items: [ new OO.ui.MenuOptionWidget( { data: 1, label: 'One' } ) ] }
+			} ),
+			form = new OO.ui.FormLayout( {
+				items: [
+					new OO.ui.FieldsetLayout( {
+						items: [
+							new OO.ui.FieldLayout( new OO.ui.TextInputWidget( { name: 'text', value: 'a' } ) ),
+							new OO.ui.FieldLayout( new OO.ui.CheckboxInputWidget(), { name: 'checkbox' } ),
+							new OO.ui.FieldLayout( new OO.ui.ToggleSwitchWidget( { value: true } ), { name: 'toggle' } )
+						]
+					} ),
+					new OO.ui.FieldLayout( radio, { name: 'radio' } ),
+					new OO.ui.FieldLayout( dropdown, { name: 'dropdown' } ),
+					new OO.ui.FieldLayout( new OO.ui.TextInputWidget( { value: 'ignored' } ) ),
+					new OO.ui.FieldLayout( new OO.ui.ButtonInputWidget( { name: 'button', value: 'ignored' } ) )
+				]
+			} );
+
+		assert.deepEqual(
+			form.getValues(),
+			{ text: 'a', checkbox: false, toggle: true, radio: null, dropdown: null },
+			'Values of named fields are collected from all kinds of widgets'
+		);
+
+		form.setValues( { text: 'b', checkbox: true, radio: 'y', dropdown: 1, unknown: 'z' } );
+		assert.deepEqual(
+			form.getValues(),
+			{ text: 'b', checkbox: true, toggle: true, radio: 'y', dropdown: 1 },
+			'Values are set, fields that are left out are kept'
+		);
+		assert.strictEqual( radio.getSelectedItem().getData(), 'y', 'Option is selected by data' );
+		assert.strictEqual( dropdown.getLabel(), 'One', 'Dropdown shows the selected option' );
+	} );
+
+	QUnit.test( 'isDirty/reset', 6, function ( assert ) {
+		var events = [],
+			toggle = new OO.ui.ToggleSwitchWidget( { value: true } ),
+			radio = new OO.ui.RadioSelectWidget( {
+				items: [
+					new OO.ui.RadioOptionWidget( { data: 'x', label: 'X' } ),
+					new OO.ui.RadioOptionWidget( { data: 'y', label: 'Y' } )
+				]
+			} ),
+			form = new OO.ui.FormLayout( {
+				items: [
+					new OO.ui.FieldLayout( toggle, { name: 'toggle' } ),
+					new OO.ui.FieldLayout( radio, { name: 'radio' } )
+				]
+			} );
+
+		form.on( 'dirty', function ( dirty ) {
+			events.push( dirty );
+		} );
+		assert.strictEqual( form.isDirty(), false, 'Form is not dirty initially' );
+
+		toggle.setValue( false );
+		assert.strictEqual( form.isDirty(), true, 'Changing a value makes the form dirty' );
+		radio.selectItem( radio.getItemFromData( 'x' ) );
+		toggle.setValue( true );
+		assert.deepEqual( events, [ true ], 'Dirty event is emitted only when the state changes' );
+
+		form.reset();
+		assert.strictEqual( form.isDirty(), false, 'Form is not dirty after reset' );
+		assert.strictEqual( radio.getSelectedItem(), null, 'Initial values are restored' );
+		assert.deepEqual( events, [ true, false ], 'Dirty event is emitted after reset' );
+	} );
+
+	QUnit.test( 'Radio buttons and checkboxes sharing a name', 6, function ( assert ) {
+		var red = new OO.ui.RadioInputWidget( { name: 'color', value: 'red' } ),
+			blue = new OO.ui.RadioInputWidget( { name: 'color', value: 'blue', selected: true } ),
+			bold = new OO.ui.CheckboxInputWidget( { name: 'style', value: 'bold' } ),
+			italic = new OO.ui.CheckboxInputWidget( { name: 'style', value: 'italic' } ),
+			form = new OO.ui.FormLayout( {
+				items: [
+					new OO.ui.FieldLayout( red ),
+					new OO.ui.FieldLayout( blue ),
+					new OO.ui.FieldLayout( bold ),
+					new OO.ui.FieldLayout( italic )
+				]
+			} );
+
+		assert.deepEqual(
+			form.getValues(),
+			{ color: 'blue', style: [] },
+			'Value of radio buttons is the selected one, checkboxes have a list of selected ones'
+		);
+
+		form.setValues( { color: 'red', style: [ 'bold', 'italic' ] } );
+		assert.deepEqual(
+			[ red.isSelected(), blue.isSelected(), bold.isSelected(), italic.isSelected() ],
+			[ true, false, true, true ],
+			'Radio buttons and checkboxes are selected by value'
+		);
+		assert.strictEqual( form.isDirty(), true, 'Form is dirty after changing the selection' );
+
+		form.reset();
+		assert.deepEqual( form.getValues(), { color: 'blue', style: [] }, 'Selection is reset' );
+
+		red.$input.prop( 'checked', true ).trigger( 'change' );
+		assert.strictEqual( form.isDirty(), true, 'Selecting a radio button makes the form dirty' );
+
+		assert.throws( function () {
+			form.addItems( [ new OO.ui.FieldLayout( new OO.ui.TextInputWidget( { name: 'color' } ) ) ] );
+		}, /color/, 'Other fields can\'t share a name' );
+	} );
+
+	QUnit.test( 'Dropdown placeholder', 2, function ( assert ) {
+		var dropdown = new OO.ui.DropdownWidget( {
+				label: 'Choose a fruit',
+				menu: { items: [ new OO.ui.MenuOptionWidget( { data: 'apple', label: 'Apple' } ) ] }
+			} ),
+			form = new OO.ui.FormLayout( {
+				items: [ new OO.ui.FieldLayout( dropdown, { name: 'fruit' } ) ]
+			} );
+
+		dropdown.getMenu().chooseItem( dropdown.getMenu().getItemFromData( 'apple' ) );
+		assert.strictEqual( dropdown.getLabel(), 'Apple', 'Dropdown shows the selected option' );
+		form.reset();
+		assert.strictEqual( dropdown.getLabel(), 'Choose a fruit', 'Placeholder is shown again after reset' );
+	} );
+
+	QUnit.asyncTest( 'submit', 6, function ( assert ) {
+		var requests = [],
+			text = new OO.ui.TextInputWidget( { name: 'text', value: 'a' } ),
+			form = new OO.ui.FormLayout( {
+				action: '/save',
+				format: 'form',
+				transport: function ( request ) {
+					requests.push( request );
+					return $.Deferred().resolve( 'OK' ).promise();
+				},
+				items: [
+					new OO.ui.FieldLayout( text ),
+					new OO.ui.FieldLayout( new OO.ui.CheckboxInputWidget(), { name: 'checkbox' } ),
+					new OO.ui.FieldLayout( new OO.ui.DropdownWidget(), { name: 'dropdown' } )
+				]
+			} );
+
+		text.setValue( 'b c' );
+		form.submit().done( function ( response ) {
+			assert.strictEqual( response, 'OK', 'Promise is resolved with the response' );
+			assert.deepEqual(
+				[ requests[ 0 ].url, requests[ 0 ].method, requests[ 0 ].contentType.split( ';' )[ 0 ] ],
+				[ '/save', 'POST', 'application/x-www-form-urlencoded' ],
+				'Request is sent to the action of the form'
+			);
+			assert.strictEqual(
+				requests[ 0 ].data,
+				'text=b+c&checkbox=false&dropdown=',
+				'Values are serialized'
+			);
+			assert.strictEqual( form.isDirty(), false, 'Form is not dirty after sending' );
+			assert.strictEqual(
+				OO.ui.FormLayout.static.serialize( { a: [ 1, 2 ], b: null }, 'json' ),
+				'{"a":[1,2],"b":null}',
+				'Values can be serialized to JSON'
+			);
+
+			text.setValidators( [ 'required' ] ).setValue( '' );
+			form.submit().fail( function ( error ) {
+				assert.strictEqual( error, 'invalid', 'Invalid values are not sent' );
+				QUnit.start();
+			} );
+		} );
+	} );
+}() );
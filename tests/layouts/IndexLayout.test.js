@@ -0,0 +1,86 @@
+( function () {
+	QUnit.module( 'IndexLayout' );
+
+	QUnit.test( 'addCards/setCard', 9, function ( assert ) {
+		var tab,
+			sets = [],
+			index = new OO.ui.IndexLayout( { autoFocus: false } ),
+			tabs = index.getTabs(),
+			card = new OO.ui.CardLayout( 'two', { label: 'Two', closable: true } );
+
+		index.addCards( [
+			new OO.ui.CardLayout( 'one', { label: 'One' } ),
+			card,
+			new OO.ui.CardLayout( 'three', { label: 'Three', closable: true } )
+		] );
+		tab = card.getTabItem();
+
+		index.on( 'set', function ( card ) {
+			sets.push( card.getName() );
+		} );
+
+		assert.strictEqual( index.getCurrentCardName(), 'one', 'First card is shown' );
+		assert.strictEqual( tab.getLabel(), 'Two', 'Tab is labelled from the card' );
+		assert.strictEqual( tabs.$element.attr( 'role' ), 'tablist', 'Tabs have the tablist role' );
+		assert.strictEqual( tab.$element.attr( 'role' ), 'tab', 'Tab has the tab role' );
+		assert.strictEqual( card.$element.attr( 'role' ), 'tabpanel', 'Card has the tabpanel role' );
+		assert.strictEqual( tab.$element.attr( 'aria-controls' ), card.$element.attr( 'id' ), 'Tab controls its card' );
+		assert.strictEqual( card.$element.attr( 'aria-labelledby' ), tab.$element.attr( 'id' ), 'Card is labelled by its tab' );
+
+		index.setCard( 'two' );
+		assert.deepEqual( sets, [ 'two' ], 'Card is set once' );
+		assert.strictEqual( tabs.getSelectedItem(), tab, 'Tab of the card is selected' );
+	} );
+
+	QUnit.test( 'closable tabs', 7, function ( assert ) {
+		var removed = [],
+			index = new OO.ui.IndexLayout( { autoFocus: false } ),
+			tabs = index.getTabs();
+
+		index.addCards( [
+			new OO.ui.CardLayout( 'one', { label: 'One' } ),
+			new OO.ui.CardLayout( 'two', { label: 'Two', closable: true } ),
+			new OO.ui.CardLayout( 'three', { label: 'Three', closable: true } )
+		] );
+
+		index.on( 'remove', function ( cards ) {
+			removed.push( cards[ 0 ].getName() );
+		} );
+
+		assert.strictEqual( index.getCard( 'one' ).getTabItem().isClosable(), false, 'Cards are not closable by default' );
+		assert.strictEqual( index.getCard( 'two' ).getTabItem().isClosable(), true, 'Closable card has a closable tab' );
+
+		index.setCard( 'three' );
+		index.getCard( 'three' ).getTabItem().closeButton.emit( 'click' );
+		assert.deepEqual( removed, [ 'three' ], 'Clicking the close button removes the card' );
+		assert.strictEqual( index.getCurrentCardName(), 'two', 'Closest card is shown' );
+
+		tabs.onKeyDown( $.Event( 'keydown', { keyCode: OO.ui.Keys.DELETE } ) );
+		assert.deepEqual( removed, [ 'three', 'two' ], 'Delete closes the selected tab' );
+		assert.strictEqual( index.getCurrentCardName(), 'one', 'Remaining card is shown' );
+
+		tabs.onKeyDown( $.Event( 'keydown', { keyCode: OO.ui.Keys.DELETE } ) );
+		assert.strictEqual( index.getCard( 'one' ) instanceof OO.ui.CardLayout, true, 'Card that is not closable is kept' );
+	} );
+
+	QUnit.test( 'TabSelectWidget#updateScrollButtons', 5, function ( assert ) {
+		var tabs = new OO.ui.TabSelectWidget( {
+				items: [ new OO.ui.TabOptionWidget( { data: 'a', label: 'A' } ) ]
+			} ),
+			strip = tabs.$tabs[ 0 ];
+
+		assert.strictEqual( tabs.previousButton.isVisible(), false, 'Buttons are hidden while tabs fit' );
+
+		// Stub measurements, as there is no layout to measure
+		Object.defineProperty( strip, 'scrollWidth', { value: 300 } );
+		Object.defineProperty( strip, 'clientWidth', { value: 100 } );
+		tabs.updateScrollButtons();
+		assert.strictEqual( tabs.$element.hasClass( 'oo-ui-tabSelectWidget-scrollable' ), true, 'Strip is scrollable' );
+		assert.strictEqual( tabs.previousButton.isDisabled(), true, 'Previous button is disabled at the start' );
+		assert.strictEqual( tabs.nextButton.isDisabled(), false, 'Next button is enabled' );
+
+		strip.scrollLeft = 200;
+		tabs.updateScrollButtons();
+		assert.strictEqual( tabs.nextButton.isDisabled(), true, 'Next button is disabled at the end' );
+	} );
+}() );
@@ -0,0 +1,210 @@
+( function () {
+	QUnit.module( 'SchemaFormLayout' );
+
+	function getWidget( form, name ) {
+		var i, len,
+			fields = form.getFieldLayouts();
+
+		for ( i = 0, len = fields.length; i < len; i++ ) {
+			if ( fields[ i ].getName() === name ) {
+				return fields[ i ].getField();
+			}
+		}
+		return null;
+	}
+
+	QUnit.test( 'Widgets', 9, function ( assert ) {
+		var form = new OO.ui.SchemaFormLayout( {
+			schema: {
+				type: 'object',
+				required: [ 'name' ],
+				properties: {
+					name: { type: 'string', title: 'Name', maxLength: 5 },
+					age: { type: 'integer', minimum: 0 },
+					ratio: { type: 'number', exclusiveMaximum: 1, multipleOf: 0.25 },
+					active: { type: 'boolean', default: true },
+					size: { 'enum': [ 1, 2, 3 ], default: 2 },
+					color: { type: 'string', 'enum': [ 'red', 'blue' ], widget: 'radio' },
+					address: {
+						type: 'object',
+						properties: {
+							city: { type: 'string' }
+						}
+					},
+					tags: { type: 'array', items: { type: 'string' } },
+					people: {
+						type: 'array',
+						items: {
+							type: 'object',
+							properties: {
+								name: { type: 'string' },
+								age: { type: 'integer' }
+							}
+						}
+					}
+				}
+			},
+			booleanWidget: 'toggle'
+		} );
+
+		assert.ok( getWidget( form, 'name' ) instanceof OO.ui.TextInputWidget, 'Text input for strings' );
+		assert.ok( getWidget( form, 'age' ) instanceof OO.ui.NumberInputWidget, 'Number input for integers' );
+		assert.ok( getWidget( form, 'age' ).getIsInteger(), 'Only whole numbers for integers' );
+		assert.ok( getWidget( form, 'active' ) instanceof OO.ui.ToggleSwitchWidget, 'Boolean widget can be chosen' );
+		assert.ok( getWidget( form, 'size' ) instanceof OO.ui.DropdownInputWidget, 'Dropdown for enums' );
+		assert.ok( getWidget( form, 'color' ) instanceof OO.ui.RadioSelectWidget, 'Widget can be chosen in the schema' );
+		assert.ok( getWidget( form, 'address.city' ) instanceof OO.ui.TextInputWidget, 'Nested objects are flattened' );
+		assert.ok( getWidget( form, 'people' ) instanceof OO.ui.RepeatableGroupWidget, 'Repeatable group for arrays' );
+		assert.strictEqual(
+			form.getFieldLayouts()[ 0 ].$label.text(), 'Name', 'Title is the label'
+		);
+	} );
+
+	QUnit.test( 'getValues/setValues', 4, function ( assert ) {
+		var form = new OO.ui.SchemaFormLayout( {
+			schema: {
+				type: 'object',
+				required: [ 'name' ],
+				properties: {
+					name: { type: 'string', title: 'Name', maxLength: 5 },
+					age: { type: 'integer', minimum: 0 },
+					ratio: { type: 'number', exclusiveMaximum: 1, multipleOf: 0.25 },
+					active: { type: 'boolean', default: true },
+					size: { 'enum': [ 1, 2, 3 ], default: 2 },
+					color: { type: 'string', 'enum': [ 'red', 'blue' ], widget: 'radio' },
+					address: {
+						type: 'object',
+						properties: {
+							city: { type: 'string' }
+						}
+					},
+					tags: { type: 'array', items: { type: 'string' } },
+					people: {
+						type: 'array',
+						items: {
+							type: 'object',
+							properties: {
+								name: { type: 'string' },
+								age: { type: 'integer' }
+							}
+						}
+					}
+				}
+			},
+			value: { name: 'Alex', tags: [ 'a' ] }
+		} );
+
+		assert.deepEqual(
+			form.getValues(),
+			{ name: 'Alex', active: true, size: 2, address: {}, tags: [ 'a' ], people: [] },
+			'Initial values and defaults, empty optional fields are left out'
+		);
+		assert.strictEqual( form.isDirty(), false, 'Form is not dirty initially' );
+
+		form.setValues( {
+			age: 30,
+			ratio: 0.5,
+			active: false,
+			size: 3,
+			color: 'blue',
+			address: { city: 'Paris' },
+			people: [ { name: 'Sam', age: 7 }, { name: 'Kim' } ]
+		} );
+		assert.deepEqual(
+			form.getValues(),
+			{
+				name: 'Alex',
+				age: 30,
+				ratio: 0.5,
+				active: false,
+				size: 3,
+				color: 'blue',
+				address: { city: 'Paris' },
+				tags: [ 'a' ],
+				people: [ { name: 'Sam', age: 7 }, { name: 'Kim' } ]
+			},
+			'Values are set and converted back to the types of the schema'
+		);
+		assert.strictEqual( form.isDirty(), true, 'Form is dirty after changes' );
+	} );
+
+	QUnit.asyncTest( 'Validation', 4, function ( assert ) {
+		var form = new OO.ui.SchemaFormLayout( {
+			schema: {
+				type: 'object',
+				required: [ 'name' ],
+				properties: {
+					name: { type: 'string', title: 'Name', maxLength: 5 },
+					ratio: { type: 'number', exclusiveMaximum: 1, multipleOf: 0.25 }
+				}
+			}
+		} );
+
+		form.validate().done( function ( valid ) {
+			assert.strictEqual( valid, false, 'Required property must be filled in' );
+
+			form.setValues( { name: 'Alex', ratio: 0.3 } );
+			form.validate().done( function ( valid ) {
+				assert.strictEqual( valid, false, 'Number must be a multiple' );
+
+				form.setValues( { ratio: 1 } );
+				form.validate().done( function ( valid ) {
+					assert.strictEqual( valid, false, 'Number must be below the exclusive maximum' );
+
+					form.setValues( { ratio: 0.75 } );
+					form.validate().done( function ( valid ) {
+						assert.strictEqual( valid, true, 'Valid values' );
+						QUnit.start();
+					} );
+				} );
+			} );
+		} );
+	} );
+
+	QUnit.asyncTest( 'Enums', 4, function ( assert ) {
+		var form = new OO.ui.SchemaFormLayout( {
+			schema: {
+				type: 'object',
+				required: [ 'color' ],
+				properties: {
+					color: { 'enum': [ 'red', 'blue' ], widget: 'radio' },
+					fruit: { 'enum': [ 'apple', 'pear' ] }
+				}
+			}
+		} );
+
+		assert.deepEqual( form.getValues(), {}, 'Optional dropdown is left out until an option is chosen' );
+		form.validate().done( function ( valid ) {
+			assert.strictEqual( valid, false, 'Required radio buttons must be selected' );
+
+			form.setValues( { color: 'red', fruit: 'pear' } );
+			form.validate().done( function ( valid ) {
+				assert.strictEqual( valid, true, 'Valid values' );
+				assert.deepEqual( form.getValues(), { color: 'red', fruit: 'pear' }, 'Chosen options are values' );
+				QUnit.start();
+			} );
+		} );
+	} );
+
+	QUnit.asyncTest( 'Exclusive bounds of draft 4', 2, function ( assert ) {
+		var form = new OO.ui.SchemaFormLayout( {
+			schema: {
+				type: 'object',
+				properties: {
+					ratio: { type: 'number', minimum: 0, exclusiveMinimum: true, maximum: 1, exclusiveMaximum: true }
+				}
+			}
+		} );
+
+		form.setValues( { ratio: 0 } );
+		form.validate().done( function ( valid ) {
+			assert.strictEqual( valid, false, 'Number must be above the minimum' );
+
+			form.setValues( { ratio: 0.5 } );
+			form.validate().done( function ( valid ) {
+				assert.strictEqual( valid, true, 'Valid number' );
+				QUnit.start();
+			} );
+		} );
+	} );
+}() );
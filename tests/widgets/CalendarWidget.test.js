@@ -0,0 +1,83 @@
+( function () {
+	QUnit.module( 'CalendarWidget' );
+
+	QUnit.test( 'parseDate/formatDate', 6, function ( assert ) {
+		var parseDate = OO.ui.CalendarWidget.static.parseDate,
+			formatDate = OO.ui.CalendarWidget.static.formatDate;
+
+		assert.strictEqual( formatDate( parseDate( '2015-06-15' ) ), '2015-06-15', 'Round trip' );
+		assert.strictEqual( formatDate( parseDate( '0099-01-01' ) ), '0099-01-01', 'Years before 100' );
+		assert.strictEqual( formatDate( parseDate( '2016-02-29' ) ), '2016-02-29', 'Leap day' );
+		assert.strictEqual( parseDate( '2015-02-29' ), null, 'Nonexistent day' );
+		assert.strictEqual( parseDate( '2015-6-15' ), null, 'Missing leading zeros' );
+		assert.strictEqual( parseDate( 'June' ), null, 'Not a date' );
+	} );
+
+	QUnit.test( 'setDate/getDate', 5, function ( assert ) {
+		var calendar = new OO.ui.CalendarWidget( { date: '2015-06-15' } ),
+			changes = [];
+
+		calendar.on( 'change', function ( date ) {
+			changes.push( date );
+		} );
+		assert.strictEqual( calendar.getDate(), '2015-06-15', 'Date from config' );
+		assert.strictEqual(
+			calendar.$element.find( '.oo-ui-calendarWidget-day-selected' ).attr( 'data-date' ),
+			'2015-06-15',
+			'Selected day is rendered'
+		);
+		calendar.setDate( '2015-06-15' ).setDate( 'invalid' );
+		assert.strictEqual( calendar.getDate(), null, 'Invalid dates are treated as null' );
+		calendar.setDate( '2015-07-01' );
+		assert.deepEqual( changes, [ null, '2015-07-01' ], 'Change events are only emitted for changes' );
+		assert.strictEqual( calendar.$days.find( 'td' ).length, 42, 'Six weeks are shown' );
+	} );
+
+	QUnit.test( 'moveFocusedDate', 5, function ( assert ) {
+		var calendar = new OO.ui.CalendarWidget( {
+			date: '2015-01-31',
+			min: '2014-12-15',
+			max: '2015-12-31'
+		} );
+
+		calendar.moveFocusedDate( 0, 1 );
+		assert.strictEqual( calendar.getFocusedDate(), '2015-02-28', 'Day is clamped to the end of a shorter month' );
+		calendar.moveFocusedDate( 7 );
+		assert.strictEqual( calendar.getFocusedDate(), '2015-03-07', 'Moving by a week crosses months' );
+		calendar.moveFocusedDate( 0, -12 );
+		assert.strictEqual( calendar.getFocusedDate(), '2014-12-15', 'Date is clamped to the minimum' );
+		assert.ok( calendar.previousButton.isDisabled(), 'Previous month button disabled at minimum' );
+		calendar.moveFocusedDate( 0, 24 );
+		assert.strictEqual( calendar.getFocusedDate(), '2015-12-31', 'Date is clamped to the maximum' );
+	} );
+
+	QUnit.test( 'onKeyDown', 4, function ( assert ) {
+		var calendar = new OO.ui.CalendarWidget( { date: '2015-06-15' } ),
+			chosen = null;
+
+		function press( which, shiftKey ) {
+			calendar.$grid.trigger( $.Event( 'keydown', { which: which, shiftKey: !!shiftKey } ) );
+		}
+
+		calendar.on( 'choose', function ( date ) {
+			chosen = date;
+		} );
+		press( OO.ui.Keys.RIGHT );
+		press( OO.ui.Keys.DOWN );
+		assert.strictEqual( calendar.getFocusedDate(), '2015-06-23', 'Arrow keys move by days and weeks' );
+		press( OO.ui.Keys.PAGEDOWN );
+		press( OO.ui.Keys.PAGEUP, true );
+		assert.strictEqual( calendar.getFocusedDate(), '2014-07-23', 'PageUp and PageDown move by months and years' );
+		press( OO.ui.Keys.ENTER );
+		assert.strictEqual( chosen, '2014-07-23', 'Enter chooses the focused date' );
+		assert.strictEqual( calendar.getDate(), '2014-07-23', 'Chosen date is selected' );
+	} );
+
+	QUnit.test( 'weekStart', 2, function ( assert ) {
+		var calendar = new OO.ui.CalendarWidget( { date: '2015-06-15', weekStart: 1 } );
+
+		assert.strictEqual( calendar.$grid.find( 'th' ).first().text(), OO.ui.msg( 'ooui-calendar-monday-short' ), 'Weeks start on Monday' );
+		// June 1st 2015 was a Monday
+		assert.strictEqual( calendar.$days.find( 'td' ).first().attr( 'data-date' ), '2015-06-01', 'Grid starts on the first Monday' );
+	} );
+}() );
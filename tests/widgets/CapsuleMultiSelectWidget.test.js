@@ -0,0 +1,70 @@
+( function () {
+	QUnit.module( 'CapsuleMultiSelectWidget' );
+
+	QUnit.test( 'setItemsFromData/getItemsData', 5, function ( assert ) {
+		var widget = new OO.ui.CapsuleMultiSelectWidget( {
+				menu: {
+					items: [
+						new OO.ui.MenuOptionWidget( { data: 'a', label: 'First' } ),
+						new OO.ui.MenuOptionWidget( { data: 'b', label: 'Second' } ),
+						new OO.ui.MenuOptionWidget( { data: 'c', label: 'Third' } )
+					]
+				}
+			} ),
+			changes = [];
+
+		widget.on( 'change', function ( datas ) {
+			changes.push( datas );
+		} );
+
+		widget.setItemsFromData( [ 'c', 'a', 'x' ] );
+		assert.deepEqual( widget.getItemsData(), [ 'c', 'a' ], 'Unknown data is ignored' );
+		assert.strictEqual( widget.getItems()[ 0 ].getLabel(), 'Third', 'Label is taken from the menu' );
+		assert.ok( !widget.getMenu().getItemFromData( 'c' ).isVisible(), 'Selected option is hidden in the menu' );
+
+		widget.setItemsFromData( [ 'c', 'a' ] );
+		widget.addItemsFromData( [ 'a' ] );
+		widget.removeItemsFromData( [ 'c' ] );
+		assert.deepEqual( widget.getItemsData(), [ 'a' ], 'Items removed' );
+		assert.deepEqual( changes, [ [ 'c', 'a' ], [ 'a' ] ], 'Change event only emitted on actual changes' );
+	} );
+
+	QUnit.test( 'allowArbitrary', 2, function ( assert ) {
+		var widget = new OO.ui.CapsuleMultiSelectWidget( {
+			allowArbitrary: true,
+			menu: {
+				items: [
+					new OO.ui.MenuOptionWidget( { data: 'a', label: 'First' } ),
+					new OO.ui.MenuOptionWidget( { data: 'b', label: 'Second' } ),
+					new OO.ui.MenuOptionWidget( { data: 'c', label: 'Third' } )
+				]
+			}
+		} );
+
+		widget.addItemsFromData( [ 'b', 'free text' ] );
+		assert.deepEqual( widget.getItemsData(), [ 'b', 'free text' ], 'Arbitrary data is added' );
+		assert.strictEqual( widget.getItems()[ 1 ].getLabel(), 'free text', 'Data is used as label' );
+	} );
+
+	QUnit.test( 'Removing items', 3, function ( assert ) {
+		var widget = new OO.ui.CapsuleMultiSelectWidget( {
+			menu: {
+				items: [
+					new OO.ui.MenuOptionWidget( { data: 'a', label: 'First' } ),
+					new OO.ui.MenuOptionWidget( { data: 'b', label: 'Second' } ),
+					new OO.ui.MenuOptionWidget( { data: 'c', label: 'Third' } )
+				]
+			}
+		} ).setItemsFromData( [ 'a', 'b', 'c' ] );
+
+		widget.getItems()[ 1 ].emit( 'remove' );
+		assert.deepEqual( widget.getItemsData(), [ 'a', 'c' ], 'Item removed by its remove event' );
+
+		widget.input.$input.trigger( $.Event( 'keydown', { which: OO.ui.Keys.BACKSPACE } ) );
+		assert.deepEqual( widget.getItemsData(), [ 'a' ], 'Backspace in the empty input removes the last item' );
+
+		widget.input.setValue( 'x' );
+		widget.input.$input.trigger( $.Event( 'keydown', { which: OO.ui.Keys.BACKSPACE } ) );
+		assert.deepEqual( widget.getItemsData(), [ 'a' ], 'Backspace in a non-empty input removes nothing' );
+	} );
+}() );
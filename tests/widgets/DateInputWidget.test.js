@@ -0,0 +1,55 @@
+( function () {
+	QUnit.module( 'DateInputWidget' );
+
+	QUnit.test( 'setValue/getValue', 5, function ( assert ) {
+		var widget = new OO.ui.DateInputWidget( { value: '2015-06-15', displayFormat: 'D.M.YYYY' } );
+
+		assert.strictEqual( widget.getValue(), '2015-06-15', 'Value from config' );
+		assert.strictEqual( widget.textInput.getValue(), '15.6.2015', 'Value is shown in the display format' );
+		assert.strictEqual( widget.calendar.getDate(), '2015-06-15', 'Calendar shows the value' );
+		widget.setValue( '2015-02-30' );
+		assert.strictEqual( widget.getValue(), '', 'Invalid dates are treated as empty' );
+		assert.strictEqual( widget.textInput.getValue(), '', 'Text is cleared' );
+	} );
+
+	QUnit.test( 'parseDisplayDate', 5, function ( assert ) {
+		var widget = new OO.ui.DateInputWidget( { displayFormat: 'DD/MM/YYYY' } );
+
+		assert.strictEqual( widget.parseDisplayDate( '15/06/2015' ), '2015-06-15', 'Display format' );
+		assert.strictEqual( widget.parseDisplayDate( ' 5/6/2015 ' ), '2015-06-05', 'Missing leading zeros and whitespace' );
+		assert.strictEqual( widget.parseDisplayDate( '2015-06-15' ), '2015-06-15', 'ISO format' );
+		assert.strictEqual( widget.parseDisplayDate( '31/06/2015' ), null, 'Nonexistent day' );
+		assert.strictEqual( widget.parseDisplayDate( '15.06.2015' ), null, 'Other separators' );
+	} );
+
+	QUnit.test( 'onTextInputChange/onCalendarChoose', 4, function ( assert ) {
+		var widget = new OO.ui.DateInputWidget( { displayFormat: 'D.M.YYYY' } );
+
+		widget.textInput.setValue( '5.6.2015' );
+		assert.strictEqual( widget.getValue(), '2015-06-05', 'Typed date sets the value' );
+		widget.textInput.setValue( '5.6.' );
+		assert.strictEqual( widget.getValue(), '', 'Incomplete date clears the value' );
+		assert.strictEqual( widget.textInput.getValue(), '5.6.', 'Typed text is kept' );
+		widget.calendar.setFocusedDate( '2015-07-01' );
+		widget.calendar.choose();
+		assert.strictEqual( widget.textInput.getValue(), '1.7.2015', 'Chosen date is shown' );
+	} );
+
+	QUnit.asyncTest( 'getValidity', 3, function ( assert ) {
+		var widget = new OO.ui.DateInputWidget( { min: '2015-01-01', max: '2015-12-31' } );
+
+		widget.setValue( '2014-12-31' );
+		widget.getValidity().done( function ( validity ) {
+			assert.deepEqual( validity.errors, [ OO.ui.msg( 'ooui-validation-date-min', '2015-01-01' ) ], 'Too early' );
+			widget.setValue( '2016-01-01' );
+			widget.getValidity().done( function ( validity ) {
+				assert.deepEqual( validity.errors, [ OO.ui.msg( 'ooui-validation-date-max', '2015-12-31' ) ], 'Too late' );
+				widget.textInput.setValue( 'soon' );
+				widget.getValidity().done( function ( validity ) {
+					assert.deepEqual( validity.errors, [ OO.ui.msg( 'ooui-validation-invalid' ) ], 'Not a date' );
+					QUnit.start();
+				} );
+			} );
+		} );
+	} );
+}() );
@@ -0,0 +1,116 @@
+( function () {
+	QUnit.module( 'InputWidget' );
+
+	QUnit.test( 'addValidator', 5, function ( assert ) {
+		var widget = new OO.ui.TextInputWidget(),
+			validate = function () {
+				return true;
+			};
+
+		widget.setValidators( [
+			'required',
+			/^a/,
+			validate,
+			{ type: 'length', max: 3, warning: true }
+		] );
+		assert.deepEqual(
+			widget.getValidators(),
+			[
+				{ type: 'required' },
+				{ type: 'pattern', pattern: /^a/ },
+				{ type: 'custom', validate: validate },
+				{ type: 'length', max: 3, warning: true }
+			],
+			'Validators are normalized'
+		);
+		assert.strictEqual( widget.addValidator( { validate: validate } ), widget, 'Chainable' );
+		assert.strictEqual( widget.getValidators()[ 4 ].type, 'custom', 'Objects with a function are custom' );
+		assert.throws( function () {
+			widget.addValidator( 'unknown' );
+		}, /Unknown validator type: unknown/, 'Unknown types throw' );
+		widget.setValidators( [] );
+		assert.strictEqual( widget.getValidators().length, 0, 'Validators are replaced' );
+	} );
+
+	QUnit.asyncTest( 'getValidity', 4, function ( assert ) {
+		var widget = new OO.ui.TextInputWidget( {
+				validationDelay: 0,
+				validators: [
+					'required',
+					{ type: 'length', min: 3 },
+					{ type: 'pattern', pattern: /^[A-Z]/, message: 'Capital', warning: true },
+					function ( value ) {
+						return $.Deferred().resolve( value !== 'Taken' || 'Already taken' ).promise();
+					}
+				]
+			} ),
+			cases = [
+				[ '', { errors: [ OO.ui.msg( 'ooui-validation-required' ) ], warnings: [] }, 'Empty value' ],
+				[ 'ab', {
+					errors: [ OO.ui.msg( 'ooui-validation-length-min', 3 ) ],
+					warnings: [ 'Capital' ]
+				}, 'Too short, with warning' ],
+				[ 'Taken', { errors: [ 'Already taken' ], warnings: [] }, 'Asynchronous error message' ],
+				[ 'Valid', { errors: [], warnings: [] }, 'Valid value' ]
+			];
+
+		function next() {
+			var testCase = cases.shift();
+			if ( !testCase ) {
+				QUnit.start();
+				return;
+			}
+			widget.setValue( testCase[ 0 ] );
+			widget.getValidity().done( function ( validity ) {
+				assert.deepEqual( validity, testCase[ 1 ], testCase[ 2 ] );
+				next();
+			} );
+		}
+		next();
+	} );
+
+	QUnit.asyncTest( 'Validity of values that are set', 4, function ( assert ) {
+		var plain = new OO.ui.TextInputWidget( { validate: 'integer', validationDelay: 0 } ),
+			validated = new OO.ui.TextInputWidget( { validators: [ 'required' ], validationDelay: 0 } ),
+			events = [];
+
+		plain.setValue( 'abc' );
+		assert.ok( plain.hasFlag( 'invalid' ), 'Invalid flag is set right away without validators' );
+		plain.setValue( '12' );
+		assert.ok( !plain.hasFlag( 'invalid' ), 'Invalid flag is cleared right away without validators' );
+
+		plain.on( 'validate', function () {
+			events.push( 'plain' );
+		} );
+		validated.on( 'validate', function () {
+			events.push( 'validated' );
+		} );
+		plain.setValue( '34' );
+		events = [];
+		validated.setValue( 'a' ).setValue( '' );
+		assert.deepEqual( events, [], 'Values with validators are not validated right away' );
+		setTimeout( function () {
+			assert.deepEqual( events, [ 'validated' ], 'Values are validated once later, only with validators' );
+			QUnit.start();
+		}, 10 );
+	} );
+
+	QUnit.asyncTest( 'updateValidity', 4, function ( assert ) {
+		var widget = new OO.ui.TextInputWidget( { validators: [ 'required' ] } );
+
+		widget.on( 'validate', function ( validity ) {
+			assert.deepEqual( validity.errors, [ OO.ui.msg( 'ooui-validation-required' ) ], 'Event is emitted' );
+		} );
+		widget.updateValidity().done( function () {
+			assert.ok( widget.hasFlag( 'invalid' ), 'Invalid flag is set' );
+			assert.strictEqual( widget.$input.attr( 'aria-invalid' ), 'true', 'ARIA state is set' );
+			widget.setValidators( [ { type: 'custom', validate: function () {
+				return $.Deferred().reject().promise();
+			} } ] );
+			widget.isValid().done( function ( valid ) {
+				assert.strictEqual( valid, false, 'Rejected promises count as failures' );
+				QUnit.start();
+			} );
+		} );
+	} );
+}() );
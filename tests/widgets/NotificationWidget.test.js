@@ -0,0 +1,127 @@
+( function () {
+	QUnit.module( 'NotificationWidget' );
+
+	function getLabels( notifications ) {
+		return notifications.map( function ( notification ) {
+			return notification.getLabel();
+		} );
+	}
+
+	QUnit.test( 'Types and actions', 7, function ( assert ) {
+		var actions = [],
+			info = new OO.ui.NotificationWidget( { label: 'Info', autoHide: false } ),
+			error = new OO.ui.NotificationWidget( {
+				label: 'Error',
+				type: 'error',
+				actions: [ { action: 'retry', label: 'Retry' } ],
+				autoHide: false
+			} );
+
+		assert.strictEqual( info.getType(), 'info', 'Type defaults to info' );
+		assert.strictEqual( info.getIcon(), 'info', 'Icon is chosen by type' );
+		assert.ok( error.hasFlag( 'error' ), 'Type is set as a flag' );
+		assert.strictEqual( error.$element.attr( 'role' ), 'alert', 'Errors are announced as alerts' );
+
+		error.on( 'action', function ( action ) {
+			actions.push( action );
+		} );
+		error.getActionButtons()[ 0 ].emit( 'click' );
+		assert.deepEqual( actions, [ 'retry' ], 'Clicking an action button emits an action event' );
+		assert.ok( error.isClosed(), 'Clicking an action button closes the notification' );
+
+		assert.strictEqual(
+			new OO.ui.NotificationWidget( { label: 'Custom', type: 'warning', icon: 'help', autoHide: false } ).getIcon(),
+			'help',
+			'Icon can be set'
+		);
+	} );
+
+	QUnit.test( 'NotificationStackWidget', 6, function ( assert ) {
+		var stack = new OO.ui.NotificationStackWidget( { limit: 2 } ),
+			a = new OO.ui.NotificationWidget( { label: 'A', autoHide: false } ),
+			b = new OO.ui.NotificationWidget( { label: 'B', autoHide: false } ),
+			c = new OO.ui.NotificationWidget( { label: 'C', autoHide: false } ),
+			d = new OO.ui.NotificationWidget( { label: 'D', autoHide: false } );
+
+		stack.push( a ).push( b ).push( c ).push( d );
+		assert.deepEqual( getLabels( stack.getItems() ), [ 'A', 'B' ], 'Shows up to the limit' );
+		assert.deepEqual(
+			getLabels( stack.getQueuedNotifications() ), [ 'C', 'D' ], 'Queues the rest'
+		);
+
+		a.close();
+		assert.deepEqual(
+			getLabels( stack.getItems() ), [ 'B', 'C' ], 'Shows the next queued notification when one closes'
+		);
+
+		d.close();
+		assert.deepEqual( stack.getQueuedNotifications(), [], 'Queued notifications can be closed' );
+
+		stack.closeAll();
+		assert.deepEqual( stack.getItems(), [], 'Closes all notifications' );
+		assert.strictEqual( stack.$element.attr( 'aria-live' ), 'polite', 'Stack is a live region' );
+	} );
+
+	QUnit.test( 'getConfig', 4, function ( assert ) {
+		var notification = new OO.ui.NotificationWidget( {
+				label: 'Deleted.',
+				type: 'success',
+				autoHide: false,
+				actions: [ { action: 'undo', label: 'Undo' } ]
+			} ),
+			copy = OO.ui.create( OO.ui.serialize( notification ) );
+
+		assert.deepEqual(
+			[ copy.getType(), copy.isAutoHiding(), copy.getIcon(), copy.getFlags() ],
+			[ 'success', false, 'check', [ 'success' ] ],
+			'Type and auto-hiding are kept, icon and flags are set from the type'
+		);
+		assert.deepEqual(
+			copy.getActionButtons().map( function ( button ) {
+				return [ button.getAction(), button.getLabel() ];
+			} ),
+			[ [ 'undo', 'Undo' ] ],
+			'Actions are kept'
+		);
+		assert.strictEqual( OO.ui.serialize( notification ).icon, undefined, 'Icon of the type is left out' );
+		assert.strictEqual(
+			OO.ui.create( OO.ui.serialize( new OO.ui.NotificationWidget( { label: 'Later.', autoHide: 100 } ) ) ).hideDelay,
+			100,
+			'Delay is kept'
+		);
+	} );
+
+	QUnit.test( 'notify', 3, function ( assert ) {
+		var notification = OO.ui.notify( 'Saved.', { type: 'success', autoHide: false } );
+
+		assert.strictEqual( notification.getLabel(), 'Saved.', 'Message is the label' );
+		assert.ok(
+			$.contains( document.body, notification.$element[ 0 ] ),
+			'Notification is shown in the page'
+		);
+		notification.close();
+		assert.strictEqual(
+			notification.$element.parent().length, 0, 'Notification is removed when closed'
+		);
+	} );
+
+	QUnit.asyncTest( 'autoHide', 3, function ( assert ) {
+		var stack = new OO.ui.NotificationStackWidget(),
+			hovered = new OO.ui.NotificationWidget( { label: 'Hovered', autoHide: 1 } ),
+			plain = new OO.ui.NotificationWidget( { label: 'Plain', autoHide: 1 } );
+
+		stack.push( hovered ).push( plain );
+		hovered.$element.trigger( 'mouseenter' );
+
+		setTimeout( function () {
+			assert.ok( plain.isClosed(), 'Closes after the delay' );
+			assert.ok( !hovered.isClosed(), 'Timer is paused while hovered' );
+
+			hovered.$element.trigger( 'mouseleave' );
+			setTimeout( function () {
+				assert.ok( hovered.isClosed(), 'Timer resumes when no longer hovered' );
+				QUnit.start();
+			}, 20 );
+		}, 20 );
+	} );
+}() );
@@ -0,0 +1,63 @@
+( function () {
+	QUnit.module( 'NumberInputWidget' );
+
+	QUnit.test( 'parseNumber', 7, function ( assert ) {
+		var widget = new OO.ui.NumberInputWidget();
+
+		widget.separators = { group: ',', decimal: '.' };
+		assert.strictEqual( widget.parseNumber( '42' ), 42, 'Integer' );
+		assert.strictEqual( widget.parseNumber( ' -1,234.5 ' ), -1234.5, 'Group separators and whitespace' );
+		assert.strictEqual( widget.parseNumber( '−3' ), -3, 'Minus sign' );
+		assert.ok( isNaN( widget.parseNumber( '' ) ), 'Empty string' );
+		assert.ok( isNaN( widget.parseNumber( '12abc' ) ), 'Trailing garbage' );
+
+		widget.separators = { group: '.', decimal: ',' };
+		assert.strictEqual( widget.parseNumber( '1.234,5' ), 1234.5, 'Localized separators' );
+		assert.strictEqual( widget.formatNumber( 0.5 ), '0,5', 'Localized formatting' );
+	} );
+
+	QUnit.test( 'adjustValue', 6, function ( assert ) {
+		var widget = new OO.ui.NumberInputWidget( { min: 0, max: 1, step: 0.1 } );
+
+		widget.separators = { group: ',', decimal: '.' };
+		widget.adjustValue( 0.1 );
+		assert.strictEqual( widget.getNumericValue(), 0.1, 'Empty value is treated as zero' );
+		widget.adjustValue( 0.1 ).adjustValue( 0.1 );
+		assert.strictEqual( widget.getValue(), '0.3', 'Floating point errors are stripped' );
+		widget.adjustValue( 5 );
+		assert.strictEqual( widget.getNumericValue(), 1, 'Clamped to maximum' );
+		assert.ok( widget.plusButton.isDisabled(), 'Increment button disabled at maximum' );
+		widget.adjustValue( -5 );
+		assert.strictEqual( widget.getNumericValue(), 0, 'Clamped to minimum' );
+		assert.ok( widget.minusButton.isDisabled(), 'Decrement button disabled at minimum' );
+	} );
+
+	QUnit.asyncTest( 'isValid', 5, function ( assert ) {
+		var widget = new OO.ui.NumberInputWidget( { min: 1, max: 10, isInteger: true } ),
+			cases = [
+				[ '', true, 'Empty value' ],
+				[ '5', true, 'Integer in range' ],
+				[ '5.5', false, 'Fraction' ],
+				[ '11', false, 'Out of range' ],
+				[ 'five', false, 'Not a number' ]
+			];
+
+		widget.separators = { group: ',', decimal: '.' };
+		$.when.apply( $, cases.map( function ( test ) {
+			return widget.setValue( test[ 0 ] ).isValid().done( function ( valid ) {
+				assert.strictEqual( valid, test[ 1 ], test[ 2 ] );
+			} );
+		} ) ).always( QUnit.start );
+	} );
+
+	QUnit.test( 'setRange/setStep', 2, function ( assert ) {
+		var widget = new OO.ui.NumberInputWidget();
+
+		assert.throws( function () {
+			widget.setRange( 2, 1 );
+		}, 'Minimum greater than maximum' );
+		assert.throws( function () {
+			widget.setStep( 0 );
+		}, 'Non-positive step' );
+	} );
+}() );
@@ -0,0 +1,92 @@
+( function () {
+	QUnit.module( 'RepeatableGroupWidget' );
+
+	function getRemoveButton( item ) {
+		return item.$element.data( 'oo-ui-removeButton' );
+	}
+
+	QUnit.test( 'getFormValue/setFormValue', 6, function ( assert ) {
+		var changes = 0,
+			group = new OO.ui.RepeatableGroupWidget( {
+				minItems: 1,
+				createItem: function () {
+					return [
+						new OO.ui.FieldLayout( new OO.ui.TextInputWidget( { validators: [ 'required' ] } ), { name: 'name' } ),
+						new OO.ui.FieldLayout( new OO.ui.CheckboxInputWidget(), { name: 'admin' } )
+					];
+				}
+			} ),
+			single = new OO.ui.RepeatableGroupWidget( {
+				createItem: function () {
+					return [ new OO.ui.FieldLayout( new OO.ui.TextInputWidget() ) ];
+				}
+			} );
+
+		assert.deepEqual( group.getFormValue(), [ { name: '', admin: false } ], 'Starts with the minimum number of items' );
+
+		group.on( 'change', function () {
+			changes++;
+		} );
+		group.setFormValue( [ { name: 'a' }, { name: 'b', admin: true } ] );
+		assert.deepEqual(
+			group.getFormValue(),
+			[ { name: 'a', admin: false }, { name: 'b', admin: true } ],
+			'Items are added as needed'
+		);
+		group.getItems()[ 0 ].getItems()[ 0 ].getField().setValue( 'c' );
+		assert.strictEqual( group.getFormValue()[ 0 ].name, 'c', 'Values of fields are read' );
+		assert.ok( changes >= 2, 'Change is emitted when items are added and fields change' );
+
+		group.setFormValue( [] );
+		assert.strictEqual( group.getItems().length, 1, 'Items are removed down to the minimum' );
+
+		single.setFormValue( [ 'x', 'y' ] );
+		assert.deepEqual( single.getFormValue(), [ 'x', 'y' ], 'A single unnamed field gives plain values' );
+	} );
+
+	QUnit.test( 'Adding and removing items', 5, function ( assert ) {
+		var group = new OO.ui.RepeatableGroupWidget( {
+			minItems: 1,
+			maxItems: 2,
+			createItem: function () {
+				return [
+					new OO.ui.FieldLayout( new OO.ui.TextInputWidget( { validators: [ 'required' ] } ), { name: 'name' } ),
+					new OO.ui.FieldLayout( new OO.ui.CheckboxInputWidget(), { name: 'admin' } )
+				];
+			}
+		} );
+
+		assert.ok( getRemoveButton( group.getItems()[ 0 ] ).isDisabled(), 'Cannot remove items at the minimum' );
+
+		group.addButton.emit( 'click' );
+		assert.strictEqual( group.getItems().length, 2, 'Add button adds an item' );
+		assert.ok( group.addButton.isDisabled(), 'Cannot add items at the maximum' );
+
+		getRemoveButton( group.getItems()[ 0 ] ).emit( 'click' );
+		assert.strictEqual( group.getItems().length, 1, 'Remove button removes its item' );
+		assert.ok( !group.addButton.isDisabled(), 'Can add items again below the maximum' );
+	} );
+
+	QUnit.asyncTest( 'updateValidity', 2, function ( assert ) {
+		var group = new OO.ui.RepeatableGroupWidget( {
+			createItem: function () {
+				return [
+					new OO.ui.FieldLayout( new OO.ui.TextInputWidget( { validators: [ 'required' ] } ), { name: 'name' } ),
+					new OO.ui.FieldLayout( new OO.ui.CheckboxInputWidget(), { name: 'admin' } )
+				];
+			}
+		} );
+
+		group.setFormValue( [ { name: '' } ] );
+		group.updateValidity().done( function ( validity ) {
+			assert.deepEqual(
+				validity.errors, [ OO.ui.msg( 'ooui-validation-items-invalid' ) ], 'Invalid when a field is invalid'
+			);
+			group.setFormValue( [ { name: 'a' } ] );
+			group.updateValidity().done( function ( validity ) {
+				assert.deepEqual( validity.errors, [], 'Valid when all fields are valid' );
+				QUnit.start();
+			} );
+		} );
+	} );
+}() );
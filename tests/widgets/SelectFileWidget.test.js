@@ -0,0 +1,135 @@
+( function () {
+	QUnit.module( 'SelectFileWidget' );
+
+	function dragEvent( type, files ) {
+		return $.Event( type, {
+			originalEvent: { dataTransfer: { types: [ 'Files' ], files: files, dropEffect: 'none' } }
+		} );
+	}
+
+	QUnit.test( 'getValue/setValue', 6, function ( assert ) {
+		var changes = [],
+			a = new window.File( [ '' ], 'a.txt', { type: 'text/plain' } ),
+			b = new window.File( [ '' ], 'b.txt', { type: 'text/plain' } ),
+			single = new OO.ui.SelectFileWidget(),
+			multiple = new OO.ui.SelectFileWidget( { multiple: true } );
+
+		assert.strictEqual( single.getValue(), null, 'Value is null without a file' );
+		single.on( 'change', function ( value ) {
+			changes.push( value );
+		} );
+		single.setValue( [ a, b ] );
+		assert.strictEqual( single.getValue(), a, 'Only the first file is kept without multiple' );
+		single.setValue( a );
+		assert.deepEqual( changes, [ a ], 'Change is emitted only when the files change' );
+
+		assert.deepEqual( multiple.getValue(), [], 'Value is an empty array with multiple' );
+		multiple.setValue( [ a, b ] );
+		assert.deepEqual( multiple.getValue(), [ a, b ], 'Value is the list of files with multiple' );
+		multiple.$element.find( '.oo-ui-selectFileWidget-file' ).first()
+			.data( 'oo-ui-removeButton' ).emit( 'click' );
+		assert.deepEqual( multiple.getValue(), [ b ], 'Files can be removed with their buttons' );
+	} );
+
+	QUnit.test( 'Filtering', 5, function ( assert ) {
+		var rejected = [],
+			png = new window.File( [ '' ], 'image.png', { type: 'image/png' } ),
+			pdf = new window.File( [ '' ], 'Document.PDF', { type: '' } ),
+			large = new window.File( [ 'xxxxxxxxxxxxxxxxxxxx' ], 'large.png', { type: 'image/png' } ),
+			text = new window.File( [ '' ], 'notes.txt', { type: 'text/plain' } ),
+			widget = new OO.ui.SelectFileWidget( {
+				multiple: true,
+				accept: [ 'image/*', '.pdf' ],
+				maxSize: 10
+			} );
+
+		widget.on( 'reject', function ( files ) {
+			rejected = rejected.concat( files );
+		} );
+		widget.addFiles( [ png, pdf, large, text ] );
+
+		assert.deepEqual( widget.getValue(), [ png, pdf ], 'Files are matched by MIME type and extension' );
+		assert.deepEqual(
+			rejected.map( function ( item ) {
+				return [ item.file, item.reason ];
+			} ),
+			[ [ large, 'size' ], [ text, 'type' ] ],
+			'Other files are rejected with a reason'
+		);
+		assert.strictEqual(
+			rejected[ 1 ].message,
+			OO.ui.msg( 'ooui-selectfile-reject-type', 'notes.txt' ),
+			'Rejected files come with a message'
+		);
+		assert.strictEqual( widget.$input.attr( 'accept' ), 'image/*,.pdf', 'Input accepts the same files' );
+		assert.strictEqual( widget.getRejectReason( png ), null, 'Allowed file has no reason to reject it' );
+	} );
+
+	QUnit.test( 'Rejected files', 3, function ( assert ) {
+		var rejected = [],
+			chosen = [ new window.File( [ '' ], 'notes.txt', { type: 'text/plain' } ) ],
+			widget = new OO.ui.SelectFileWidget( { accept: [ 'image/*' ] } );
+
+		// Files of the input can't be set in tests, so pretend the user picked them
+		Object.defineProperty( widget.$input[ 0 ], 'files', {
+			configurable: true,
+			get: function () {
+				return chosen;
+			},
+			set: function ( files ) {
+				chosen = files;
+			}
+		} );
+		Object.defineProperty( widget.$input[ 0 ], 'value', {
+			configurable: true,
+			get: function () {
+				return chosen.length ? chosen[ 0 ].name : '';
+			},
+			set: function ( value ) {
+				if ( value === '' ) {
+					chosen = [];
+				}
+			}
+		} );
+		widget.on( 'reject', function ( files ) {
+			rejected = rejected.concat( files );
+		} );
+		widget.$input.trigger( 'change' );
+
+		assert.strictEqual( widget.getValue(), null, 'Rejected file is not chosen' );
+		assert.strictEqual( rejected.length, 1, 'Rejected file is reported' );
+		assert.strictEqual( widget.$input[ 0 ].files.length, 0, 'Rejected file is removed from the input' );
+	} );
+
+	QUnit.test( 'Drag and drop', 5, function ( assert ) {
+		var file = new window.File( [ '' ], 'a.txt', { type: 'text/plain' } ),
+			widget = new OO.ui.SelectFileWidget( { dropTarget: true } );
+
+		widget.$element.trigger( dragEvent( 'dragenter', [] ) );
+		assert.ok( widget.$element.hasClass( 'oo-ui-selectFileWidget-dragover' ), 'Highlighted when dragging files over' );
+		widget.$element.trigger( dragEvent( 'dragleave', [] ) );
+		assert.ok( !widget.$element.hasClass( 'oo-ui-selectFileWidget-dragover' ), 'Not highlighted after leaving' );
+
+		widget.$element.trigger( dragEvent( 'dragenter', [] ) );
+		widget.$element.trigger( dragEvent( 'drop', [ file ] ) );
+		assert.strictEqual( widget.getValue(), file, 'Dropped file is chosen' );
+		assert.ok( !widget.$element.hasClass( 'oo-ui-selectFileWidget-dragover' ), 'Not highlighted after dropping' );
+
+		widget.setDisabled( true ).setValue( null );
+		widget.$element.trigger( dragEvent( 'drop', [ file ] ) );
+		assert.strictEqual( widget.getValue(), null, 'Files cannot be dropped when disabled' );
+	} );
+
+	QUnit.asyncTest( 'Validation', 2, function ( assert ) {
+		var widget = new OO.ui.SelectFileWidget( { validators: [ 'required' ] } );
+
+		widget.isValid().done( function ( valid ) {
+			assert.strictEqual( valid, false, 'Required without a file' );
+			widget.setValue( new window.File( [ '' ], 'a.txt', { type: 'text/plain' } ) );
+			widget.isValid().done( function ( valid ) {
+				assert.strictEqual( valid, true, 'Valid with a file' );
+				QUnit.start();
+			} );
+		} );
+	} );
+}() );
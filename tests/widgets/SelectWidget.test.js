@@ -0,0 +1,248 @@
+( function () {
+	QUnit.module( 'SelectWidget' );
+
+	function makeItems( count ) {
+		var i,
+			items = [];
+
+		for ( i = 0; i < count; i++ ) {
+			items.push( new OO.ui.MenuOptionWidget( { data: 'item' + i, label: 'Item ' + i } ) );
+		}
+		return items;
+	}
+
+	function getAttachedItems( select ) {
+		return select.getItems().filter( function ( item ) {
+			return item.$element[ 0 ].parentNode === select.$element[ 0 ];
+		} );
+	}
+
+	// Stub measurements, as there is no layout to measure: options are 20px high in a 100px view
+	function makeMeasurableSelect( config ) {
+		var scrollTop = 0,
+			select = new OO.ui.SelectWidget( config );
+
+		select.getVirtualItemHeight = function () {
+			return 20;
+		};
+		select.$element.innerHeight = function () {
+			return 100;
+		};
+		select.$element.scrollTop = function ( value ) {
+			if ( value === undefined ) {
+				return scrollTop;
+			}
+			scrollTop = value;
+			return this;
+		};
+		return select;
+	}
+
+	QUnit.test( 'updateVirtualItems', 11, function ( assert ) {
+		var attached, insertBefore,
+			inserted = 0,
+			measured = [],
+			items = makeItems( 1000 ),
+			select = new OO.ui.SelectWidget( { virtual: true } );
+
+		select.getVirtualItemHeight = function () {
+			measured.push( getAttachedItems( this ).length );
+			return OO.ui.SelectWidget.prototype.getVirtualItemHeight.call( this );
+		};
+		select.addItems( items );
+		assert.strictEqual( getAttachedItems( select ).length, 20, 'Some options are attached before they can be measured' );
+		assert.ok( Math.max.apply( Math, measured ) <= 20, 'Options are never all attached' );
+
+		select = makeMeasurableSelect( { virtual: true } ).addItems( items );
+		attached = getAttachedItems( select );
+		assert.deepEqual(
+			[ attached.length, attached[ 0 ], select.$virtualAfter.css( 'height' ) ],
+			[ 15, items[ 0 ], ( 985 * 20 ) + 'px' ],
+			'Options in view and the buffer after them are attached'
+		);
+		assert.strictEqual( items[ 14 ].$element.attr( 'aria-setsize' ), '1000', 'Attached options know the size of the set' );
+
+		select.$element.scrollTop( 10000 );
+		select.updateVirtualItems();
+		attached = getAttachedItems( select );
+		assert.deepEqual(
+			[ attached.length, attached[ 0 ], select.$virtualBefore.css( 'height' ) ],
+			[ 25, items[ 490 ], ( 490 * 20 ) + 'px' ],
+			'Options in view and the buffers before and after them are attached after scrolling'
+		);
+		assert.strictEqual( items[ 0 ].$element[ 0 ].parentNode, null, 'Options out of view are detached' );
+
+		insertBefore = select.$element[ 0 ].insertBefore;
+		select.$element[ 0 ].insertBefore = function () {
+			inserted++;
+			return insertBefore.apply( this, arguments );
+		};
+		select.$element.scrollTop( 10010 );
+		select.updateVirtualItems();
+		inserted = 0;
+		select.$element.scrollTop( 10015 );
+		select.updateVirtualItems();
+		assert.strictEqual( inserted, 0, 'Nothing is attached when the same options stay in view' );
+		select.$element.scrollTop( 10030 );
+		select.updateVirtualItems();
+		attached = getAttachedItems( select );
+		assert.deepEqual(
+			[ inserted, attached.length, attached[ 0 ], attached[ 25 ] ],
+			[ 1, 26, items[ 491 ], items[ 516 ] ],
+			'Only options entering the view are attached'
+		);
+		assert.strictEqual( items[ 516 ].$element.attr( 'aria-posinset' ), '517', 'Attached options know their position' );
+		delete select.$element[ 0 ].insertBefore;
+
+		select.removeItems( items.slice( 0, 900 ) );
+		assert.strictEqual( getAttachedItems( select ).length, 15, 'Options are updated after removing options' );
+
+		select = new OO.ui.SelectWidget( { items: makeItems( 100 ) } );
+		assert.strictEqual( getAttachedItems( select ).length, 100, 'All options are attached if not virtualized' );
+	} );
+
+	QUnit.test( 'logical items of virtual select', 7, function ( assert ) {
+		var items = makeItems( 1000 ),
+			select = makeMeasurableSelect( { virtual: true } ).addItems( items );
+
+		assert.strictEqual( select.getItemFromData( 'item500' ), items[ 500 ], 'getItemFromData finds detached options' );
+		assert.strictEqual( select.getRelativeSelectableItem( items[ 999 ], 1 ), items[ 0 ], 'getRelativeSelectableItem wraps around all options' );
+		assert.strictEqual( select.getRelativeSelectableItem( null, -1 ), items[ 999 ], 'getRelativeSelectableItem starts at the last option' );
+
+		select.highlightItem( items[ 700 ] );
+		assert.strictEqual( select.getHighlightedItem(), items[ 700 ], 'Detached options can be highlighted' );
+
+		select.selectItem( items[ 500 ] );
+		assert.strictEqual( select.getSelectedItem(), items[ 500 ], 'Detached options can be selected' );
+		assert.strictEqual( select.$element.scrollTop(), 500 * 20 + 20 - 100, 'Selected option is scrolled into view' );
+		assert.strictEqual( items[ 500 ].$element[ 0 ].parentNode, select.$element[ 0 ], 'Selected option is attached' );
+	} );
+
+	function keyPress( select, character ) {
+		var e = $.Event( 'keypress', { charCode: character.charCodeAt( 0 ) } );
+		select.onKeyPress( e );
+		return e;
+	}
+
+	function keyDown( select, keyCode ) {
+		select.onKeyDown( $.Event( 'keydown', { keyCode: keyCode } ) );
+	}
+
+	QUnit.test( 'onKeyPress', 8, function ( assert ) {
+		var e,
+			labels = [ 'Apple', 'Banana', 'blueberry', ' Cherry', 'Blackberry' ],
+			select = new OO.ui.SelectWidget( {
+				items: labels.map( function ( label ) {
+					return new OO.ui.MenuOptionWidget( { data: label, label: label } );
+				} ).concat( new OO.ui.MenuOptionWidget( { data: 'disabled', label: 'Bz', disabled: true } ) )
+			} );
+
+		keyPress( select, 'b' );
+		assert.strictEqual( select.getHighlightedItem().getData(), 'Banana', 'First option starting with typed character is highlighted' );
+		keyPress( select, 'L' );
+		assert.strictEqual( select.getHighlightedItem().getData(), 'blueberry', 'Typed characters are combined, ignoring case' );
+		keyPress( select, 'a' );
+		assert.strictEqual( select.getHighlightedItem().getData(), 'Blackberry', 'Options after the highlighted one are searched' );
+		keyPress( select, 'x' );
+		assert.strictEqual( select.getHighlightedItem().getData(), 'Blackberry', 'Highlight is kept if no option matches' );
+
+		select.clearKeyPressBuffer();
+		keyPress( select, 'b' );
+		assert.strictEqual( select.getHighlightedItem().getData(), 'Blackberry', 'Highlighted option is kept if it matches' );
+		keyPress( select, 'b' );
+		assert.strictEqual( select.getHighlightedItem().getData(), 'Banana', 'Repeating a character cycles, skipping disabled options' );
+
+		select.clearKeyPressBuffer();
+		keyPress( select, 'c' );
+		assert.strictEqual( select.getHighlightedItem().getData(), ' Cherry', 'Leading whitespace is ignored' );
+
+		select.clearKeyPressBuffer();
+		e = keyPress( select, ' ' );
+		assert.strictEqual( e.isDefaultPrevented(), false, 'Spaces are ignored unless typing a label' );
+	} );
+
+	QUnit.test( 'onKeyDown (Home/End/PageUp/PageDown)', 6, function ( assert ) {
+		var items = makeItems( 50 ),
+			select = makeMeasurableSelect( { virtual: true } ).addItems( items );
+
+		items[ 0 ].setDisabled( true );
+		items[ 49 ].setDisabled( true );
+
+		keyDown( select, OO.ui.Keys.END );
+		assert.strictEqual( select.getHighlightedItem(), items[ 48 ], 'End highlights last selectable option' );
+		keyDown( select, OO.ui.Keys.HOME );
+		assert.strictEqual( select.getHighlightedItem(), items[ 1 ], 'Home highlights first selectable option' );
+		keyDown( select, OO.ui.Keys.PAGEDOWN );
+		assert.strictEqual( select.getHighlightedItem(), items[ 6 ], 'Page Down moves by the options in view' );
+		keyDown( select, OO.ui.Keys.PAGEUP );
+		assert.strictEqual( select.getHighlightedItem(), items[ 1 ], 'Page Up moves back by the options in view' );
+		keyDown( select, OO.ui.Keys.PAGEUP );
+		assert.strictEqual( select.getHighlightedItem(), items[ 1 ], 'Page Up stops at first selectable option' );
+		select.highlightItem( items[ 46 ] );
+		keyDown( select, OO.ui.Keys.PAGEDOWN );
+		assert.strictEqual( select.getHighlightedItem(), items[ 48 ], 'Page Down stops at last selectable option' );
+	} );
+
+	function click( select, item, modifiers ) {
+		var props = $.extend( { which: 1, target: item.$element[ 0 ] }, modifiers );
+		select.onMouseDown( $.Event( 'mousedown', props ) );
+		select.onMouseUp( $.Event( 'mouseup', props ) );
+	}
+
+	QUnit.test( 'multiselect', 10, function ( assert ) {
+		var items = makeItems( 6 ),
+			events = [],
+			select = new OO.ui.SelectWidget( { multiselect: true, items: items } );
+
+		select.on( 'select', function ( selected ) {
+			events.push( selected );
+		} );
+
+		assert.strictEqual( select.$element.attr( 'aria-multiselectable' ), 'true', 'Select is multiselectable for screen readers' );
+
+		select.selectItems( [ items[ 1 ], items[ 3 ] ] );
+		assert.deepEqual( select.getSelectedItems(), [ items[ 1 ], items[ 3 ] ], 'selectItems selects several items' );
+		assert.deepEqual( events.pop(), [ items[ 1 ], items[ 3 ] ], 'select event reports all selected items' );
+
+		click( select, items[ 0 ] );
+		assert.deepEqual( select.getSelectedItems(), [ items[ 0 ] ], 'Click selects only the clicked item' );
+		click( select, items[ 2 ], { ctrlKey: true } );
+		click( select, items[ 4 ], { metaKey: true } );
+		assert.deepEqual( select.getSelectedItems(), [ items[ 0 ], items[ 2 ], items[ 4 ] ], 'Ctrl/Cmd-click adds items' );
+		click( select, items[ 2 ], { ctrlKey: true } );
+		assert.deepEqual(
+			[ select.getSelectedItems(), items[ 2 ].$element.attr( 'aria-selected' ) ],
+			[ [ items[ 0 ], items[ 4 ] ], 'false' ],
+			'Ctrl-click removes selected items'
+		);
+
+		click( select, items[ 1 ] );
+		click( select, items[ 3 ], { shiftKey: true } );
+		assert.deepEqual( select.getSelectedItems(), items.slice( 1, 4 ), 'Shift-click selects a range from the last clicked item' );
+		click( select, items[ 0 ], { shiftKey: true } );
+		assert.deepEqual( select.getSelectedItems(), items.slice( 0, 2 ), 'Shift-click replaces the range' );
+
+		select.selectItem( items[ 2 ] );
+		select.onKeyDown( $.Event( 'keydown', { keyCode: OO.ui.Keys.DOWN, shiftKey: true } ) );
+		select.onKeyDown( $.Event( 'keydown', { keyCode: OO.ui.Keys.DOWN, shiftKey: true } ) );
+		assert.deepEqual( select.getSelectedItems(), items.slice( 2, 5 ), 'Shift+arrow extends the range' );
+
+		select = new OO.ui.SelectWidget( { items: makeItems( 3 ) } );
+		select.selectItems( select.getItems() );
+		assert.deepEqual( select.getSelectedItems(), select.getItems().slice( 0, 1 ), 'Only one item is selected unless multiselect' );
+	} );
+
+	QUnit.test( 'skipHiddenItems', 4, function ( assert ) {
+		var items = makeItems( 3 ),
+			select = new OO.ui.SelectWidget( { items: items } ),
+			skipping = new OO.ui.SelectWidget( { items: makeItems( 3 ), skipHiddenItems: true } );
+
+		items[ 0 ].toggle( false );
+		assert.strictEqual( select.getFirstSelectableItem(), items[ 0 ], 'Hidden options are selectable by default' );
+		assert.strictEqual( select.getRelativeSelectableItem( items[ 2 ], 1 ), items[ 0 ], 'Hidden options are navigated to by default' );
+
+		skipping.getItems()[ 0 ].toggle( false );
+		assert.strictEqual( skipping.getFirstSelectableItem(), skipping.getItems()[ 1 ], 'Hidden options are skipped' );
+		assert.ok( !skipping.getItems()[ 0 ].isHighlightable(), 'Hidden options are not highlightable' );
+	} );
+}() );
@@ -0,0 +1,175 @@
+( function () {
+	QUnit.module( 'TableWidget' );
+
+	function getNames( table ) {
+		return table.getRows().map( function ( row ) {
+			return row.name;
+		} );
+	}
+
+	QUnit.test( 'rows', 7, function ( assert ) {
+		var table = new OO.ui.TableWidget( {
+				columns: [
+					{ key: 'name', label: 'Name', sortable: true },
+					{ key: 'size', label: 'Size', sortable: true, width: 80 },
+					{
+						key: 'shared',
+						label: 'Shared',
+						render: function ( value ) {
+							return new OO.ui.ToggleSwitchWidget( { value: value } );
+						}
+					}
+				],
+				rows: [
+					{ name: 'b', size: 10, shared: false },
+					{ name: 'a', size: 9, shared: true },
+					{ name: 'c', size: 10, shared: false }
+				]
+			} ),
+			row = table.getItems()[ 0 ],
+			$cells = row.$element.children();
+
+		assert.strictEqual( table.$element.attr( 'role' ), 'grid', 'Table has the grid role' );
+		assert.strictEqual( row.$element.attr( 'role' ), 'row', 'Row has the row role' );
+		assert.deepEqual( [ $cells.length, $cells.eq( 0 ).text(), $cells.eq( 1 ).text() ], [ 3, 'b', '10' ], 'Cells show the values of the row' );
+		assert.strictEqual( row.getCellWidget( 'shared' ) instanceof OO.ui.ToggleSwitchWidget, true, 'Cell shows the widget returned by the renderer' );
+		assert.strictEqual( row.getCellWidget( 'shared' ).$element[ 0 ].parentNode, $cells[ 2 ], 'Widget is in its cell' );
+		assert.strictEqual( table.$element.find( 'col' ).eq( 1 ).css( 'width' ), '80px', 'Column width is set' );
+
+		table.setRows( [ { name: 'd' } ] );
+		assert.deepEqual( getNames( table ), [ 'd' ], 'Rows are replaced' );
+	} );
+
+	QUnit.test( 'sort', 9, function ( assert ) {
+		var sorts = [],
+			table = new OO.ui.TableWidget( {
+				columns: [
+					{ key: 'name', label: 'Name', sortable: true },
+					{ key: 'size', label: 'Size', sortable: true, width: 80 },
+					{
+						key: 'shared',
+						label: 'Shared',
+						render: function ( value ) {
+							return new OO.ui.ToggleSwitchWidget( { value: value } );
+						}
+					}
+				],
+				rows: [
+					{ name: 'b', size: 10, shared: false },
+					{ name: 'a', size: 9, shared: true },
+					{ name: 'c', size: 10, shared: false }
+				]
+			} ),
+			$header = table.$element.find( 'th' ).eq( 1 );
+
+		table.on( 'sort', function ( key, direction ) {
+			sorts.push( key + ' ' + direction );
+		} );
+
+		table.sort( 'name' );
+		assert.deepEqual( getNames( table ), [ 'a', 'b', 'c' ], 'Rows are sorted by text' );
+		assert.strictEqual( table.$element.find( 'th' ).eq( 0 ).attr( 'aria-sort' ), 'ascending', 'Header is marked as sorted' );
+
+		$header.trigger( 'click' );
+		assert.deepEqual( getNames( table ), [ 'a', 'b', 'c' ], 'Sorting is stable' );
+		$header.trigger( 'click' );
+		assert.deepEqual( getNames( table ), [ 'b', 'c', 'a' ], 'Clicking the header again sorts descending, still stable' );
+		assert.deepEqual(
+			[ table.$element.find( 'th' ).eq( 0 ).attr( 'aria-sort' ), $header.attr( 'aria-sort' ) ],
+			[ 'none', 'descending' ],
+			'Only the sorted header is marked'
+		);
+		assert.deepEqual( table.getSort(), { key: 'size', direction: 'descending' }, 'Sort is remembered' );
+
+		table.addRows( [ { name: 'd', size: 20 } ] );
+		assert.deepEqual( getNames( table ), [ 'd', 'b', 'c', 'a' ], 'Added rows are sorted' );
+		assert.strictEqual(
+			table.$group.children().first()[ 0 ],
+			table.getItems()[ 0 ].$element[ 0 ],
+			'Rows are reordered in the DOM'
+		);
+		assert.deepEqual( sorts, [ 'name ascending', 'size ascending', 'size descending', 'size descending' ], 'Events are emitted' );
+	} );
+
+	QUnit.test( 'static.compare', 4, function ( assert ) {
+		var compare = OO.ui.TableWidget.static.compare;
+
+		assert.strictEqual( compare( 9, 10 ) < 0, true, 'Numbers are compared by value' );
+		assert.strictEqual( compare( new Date( 2015, 1, 1 ), new Date( 2014, 1, 1 ) ) > 0, true, 'Dates are compared by value' );
+		assert.strictEqual( compare( null, 'a' ) < 0, true, 'Missing values come first' );
+		assert.strictEqual( compare( 'a', 'a' ), 0, 'Equal values' );
+	} );
+
+	QUnit.test( 'selection', 3, function ( assert ) {
+		var selected = [],
+			table = new OO.ui.TableWidget( {
+				columns: [
+					{ key: 'name', label: 'Name', sortable: true },
+					{ key: 'size', label: 'Size', sortable: true, width: 80 },
+					{
+						key: 'shared',
+						label: 'Shared',
+						render: function ( value ) {
+							return new OO.ui.ToggleSwitchWidget( { value: value } );
+						}
+					}
+				],
+				rows: [
+					{ name: 'b', size: 10, shared: false },
+					{ name: 'a', size: 9, shared: true },
+					{ name: 'c', size: 10, shared: false }
+				],
+				multiselect: true
+			} ),
+			items = table.getItems();
+
+		table.on( 'select', function ( items ) {
+			selected.push( items.length );
+		} );
+
+		table.chooseItem( items[ 0 ] );
+		table.onKeyDown( $.Event( 'keydown', { keyCode: OO.ui.Keys.DOWN, shiftKey: true } ) );
+		assert.deepEqual( table.getSelectedItems(), items.slice( 0, 2 ), 'Shift and an arrow key selects a range of rows' );
+		assert.strictEqual( items[ 1 ].$element.attr( 'aria-selected' ), 'true', 'Selected row is marked' );
+		assert.deepEqual( selected, [ 1, 2 ], 'Select events are emitted' );
+	} );
+
+	QUnit.test( 'column resizing', 3, function ( assert ) {
+		var resized = [],
+			table = new OO.ui.TableWidget( {
+				columns: [
+					{ key: 'name', label: 'Name', sortable: true },
+					{ key: 'size', label: 'Size', sortable: true, width: 80 },
+					{
+						key: 'shared',
+						label: 'Shared',
+						render: function ( value ) {
+							return new OO.ui.ToggleSwitchWidget( { value: value } );
+						}
+					}
+				],
+				rows: [
+					{ name: 'b', size: 10, shared: false },
+					{ name: 'a', size: 9, shared: true },
+					{ name: 'c', size: 10, shared: false }
+				]
+			} ),
+			$handle = table.$element.find( '.oo-ui-tableWidget-resizeHandle' ).eq( 1 );
+
+		table.on( 'resize', function ( key, width ) {
+			resized.push( [ key, width ] );
+		} );
+		// Stub measurements, as there is no layout to measure
+		table.$headers.size.outerWidth = function () {
+			return 80;
+		};
+
+		$handle.trigger( $.Event( 'mousedown', { which: 1, pageX: 100 } ) );
+		table.onDocumentMouseMove( { pageX: 130 } );
+		assert.strictEqual( table.$element.find( 'col' ).eq( 1 ).css( 'width' ), '110px', 'Column is resized while dragging' );
+		table.onDocumentMouseMove( { pageX: 0 } );
+		assert.strictEqual( table.$element.find( 'col' ).eq( 1 ).css( 'width' ), OO.ui.TableWidget.static.minColumnWidth + 'px', 'Column is not made narrower than the minimum' );
+		table.onDocumentMouseUp( {} );
+		assert.deepEqual( resized, [ [ 'size', OO.ui.TableWidget.static.minColumnWidth ] ], 'Event is emitted when done' );
+	} );
+}() );
@@ -0,0 +1,25 @@
+( function () {
+	QUnit.module( 'TextInputWidget' );
+
+	QUnit.asyncTest( 'Lifecycle', 2, function ( assert ) {
+		var sizes = 0,
+			count = OO.ui.Element.static.lifecycleCount,
+			widget = new OO.ui.TextInputWidget();
+
+		widget.onElementAttach = function () {
+			sizes++;
+		};
+		// Elements have no layout in tests, so make the widget look visible
+		widget.$element[ 0 ].getClientRects = function () {
+			return [ {} ];
+		};
+		widget.$element.appendTo( 'body' );
+		setTimeout( function () {
+			assert.strictEqual( sizes, 1, 'Sizes are measured once when the widget is attached and shown' );
+
+			widget.destroy();
+			assert.strictEqual( OO.ui.Element.static.lifecycleCount, count, 'Widget is no longer watched when destroyed' );
+			QUnit.start();
+		} );
+	} );
+}() );
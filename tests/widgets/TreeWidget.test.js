@@ -0,0 +1,213 @@
+( function () {
+	QUnit.module( 'TreeWidget' );
+
+	function getData( nodes ) {
+		return nodes.map( function ( node ) {
+			return node.getData();
+		} );
+	}
+
+	function getVisibleData( tree ) {
+		return getData( tree.getItems().filter( function ( node ) {
+			return node.isVisible();
+		} ) );
+	}
+
+	QUnit.test( 'addNodes/removeNodes', 10, function ( assert ) {
+		var tree = new OO.ui.TreeWidget( {
+				items: [
+					new OO.ui.TreeNodeWidget( {
+						data: 'a',
+						label: 'A',
+						expanded: true,
+						children: [
+							new OO.ui.TreeNodeWidget( { data: 'a1', label: 'A1' } ),
+							new OO.ui.TreeNodeWidget( {
+								data: 'a2',
+								label: 'A2',
+								children: [ new OO.ui.TreeNodeWidget( { data: 'a2x', label: 'A2x' } ) ]
+							} )
+						]
+					} ),
+					new OO.ui.TreeNodeWidget( { data: 'b', label: 'B' } )
+				]
+			} ),
+			a = tree.getItemFromData( 'a' ),
+			a2 = tree.getItemFromData( 'a2' );
+
+		assert.deepEqual( getData( tree.getItems() ), [ 'a', 'a1', 'a2', 'a2x', 'b' ], 'Nodes are items in the order they are shown in' );
+		assert.deepEqual( getData( tree.getRootNodes() ), [ 'a', 'b' ], 'Root nodes' );
+		assert.strictEqual( tree.$element.attr( 'role' ), 'tree', 'Tree has the tree role' );
+		assert.strictEqual( a2.$element.attr( 'role' ), 'treeitem', 'Node has the treeitem role' );
+		assert.deepEqual(
+			[ a2.getLevel(), a2.$element.attr( 'aria-level' ), a2.$element.attr( 'aria-posinset' ), a2.$element.attr( 'aria-setsize' ) ],
+			[ 1, '2', '2', '2' ],
+			'Level and position of a node'
+		);
+
+		a.addChildNodes( [ new OO.ui.TreeNodeWidget( { data: 'a0', label: 'A0' } ) ], 0 );
+		tree.addNodes( [ new OO.ui.TreeNodeWidget( { data: 'c', label: 'C' } ) ] );
+		assert.deepEqual( getData( tree.getItems() ), [ 'a', 'a0', 'a1', 'a2', 'a2x', 'b', 'c' ], 'Nodes are added after their preceding siblings' );
+		assert.strictEqual( a2.$element.attr( 'aria-posinset' ), '3', 'Positions are updated' );
+
+		tree.addNodes( [ a2 ], 0 );
+		assert.deepEqual( getData( tree.getItems() ), [ 'a2', 'a2x', 'a', 'a0', 'a1', 'b', 'c' ], 'Nodes are moved with their descendants' );
+		assert.strictEqual( tree.getItemFromData( 'a2x' ).getLevel(), 1, 'Levels are updated' );
+
+		tree.removeNodes( [ tree.getItemFromData( 'a0' ), a2 ] );
+		assert.deepEqual( getData( tree.getItems() ), [ 'a', 'a1', 'b', 'c' ], 'Nodes are removed with their descendants' );
+	} );
+
+	QUnit.test( 'setExpanded', 7, function ( assert ) {
+		var expanded = [],
+			tree = new OO.ui.TreeWidget( {
+				items: [
+					new OO.ui.TreeNodeWidget( {
+						data: 'a',
+						label: 'A',
+						expanded: true,
+						children: [
+							new OO.ui.TreeNodeWidget( { data: 'a1', label: 'A1' } ),
+							new OO.ui.TreeNodeWidget( {
+								data: 'a2',
+								label: 'A2',
+								children: [ new OO.ui.TreeNodeWidget( { data: 'a2x', label: 'A2x' } ) ]
+							} )
+						]
+					} ),
+					new OO.ui.TreeNodeWidget( { data: 'b', label: 'B' } )
+				]
+			} ),
+			a = tree.getItemFromData( 'a' ),
+			a2 = tree.getItemFromData( 'a2' );
+
+		tree.on( 'expand', function ( node, value ) {
+			expanded.push( [ node.getData(), value ] );
+		} );
+
+		assert.deepEqual( getVisibleData( tree ), [ 'a', 'a1', 'a2', 'b' ], 'Children of collapsed nodes are hidden' );
+		assert.strictEqual( a2.$element.attr( 'aria-expanded' ), 'false', 'Collapsed node' );
+		assert.strictEqual( tree.getItemFromData( 'b' ).$element.attr( 'aria-expanded' ), undefined, 'Node without children can\'t be expanded' );
+
+		a2.setExpanded( true );
+		assert.deepEqual( getVisibleData( tree ), [ 'a', 'a1', 'a2', 'a2x', 'b' ], 'Expanding shows the children' );
+
+		tree.highlightItem( tree.getItemFromData( 'a2x' ) );
+		a.setExpanded( false );
+		assert.deepEqual( getVisibleData( tree ), [ 'a', 'b' ], 'Collapsing hides all descendants' );
+		assert.strictEqual( tree.getHighlightedItem(), a, 'Highlight moves from a hidden node to the collapsed one' );
+		assert.deepEqual( expanded, [ [ 'a2', true ], [ 'a', false ] ], 'Events are emitted by the tree' );
+	} );
+
+	QUnit.test( 'onKeyDown', 6, function ( assert ) {
+		var tree = new OO.ui.TreeWidget( {
+				items: [
+					new OO.ui.TreeNodeWidget( {
+						data: 'a',
+						label: 'A',
+						expanded: true,
+						children: [
+							new OO.ui.TreeNodeWidget( { data: 'a1', label: 'A1' } ),
+							new OO.ui.TreeNodeWidget( {
+								data: 'a2',
+								label: 'A2',
+								children: [ new OO.ui.TreeNodeWidget( { data: 'a2x', label: 'A2x' } ) ]
+							} )
+						]
+					} ),
+					new OO.ui.TreeNodeWidget( { data: 'b', label: 'B' } )
+				]
+			} ),
+			a = tree.getItemFromData( 'a' ),
+			a2 = tree.getItemFromData( 'a2' );
+
+		function press( keyCode ) {
+			tree.onKeyDown( $.Event( 'keydown', { keyCode: keyCode } ) );
+		}
+
+		tree.highlightItem( a2 );
+		press( OO.ui.Keys.RIGHT );
+		assert.strictEqual( a2.isExpanded(), true, 'Right expands a collapsed node' );
+		press( OO.ui.Keys.RIGHT );
+		assert.strictEqual( tree.getHighlightedItem().getData(), 'a2x', 'Right moves to the first child of an expanded node' );
+		press( OO.ui.Keys.LEFT );
+		assert.strictEqual( tree.getHighlightedItem(), a2, 'Left moves to the parent' );
+		press( OO.ui.Keys.LEFT );
+		assert.strictEqual( a2.isExpanded(), false, 'Left collapses an expanded node' );
+		press( OO.ui.Keys.UP );
+		assert.strictEqual( tree.getHighlightedItem().getData(), 'a1', 'Up moves to the previous node' );
+		tree.highlightItem( a );
+		press( OO.ui.Keys.LEFT );
+		press( OO.ui.Keys.DOWN );
+		assert.strictEqual( tree.getHighlightedItem().getData(), 'b', 'Down skips collapsed nodes' );
+	} );
+
+	QUnit.test( 'lazy nodes', 7, function ( assert ) {
+		var deferred = $.Deferred(),
+			requested = [],
+			node = new OO.ui.TreeNodeWidget( { data: 'lazy', label: 'Lazy', lazy: true } ),
+			tree = new OO.ui.TreeWidget( {
+				loadChildNodes: function ( node ) {
+					requested.push( node.getData() );
+					return deferred.promise();
+				},
+				items: [ node ]
+			} );
+
+		assert.strictEqual( node.isExpandable(), true, 'Lazy node can be expanded before it has children' );
+		assert.strictEqual( node.$element.attr( 'aria-expanded' ), 'false', 'Lazy node is collapsed' );
+
+		node.setExpanded( true );
+		node.setExpanded( true );
+		assert.deepEqual( requested, [ 'lazy' ], 'Child nodes are requested once' );
+		assert.strictEqual( node.isLoading(), true, 'Node is loading' );
+
+		deferred.resolve( [ new OO.ui.TreeNodeWidget( { data: 'child', label: 'Child' } ) ] );
+		assert.strictEqual( node.isLoading(), false, 'Node is loaded' );
+		assert.strictEqual( node.isExpanded(), true, 'Node is expanded once its child nodes are loaded' );
+		assert.deepEqual( getVisibleData( tree ), [ 'lazy', 'child' ], 'Loaded child nodes are shown' );
+	} );
+
+	QUnit.test( 'setChecked', 8, function ( assert ) {
+		var tree = new OO.ui.TreeWidget( {
+				items: [
+					new OO.ui.TreeNodeWidget( {
+						data: 'a',
+						checkable: true,
+						children: [
+							new OO.ui.TreeNodeWidget( { data: 'a1', checkable: true } ),
+							new OO.ui.TreeNodeWidget( {
+								data: 'a2',
+								checkable: true,
+								children: [
+									new OO.ui.TreeNodeWidget( { data: 'a2x', checkable: true } ),
+									new OO.ui.TreeNodeWidget( { data: 'a2y', checkable: true } )
+								]
+							} )
+						]
+					} )
+				]
+			} ),
+			a = tree.getItemFromData( 'a' ),
+			a2 = tree.getItemFromData( 'a2' );
+
+		tree.getItemFromData( 'a2x' ).setChecked( true );
+		assert.strictEqual( a2.isIndeterminate(), true, 'Parent of partly checked children is indeterminate' );
+		assert.strictEqual( a2.$element.attr( 'aria-checked' ), 'mixed', 'Indeterminate node is mixed' );
+		assert.strictEqual( a.isIndeterminate(), true, 'Indeterminate state propagates up' );
+
+		tree.getItemFromData( 'a2y' ).setChecked( true );
+		assert.deepEqual( [ a2.isChecked(), a.isIndeterminate() ], [ true, true ], 'Parent of checked children is checked' );
+
+		tree.getItemFromData( 'a1' ).setChecked( true );
+		assert.deepEqual( [ a.isChecked(), a.isIndeterminate() ], [ true, false ], 'Root is checked when all descendants are' );
+
+		a.setChecked( false );
+		assert.deepEqual( getData( tree.getCheckedNodes() ), [], 'Unchecking a node unchecks its descendants' );
+
+		tree.highlightItem( a2 );
+		tree.onKeyDown( $.Event( 'keydown', { keyCode: OO.ui.Keys.SPACE } ) );
+		assert.deepEqual( getData( tree.getCheckedNodes() ), [ 'a2', 'a2x', 'a2y' ], 'Space checks the node and its descendants' );
+		assert.strictEqual( a.$element.attr( 'aria-checked' ), 'mixed', 'Ancestors are updated' );
+	} );
+}() );